@@ -4,12 +4,63 @@
  */
 
 import crypto from 'crypto';
-import { TileDatabase } from './core/TileDatabase.js';
+import path from 'path';
+import { TileDatabase, EVICTION_POLICIES } from './core/TileDatabase.js';
 import { TileDownloader } from './core/TileDownloader.js';
 import * as tileCalculator from './core/TileCalculator.js';
-import { tileSources, getAvailableSources, isValidSource } from './config/sources.js';
+import {
+  getSourceConfig,
+  getAvailableSources,
+  isValidSource,
+  isBuiltInSource,
+  isValidSourceId,
+  registerSource,
+  unregisterSource,
+  getSourceScales,
+  getStorageSource,
+  normalizeSourceConfig,
+  validateSourceConfig,
+  TILE_FORMATS
+} from './config/sources.js';
 import { defaults } from './config/defaults.js';
 import { createLogger } from './utils/logger.js';
+import { redactValue } from './utils/secrets.js';
+import { parseDuration } from './utils/duration.js';
+import { parseSize } from './utils/size.js';
+import { normalizeGeometry, getGeometryBounds } from './utils/geojson.js';
+import { bufferRoute } from './utils/corridor.js';
+import { loadCapabilities, parseCapabilities, capabilitiesToSource } from './utils/wmts.js';
+import {
+  decodeElevationTile,
+  distanceMeters,
+  getLineCoordinates,
+  densifyLine,
+  MAX_PROFILE_POINTS
+} from './utils/elevation.js';
+import { openMBTiles } from './formats/mbtiles.js';
+import { openTileDirectory } from './formats/directory.js';
+import { runExport } from './formats/exportWorker.js';
+
+const IMPORT_BATCH_SIZE = 500;
+
+/**
+ * Check whether a process is still running (signal 0 only probes it)
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Get the ID of another live process holding a job, or null
+ */
+function getRemoteRunner(job) {
+  return job.runnerPid && job.runnerPid !== process.pid && isProcessRunning(job.runnerPid) ? job.runnerPid : null;
+}
 
 export class TileForge {
   /**
@@ -17,38 +68,124 @@ export class TileForge {
    * @param {object} options - Configuration options
    * @param {string} options.dbPath - Path to SQLite database file (default: './data/tiles.db')
    * @param {number} options.maxConcurrentDownloads - Maximum concurrent downloads (default: 4)
-   * @param {number} options.cacheSize - In-memory tile cache size (default: 1000)
+   * @param {number|string} options.cacheMaxSize - Bytes of tiles kept in memory, or a size such
+   *   as "256MB" (default: 64MB)
+   * @param {object} options.cachePartitions - Own memory cache budgets by source ID,
+   *   e.g. {arcgis: "32MB"}; other sources share cacheMaxSize (optional)
    * @param {number} options.rateLimit - Minimum ms between requests (default: 500)
+   * @param {string} options.secretsPath - JSON file with secrets for ${NAME} references (default: './data/secrets.json')
    * @param {string} options.logLevel - Log level: 'error' | 'warn' | 'info' | 'debug' (default: 'info')
+   * @param {number|string} options.tileTTL - Tile TTL for sources without their own, in seconds
+   *   or as a duration such as "30d" (default: none, tiles never go stale)
+   * @param {boolean} options.backupOnMigrate - Copy the database file before upgrading its
+   *   schema (default: true)
+   * @param {boolean} options.resumeInterrupted - Resume interrupted download jobs on startup
+   *   (default: false; they can be resumed with resumeJob())
    */
   constructor(options = {}) {
     this.config = {
       dbPath: options.dbPath || defaults.dbPath,
       maxConcurrentDownloads: options.maxConcurrentDownloads || defaults.maxConcurrentDownloads,
-      cacheSize: options.cacheSize || defaults.cacheSize,
+      cacheMaxSize: options.cacheMaxSize ?? defaults.cacheMaxSize,
+      cachePartitions: options.cachePartitions || {},
       rateLimit: options.rateLimit || defaults.rateLimit,
-      logLevel: options.logLevel || defaults.logLevel
+      secretsPath: options.secretsPath || defaults.secretsPath,
+      logLevel: options.logLevel || defaults.logLevel,
+      tileTTL: options.tileTTL ?? defaults.tileTTL,
+      backupOnMigrate: options.backupOnMigrate ?? defaults.backupOnMigrate,
+      resumeInterrupted: options.resumeInterrupted ?? defaults.resumeInterrupted
     };
 
+    if (this.config.tileTTL !== null) {
+      this.config.tileTTL = parseDuration(this.config.tileTTL);
+    }
+
     this.logger = createLogger(this.config.logLevel);
 
     // Initialize database
     this.database = new TileDatabase({
       dbPath: this.config.dbPath,
-      cacheSize: this.config.cacheSize,
-      logLevel: this.config.logLevel
+      cacheMaxSize: this.config.cacheMaxSize,
+      cachePartitions: this.config.cachePartitions,
+      logLevel: this.config.logLevel,
+      backupOnMigrate: this.config.backupOnMigrate
     });
 
     // Initialize downloader
     this.downloader = new TileDownloader(this.database, {
       maxConcurrentDownloads: this.config.maxConcurrentDownloads,
       rateLimit: this.config.rateLimit,
+      secretsPath: this.config.secretsPath,
       logLevel: this.config.logLevel
     });
 
+    // Register user-defined sources stored in the database
+    this.loadUserSources();
+
+    // Jobs left running by a process that died cannot finish on their own
+    this.recoverJobs();
+    if (this.config.resumeInterrupted) {
+      this.resumeInterruptedJobs();
+    }
+
     this.logger.info('TileForge initialized');
   }
 
+  /**
+   * Register all user-defined sources from the database
+   */
+  loadUserSources() {
+    for (const source of this.database.getUserSources()) {
+      const { id, createdAt, updatedAt, ...config } = source;
+      if (isBuiltInSource(id)) {
+        this.logger.warn(`Ignoring stored source "${id}": conflicts with a built-in source`);
+        continue;
+      }
+      registerSource(id, config);
+    }
+  }
+
+  /**
+   * Mark jobs recorded as running by processes that are gone as interrupted
+   * Jobs of live processes, this one included, are left alone
+   * @returns {string[]} IDs of the jobs marked interrupted
+   */
+  recoverJobs() {
+    const interrupted = [];
+    for (const job of this.database.getUnfinishedJobs()) {
+      if (job.runnerPid && isProcessRunning(job.runnerPid)) {
+        continue;
+      }
+      this.database.updateJobStatus(job.id, 'interrupted');
+      interrupted.push(job.id);
+    }
+
+    if (interrupted.length > 0) {
+      this.logger.warn(`${interrupted.length} download job(s) were interrupted: ${interrupted.join(', ')}`);
+    }
+    return interrupted;
+  }
+
+  /**
+   * Resume all interrupted jobs, oldest first
+   * Jobs that cannot be resumed (e.g. their source is gone) stay interrupted
+   * @returns {string[]} IDs of the resumed jobs
+   */
+  resumeInterruptedJobs() {
+    const resumed = [];
+    const jobs = this.database.getAllJobs().filter(job => job.status === 'interrupted').reverse();
+
+    for (const job of jobs) {
+      try {
+        this.resumeJob(job.id);
+        resumed.push(job.id);
+      } catch (error) {
+        this.logger.warn(`Could not resume job ${job.id}: ${error.message}`);
+      }
+    }
+    return resumed;
+  }
+
   /**
    * Generate a unique job ID
    * @returns {string}
@@ -63,30 +200,39 @@ export class TileForge {
    * @param {string} options.name - Name for this download job
    * @param {string} options.source - Tile source ('arcgis' | 'google' | 'esri-world-imagery')
    * @param {object} options.bounds - Geographic bounds {north, south, east, west}
+   * @param {object} options.geometry - GeoJSON Polygon or MultiPolygon (or a Feature or
+   *   FeatureCollection of them) to download instead of bounds; only tiles intersecting it are downloaded
+   * @param {string|object} options.route - GPX document or GeoJSON LineString / MultiLineString;
+   *   downloads a corridor job of the tiles within options.buffer of the route
+   * @param {number} options.buffer - Corridor width in metres on each side of the route
    * @param {number} options.minZoom - Minimum zoom level
    * @param {number} options.maxZoom - Maximum zoom level
+   * @param {number} options.scale - Pixel ratio to download, 1 or 2 for @2x tiles (default: 1)
+   * @param {boolean} options.snapshot - Re-download cached tiles too, keeping the contents
+   *   that changed as versions that can still be served by date (default: false)
    * @returns {Promise<{jobId: string, totalTiles: number, status: string}>}
    */
   async download(options) {
-    const { name, source, bounds, minZoom, maxZoom } = options;
+    const { name, source, minZoom, maxZoom, scale = 1, snapshot = false } = options;
 
     // Validate source
     if (!isValidSource(source)) {
       throw new Error(`Invalid tile source: ${source}. Available: ${getAvailableSources().map(s => s.id).join(', ')}`);
     }
 
-    // Validate bounds
-    if (!tileCalculator.isValidBounds(bounds)) {
-      throw new Error('Invalid bounds. Must include north, south, east, west coordinates.');
-    }
+    this.validateScale(source, scale);
+
+    const { bounds, geometry, type } = this.resolveArea(options);
 
     // Validate zoom range
     if (!tileCalculator.isValidZoomRange(minZoom, maxZoom)) {
       throw new Error('Invalid zoom range. Must be between 0-22 and minZoom <= maxZoom.');
     }
 
+    this.checkDownloadable(source);
+
     // Generate tile list
-    const tiles = tileCalculator.getTileList(bounds, minZoom, maxZoom);
+    const tiles = tileCalculator.getTileList(bounds, minZoom, maxZoom, geometry);
     const totalTiles = tiles.length;
 
     // Create job
@@ -100,50 +246,125 @@ export class TileForge {
       bounds,
       minZoom,
       maxZoom,
-      totalTiles
+      totalTiles,
+      null,
+      null,
+      { scale, snapshot, geometry, type }
     );
 
     // Start download
-    this.downloader.startJob(jobId, source, tiles);
+    this.downloader.startJob(jobId, source, tiles, { scale, snapshot });
 
     this.logger.info(`Download job started: ${jobId} (${totalTiles} tiles)`);
 
     return {
       jobId,
       name,
+      type,
       source,
+      scale,
+      snapshot: !!snapshot,
+      bounds,
+      geometry,
       totalTiles,
       status: 'running'
     };
   }
 
+  /**
+   * Resolve the area of a download or estimate: bounds, a GeoJSON geometry, or the
+   * corridor around a route
+   * @param {object} options - {bounds, geometry, route, buffer}
+   * @returns {{bounds: object, geometry: object|null, type: string}} geometry is normalized to a
+   *   MultiPolygon; type is the job type, 'corridor' for routes
+   * @throws {Error} If none is valid
+   */
+  resolveArea(options) {
+    if (options.route || options.geometry) {
+      const geometry = options.route
+        ? bufferRoute(options.route, options.buffer)
+        : normalizeGeometry(options.geometry);
+      const bounds = getGeometryBounds(geometry);
+      if (!tileCalculator.isValidBounds(bounds)) {
+        throw new Error('Invalid GeoJSON: the geometry has no area within the Web Mercator latitude limits');
+      }
+      return { bounds, geometry, type: options.route ? 'corridor' : 'download' };
+    }
+
+    // Validate bounds
+    if (!tileCalculator.isValidBounds(options.bounds)) {
+      throw new Error('Invalid bounds. Must include north, south, east, west coordinates.');
+    }
+    return { bounds: options.bounds, geometry: null, type: 'download' };
+  }
+
+  /**
+   * Check that tiles of a source can be downloaded
+   * @param {string} source - Tile source
+   * @throws {Error} If the source has no tile server or references missing secrets
+   */
+  checkDownloadable(source) {
+    if (getSourceConfig(source).service === 'local') {
+      throw new Error(`Source ${source} has no tile server; its tiles can only be imported`);
+    }
+
+    // Fail early if the source references secrets that are not configured
+    this.downloader.checkSourceCredentials(source);
+  }
+
+  /**
+   * Check that a source offers the requested pixel ratio
+   * @param {string} source - Tile source
+   * @param {number} scale - Pixel ratio
+   * @throws {Error} If the source has no variant at that ratio
+   */
+  validateScale(source, scale) {
+    const scales = getSourceScales(source);
+    if (!scales.includes(scale)) {
+      throw new Error(`Source ${source} has no @${scale}x variant. Available scales: ${scales.join(', ')}`);
+    }
+  }
+
   /**
    * Estimate download size and time
+   * Tile counts are the same for every tile size; the size estimate grows with the
+   * pixels per tile (a 512px or @2x tile is about four 256px tiles)
    * @param {object} options - Estimate options
    * @param {object} options.bounds - Geographic bounds {north, south, east, west}
+   * @param {object} options.geometry - GeoJSON polygon area instead of bounds (see download)
+   * @param {string|object} options.route - Route to estimate a corridor for, with options.buffer (see download)
    * @param {number} options.minZoom - Minimum zoom level
    * @param {number} options.maxZoom - Maximum zoom level
-   * @returns {{tileCount: number, estimatedSizeMB: number, estimatedTimeMinutes: number}}
+   * @param {string} options.source - Tile source, for its tile size (optional)
+   * @param {number} options.scale - Pixel ratio (default: 1)
+   * @returns {{tileCount: number, tileSize: number, estimatedSizeMB: number, estimatedTimeMinutes: number}}
    */
   estimate(options) {
-    const { bounds, minZoom, maxZoom } = options;
+    const { minZoom, maxZoom, source, scale = 1 } = options;
 
-    // Validate bounds
-    if (!tileCalculator.isValidBounds(bounds)) {
-      throw new Error('Invalid bounds. Must include north, south, east, west coordinates.');
+    if (source !== undefined) {
+      if (!isValidSource(source)) {
+        throw new Error(`Invalid tile source: ${source}. Available: ${getAvailableSources().map(s => s.id).join(', ')}`);
+      }
+      this.validateScale(source, scale);
     }
 
+    const { bounds, geometry } = this.resolveArea(options);
+
     // Validate zoom range
     if (!tileCalculator.isValidZoomRange(minZoom, maxZoom)) {
       throw new Error('Invalid zoom range. Must be between 0-22 and minZoom <= maxZoom.');
     }
 
-    const tileCount = tileCalculator.calculateTileCount(bounds, minZoom, maxZoom);
-    const estimatedSizeMB = (tileCount * defaults.averageTileSizeKB) / 1024;
+    const tileSize = source ? getSourceConfig(source).tileSize || 256 : 256;
+    const tileCount = tileCalculator.calculateTileCount(bounds, minZoom, maxZoom, geometry);
+    const areaFactor = tileCalculator.getTileAreaFactor(tileSize, scale);
+    const estimatedSizeMB = (tileCount * defaults.averageTileSizeKB * areaFactor) / 1024;
     const estimatedTimeMinutes = (tileCount * defaults.downloadTimePerTile) / 60;
 
     return {
       tileCount,
+      tileSize: tileSize * scale,
       estimatedSizeMB: Math.round(estimatedSizeMB * 100) / 100,
       estimatedTimeMinutes: Math.round(estimatedTimeMinutes * 100) / 100
     };
@@ -166,13 +387,19 @@ export class TileForge {
       throw new Error(`Job not found: ${jobId}`);
     }
 
+    if (job.type === 'refresh') {
+      throw new Error(`Job ${jobId} is a refresh job; extend job ${job.parentJobId} instead`);
+    }
+
     // Validate zoom range
     if (!tileCalculator.isValidZoomRange(minZoom, maxZoom)) {
       throw new Error('Invalid zoom range. Must be between 0-22 and minZoom <= maxZoom.');
     }
 
+    this.checkDownloadable(job.source);
+
     // Generate new tile list
-    const tiles = tileCalculator.getTileList(job.bounds, minZoom, maxZoom);
+    const tiles = tileCalculator.getTileList(job.bounds, minZoom, maxZoom, job.geometry);
     const totalTiles = tiles.length;
 
     // Update job in database
@@ -180,7 +407,7 @@ export class TileForge {
     this.database.updateJobStatus(jobId, 'running');
 
     // Start download (will skip existing tiles)
-    this.downloader.startJob(jobId, job.source, tiles);
+    this.downloader.startJob(jobId, job.source, tiles, { scale: job.scale });
 
     this.logger.info(`Job ${jobId} extended to zoom ${minZoom}-${maxZoom} (${totalTiles} tiles)`);
 
@@ -193,21 +420,403 @@ export class TileForge {
     };
   }
 
+  /**
+   * Continue a paused or interrupted job, downloading only the tiles it still misses
+   * Jobs completed with errors can be resumed too, retrying the tiles that failed.
+   * Paused jobs held by a live process (this one or another) continue there. Other
+   * jobs pick up the queue they left in the database; download jobs without one
+   * (interrupted before queues were stored) queue the tiles of their area they do not own yet
+   * @param {string} jobId - Job ID
+   * @returns {{jobId: string, totalTiles: number, pendingTiles: number, status: string, runnerPid: number}}
+   *   runnerPid is the ID of the process downloading the job
+   */
+  resumeJob(jobId) {
+    const job = this.database.getJob(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    if (this.downloader.resumeJob(jobId)) {
+      const status = this.downloader.getJobStatus(jobId);
+      return {
+        jobId,
+        totalTiles: status.totalTiles,
+        pendingTiles: status.queuedTiles,
+        status: 'running',
+        runnerPid: process.pid
+      };
+    }
+
+    if (this.downloader.isJobActive(jobId)) {
+      throw new Error(`Job ${jobId} is already running`);
+    }
+    if (!['interrupted', 'paused', 'completed_with_errors'].includes(job.status)) {
+      throw new Error(`Job ${jobId} is ${job.status}; only paused, interrupted or partly failed jobs can be resumed`);
+    }
+    if (job.type === 'import') {
+      throw new Error(`Job ${jobId} is an import and cannot be resumed; import the file again`);
+    }
+
+    // The process holding the paused job picks up the request from the database
+    const runnerPid = job.status === 'paused' ? getRemoteRunner(job) : null;
+    if (runnerPid) {
+      this.database.updateJobStatus(jobId, 'running', { runnerPid });
+      this.logger.info(`Job ${jobId} resumed in process ${runnerPid}`);
+      return {
+        jobId,
+        totalTiles: job.totalTiles,
+        pendingTiles: this.database.countJobQueue(jobId),
+        status: 'running',
+        runnerPid
+      };
+    }
+
+    this.checkDownloadable(job.source);
+
+    let tiles = this.database.getJobQueue(jobId);
+    if (tiles.length === 0 && job.type !== 'refresh') {
+      const storageSource = getStorageSource(job.source, job.scale);
+      tiles = tileCalculator.getTileList(job.bounds, job.minZoom, job.maxZoom, job.geometry)
+        .filter(({ z, x, y }) => !this.database.hasJobTile(jobId, storageSource, z, x, y));
+    }
+
+    this.downloader.startJob(jobId, job.source, tiles, {
+      scale: job.scale,
+      refresh: job.type === 'refresh',
+      snapshot: !!job.snapshot,
+      totalTiles: job.totalTiles,
+      downloadedTiles: job.downloadedTiles
+    });
+
+    this.logger.info(`Job ${jobId} resumed (${tiles.length} of ${job.totalTiles} tiles left)`);
+
+    return {
+      jobId,
+      totalTiles: job.totalTiles,
+      pendingTiles: tiles.length,
+      status: 'running',
+      runnerPid: process.pid
+    };
+  }
+
+  /**
+   * Pause a job until resumeJob(), keeping its queued tiles and progress counters
+   * Tiles already being downloaded still complete. Jobs running in another process
+   * are paused there within a few seconds; interrupted jobs are no longer resumed
+   * automatically
+   * @param {string} jobId - Job ID
+   * @returns {object} Job status (see getJobStatus)
+   */
+  pauseJob(jobId) {
+    const job = this.database.getJob(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    if (!this.downloader.pauseJob(jobId) && job.status !== 'paused') {
+      if (!['pending', 'running', 'quota_exceeded', 'interrupted'].includes(job.status)) {
+        throw new Error(`Job ${jobId} is ${job.status}; only running or interrupted jobs can be paused`);
+      }
+
+      // A process still holding the job picks up the request from the database
+      this.database.updateJobStatus(jobId, 'paused', { runnerPid: getRemoteRunner(job) });
+      this.logger.info(`Job ${jobId} paused`);
+    }
+
+    return this.getJobStatus(jobId);
+  }
+
+  /**
+   * Re-download the tiles of a job's area that are older than a threshold
+   * Upstream servers that return ETag or Last-Modified are asked with conditional
+   * requests, so unchanged tiles only have their age reset
+   * @param {string} jobId - Job whose area and zoom levels are refreshed
+   * @param {object} options - Refresh options
+   * @param {number|string} options.olderThan - Age threshold in seconds or a duration such as "90d"
+   *   (default: the source TTL)
+   * @param {string} options.name - Name for the refresh job (default: "Refresh <job name>")
+   * @param {boolean} options.snapshot - Keep the contents the refresh replaces as versions
+   *   (default: whether the refreshed job is a snapshot)
+   * @returns {Promise<{jobId: string|null, parentJobId: string, totalTiles: number, olderThan: number, status: string}>}
+   *   jobId is null and status 'up_to_date' when no tile is older than the threshold
+   */
+  async refreshJob(jobId, options = {}) {
+    const job = this.database.getJob(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    // Refreshing a refresh job refreshes the area of the job it was created for
+    const parentJobId = job.type === 'refresh' && job.parentJobId ? job.parentJobId : jobId;
+
+    const olderThan = options.olderThan !== undefined && options.olderThan !== null
+      ? parseDuration(options.olderThan)
+      : this.getSourceTTL(job.source);
+    if (olderThan === null) {
+      throw new Error(`Source ${job.source} has no TTL; specify how old tiles must be to refresh them`);
+    }
+
+    this.checkDownloadable(job.source);
+
+    const tiles = this.database.listStaleTiles(getStorageSource(job.source, job.scale), {
+      bounds: job.bounds,
+      geometry: job.geometry,
+      minZoom: job.minZoom,
+      maxZoom: job.maxZoom,
+      before: Date.now() - olderThan * 1000
+    });
+
+    if (tiles.length === 0) {
+      this.logger.info(`Job ${jobId} has no tiles older than ${olderThan}s`);
+      return { jobId: null, parentJobId, totalTiles: 0, olderThan, status: 'up_to_date' };
+    }
+
+    const refreshId = this.generateJobId();
+    const parent = parentJobId === jobId ? job : this.database.getJob(parentJobId) || job;
+    const snapshot = options.snapshot ?? !!parent.snapshot;
+    this.database.createDownloadJob(
+      refreshId,
+      options.name || `Refresh ${parent.name}`,
+      job.source,
+      job.bounds,
+      job.minZoom,
+      job.maxZoom,
+      tiles.length,
+      job.country,
+      job.city,
+      { scale: job.scale, type: 'refresh', parentJobId, snapshot, geometry: job.geometry }
+    );
+
+    this.downloader.startJob(refreshId, job.source, tiles, { scale: job.scale, refresh: true, snapshot });
+
+    this.logger.info(`Refresh job started: ${refreshId} (${tiles.length} tiles older than ${olderThan}s)`);
+
+    return {
+      jobId: refreshId,
+      parentJobId,
+      snapshot: !!snapshot,
+      totalTiles: tiles.length,
+      olderThan,
+      status: 'running'
+    };
+  }
+
+  /**
+   * Get the TTL of a source's tiles
+   * @param {string} source - Tile source
+   * @returns {number|null} TTL in seconds, or null if its tiles never go stale
+   */
+  getSourceTTL(source) {
+    return getSourceConfig(source)?.ttl ?? this.config.tileTTL;
+  }
+
+  /**
+   * Get the age and freshness of a cached tile
+   * @param {string} source - Tile source
+   * @param {number} z - Zoom level
+   * @param {number} x - Tile X coordinate
+   * @param {number} y - Tile Y coordinate
+   * @param {object} options - Lookup options
+   * @param {number} options.scale - Pixel ratio (default: 1)
+   * @returns {{timestamp: number, age: number, ttl: number|null, stale: boolean,
+   *   etag: string|null, lastModified: string|null}|null} Age and TTL in seconds, or null if not cached
+   */
+  getTileInfo(source, z, x, y, options = {}) {
+    const info = this.database.getTileInfo(z, x, y, getStorageSource(source, options.scale));
+    if (!info) {
+      return null;
+    }
+
+    const age = Math.max(0, Math.floor((Date.now() - info.timestamp) / 1000));
+    const ttl = this.getSourceTTL(source);
+
+    return {
+      ...info,
+      age,
+      ttl,
+      stale: ttl !== null && age >= ttl
+    };
+  }
+
   /**
    * Get a cached tile
    * @param {string} source - Tile source
    * @param {number} z - Zoom level
    * @param {number} x - Tile X coordinate
    * @param {number} y - Tile Y coordinate
+   * @param {object} options - Lookup options
+   * @param {number} options.scale - Pixel ratio (default: 1)
+   * @param {number|string|Date} options.at - Return the contents the tile had at this time
+   *   (see resolveSnapshotTime); default: the current contents
    * @returns {Buffer|null} Tile image data or null if not found
    */
-  getTile(source, z, x, y) {
+  getTile(source, z, x, y, options = {}) {
     // Validate coordinates
     if (!tileCalculator.isValidTile(x, y, z)) {
       return null;
     }
 
-    return this.database.getTile(z, x, y, source);
+    if (options.at !== undefined && options.at !== null) {
+      return this.getTileAt(source, z, x, y, options.at, options)?.data || null;
+    }
+
+    return this.database.getTile(z, x, y, getStorageSource(source, options.scale));
+  }
+
+  /**
+   * Get the contents a tile had at a point in time
+   * Snapshot downloads and refreshes keep the contents they replace, so older
+   * imagery can still be served
+   * @param {string} source - Tile source
+   * @param {number} z - Zoom level
+   * @param {number} x - Tile X coordinate
+   * @param {number} y - Tile Y coordinate
+   * @param {number|string|Date} at - Point in time (see resolveSnapshotTime)
+   * @param {object} options - Lookup options
+   * @param {number} options.scale - Pixel ratio (default: 1)
+   * @returns {{data: Buffer, capturedAt: number}|null} Newest contents downloaded at or before
+   *   that time, or null if none
+   * @throws {Error} If the time is invalid
+   */
+  getTileAt(source, z, x, y, at, options = {}) {
+    const time = this.resolveSnapshotTime(at);
+
+    if (!tileCalculator.isValidTile(x, y, z)) {
+      return null;
+    }
+
+    return this.database.getTileAt(z, x, y, getStorageSource(source, options.scale), time);
+  }
+
+  /**
+   * Resolve a point in time for time-travel tile lookups
+   * @param {number|string|Date} value - Timestamp in ms, a date such as "2026-01-01",
+   *   or the ID of a job (the time its last tile was downloaded)
+   * @returns {number} Timestamp (ms)
+   * @throws {Error} If the value is neither a valid date nor a job with downloaded tiles
+   */
+  resolveSnapshotTime(value) {
+    if (value instanceof Date || typeof value === 'number') {
+      const time = value instanceof Date ? value.getTime() : value;
+      if (!Number.isFinite(time)) {
+        throw new Error(`Invalid snapshot time: ${value}`);
+      }
+      return time;
+    }
+
+    const text = String(value).trim();
+    if (/^[0-9a-f]{32}$/i.test(text)) {
+      const job = this.database.getJob(text.toLowerCase());
+      if (!job) {
+        throw new Error(`Snapshot not found: ${text}`);
+      }
+      const { lastCapture } = this.database.getSnapshotSummary(job.id);
+      return lastCapture ?? job.updatedAt;
+    }
+
+    // A date without a time includes the whole day
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+    const time = /^\d+$/.test(text) ? Number(text) : Date.parse(dateOnly ? `${text}T23:59:59.999Z` : text);
+    if (!Number.isFinite(time)) {
+      throw new Error(`Invalid snapshot time: "${value}". Use a date such as "2026-01-01" or a snapshot job ID`);
+    }
+    return time;
+  }
+
+  /**
+   * List the snapshots of a job: the job itself and its refresh jobs, each holding
+   * the tile contents it downloaded
+   * @param {string} jobId - Job ID (a refresh job lists the snapshots of its job)
+   * @returns {Array<{snapshotId: string, name: string, type: string, snapshot: boolean,
+   *   status: string, createdAt: number, firstCapture: number|null, lastCapture: number|null,
+   *   currentTiles: number, archivedTiles: number}>} Oldest first
+   * @throws {Error} If the job is not found
+   */
+  listSnapshots(jobId) {
+    return this.getSnapshotJobs(jobId).map(job => ({
+      snapshotId: job.id,
+      name: job.name,
+      type: job.type,
+      snapshot: !!job.snapshot,
+      status: job.status,
+      createdAt: job.createdAt,
+      ...this.database.getSnapshotSummary(job.id)
+    }));
+  }
+
+  /**
+   * Delete older snapshots of a job
+   * Only the tile versions the pruned snapshots kept are deleted; tiles that are
+   * still current stay, so the latest imagery is never lost
+   * @param {string} jobId - Job ID (a refresh job prunes the snapshots of its job)
+   * @param {object} options - Prune options
+   * @param {number|string|Date} options.before - Prune snapshots created before this date
+   * @param {number} options.keep - Keep this many of the newest snapshots
+   * @returns {{pruned: string[], versionsDeleted: number}} IDs of the pruned snapshots
+   * @throws {Error} If the job is not found, or neither option is given
+   */
+  pruneSnapshots(jobId, options = {}) {
+    const hasBefore = options.before !== undefined && options.before !== null;
+    const hasKeep = options.keep !== undefined && options.keep !== null;
+    if (!hasBefore && !hasKeep) {
+      throw new Error('Specify which snapshots to prune with before or keep');
+    }
+
+    const keep = hasKeep ? Number(options.keep) : 0;
+    if (hasKeep && (!Number.isInteger(keep) || keep < 0)) {
+      throw new Error(`Invalid keep count: ${options.keep}`);
+    }
+    const before = hasBefore ? this.resolveSnapshotTime(options.before) : null;
+
+    // Newest first, so the first `keep` snapshots survive
+    const snapshots = this.getSnapshotJobs(jobId).reverse();
+    const pruned = [];
+    let versionsDeleted = 0;
+
+    snapshots.forEach((job, index) => {
+      const expired = hasKeep ? index >= keep : true;
+      const old = hasBefore ? job.createdAt < before : true;
+      if (expired && old) {
+        versionsDeleted += this.database.deleteSnapshotVersions(job.id);
+        pruned.push(job.id);
+      }
+    });
+
+    if (versionsDeleted > 0) {
+      this.downloader.resumeQuotaJobs();
+    }
+
+    this.logger.info(`Pruned ${pruned.length} snapshots of job ${jobId} (${versionsDeleted} tile versions deleted)`);
+
+    return { pruned, versionsDeleted };
+  }
+
+  /**
+   * Get a job and its refresh jobs, oldest first
+   * @throws {Error} If the job is not found
+   */
+  getSnapshotJobs(jobId) {
+    const job = this.database.getJob(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    const root = job.type === 'refresh' && job.parentJobId
+      ? this.database.getJob(job.parentJobId) || job
+      : job;
+    const children = root === job && job.type === 'refresh' ? [] : this.database.getChildJobs(root.id);
+
+    return [root, ...children];
+  }
+
+  /**
+   * Get the tile format of a source
+   * Uses the source's declared format, then the format recorded for stored tiles
+   * @param {string} source - Tile source
+   * @returns {'png'|'jpg'|'webp'|'pbf'}
+   */
+  getSourceFormat(source) {
+    return getSourceConfig(source)?.format || this.database.getSourceFormat(source) || 'png';
   }
 
   /**
@@ -216,10 +825,12 @@ export class TileForge {
    * @param {number} z - Zoom level
    * @param {number} x - Tile X coordinate
    * @param {number} y - Tile Y coordinate
+   * @param {object} options - Lookup options
+   * @param {number} options.scale - Pixel ratio (default: 1)
    * @returns {boolean}
    */
-  hasTile(source, z, x, y) {
-    return this.database.hasTile(z, x, y, source);
+  hasTile(source, z, x, y, options = {}) {
+    return this.database.hasTile(z, x, y, getStorageSource(source, options.scale));
   }
 
   /**
@@ -240,14 +851,23 @@ export class TileForge {
       return {
         jobId: job.id,
         name: job.name,
+        type: job.type,
+        parentJobId: job.parentJobId,
         source: job.source,
+        scale: job.scale,
         bounds: job.bounds,
+        geometry: job.geometry,
         minZoom: job.minZoom,
         maxZoom: job.maxZoom,
         totalTiles: job.totalTiles,
         downloadedTiles: job.downloadedTiles,
         progress: job.totalTiles > 0 ? Math.round((job.downloadedTiles / job.totalTiles) * 100) : 0,
         status: job.status,
+        ...(['interrupted', 'paused', 'completed_with_errors'].includes(job.status) && {
+          queuedTiles: this.database.countJobQueue(job.id)
+        }),
+        pinned: !!job.pinned,
+        snapshot: !!job.snapshot,
         country: job.country,
         city: job.city,
         createdAt: job.createdAt,
@@ -279,14 +899,20 @@ export class TileForge {
       return {
         jobId: job.id,
         name: job.name,
+        type: job.type,
+        parentJobId: job.parentJobId,
         source: job.source,
+        scale: job.scale,
         bounds: job.bounds,
+        geometry: job.geometry,
         minZoom: job.minZoom,
         maxZoom: job.maxZoom,
         totalTiles: job.totalTiles,
         downloadedTiles: job.downloadedTiles,
         progress: job.totalTiles > 0 ? Math.round((job.downloadedTiles / job.totalTiles) * 100) : 0,
         status: job.status,
+        pinned: !!job.pinned,
+        snapshot: !!job.snapshot,
         country: job.country,
         city: job.city,
         createdAt: job.createdAt,
@@ -296,45 +922,60 @@ export class TileForge {
   }
 
   /**
-   * Cancel a running job
+   * Cancel a running, paused or interrupted job
    * @param {string} jobId - Job ID
-   * @returns {boolean} True if cancelled, false if not found
+   * @returns {boolean} True if cancelled, false if not found or already finished
    */
   cancelJob(jobId) {
-    return this.downloader.cancelJob(jobId);
+    if (this.downloader.cancelJob(jobId)) {
+      return true;
+    }
+
+    // Drop what interrupted jobs had left; a process holding a paused job follows the change
+    const job = this.database.getJob(jobId);
+    if (job?.status !== 'interrupted' && job?.status !== 'paused') {
+      return false;
+    }
+    this.database.updateJobStatus(jobId, 'cancelled');
+    this.database.clearJobQueue(jobId);
+    return true;
   }
 
   /**
    * Delete a job and optionally its tiles
+   * Tiles that other jobs also downloaded (or found cached) are kept
    * @param {string} jobId - Job ID
    * @param {boolean} deleteTiles - Whether to delete associated tiles (default: true)
-   * @returns {{deleted: boolean, tilesDeleted: number}}
+   * @returns {{deleted: boolean, tilesDeleted: number, tilesKept: number}}
    */
   deleteJob(jobId, deleteTiles = true) {
     const job = this.database.getJob(jobId);
     if (!job) {
-      return { deleted: false, tilesDeleted: 0 };
+      return { deleted: false, tilesDeleted: 0, tilesKept: 0 };
     }
 
     // Cancel if running
     this.downloader.cancelJob(jobId);
 
+    // Only tiles no other job owns are removed
     let tilesDeleted = 0;
+    let tilesKept = 0;
     if (deleteTiles) {
-      tilesDeleted = this.database.deleteTilesForJob(
-        job.source,
-        job.bounds,
-        job.minZoom,
-        job.maxZoom
-      );
+      ({ deleted: tilesDeleted, kept: tilesKept } = this.database.deleteTilesForJob(jobId));
+      this.database.deleteSnapshotVersions(jobId);
     }
 
     // Delete job record
     this.database.deleteJob(jobId);
 
-    this.logger.info(`Job ${jobId} deleted (${tilesDeleted} tiles removed)`);
+    // Freed space may let downloads waiting for quota room continue
+    if (tilesDeleted > 0) {
+      this.downloader.resumeQuotaJobs();
+    }
+
+    this.logger.info(`Job ${jobId} deleted (${tilesDeleted} tiles removed, ${tilesKept} kept for other jobs)`);
 
-    return { deleted: true, tilesDeleted };
+    return { deleted: true, tilesDeleted, tilesKept };
   }
 
   /**
@@ -353,6 +994,16 @@ export class TileForge {
     return true;
   }
 
+  /**
+   * Pin or unpin a job; tiles of pinned jobs are never evicted by storage quotas
+   * @param {string} jobId - Job ID
+   * @param {boolean} pinned - Whether to pin the job (default: true)
+   * @returns {boolean} True if updated, false if not found
+   */
+  pinJob(jobId, pinned = true) {
+    return this.database.setJobPinned(jobId, pinned);
+  }
+
   /**
    * Update job location metadata
    * @param {string} jobId - Job ID
@@ -388,25 +1039,1054 @@ export class TileForge {
       return null;
     }
 
-    const source = tileSources[sourceId];
+    const source = getSourceConfig(sourceId);
     const tileCount = this.database.getTileCount(sourceId);
 
     return {
       id: sourceId,
-      name: source.name,
-      attribution: source.attribution,
-      maxZoom: source.maxZoom,
-      minZoom: source.minZoom,
+      ...source,
+      subdomains: source.subdomains || null,
+      headers: this.redactParameters(source.headers),
+      query: this.redactParameters(source.query),
+      format: this.getSourceFormat(sourceId),
+      service: source.service || 'xyz',
+      builtIn: isBuiltInSource(sourceId),
       tileCount
     };
   }
 
   /**
-   * Get statistics for all sources
-   * @returns {Array}
+   * Mask literal header/query values so credentials never leave the server
+   * Secret references (${NAME}) are kept since they only name the secret
+   * @param {object|null} parameters
+   * @returns {object|null}
    */
-  getStats() {
-    return this.database.getStats();
+  redactParameters(parameters) {
+    if (!parameters) {
+      return null;
+    }
+
+    return Object.fromEntries(
+      Object.entries(parameters).map(([name, value]) => [name, redactValue(value)])
+    );
+  }
+
+  /**
+   * Register a new user-defined tile source
+   * @param {string} sourceId - Source ID (letters, digits, '-' and '_')
+   * @param {object} config - Source definition
+   * @param {string} config.name - Display name
+   * @param {string} config.url - URL template with {z}, {x}, {y} and optional {s}
+   *   (WMS sources use {bbox}, {width}, {height}, {layers}, {styles}, {format})
+   * @param {string} config.service - 'xyz' (default) or 'wms'
+   * @param {object} config.wms - WMS parameters {layers, styles, format}
+   * @param {string[]|string} config.subdomains - Subdomains for {s} rotation
+   * @param {number} config.minZoom - Minimum zoom level (default: 0)
+   * @param {number} config.maxZoom - Maximum zoom level (default: 22)
+   * @param {number} config.tileSize - Tile size in pixels (default: 256)
+   * @param {string} config.attribution - Attribution text
+   * @param {object} config.headers - Extra request headers (values may reference secrets as ${NAME})
+   * @param {object} config.query - Extra query parameters (values may reference secrets as ${NAME})
+   * @param {string} config.referer - Referer header to send
+   * @param {string} config.format - Tile format: 'png' | 'jpg' | 'webp' | 'pbf' (optional)
+   * @returns {object} The registered source
+   */
+  addSource(sourceId, config) {
+    if (!isValidSourceId(sourceId)) {
+      throw new Error(`Invalid source ID: ${sourceId}. Use letters, digits, '-' and '_' (max 64 chars).`);
+    }
+
+    if (isValidSource(sourceId)) {
+      throw new Error(`Source already exists: ${sourceId}`);
+    }
+
+    const normalized = normalizeSourceConfig(config);
+    const errors = validateSourceConfig(normalized);
+    if (errors.length > 0) {
+      throw new Error(`Invalid source definition: ${errors.join('; ')}`);
+    }
+
+    this.database.saveUserSource(sourceId, normalized);
+    registerSource(sourceId, normalized);
+
+    this.logger.info(`Source added: ${sourceId}`);
+
+    return this.getSource(sourceId);
+  }
+
+  /**
+   * Update a user-defined tile source
+   * @param {string} sourceId - Source ID
+   * @param {object} changes - Fields to change (same shape as addSource config)
+   * @returns {object} The updated source
+   */
+  updateSource(sourceId, changes) {
+    if (isBuiltInSource(sourceId)) {
+      throw new Error(`Built-in source cannot be modified: ${sourceId}`);
+    }
+
+    const existing = this.database.getUserSource(sourceId);
+    if (!existing) {
+      throw new Error(`Source not found: ${sourceId}`);
+    }
+
+    const { id, createdAt, updatedAt, ...current } = existing;
+    const merged = { ...current, ...changes };
+    if (current.wms && changes.wms) {
+      merged.wms = { ...current.wms, ...changes.wms };
+    }
+
+    // Masked values echoed back from getSource() keep their stored value
+    for (const field of ['headers', 'query']) {
+      if (changes[field] && current[field]) {
+        merged[field] = Object.fromEntries(
+          Object.entries(changes[field]).map(([name, value]) => [
+            name,
+            value === redactValue(current[field][name]) ? current[field][name] : value
+          ])
+        );
+      }
+    }
+
+    const normalized = normalizeSourceConfig(merged);
+    const errors = validateSourceConfig(normalized);
+    if (errors.length > 0) {
+      throw new Error(`Invalid source definition: ${errors.join('; ')}`);
+    }
+
+    this.database.saveUserSource(sourceId, normalized);
+    registerSource(sourceId, normalized);
+
+    this.logger.info(`Source updated: ${sourceId}`);
+
+    return this.getSource(sourceId);
+  }
+
+  /**
+   * Remove a user-defined tile source
+   * Cached tiles are kept and become available again if the source is re-added
+   * @param {string} sourceId - Source ID
+   * @returns {boolean} True if removed, false if not found
+   */
+  removeSource(sourceId) {
+    if (isBuiltInSource(sourceId)) {
+      throw new Error(`Built-in source cannot be removed: ${sourceId}`);
+    }
+
+    const deleted = this.database.deleteUserSource(sourceId);
+    unregisterSource(sourceId);
+
+    if (deleted) {
+      this.logger.info(`Source removed: ${sourceId}`);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * List the layers and tile matrix sets of a WMTS capabilities document
+   * @param {string} location - Capabilities URL or local XML file path
+   * @param {object} options - Options
+   * @param {string} options.xml - Capabilities XML (used instead of loading location)
+   * @returns {Promise<{title: string|null, provider: string|null, layers: Array, tileMatrixSets: Array}>}
+   */
+  async inspectWMTS(location, options = {}) {
+    const xml = options.xml ?? await loadCapabilities(location);
+    const capabilities = parseCapabilities(xml);
+
+    return {
+      title: capabilities.title,
+      provider: capabilities.provider,
+      layers: capabilities.layers.map(layer => ({
+        id: layer.id,
+        title: layer.title,
+        formats: layer.resourceUrls.length > 0 ? layer.resourceUrls.map(r => r.format) : layer.formats,
+        styles: layer.styles.map(style => style.id),
+        bounds: layer.bounds,
+        tileMatrixSets: layer.links.map(link => link.tileMatrixSet),
+        compatibleTileMatrixSets: layer.compatibleTileMatrixSets
+      })),
+      tileMatrixSets: capabilities.tileMatrixSets.map(set => ({
+        id: set.id,
+        crs: set.crs,
+        googleMapsCompatible: set.googleMapsCompatible,
+        zooms: set.googleMapsCompatible ? set.matrices.map(m => m.zoom) : []
+      }))
+    };
+  }
+
+  /**
+   * Register a WMTS layer as a user-defined source
+   * @param {string} location - Capabilities URL or local XML file path
+   * @param {object} options - Import options
+   * @param {string} options.id - Source ID to register
+   * @param {string} options.layer - Layer identifier
+   * @param {string} options.tileMatrixSet - GoogleMapsCompatible tile matrix set (default: first found)
+   * @param {string} options.style - Style identifier (default: the layer's default style)
+   * @param {string} options.format - Image MIME type (default: image/png if offered)
+   * @param {string} options.name - Source name (default: layer title)
+   * @param {string} options.attribution - Attribution (default: service provider)
+   * @param {string} options.xml - Capabilities XML (used instead of loading location)
+   * @returns {Promise<object>} The registered source
+   */
+  async importWMTS(location, options) {
+    const { id, xml, ...layerOptions } = options;
+
+    if (!isValidSourceId(id)) {
+      throw new Error(`Invalid source ID: ${id}. Use letters, digits, '-' and '_' (max 64 chars).`);
+    }
+    if (isValidSource(id)) {
+      throw new Error(`Source already exists: ${id}`);
+    }
+
+    const capabilities = parseCapabilities(xml ?? await loadCapabilities(location));
+    const config = capabilitiesToSource(capabilities, layerOptions);
+
+    return this.addSource(id, config);
+  }
+
+  /**
+   * Resolve the elevation source to query
+   * @param {string} source - Source ID (default: the first source with an elevation encoding)
+   * @returns {string} Source ID
+   * @throws {Error} If the source is unknown or has no elevation encoding
+   */
+  getElevationSource(source) {
+    if (source === undefined || source === null) {
+      const elevationSource = getAvailableSources().find(s => s.encoding);
+      if (!elevationSource) {
+        throw new Error('No elevation source configured. Add a source with encoding "terrain-rgb" or "terrarium".');
+      }
+      return elevationSource.id;
+    }
+
+    if (!isValidSource(source)) {
+      throw new Error(`Invalid tile source: ${source}. Available: ${getAvailableSources().map(s => s.id).join(', ')}`);
+    }
+    if (!getSourceConfig(source).encoding) {
+      throw new Error(`Source ${source} is not an elevation source (no encoding)`);
+    }
+    return source;
+  }
+
+  /**
+   * Create a sampler reading heights from cached elevation tiles
+   * Points use the most detailed cached zoom level unless a zoom is given;
+   * decoded tiles are kept for the lifetime of the sampler
+   * @param {object} options - Sampling options
+   * @param {string} options.source - Elevation source (default: first elevation source)
+   * @param {number} options.zoom - Zoom level to read (default: most detailed cached)
+   * @returns {{source: string, sample: Function, assertComplete: Function}}
+   */
+  createElevationSampler(options = {}) {
+    const source = this.getElevationSource(options.source);
+    const { encoding, minZoom, maxZoom } = getSourceConfig(source);
+
+    if (options.zoom !== undefined &&
+        (!Number.isInteger(options.zoom) || options.zoom < minZoom || options.zoom > maxZoom)) {
+      throw new Error(`Invalid zoom: ${source} has elevation tiles for zoom ${minZoom}-${maxZoom}`);
+    }
+
+    const zooms = [];
+    for (let z = options.zoom ?? maxZoom; z >= (options.zoom ?? minZoom); z--) {
+      zooms.push(z);
+    }
+
+    const tiles = new Map();
+    const missing = [];
+
+    /**
+     * Get the height at a point, or null (recorded as missing) if no tile is cached
+     */
+    const sample = (lat, lng) => {
+      let tile;
+      for (const z of zooms) {
+        tile = tileCalculator.latLngToTile(lat, lng, z);
+        const key = `${z}/${tile.x}/${tile.y}`;
+        if (!tiles.has(key)) {
+          const data = this.getTile(source, z, tile.x, tile.y);
+          tiles.set(key, data ? decodeElevationTile(data, encoding) : null);
+        }
+
+        const decoded = tiles.get(key);
+        if (decoded) {
+          const { px, py } = tileCalculator.getPixelOffset(lat, lng, tile, decoded.size);
+          return { elevation: decoded.heightAt(px, py), zoom: z };
+        }
+      }
+
+      missing.push(options.zoom !== undefined ? `${tile.z}/${tile.x}/${tile.y}` : `${lat},${lng}`);
+      return null;
+    };
+
+    /**
+     * Throw if any sampled point had no cached tile
+     */
+    const assertComplete = () => {
+      if (missing.length === 0) return;
+
+      const listed = [...new Set(missing)];
+      const what = options.zoom !== undefined
+        ? `tiles at zoom ${options.zoom}: ${listed.slice(0, 10).join(', ')}`
+        : `tile (zoom ${minZoom}-${maxZoom}) for ${listed.length === 1 ? 'point' : 'points'} ${listed.slice(0, 10).join('; ')}`;
+      throw new Error(`Elevation not cached for ${source}: no ${what}${listed.length > 10 ? ` and ${listed.length - 10} more` : ''}. Download the area first.`);
+    };
+
+    return { source, sample, assertComplete };
+  }
+
+  /**
+   * Get the elevation of a point from cached elevation tiles
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {object} options - Query options
+   * @param {string} options.source - Elevation source (default: first elevation source)
+   * @param {number} options.zoom - Zoom level to read (default: most detailed cached)
+   * @returns {{lat: number, lng: number, elevation: number, source: string, zoom: number}}
+   * @throws {Error} If no elevation tile covering the point is cached
+   */
+  getElevation(lat, lng, options = {}) {
+    const sampler = this.createElevationSampler(options);
+    const result = sampler.sample(lat, lng);
+    sampler.assertComplete();
+
+    return { lat, lng, elevation: result.elevation, source: sampler.source, zoom: result.zoom };
+  }
+
+  /**
+   * Get an elevation profile along a line from cached elevation tiles
+   * @param {object|Array} line - GeoJSON LineString or Feature, or an array of [lng, lat]
+   * @param {object} options - Query options
+   * @param {string} options.source - Elevation source (default: first elevation source)
+   * @param {number} options.zoom - Zoom level to read (default: most detailed cached)
+   * @param {number} options.interval - Sample every N metres along the line (default: vertices only)
+   * @returns {{source: string, distance: number, minElevation: number, maxElevation: number, ascent: number, descent: number, points: Array}}
+   * @throws {Error} If any point along the line has no cached elevation tile
+   */
+  getElevationProfile(line, options = {}) {
+    const { interval, ...sampleOptions } = options;
+
+    if (interval !== undefined && !(typeof interval === 'number' && interval > 0)) {
+      throw new Error('Invalid interval: must be a positive number of metres');
+    }
+
+    let coordinates = getLineCoordinates(line);
+    if (interval !== undefined) {
+      coordinates = densifyLine(coordinates, interval);
+    } else if (coordinates.length > MAX_PROFILE_POINTS) {
+      throw new Error(`Profile too long: more than ${MAX_PROFILE_POINTS} points`);
+    }
+
+    const sampler = this.createElevationSampler(sampleOptions);
+    const points = [];
+    let distance = 0;
+
+    for (const [lng, lat] of coordinates) {
+      if (points.length > 0) {
+        const previous = points[points.length - 1];
+        distance += distanceMeters(previous.lat, previous.lng, lat, lng);
+      }
+      const result = sampler.sample(lat, lng);
+      points.push({ lng, lat, distance: Math.round(distance * 10) / 10, elevation: result?.elevation, zoom: result?.zoom });
+    }
+    sampler.assertComplete();
+
+    let ascent = 0;
+    let descent = 0;
+    for (let i = 1; i < points.length; i++) {
+      const change = points[i].elevation - points[i - 1].elevation;
+      if (change > 0) ascent += change;
+      else descent -= change;
+    }
+
+    const elevations = points.map(p => p.elevation);
+    return {
+      source: sampler.source,
+      distance: Math.round(distance * 10) / 10,
+      minElevation: Math.min(...elevations),
+      maxElevation: Math.max(...elevations),
+      ascent: Math.round(ascent * 10) / 10,
+      descent: Math.round(descent * 10) / 10,
+      points
+    };
+  }
+
+  /**
+   * Resolve what an export covers: a job (its source, area and zoom levels) or a source
+   * Explicit bounds and zoom levels narrow a job's selection; a job's polygon area is kept
+   * @param {object} options - {source, jobId, bounds, minZoom, maxZoom}
+   * @returns {{source: string, storageSource: string, bounds: object|null, geometry: object|null,
+   *   minZoom: number, maxZoom: number, job: object|null}}
+   */
+  resolveExportSelection(options) {
+    const { jobId } = options;
+    let job = null;
+    let { source, bounds = null, minZoom, maxZoom } = options;
+
+    if (jobId) {
+      job = this.database.getJob(jobId);
+      if (!job) {
+        throw new Error(`Job not found: ${jobId}`);
+      }
+      source = job.source;
+      bounds = bounds || job.bounds;
+      minZoom = minZoom ?? job.minZoom;
+      maxZoom = maxZoom ?? job.maxZoom;
+    } else if (!isValidSource(source)) {
+      throw new Error(`Invalid tile source: ${source}. Available: ${getAvailableSources().map(s => s.id).join(', ')}`);
+    }
+
+    minZoom = minZoom ?? 0;
+    maxZoom = maxZoom ?? 22;
+
+    if (bounds && !tileCalculator.isValidBounds(bounds)) {
+      throw new Error('Invalid bounds. Must include north, south, east, west coordinates.');
+    }
+    if (!tileCalculator.isValidZoomRange(minZoom, maxZoom)) {
+      throw new Error('Invalid zoom range. Must be between 0-22 and minZoom <= maxZoom.');
+    }
+
+    return {
+      source,
+      storageSource: getStorageSource(source, job?.scale),
+      bounds,
+      geometry: job?.geometry || null,
+      minZoom,
+      maxZoom,
+      job
+    };
+  }
+
+  /**
+   * Describe the tileset an export selection produces
+   * Bounds and zoom levels are taken from the tiles actually stored
+   * @param {object} selection - Result of resolveExportSelection
+   * @param {object} options - Overrides: {name, description}
+   * @returns {{name: string, description: string, attribution: string, format: string, tileSize: number, tileCount: number,
+   *   bounds: object, center: number[], minZoom: number, maxZoom: number}}
+   * @throws {Error} If no tiles match the selection
+   */
+  getExportInfo(selection, options = {}) {
+    const { source, storageSource, bounds, job } = selection;
+
+    const tileCount = this.database.countTiles(storageSource, selection);
+    if (tileCount === 0) {
+      throw new Error(`No cached tiles to export for ${job ? `job ${job.id}` : source} in the selected area and zoom levels`);
+    }
+
+    const extent = this.database.getTileExtent(storageSource, selection.minZoom, selection.maxZoom);
+    const minZoom = extent[0].z;
+    const maxZoom = extent[extent.length - 1].z;
+
+    const tileBounds = tileCalculator.getRangesBounds(extent);
+
+    // A bounds filter can only narrow the stored extent; where either crosses the
+    // antimeridian the filter keeps its longitudes
+    const crossing = bounds && (tileCalculator.crossesAntimeridian(bounds) || tileCalculator.crossesAntimeridian(tileBounds));
+    const exportBounds = bounds
+      ? {
+          north: Math.min(bounds.north, tileBounds.north),
+          south: Math.max(bounds.south, tileBounds.south),
+          east: crossing ? bounds.east : Math.min(bounds.east, tileBounds.east),
+          west: crossing ? bounds.west : Math.max(bounds.west, tileBounds.west)
+        }
+      : tileBounds;
+    const center = tileCalculator.getBoundsCenter(exportBounds);
+
+    const config = getSourceConfig(source) || {};
+
+    return {
+      name: options.name || job?.name || config.name || source,
+      description: options.description || `${config.name || source} exported by TileForge`,
+      attribution: config.attribution || '',
+      format: config.format || this.database.getSourceFormat(storageSource) || this.getSourceFormat(source),
+      tileSize: (config.tileSize || 256) * (job?.scale || 1),
+      tileCount,
+      bounds: exportBounds,
+      center: [center.lng, center.lat, minZoom],
+      minZoom,
+      maxZoom
+    };
+  }
+
+  /**
+   * Write an export selection in a worker thread (see formats/exportWorker.js), so
+   * tile serving and the API carry on while it is written
+   * @param {string} format - 'mbtiles' | 'pmtiles' | 'gpkg' | 'directory'
+   * @param {string} outPath - Output file or directory
+   * @param {object} selection - Result of resolveExportSelection
+   * @param {object} info - Result of getExportInfo
+   * @param {object} options - Export options: onProgress, signal
+   * @param {object} writerOptions - Further writer options, e.g. {scheme} (optional)
+   * @returns {Promise<object>} The writer's result
+   */
+  writeExport(format, outPath, selection, info, options, writerOptions = {}) {
+    const { onProgress, signal } = options;
+    const { bounds, geometry, minZoom, maxZoom } = selection;
+
+    return runExport(format, {
+      dbPath: this.database.dbPath,
+      source: selection.storageSource,
+      // PMTiles archives are written in tile ID order
+      filter: { bounds, geometry, minZoom, maxZoom, order: format === 'pmtiles' ? 'tileId' : 'zxy' },
+      outPath,
+      signal,
+      onProgress: onProgress && (written => onProgress(written, info.tileCount)),
+      writerOptions: { ...writerOptions, info }
+    });
+  }
+
+  /**
+   * Export cached tiles to an MBTiles file
+   * @param {object} options - Export options
+   * @param {string} options.outPath - Output file (must not exist)
+   * @param {string} options.source - Source to export (or jobId)
+   * @param {string} options.jobId - Export the tiles of a download job
+   * @param {object} options.bounds - Limit to {north, south, east, west} (optional)
+   * @param {number} options.minZoom - Minimum zoom level (optional)
+   * @param {number} options.maxZoom - Maximum zoom level (optional)
+   * @param {string} options.name - Tileset name (default: job or source name)
+   * @param {Function} options.onProgress - Called with (tilesWritten, totalTiles) (optional)
+   * @param {AbortSignal} options.signal - Stops the export and removes its output (optional)
+   * @returns {Promise<{outPath: string, tileCount: number, format: string, minZoom: number, maxZoom: number, bounds: object}>}
+   */
+  async exportMBTiles(options) {
+    const { outPath } = options;
+    if (!outPath) {
+      throw new Error('outPath is required');
+    }
+
+    const selection = this.resolveExportSelection(options);
+    const info = this.getExportInfo(selection, options);
+
+    const { tileCount } = await this.writeExport('mbtiles', outPath, selection, info, options);
+
+    this.logger.info(`Exported ${tileCount} tiles to ${outPath}`);
+
+    return {
+      outPath,
+      tileCount,
+      format: info.format,
+      minZoom: info.minZoom,
+      maxZoom: info.maxZoom,
+      bounds: info.bounds
+    };
+  }
+
+  /**
+   * Export cached tiles to a PMTiles (v3) archive
+   * A single static file that map clients can read with HTTP range requests
+   * @param {object} options - Export options (same as exportMBTiles)
+   * @returns {Promise<{outPath: string, tileCount: number, tileContents: number, format: string, minZoom: number, maxZoom: number, bounds: object}>}
+   */
+  async exportPMTiles(options) {
+    const { outPath } = options;
+    if (!outPath) {
+      throw new Error('outPath is required');
+    }
+
+    const selection = this.resolveExportSelection(options);
+    const info = this.getExportInfo(selection, options);
+
+    const { tileCount, tileContents } = await this.writeExport('pmtiles', outPath, selection, info, options);
+
+    this.logger.info(`Exported ${tileCount} tiles (${tileContents} unique) to ${outPath}`);
+
+    return {
+      outPath,
+      tileCount,
+      tileContents,
+      format: info.format,
+      minZoom: info.minZoom,
+      maxZoom: info.maxZoom,
+      bounds: info.bounds
+    };
+  }
+
+  /**
+   * Export cached raster tiles to an OGC GeoPackage for desktop GIS (QGIS, ArcGIS Pro)
+   * Tiles are stored in an EPSG:3857 tile pyramid table
+   * @param {object} options - Export options (same as exportMBTiles)
+   * @param {string} options.tableName - Tile table name (default: derived from the tileset name)
+   * @returns {Promise<{outPath: string, tileCount: number, tableName: string, format: string, minZoom: number, maxZoom: number, bounds: object}>}
+   */
+  async exportGeoPackage(options) {
+    const { outPath } = options;
+    if (!outPath) {
+      throw new Error('outPath is required');
+    }
+
+    const selection = this.resolveExportSelection(options);
+    const info = this.getExportInfo(selection, options);
+
+    const { tileCount, tableName } = await this.writeExport('gpkg', outPath, selection, info, options, {
+      tableName: options.tableName
+    });
+
+    this.logger.info(`Exported ${tileCount} tiles to ${outPath} (table ${tableName})`);
+
+    return {
+      outPath,
+      tileCount,
+      tableName,
+      format: info.format,
+      minZoom: info.minZoom,
+      maxZoom: info.maxZoom,
+      bounds: info.bounds
+    };
+  }
+
+  /**
+   * Export cached tiles to a {z}/{x}/{y}.{ext} directory tree with a manifest.json
+   * File extensions follow each tile's detected format
+   * @param {object} options - Export options (same as exportMBTiles, with outDir instead of outPath)
+   * @param {string} options.outDir - Output directory (must not exist or be empty)
+   * @param {string} options.scheme - Row layout: 'xyz' or 'tms' (default: 'xyz')
+   * @returns {Promise<{outDir: string, tileCount: number, format: string, scheme: string, minZoom: number, maxZoom: number, bounds: object}>}
+   */
+  async exportDirectory(options) {
+    const { outDir, scheme = 'xyz' } = options;
+    if (!outDir) {
+      throw new Error('outDir is required');
+    }
+
+    const selection = this.resolveExportSelection(options);
+    const info = this.getExportInfo(selection, options);
+
+    const { tileCount } = await this.writeExport('directory', outDir, selection, info, options, { scheme });
+
+    this.logger.info(`Exported ${tileCount} tiles to ${outDir}`);
+
+    return {
+      outDir,
+      tileCount,
+      format: info.format,
+      scheme,
+      minZoom: info.minZoom,
+      maxZoom: info.maxZoom,
+      bounds: info.bounds
+    };
+  }
+
+  /**
+   * Check the options shared by the importers
+   * @param {object} options - Import options
+   * @throws {Error} If onConflict or the source ID is invalid
+   */
+  validateImportOptions(options) {
+    const { onConflict = 'skip' } = options;
+    if (onConflict !== 'skip' && onConflict !== 'replace') {
+      throw new Error('Invalid onConflict: use "skip" or "replace"');
+    }
+    if (options.source && !isValidSource(options.source) && !isValidSourceId(options.source)) {
+      throw new Error(`Invalid source ID: ${options.source}. Use letters, digits, '-' and '_' (max 64 chars).`);
+    }
+  }
+
+  /**
+   * Resolve the source imported tiles are stored under
+   * Existing sources are reused; otherwise a 'local' source (no tile server) is registered
+   * under the given ID, or under an ID derived from the imported file name
+   * @param {string} sourceId - Requested source ID (optional)
+   * @param {string} filename - Imported file or directory name
+   * @param {object} info - Source details for a new source: {name, attribution, minZoom, maxZoom, format}
+   * @returns {{source: string, created: boolean}}
+   */
+  resolveImportSource(sourceId, filename, info) {
+    if (sourceId && isValidSource(sourceId)) {
+      return { source: sourceId, created: false };
+    }
+
+    let id = sourceId;
+    if (!id) {
+      const base = path.basename(filename, path.extname(filename))
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^[-_]+|-+$/g, '')
+        .slice(0, 56) || 'import';
+      id = base;
+      for (let n = 2; isValidSource(id); n++) {
+        id = `${base}-${n}`;
+      }
+    }
+
+    this.addSource(id, {
+      name: info.name || id,
+      service: 'local',
+      attribution: info.attribution || '',
+      minZoom: info.minZoom,
+      maxZoom: info.maxZoom,
+      format: TILE_FORMATS.includes(info.format) ? info.format : null
+    });
+
+    return { source: id, created: true };
+  }
+
+  /**
+   * Store imported tiles under a job record describing the import
+   * @param {object} options - Import details
+   * @param {string} options.source - Target source
+   * @param {string} options.name - Job name
+   * @param {object} options.bounds - Imported bounds
+   * @param {number} options.minZoom - Lowest imported zoom level
+   * @param {number} options.maxZoom - Highest imported zoom level
+   * @param {number} options.tileCount - Number of tiles to import
+   * @param {Iterable} options.tiles - Tiles as {z, x, y, data} in XYZ scheme
+   * @param {string} options.onConflict - 'skip' (keep stored tiles) or 'replace'
+   * @param {Function} options.onProgress - Called with (processed, total, counts) (optional)
+   * @returns {{jobId: string, imported: number, replaced: number, skipped: number}}
+   */
+  storeImportedTiles(options) {
+    const { source, tiles, tileCount, onProgress } = options;
+    const replace = options.onConflict === 'replace';
+
+    const jobId = this.generateJobId();
+    this.database.createDownloadJob(
+      jobId, options.name, source, options.bounds, options.minZoom, options.maxZoom, tileCount,
+      null, null, { type: 'import' }
+    );
+    this.database.updateJobStatus(jobId, 'running');
+
+    const counts = { imported: 0, replaced: 0, skipped: 0 };
+    const saveBatch = batch => {
+      const result = this.database.saveTiles(source, batch, { replace, jobId });
+      counts.imported += result.saved;
+      counts.replaced += result.replaced;
+      counts.skipped += result.skipped;
+      this.database.updateJobProgress(jobId, counts.imported + counts.replaced);
+
+      if (onProgress) {
+        onProgress(counts.imported + counts.replaced + counts.skipped, tileCount, { ...counts });
+      }
+    };
+
+    try {
+      let batch = [];
+      for (const tile of tiles) {
+        batch.push(tile);
+        if (batch.length === IMPORT_BATCH_SIZE) {
+          saveBatch(batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        saveBatch(batch);
+      }
+    } catch (error) {
+      this.database.updateJobStatus(jobId, 'failed');
+      throw error;
+    }
+
+    this.database.updateJobStatus(jobId, 'completed');
+    this.logger.info(`Imported ${counts.imported} tiles into ${source} (${counts.replaced} replaced, ${counts.skipped} kept)`);
+
+    return { jobId, ...counts };
+  }
+
+  /**
+   * Import an MBTiles file into the tile database
+   * @param {string} inPath - MBTiles file
+   * @param {object} options - Import options
+   * @param {string} options.source - Source to import into; created as a local source if unknown
+   *   (default: a new source named after the file)
+   * @param {string} options.name - Job name (default: "Import <file>")
+   * @param {string} options.filename - File name for the default source ID and job name (default: from inPath)
+   * @param {string} options.onConflict - 'skip' keeps tiles already stored, 'replace' overwrites them (default: 'skip')
+   * @param {Function} options.onProgress - Called with (processed, total, {imported, replaced, skipped}) (optional)
+   * @returns {Promise<{jobId: string, source: string, sourceCreated: boolean, tileCount: number,
+   *   imported: number, replaced: number, skipped: number, minZoom: number, maxZoom: number, bounds: object}>}
+   */
+  async importMBTiles(inPath, options = {}) {
+    const { onConflict = 'skip' } = options;
+    this.validateImportOptions(options);
+
+    const filename = options.filename || path.basename(inPath);
+    const archive = openMBTiles(inPath);
+
+    try {
+      const { metadata, extent, tileCount } = archive;
+      if (tileCount === 0) {
+        throw new Error(`No tiles in ${filename}`);
+      }
+
+      const minZoom = extent[0].z;
+      const maxZoom = extent[extent.length - 1].z;
+
+      // Prefer the declared bounds ("west,south,east,north"), else derive them from the tiles
+      const [west, south, east, north] = (metadata.bounds || '').split(',').map(Number);
+      const declared = { north, south, east, west };
+      const bounds = [north, south, east, west].every(Number.isFinite) && tileCalculator.isValidBounds(declared)
+        ? declared
+        : tileCalculator.getRangesBounds(extent);
+
+      const { source, created } = this.resolveImportSource(options.source, filename, {
+        name: metadata.name,
+        attribution: metadata.attribution,
+        minZoom,
+        maxZoom,
+        format: metadata.format === 'jpeg' ? 'jpg' : metadata.format
+      });
+
+      const result = this.storeImportedTiles({
+        source,
+        name: options.name || `Import ${filename}`,
+        bounds,
+        minZoom,
+        maxZoom,
+        tileCount,
+        tiles: archive.tiles(),
+        onConflict,
+        onProgress: options.onProgress
+      });
+
+      return {
+        jobId: result.jobId,
+        source,
+        sourceCreated: created,
+        tileCount,
+        imported: result.imported,
+        replaced: result.replaced,
+        skipped: result.skipped,
+        minZoom,
+        maxZoom,
+        bounds
+      };
+    } finally {
+      archive.close();
+    }
+  }
+
+  /**
+   * Import a {z}/{x}/{y}.{ext} directory tree into the tile database
+   * A manifest.json (as written by exportDirectory) supplies the name, attribution,
+   * bounds and row scheme; without one, rows are read as options.scheme
+   * @param {string} inDir - Root of the tree
+   * @param {object} options - Import options (same as importMBTiles)
+   * @param {string} options.scheme - Row layout when there is no manifest: 'xyz' or 'tms' (default: 'xyz')
+   * @returns {Promise<{jobId: string, source: string, sourceCreated: boolean, tileCount: number,
+   *   imported: number, replaced: number, skipped: number, minZoom: number, maxZoom: number, bounds: object}>}
+   */
+  async importDirectory(inDir, options = {}) {
+    const { onConflict = 'skip' } = options;
+    this.validateImportOptions(options);
+
+    const filename = options.filename || path.basename(path.resolve(inDir));
+    const tree = openTileDirectory(inDir, { scheme: options.scheme });
+    const manifest = tree.manifest || {};
+    const { extent, tileCount } = tree;
+
+    if (tileCount === 0) {
+      throw new Error(`No tiles in ${filename}`);
+    }
+
+    const minZoom = extent[0].z;
+    const maxZoom = extent[extent.length - 1].z;
+
+    // Prefer the declared bounds ([west, south, east, north]), else derive them from the tiles
+    const [west, south, east, north] = Array.isArray(manifest.bounds) ? manifest.bounds.map(Number) : [];
+    const declared = { north, south, east, west };
+    const bounds = [north, south, east, west].every(Number.isFinite) && tileCalculator.isValidBounds(declared)
+      ? declared
+      : tileCalculator.getRangesBounds(extent);
+
+    const { source, created } = this.resolveImportSource(options.source, filename, {
+      name: manifest.name,
+      attribution: manifest.attribution,
+      minZoom,
+      maxZoom,
+      format: manifest.format
+    });
+
+    const result = this.storeImportedTiles({
+      source,
+      name: options.name || `Import ${filename}`,
+      bounds,
+      minZoom,
+      maxZoom,
+      tileCount,
+      tiles: tree.tiles(),
+      onConflict,
+      onProgress: options.onProgress
+    });
+
+    return {
+      jobId: result.jobId,
+      source,
+      sourceCreated: created,
+      tileCount,
+      imported: result.imported,
+      replaced: result.replaced,
+      skipped: result.skipped,
+      minZoom,
+      maxZoom,
+      bounds
+    };
+  }
+
+  /**
+   * Get statistics for all sources
+   * @returns {Array}
+   */
+  getStats() {
+    return this.database.getStats();
+  }
+
+  /**
+   * Get deduplication statistics for the whole database
+   * @returns {{tileCount: number, totalSize: number, uniqueTiles: number, storedSize: number, savedSize: number}}
+   */
+  getStorageStats() {
+    return this.database.getStorageStats();
+  }
+
+  /**
+   * Set a storage quota, replacing any existing quota of the same scope
+   * Downloads that would exceed a quota evict tiles according to its policy, or
+   * pause with status 'quota_exceeded' when nothing (more) can be evicted
+   * @param {object} options - Quota settings
+   * @param {string} options.source - Source ID; its @2x variants count too (default: the whole database)
+   * @param {number|string} options.maxSize - Maximum bytes, or a size such as "2GB" (optional)
+   * @param {number} options.maxTiles - Maximum tile count (optional)
+   * @param {string} options.policy - 'none' (pause downloads, default), 'lru', 'oldest' or 'zoom'
+   * @returns {{source: string|null, maxSize: number|null, maxTiles: number|null, policy: string,
+   *   usage: {tileCount: number, size: number}}}
+   */
+  setQuota(options) {
+    const { source = null, maxTiles = null, policy = 'none' } = options;
+
+    if (source !== null && !isValidSource(source)) {
+      throw new Error(`Invalid tile source: ${source}. Available: ${getAvailableSources().map(s => s.id).join(', ')}`);
+    }
+
+    const maxSize = options.maxSize === undefined || options.maxSize === null ? null : parseSize(options.maxSize);
+    if (maxSize === null && maxTiles === null) {
+      throw new Error('Invalid quota: set maxSize, maxTiles or both');
+    }
+    if (maxTiles !== null && (!Number.isInteger(maxTiles) || maxTiles < 0)) {
+      throw new Error('Invalid quota: maxTiles must be a non-negative integer');
+    }
+    if (!EVICTION_POLICIES.includes(policy)) {
+      throw new Error(`Invalid eviction policy: ${policy}. Use one of: ${EVICTION_POLICIES.join(', ')}`);
+    }
+
+    this.database.setQuota(source, { maxSize, maxTiles, policy });
+    this.logger.info(`Quota set for ${source || 'the database'}`);
+
+    // A larger quota may let paused downloads continue
+    this.downloader.resumeQuotaJobs();
+
+    return this.getQuotas().find(quota => quota.source === source);
+  }
+
+  /**
+   * Get the storage quotas and the storage they currently count
+   * @returns {Array<{source: string|null, maxSize: number|null, maxTiles: number|null, policy: string,
+   *   usage: {tileCount: number, size: number}}>} source is null for the global quota
+   */
+  getQuotas() {
+    return this.database.getQuotas().map(quota => ({
+      ...quota,
+      usage: this.database.getQuotaUsage(quota.source)
+    }));
+  }
+
+  /**
+   * Remove a storage quota
+   * @param {string|null} source - Source ID, or null for the global quota
+   * @returns {boolean} True if a quota was removed
+   */
+  removeQuota(source = null) {
+    const removed = this.database.deleteQuota(source);
+    if (removed) {
+      this.downloader.resumeQuotaJobs();
+    }
+    return removed;
+  }
+
+  /**
+   * Evict tiles until every quota with an eviction policy is met
+   * @returns {{evicted: number, exceeded: Array<string|null>}} Tiles evicted, and the
+   *   sources (null: global) of quotas that are still exceeded
+   */
+  enforceQuotas() {
+    let evicted = 0;
+    const exceeded = [];
+
+    for (const quota of this.database.getQuotas()) {
+      const result = this.database.evictForQuota(quota);
+      evicted += result.evicted;
+      if (result.exceeded) {
+        exceeded.push(quota.source);
+      }
+    }
+
+    this.downloader.resumeQuotaJobs();
+
+    return { evicted, exceeded };
+  }
+
+  /**
+   * Get memory cache usage and counters
+   * @returns {{tiles: number, size: number, maxSize: number, hits: number, misses: number,
+   *   hitRate: number|null, evictions: number, partitions: Array<object>}} Sizes in bytes;
+   *   partitions lists the shared partition (source: null) and each source with its own budget
+   */
+  getCacheStats() {
+    return this.database.getCacheStats();
+  }
+
+  /**
+   * Empty the memory cache (the tiles stay in the database)
+   * @param {object} options - Clear options
+   * @param {string} options.source - Only drop the tiles of this source (optional)
+   * @param {boolean} options.resetStats - Also reset the hit, miss and eviction counters (default: false)
+   * @returns {{tiles: number, size: number}} Tiles and bytes removed from memory
+   */
+  clearCache(options = {}) {
+    const result = this.database.clearCache(options.source || null);
+    if (options.resetStats) {
+      this.database.resetCacheStats();
+    }
+    return result;
+  }
+
+  /**
+   * Load the cached tiles of a job's area into memory, lowest zoom levels first
+   * @param {string} jobId - Job ID
+   * @param {object} options - Warm-up options
+   * @param {number} options.minZoom - Minimum zoom level (default: the job's)
+   * @param {number} options.maxZoom - Maximum zoom level (default: the job's)
+   * @returns {{jobId: string, source: string, tiles: number, size: number, complete: boolean}}
+   *   complete is false when the memory budget filled up before the whole area was loaded
+   * @throws {Error} If the job is not found or the zoom range is invalid
+   */
+  warmCache(jobId, options = {}) {
+    const job = this.database.getJob(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    const minZoom = options.minZoom ?? job.minZoom;
+    const maxZoom = options.maxZoom ?? job.maxZoom;
+    if (!tileCalculator.isValidZoomRange(minZoom, maxZoom)) {
+      throw new Error('Invalid zoom range. Must be between 0-22 and minZoom <= maxZoom.');
+    }
+
+    const source = getStorageSource(job.source, job.scale);
+    const result = this.database.warmCache(source, { bounds: job.bounds, geometry: job.geometry, minZoom, maxZoom });
+
+    this.logger.info(`Cache warmed with ${result.tiles} tiles of job ${jobId}${result.complete ? '' : ' (memory budget reached)'}`);
+
+    return { jobId, source, ...result };
+  }
+
+  /**
+   * Get the schema migration applied when the database was opened
+   * @returns {{from: number, to: number, applied: Array<{version: number, description: string}>,
+   *   backupPath: string|null}|null} null if the schema was already current
+   */
+  getMigration() {
+    return this.database.migration;
   }
 
   /**
@@ -430,6 +2110,8 @@ export class TileForge {
    * Close database connection and cleanup
    */
   close() {
+    // Unfinished jobs keep their queue and can be resumed by the next instance
+    this.downloader.interruptJobs();
     this.database.close();
     this.logger.info('TileForge closed');
   }
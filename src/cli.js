@@ -5,11 +5,14 @@
  * Command-line interface for the TileForge tile server
  */
 
-import { program } from 'commander';
+import fs from 'fs';
+import { program, InvalidArgumentError } from 'commander';
 import { TileForge } from './TileForge.js';
 import { createServer } from './server/createServer.js';
-import { getAvailableSources } from './config/sources.js';
 import { defaults } from './config/defaults.js';
+import { formatDuration } from './utils/duration.js';
+import { formatSize } from './utils/size.js';
+import { planMigrations } from './core/migrations.js';
 
 program
   .name('tileforge')
@@ -25,41 +28,155 @@ program
   .option('-p, --port <number>', 'Port to listen on', String(defaults.port))
   .option('-d, --db <path>', 'Database file path', defaults.dbPath)
   .option('-c, --concurrent <number>', 'Max concurrent downloads', String(defaults.maxConcurrentDownloads))
+  .option('--secrets <path>', 'Secrets file for ${NAME} references in sources', defaults.secretsPath)
   .option('-l, --log-level <level>', 'Log level (error, warn, info, debug)', defaults.logLevel)
+  .option('--pmtiles <source=path>', 'Serve a PMTiles archive as a source (repeatable)', (value, archives) => [...archives, value], [])
+  .option('--ttl <duration>', 'Tile TTL for sources without their own, e.g. "30d" (default: tiles never go stale)')
+  .option('--cache-size <size>', 'Memory for cached tiles, e.g. "256MB"', '64MB')
+  .option('--cache-partition <source=size>', 'Give a source its own cache memory, e.g. "arcgis=32MB" (repeatable)', (value, partitions) => [...partitions, value], [])
+  .option('--warm <jobId>', 'Load a job\'s tiles into the cache at startup (repeatable)', (value, jobs) => [...jobs, value], [])
+  .option('--no-resume', 'Leave download jobs interrupted by a restart or crash until resumed')
   .action(async (options) => {
-    const server = createServer({
-      port: parseInt(options.port, 10),
-      dbPath: options.db,
-      maxConcurrentDownloads: parseInt(options.concurrent, 10),
-      logLevel: options.logLevel
-    });
+    const pmtiles = {};
+    for (const entry of options.pmtiles) {
+      const [sourceId, filePath] = entry.split(/=(.*)/s);
+      if (!sourceId || !filePath) {
+        console.error(`Error: Invalid --pmtiles value "${entry}". Use "source=path"`);
+        process.exit(1);
+      }
+      pmtiles[sourceId] = filePath;
+    }
+
+    const cachePartitions = {};
+    for (const entry of options.cachePartition) {
+      const [sourceId, size] = entry.split('=');
+      if (!sourceId || !size) {
+        console.error(`Error: Invalid --cache-partition value "${entry}". Use "source=size"`);
+        process.exit(1);
+      }
+      cachePartitions[sourceId] = size;
+    }
+
+    let server;
+    try {
+      server = createServer({
+        port: parseInt(options.port, 10),
+        dbPath: options.db,
+        maxConcurrentDownloads: parseInt(options.concurrent, 10),
+        secretsPath: options.secrets,
+        logLevel: options.logLevel,
+        tileTTL: options.ttl,
+        cacheMaxSize: options.cacheSize,
+        cachePartitions,
+        pmtiles,
+        resumeInterrupted: options.resume
+      });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
 
     await server.start();
+
+    for (const jobId of options.warm) {
+      try {
+        const result = server.tileforge.warmCache(jobId);
+        console.log(`Cache warmed: ${result.tiles} tiles (${formatSize(result.size)}) of job ${jobId}${result.complete ? '' : ', memory budget reached'}`);
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+      }
+    }
   });
 
 // =============================================================================
 // download - Download tiles for a region
 // =============================================================================
+
+/**
+ * Parse bounds given as "south,north,west,east"
+ * West is greater than east for areas crossing the antimeridian ("-21,-15,177,-178"
+ * for Fiji); longitudes past ±180 are wrapped, so "-21,-15,177,182" works too
+ * @returns {{north: number, south: number, east: number, west: number}|null} null if malformed
+ */
+function parseBounds(value) {
+  const parts = value.split(',').map(s => parseFloat(s.trim()));
+  if (parts.length !== 4 || parts.some(isNaN)) {
+    return null;
+  }
+
+  const wrap = lng => {
+    if (lng > 180 && lng <= 360) return lng - 360;
+    if (lng < -180 && lng >= -360) return lng + 360;
+    return lng;
+  };
+  const [south, north, west, east] = parts;
+  return { north, south, east: wrap(east), west: wrap(west) };
+}
+
+/**
+ * Read the area of a download or estimate from a GeoJSON file
+ */
+function readGeoJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read GeoJSON file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Read a corridor route from a GPX or GeoJSON file (parsed by TileForge)
+ */
+function readRoute(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read route file ${file}: ${error.message}`);
+  }
+}
+
 program
   .command('download')
   .description('Download tiles for a geographic region')
   .requiredOption('-n, --name <name>', 'Name for this download job')
-  .requiredOption('-s, --source <source>', 'Tile source (arcgis, google, esri-world-imagery)')
-  .requiredOption('-b, --bounds <bounds>', 'Geographic bounds as "south,north,west,east"')
+  .requiredOption('-s, --source <source>', 'Tile source ID (see "tileforge sources")')
+  .option('-b, --bounds <bounds>', 'Geographic bounds as "south,north,west,east"')
+  .option('-g, --geojson <file>', 'GeoJSON file with a Polygon/MultiPolygon area (instead of --bounds)')
+  .option('-r, --route <file>', 'GPX track or GeoJSON LineString file to download a corridor along (with --buffer)')
+  .option('--buffer <metres>', 'Corridor width on each side of --route, in metres')
   .requiredOption('-z, --zoom <range>', 'Zoom range as "min-max" (e.g., "16-20")')
+  .option('--scale <ratio>', 'Pixel ratio to download (2 for @2x tiles)', '1')
+  .option('--snapshot', 'Re-download cached tiles too, keeping replaced imagery as a snapshot', false)
   .option('-d, --db <path>', 'Database file path', defaults.dbPath)
   .option('-c, --concurrent <number>', 'Max concurrent downloads', String(defaults.maxConcurrentDownloads))
+  .option('--secrets <path>', 'Secrets file for ${NAME} references in sources', defaults.secretsPath)
   .option('-l, --log-level <level>', 'Log level', defaults.logLevel)
   .action(async (options) => {
     try {
-      // Parse bounds
-      const boundsParts = options.bounds.split(',').map(s => parseFloat(s.trim()));
-      if (boundsParts.length !== 4 || boundsParts.some(isNaN)) {
-        console.error('Error: Invalid bounds format. Use "south,north,west,east"');
+      // Parse bounds, or read the GeoJSON area or corridor route
+      let bounds;
+      let geometry;
+      let route;
+      let buffer;
+      if (options.route) {
+        buffer = parseFloat(options.buffer);
+        if (isNaN(buffer)) {
+          console.error('Error: --route needs --buffer <metres>');
+          process.exit(1);
+        }
+        route = readRoute(options.route);
+      } else if (options.geojson) {
+        geometry = readGeoJSON(options.geojson);
+      } else if (options.bounds) {
+        bounds = parseBounds(options.bounds);
+        if (!bounds) {
+          console.error('Error: Invalid bounds format. Use "south,north,west,east"');
+          process.exit(1);
+        }
+      } else {
+        console.error('Error: --bounds, --geojson or --route is required');
         process.exit(1);
       }
-      const [south, north, west, east] = boundsParts;
-      const bounds = { north, south, east, west };
 
       // Parse zoom range
       const zoomParts = options.zoom.split('-').map(s => parseInt(s.trim(), 10));
@@ -68,29 +185,41 @@ program
         process.exit(1);
       }
       const [minZoom, maxZoom] = zoomParts;
+      const scale = parseInt(options.scale, 10);
 
       // Create TileForge instance
       const tf = new TileForge({
         dbPath: options.db,
         maxConcurrentDownloads: parseInt(options.concurrent, 10),
+        secretsPath: options.secrets,
         logLevel: options.logLevel
       });
 
-      console.log(`Starting download: ${options.name}`);
-      console.log(`  Source: ${options.source}`);
-      console.log(`  Bounds: N=${north}, S=${south}, E=${east}, W=${west}`);
-      console.log(`  Zoom: ${minZoom}-${maxZoom}`);
-      console.log('');
-
       // Start download
       const job = await tf.download({
         name: options.name,
         source: options.source,
         bounds,
+        geometry,
+        route,
+        buffer,
         minZoom,
-        maxZoom
+        maxZoom,
+        scale,
+        snapshot: options.snapshot
       });
 
+      const { north, south, east, west } = job.bounds;
+      console.log(`Starting download: ${options.name}`);
+      console.log(`  Source: ${options.source}`);
+      console.log(`  Bounds: N=${north}, S=${south}, E=${east}, W=${west}`);
+      if (route) console.log(`  Corridor: ${buffer} m along ${options.route}`);
+      else if (job.geometry) console.log(`  Area: ${options.geojson}`);
+      console.log(`  Zoom: ${minZoom}-${maxZoom}`);
+      if (scale > 1) console.log(`  Scale: @${scale}x`);
+      if (options.snapshot) console.log('  Snapshot: yes');
+      console.log('');
+
       console.log(`Job started: ${job.jobId}`);
       console.log(`Total tiles: ${job.totalTiles}`);
       console.log('');
@@ -99,7 +228,15 @@ program
       const progressInterval = setInterval(() => {
         const status = tf.getJobStatus(job.jobId);
         if (status) {
-          process.stdout.write(`\rProgress: ${status.progress}% (${status.downloadedTiles}/${status.totalTiles} tiles)`);
+          process.stdout.write(`\rProgress: ${status.progress}% (${status.downloadedTiles}/${status.totalTiles} tiles)${status.status === 'paused' ? ' - paused' : '         '}`);
+
+          if (status.status === 'cancelled') {
+            clearInterval(progressInterval);
+            console.log('\n');
+            console.log('Job cancelled.');
+            tf.close();
+            process.exit(1);
+          }
 
           if (status.status === 'completed' || status.status === 'completed_with_errors') {
             clearInterval(progressInterval);
@@ -111,14 +248,24 @@ program
             tf.close();
             process.exit(0);
           }
+
+          if (status.status === 'quota_exceeded') {
+            clearInterval(progressInterval);
+            console.log('\n');
+            console.log(`Download paused: ${status.reason}`);
+            console.log('Free space ("tileforge quota enforce", "tileforge delete") or raise the quota, then resume it:');
+            console.log(`  tileforge resume ${job.jobId}`);
+            tf.close();
+            process.exit(1);
+          }
         }
       }, 1000);
 
-      // Handle interrupt
+      // Handle interrupt; the job keeps its queue and can be resumed
       process.on('SIGINT', () => {
         clearInterval(progressInterval);
-        console.log('\nCancelling download...');
-        tf.cancelJob(job.jobId);
+        console.log('\nDownload interrupted. Resume it with:');
+        console.log(`  tileforge resume ${job.jobId}`);
         tf.close();
         process.exit(0);
       });
@@ -135,18 +282,40 @@ program
 program
   .command('estimate')
   .description('Estimate download size and time')
-  .requiredOption('-b, --bounds <bounds>', 'Geographic bounds as "south,north,west,east"')
+  .option('-b, --bounds <bounds>', 'Geographic bounds as "south,north,west,east"')
+  .option('-g, --geojson <file>', 'GeoJSON file with a Polygon/MultiPolygon area (instead of --bounds)')
+  .option('-r, --route <file>', 'GPX track or GeoJSON LineString file to download a corridor along (with --buffer)')
+  .option('--buffer <metres>', 'Corridor width on each side of --route, in metres')
   .requiredOption('-z, --zoom <range>', 'Zoom range as "min-max" (e.g., "16-20")')
+  .option('-s, --source <source>', 'Tile source ID, to account for its tile size')
+  .option('--scale <ratio>', 'Pixel ratio (2 for @2x tiles)', '1')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
   .action((options) => {
     try {
-      // Parse bounds
-      const boundsParts = options.bounds.split(',').map(s => parseFloat(s.trim()));
-      if (boundsParts.length !== 4 || boundsParts.some(isNaN)) {
-        console.error('Error: Invalid bounds format. Use "south,north,west,east"');
+      // Parse bounds, or read the GeoJSON area or corridor route
+      let bounds;
+      let geometry;
+      let route;
+      let buffer;
+      if (options.route) {
+        buffer = parseFloat(options.buffer);
+        if (isNaN(buffer)) {
+          console.error('Error: --route needs --buffer <metres>');
+          process.exit(1);
+        }
+        route = readRoute(options.route);
+      } else if (options.geojson) {
+        geometry = readGeoJSON(options.geojson);
+      } else if (options.bounds) {
+        bounds = parseBounds(options.bounds);
+        if (!bounds) {
+          console.error('Error: Invalid bounds format. Use "south,north,west,east"');
+          process.exit(1);
+        }
+      } else {
+        console.error('Error: --bounds, --geojson or --route is required');
         process.exit(1);
       }
-      const [south, north, west, east] = boundsParts;
-      const bounds = { north, south, east, west };
 
       // Parse zoom range
       const zoomParts = options.zoom.split('-').map(s => parseInt(s.trim(), 10));
@@ -157,12 +326,22 @@ program
       const [minZoom, maxZoom] = zoomParts;
 
       // Create temporary TileForge instance for estimation
-      const tf = new TileForge({ logLevel: 'error' });
-      const estimate = tf.estimate({ bounds, minZoom, maxZoom });
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const estimate = tf.estimate({
+        bounds,
+        geometry,
+        route,
+        buffer,
+        minZoom,
+        maxZoom,
+        source: options.source,
+        scale: parseInt(options.scale, 10)
+      });
       tf.close();
 
       console.log('Download Estimate:');
       console.log(`  Tile count: ${estimate.tileCount.toLocaleString()}`);
+      console.log(`  Tile size: ${estimate.tileSize}px`);
       console.log(`  Estimated size: ${estimate.estimatedSizeMB} MB`);
       console.log(`  Estimated time: ${estimate.estimatedTimeMinutes} minutes`);
 
@@ -201,9 +380,20 @@ program
         console.log(`  ${job.jobId}`);
         console.log(`    Name: ${job.name}`);
         console.log(`    Source: ${job.source}`);
-        console.log(`    Status: ${job.status}`);
+        if (job.type === 'refresh') {
+          console.log(`    Refreshes: ${job.parentJobId}`);
+        } else if (job.type !== 'download') {
+          console.log(`    Type: ${job.type}`);
+        }
+        console.log(`    Status: ${job.status}${job.pinned ? ' (pinned)' : ''}`);
+        if (job.snapshot) {
+          console.log('    Snapshot: yes');
+        }
         console.log(`    Progress: ${progress}% (${job.downloadedTiles}/${job.totalTiles})`);
         console.log(`    Zoom: ${job.minZoom}-${job.maxZoom}`);
+        if (job.geometry && job.type !== 'corridor') {
+          console.log(`    Area: polygon (${job.geometry.coordinates.length} part${job.geometry.coordinates.length === 1 ? '' : 's'})`);
+        }
         if (job.country || job.city) {
           console.log(`    Location: ${[job.city, job.country].filter(Boolean).join(', ')}`);
         }
@@ -248,6 +438,10 @@ program
       if (status.failedTiles !== undefined) {
         console.log(`  Failed: ${status.failedTiles}`);
       }
+      if (['interrupted', 'paused', 'completed_with_errors'].includes(status.status)) {
+        console.log(`  Queued: ${status.queuedTiles}`);
+        console.log(`  Resume with: tileforge resume ${status.jobId}`);
+      }
 
     } catch (error) {
       console.error(`Error: ${error.message}`);
@@ -260,7 +454,7 @@ program
 // =============================================================================
 program
   .command('cancel <jobId>')
-  .description('Cancel a running download job')
+  .description('Cancel a running, paused or interrupted download job')
   .option('-d, --db <path>', 'Database file path', defaults.dbPath)
   .action((jobId, options) => {
     try {
@@ -271,7 +465,7 @@ program
       if (success) {
         console.log(`Job cancelled: ${jobId}`);
       } else {
-        console.log(`Job not found or not running: ${jobId}`);
+        console.log(`Job not found or already finished: ${jobId}`);
       }
 
     } catch (error) {
@@ -285,7 +479,7 @@ program
 // =============================================================================
 program
   .command('delete <jobId>')
-  .description('Delete a download job and its cached tiles')
+  .description('Delete a download job and the cached tiles no other job uses')
   .option('-d, --db <path>', 'Database file path', defaults.dbPath)
   .option('--keep-tiles', 'Keep the cached tiles', false)
   .action((jobId, options) => {
@@ -298,6 +492,7 @@ program
         console.log(`Job deleted: ${jobId}`);
         if (!options.keepTiles) {
           console.log(`Tiles removed: ${result.tilesDeleted}`);
+          console.log(`Tiles kept (still used by other jobs): ${result.tilesKept}`);
         }
       } else {
         console.error(`Job not found: ${jobId}`);
@@ -311,23 +506,858 @@ program
   });
 
 // =============================================================================
-// sources - List available tile sources
+// pin / unpin - Protect a job's tiles from quota eviction
+// =============================================================================
+program
+  .command('pin <jobId>')
+  .description('Pin a job so storage quotas never evict its tiles')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((jobId, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const success = tf.pinJob(jobId, true);
+      tf.close();
+
+      if (!success) {
+        console.error(`Job not found: ${jobId}`);
+        process.exit(1);
+      }
+      console.log(`Job pinned: ${jobId}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('unpin <jobId>')
+  .description('Unpin a job so its tiles can be evicted again')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((jobId, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const success = tf.pinJob(jobId, false);
+      tf.close();
+
+      if (!success) {
+        console.error(`Job not found: ${jobId}`);
+        process.exit(1);
+      }
+      console.log(`Job unpinned: ${jobId}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// =============================================================================
+// refresh - Re-download stale tiles of a job
+// =============================================================================
+program
+  .command('refresh <jobId>')
+  .description('Re-download the tiles of a job older than a threshold')
+  .option('--older-than <duration>', 'Refresh tiles older than this, e.g. "90d", "12h" (default: the source TTL)')
+  .option('--snapshot', 'Keep the imagery the refresh replaces (default: when the job is a snapshot)')
+  .option('--no-snapshot', 'Replace the imagery without keeping it')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .option('-c, --concurrent <number>', 'Max concurrent downloads', String(defaults.maxConcurrentDownloads))
+  .option('--secrets <path>', 'Secrets file for ${NAME} references in sources', defaults.secretsPath)
+  .option('-l, --log-level <level>', 'Log level', defaults.logLevel)
+  .action(async (jobId, options) => {
+    try {
+      const tf = new TileForge({
+        dbPath: options.db,
+        maxConcurrentDownloads: parseInt(options.concurrent, 10),
+        secretsPath: options.secrets,
+        logLevel: options.logLevel
+      });
+
+      const job = await tf.refreshJob(jobId, { olderThan: options.olderThan, snapshot: options.snapshot });
+
+      if (!job.jobId) {
+        console.log(`No tiles older than ${formatDuration(job.olderThan)}; nothing to refresh.`);
+        tf.close();
+        return;
+      }
+
+      console.log(`Refresh started: ${job.jobId}`);
+      console.log(`  Tiles older than ${formatDuration(job.olderThan)}: ${job.totalTiles}`);
+      console.log('');
+
+      // Monitor progress
+      const progressInterval = setInterval(() => {
+        const status = tf.getJobStatus(job.jobId);
+        if (status) {
+          process.stdout.write(`\rProgress: ${status.progress}% (${status.downloadedTiles}/${status.totalTiles} tiles)${status.status === 'paused' ? ' - paused' : '         '}`);
+
+          if (status.status === 'cancelled') {
+            clearInterval(progressInterval);
+            console.log('\n');
+            console.log('Job cancelled.');
+            tf.close();
+            process.exit(1);
+          }
+
+          if (status.status === 'completed' || status.status === 'completed_with_errors') {
+            clearInterval(progressInterval);
+            console.log('\n');
+            console.log('Refresh complete!');
+            console.log(`  Updated: ${status.downloadedTiles}`);
+            console.log(`  Not modified: ${status.skippedTiles || 0}`);
+            console.log(`  Failed: ${status.failedTiles || 0}`);
+            tf.close();
+            process.exit(0);
+          }
+
+          if (status.status === 'quota_exceeded') {
+            clearInterval(progressInterval);
+            console.log('\n');
+            console.log(`Refresh paused: ${status.reason}`);
+            console.log(`Once there is room, resume it: tileforge resume ${job.jobId}`);
+            tf.close();
+            process.exit(1);
+          }
+        }
+      }, 1000);
+
+      // Handle interrupt; the job keeps its queue and can be resumed
+      process.on('SIGINT', () => {
+        clearInterval(progressInterval);
+        console.log('\nRefresh interrupted. Resume it with:');
+        console.log(`  tileforge resume ${job.jobId}`);
+        tf.close();
+        process.exit(0);
+      });
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// =============================================================================
+// pause / resume - Pause a job and continue a paused or interrupted job
 // =============================================================================
 program
+  .command('pause <jobId>')
+  .description('Pause a download job, keeping its queued tiles and progress (also in a running server)')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((jobId, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const status = tf.pauseJob(jobId);
+      tf.close();
+
+      console.log(`Job paused: ${jobId}`);
+      console.log(`  Progress: ${status.progress}% (${status.downloadedTiles}/${status.totalTiles} tiles)`);
+      console.log(`Resume it with: tileforge resume ${jobId}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('resume <jobId>')
+  .description('Resume a paused or interrupted download job, downloading only missing tiles')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .option('-c, --concurrent <number>', 'Max concurrent downloads', String(defaults.maxConcurrentDownloads))
+  .option('--secrets <path>', 'Secrets file for ${NAME} references in sources', defaults.secretsPath)
+  .option('-l, --log-level <level>', 'Log level', defaults.logLevel)
+  .action((jobId, options) => {
+    try {
+      const tf = new TileForge({
+        dbPath: options.db,
+        maxConcurrentDownloads: parseInt(options.concurrent, 10),
+        secretsPath: options.secrets,
+        logLevel: options.logLevel
+      });
+
+      const job = tf.resumeJob(jobId);
+
+      console.log(`Job resumed: ${job.jobId}`);
+      console.log(`  Tiles left: ${job.pendingTiles} of ${job.totalTiles}`);
+
+      // Jobs paused in a running server continue there
+      if (job.runnerPid !== process.pid) {
+        console.log(`  Downloading in process ${job.runnerPid}`);
+        tf.close();
+        return;
+      }
+      console.log('');
+
+      // Monitor progress
+      const progressInterval = setInterval(() => {
+        const status = tf.getJobStatus(job.jobId);
+        if (status) {
+          process.stdout.write(`\rProgress: ${status.progress}% (${status.downloadedTiles}/${status.totalTiles} tiles)${status.status === 'paused' ? ' - paused' : '         '}`);
+
+          if (status.status === 'cancelled') {
+            clearInterval(progressInterval);
+            console.log('\n');
+            console.log('Job cancelled.');
+            tf.close();
+            process.exit(1);
+          }
+
+          if (status.status === 'completed' || status.status === 'completed_with_errors') {
+            clearInterval(progressInterval);
+            console.log('\n');
+            console.log('Download complete!');
+            console.log(`  Downloaded: ${status.downloadedTiles}`);
+            console.log(`  Skipped: ${status.skippedTiles || 0}`);
+            console.log(`  Failed: ${status.failedTiles || 0}`);
+            tf.close();
+            process.exit(0);
+          }
+
+          if (status.status === 'quota_exceeded') {
+            clearInterval(progressInterval);
+            console.log('\n');
+            console.log(`Download paused: ${status.reason}`);
+            console.log(`Once there is room, resume it again: tileforge resume ${job.jobId}`);
+            tf.close();
+            process.exit(1);
+          }
+        }
+      }, 1000);
+
+      // Handle interrupt; the job can be resumed again
+      process.on('SIGINT', () => {
+        clearInterval(progressInterval);
+        console.log('\nDownload interrupted. Resume it with:');
+        console.log(`  tileforge resume ${job.jobId}`);
+        tf.close();
+        process.exit(0);
+      });
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// =============================================================================
+// snapshots - List and prune the snapshots of a job
+// =============================================================================
+const snapshotsCommand = program
+  .command('snapshots')
+  .description('List and prune the imagery snapshots of a job');
+
+snapshotsCommand
+  .command('list <jobId>', { isDefault: true })
+  .description('List the snapshots of a job (the job and its refreshes)')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((jobId, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const snapshots = tf.listSnapshots(jobId);
+      tf.close();
+
+      console.log('Snapshots:');
+      console.log('');
+
+      for (const snapshot of snapshots) {
+        console.log(`  ${snapshot.snapshotId}${snapshot.snapshot ? '' : ' (replaced imagery not kept)'}`);
+        console.log(`    Name: ${snapshot.name}`);
+        console.log(`    Created: ${new Date(snapshot.createdAt).toISOString()}`);
+        if (snapshot.lastCapture !== null) {
+          console.log(`    Captured: ${new Date(snapshot.firstCapture).toISOString()} - ${new Date(snapshot.lastCapture).toISOString()}`);
+        }
+        console.log(`    Tiles: ${snapshot.currentTiles.toLocaleString()} current, ${snapshot.archivedTiles.toLocaleString()} replaced`);
+        console.log('');
+      }
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+snapshotsCommand
+  .command('prune <jobId>')
+  .description('Delete the replaced imagery of older snapshots (current tiles are kept)')
+  .option('--before <date>', 'Prune snapshots created before this date, e.g. "2026-01-01"')
+  .option('--keep <count>', 'Keep this many of the newest snapshots')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((jobId, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const result = tf.pruneSnapshots(jobId, {
+        before: options.before,
+        keep: options.keep !== undefined ? parseInt(options.keep, 10) : undefined
+      });
+      tf.close();
+
+      console.log(`Snapshots pruned: ${result.pruned.length}`);
+      console.log(`Tile versions deleted: ${result.versionsDeleted.toLocaleString()}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// =============================================================================
+// sources - List and manage tile sources
+// =============================================================================
+
+/**
+ * Collect repeatable "Name: value" header options into an object
+ */
+function collectHeader(value, previous = {}) {
+  const index = value.indexOf(':');
+  if (index <= 0) {
+    throw new InvalidArgumentError('Use "Name: value".');
+  }
+  return { ...previous, [value.slice(0, index).trim()]: value.slice(index + 1).trim() };
+}
+
+/**
+ * Collect repeatable "name=value" query parameter options into an object
+ */
+function collectQuery(value, previous = {}) {
+  const index = value.indexOf('=');
+  if (index <= 0) {
+    throw new InvalidArgumentError('Use "name=value".');
+  }
+  return { ...previous, [value.slice(0, index).trim()]: value.slice(index + 1) };
+}
+
+/**
+ * Build a source definition from CLI options (only the options that were given)
+ */
+function sourceOptionsToConfig(options) {
+  const config = {};
+  if (options.name !== undefined) config.name = options.name;
+  if (options.url !== undefined) config.url = options.url;
+  if (options.subdomains !== undefined) config.subdomains = options.subdomains;
+  if (options.minZoom !== undefined) config.minZoom = parseInt(options.minZoom, 10);
+  if (options.maxZoom !== undefined) config.maxZoom = parseInt(options.maxZoom, 10);
+  if (options.tileSize !== undefined) config.tileSize = parseInt(options.tileSize, 10);
+  if (options.scales !== undefined) config.scales = options.scales.split(',').map(s => parseInt(s.trim(), 10));
+  if (options.format !== undefined) config.format = options.format;
+  if (options.encoding !== undefined) config.encoding = options.encoding === 'none' ? null : options.encoding;
+  if (options.ttl !== undefined) config.ttl = options.ttl === 'none' ? null : options.ttl;
+  if (options.attribution !== undefined) config.attribution = options.attribution;
+  if (options.header !== undefined) config.headers = options.header;
+  if (options.query !== undefined) config.query = options.query;
+  if (options.referer !== undefined) config.referer = options.referer;
+  if (options.service !== undefined) config.service = options.service;
+
+  const wms = {};
+  if (options.wmsLayers !== undefined) wms.layers = options.wmsLayers;
+  if (options.wmsStyles !== undefined) wms.styles = options.wmsStyles;
+  if (options.wmsFormat !== undefined) wms.format = options.wmsFormat;
+  if (Object.keys(wms).length > 0) config.wms = wms;
+
+  return config;
+}
+
+const sourcesCommand = program
   .command('sources')
+  .description('List and manage tile sources');
+
+sourcesCommand
+  .command('list', { isDefault: true })
   .description('List available tile sources')
-  .action(() => {
-    const sources = getAvailableSources();
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const sources = tf.getSources();
+      tf.close();
+
+      console.log('Available Tile Sources:');
+      console.log('');
+
+      for (const source of sources) {
+        console.log(`  ${source.id}${source.builtIn ? '' : ' (custom)'}`);
+        console.log(`    Name: ${source.name}`);
+        console.log(`    Zoom: ${source.minZoom}-${source.maxZoom}`);
+        console.log(`    Tiles: ${source.tileSize}px${source.scales.length > 1 ? ` (scales: ${source.scales.join(', ')})` : ''}`);
+        if (source.ttl) console.log(`    TTL: ${formatDuration(source.ttl)}`);
+        console.log(`    Attribution: ${source.attribution}`);
+        console.log('');
+      }
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+sourcesCommand
+  .command('add <id>')
+  .description('Register a user-defined tile source')
+  .requiredOption('--name <name>', 'Display name')
+  .requiredOption('--url <template>', 'URL template, e.g. "https://{s}.example.com/{z}/{x}/{y}.png"')
+  .option('--subdomains <list>', 'Subdomains for {s}, e.g. "abc" or "a1,a2"')
+  .option('--min-zoom <number>', 'Minimum zoom level')
+  .option('--max-zoom <number>', 'Maximum zoom level')
+  .option('--tile-size <number>', 'Tile size in pixels (256 or 512)')
+  .option('--scales <list>', 'Pixel ratios offered, e.g. "1,2" for @2x tiles via {r} or {size}')
+  .option('--format <format>', 'Tile format: png, jpg, webp or pbf (vector)')
+  .option('--encoding <encoding>', 'Elevation encoding: terrain-rgb or terrarium ("none" to clear)')
+  .option('--ttl <duration>', 'Age after which cached tiles are stale, e.g. "90d" ("none" to clear)')
+  .option('--attribution <text>', 'Attribution text')
+  .option('-H, --header <header>', 'Request header as "Name: value" (repeatable)', collectHeader)
+  .option('-Q, --query <param>', 'Query parameter as "name=value" (repeatable)', collectQuery)
+  .option('--referer <url>', 'Referer header to send')
+  .option('--service <type>', 'Service type: xyz, wms or local (imported tiles only)')
+  .option('--wms-layers <layers>', 'WMS layer names (comma-separated)')
+  .option('--wms-styles <styles>', 'WMS style names (comma-separated)')
+  .option('--wms-format <mime>', 'WMS image format (default: image/png)')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((id, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const source = tf.addSource(id, sourceOptionsToConfig(options));
+      tf.close();
+
+      console.log(`Source added: ${source.id}`);
+      console.log(`  Name: ${source.name}`);
+      console.log(`  URL: ${source.url}`);
+      console.log(`  Zoom: ${source.minZoom}-${source.maxZoom}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+sourcesCommand
+  .command('edit <id>')
+  .description('Update a user-defined tile source')
+  .option('--name <name>', 'Display name')
+  .option('--url <template>', 'URL template')
+  .option('--subdomains <list>', 'Subdomains for {s}, e.g. "abc" or "a1,a2"')
+  .option('--min-zoom <number>', 'Minimum zoom level')
+  .option('--max-zoom <number>', 'Maximum zoom level')
+  .option('--tile-size <number>', 'Tile size in pixels (256 or 512)')
+  .option('--scales <list>', 'Pixel ratios offered, e.g. "1,2" for @2x tiles via {r} or {size}')
+  .option('--format <format>', 'Tile format: png, jpg, webp or pbf (vector)')
+  .option('--encoding <encoding>', 'Elevation encoding: terrain-rgb or terrarium ("none" to clear)')
+  .option('--ttl <duration>', 'Age after which cached tiles are stale, e.g. "90d" ("none" to clear)')
+  .option('--attribution <text>', 'Attribution text')
+  .option('-H, --header <header>', 'Request header as "Name: value" (repeatable, replaces existing headers)', collectHeader)
+  .option('-Q, --query <param>', 'Query parameter as "name=value" (repeatable, replaces existing parameters)', collectQuery)
+  .option('--referer <url>', 'Referer header to send')
+  .option('--service <type>', 'Service type: xyz, wms or local (imported tiles only)')
+  .option('--wms-layers <layers>', 'WMS layer names (comma-separated)')
+  .option('--wms-styles <styles>', 'WMS style names (comma-separated)')
+  .option('--wms-format <mime>', 'WMS image format (default: image/png)')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((id, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const source = tf.updateSource(id, sourceOptionsToConfig(options));
+      tf.close();
+
+      console.log(`Source updated: ${source.id}`);
+      console.log(`  Name: ${source.name}`);
+      console.log(`  URL: ${source.url}`);
+      console.log(`  Zoom: ${source.minZoom}-${source.maxZoom}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+sourcesCommand
+  .command('import-wmts <capabilities>')
+  .description('Import a layer from a WMTS capabilities document (URL or XML file); lists layers when --layer is omitted')
+  .option('--layer <id>', 'Layer identifier to import')
+  .option('--id <sourceId>', 'Source ID to register (default: layer identifier)')
+  .option('--matrix-set <id>', 'GoogleMapsCompatible tile matrix set (default: first found)')
+  .option('--style <id>', 'Style identifier (default: layer default)')
+  .option('--format <mime>', 'Image format (default: image/png if offered)')
+  .option('--name <name>', 'Source name (default: layer title)')
+  .option('--attribution <text>', 'Attribution text (default: service provider)')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action(async (capabilities, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+
+      if (!options.layer) {
+        const info = await tf.inspectWMTS(capabilities);
+        tf.close();
+
+        console.log(`WMTS: ${info.title || 'Untitled'}${info.provider ? ` (${info.provider})` : ''}`);
+        console.log('');
+        console.log('Layers:');
+        for (const layer of info.layers) {
+          console.log(`  ${layer.id}`);
+          console.log(`    Title: ${layer.title || 'N/A'}`);
+          console.log(`    Formats: ${layer.formats.join(', ')}`);
+          console.log(`    Compatible matrix sets: ${layer.compatibleTileMatrixSets.join(', ') || 'none'}`);
+        }
+        console.log('');
+        console.log('GoogleMapsCompatible tile matrix sets:');
+        for (const set of info.tileMatrixSets.filter(s => s.googleMapsCompatible)) {
+          console.log(`  ${set.id} (zoom ${Math.min(...set.zooms)}-${Math.max(...set.zooms)})`);
+        }
+        return;
+      }
+
+      const source = await tf.importWMTS(capabilities, {
+        id: options.id || options.layer,
+        layer: options.layer,
+        tileMatrixSet: options.matrixSet,
+        style: options.style,
+        format: options.format,
+        name: options.name,
+        attribution: options.attribution
+      });
+      tf.close();
+
+      console.log(`Source imported: ${source.id}`);
+      console.log(`  Name: ${source.name}`);
+      console.log(`  URL: ${source.url}`);
+      console.log(`  Zoom: ${source.minZoom}-${source.maxZoom}`);
+      console.log(`  Format: ${source.format}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+sourcesCommand
+  .command('remove <id>')
+  .description('Remove a user-defined tile source (cached tiles are kept)')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((id, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const removed = tf.removeSource(id);
+      tf.close();
+
+      if (removed) {
+        console.log(`Source removed: ${id}`);
+      } else {
+        console.error(`Source not found: ${id}`);
+        process.exit(1);
+      }
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// =============================================================================
+// export - Export cached tiles to a file
+// =============================================================================
+const exporters = {
+  mbtiles: (tf, options) => tf.exportMBTiles(options),
+  pmtiles: (tf, options) => tf.exportPMTiles(options),
+  dir: (tf, options) => tf.exportDirectory({ ...options, outDir: options.outPath }),
+  gpkg: (tf, options) => tf.exportGeoPackage(options)
+};
+
+program
+  .command('export')
+  .description('Export cached tiles of a job or source to a file')
+  .requiredOption('-o, --output <path>', 'Output file (or directory for --format dir)')
+  .option('-f, --format <format>', `Output format: ${Object.keys(exporters).join(', ')}`, 'mbtiles')
+  .option('-j, --job <jobId>', 'Export the tiles of a download job')
+  .option('-s, --source <source>', 'Export the tiles of a source')
+  .option('-b, --bounds <bounds>', 'Limit to bounds as "south,north,west,east"')
+  .option('-z, --zoom <range>', 'Limit to zoom range as "min-max"')
+  .option('--name <name>', 'Tileset name (default: job or source name)')
+  .option('--tms', 'Write TMS rows (y counted from the south) for --format dir', false)
+  .option('--force', 'Overwrite the output file if it exists', false)
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action(async (options) => {
+    try {
+      const exporter = exporters[options.format];
+      if (!exporter) {
+        console.error(`Error: Unknown format "${options.format}". Use one of: ${Object.keys(exporters).join(', ')}`);
+        process.exit(1);
+      }
+      if (!options.job === !options.source) {
+        console.error('Error: Specify either --job or --source');
+        process.exit(1);
+      }
+
+      let bounds;
+      if (options.bounds) {
+        bounds = parseBounds(options.bounds);
+        if (!bounds) {
+          console.error('Error: Invalid bounds format. Use "south,north,west,east"');
+          process.exit(1);
+        }
+      }
+
+      let minZoom;
+      let maxZoom;
+      if (options.zoom) {
+        const zoomParts = options.zoom.split('-').map(s => parseInt(s.trim(), 10));
+        if (zoomParts.length !== 2 || zoomParts.some(isNaN)) {
+          console.error('Error: Invalid zoom format. Use "min-max" (e.g., "16-20")');
+          process.exit(1);
+        }
+        [minZoom, maxZoom] = zoomParts;
+      }
+
+      // Only files are overwritten; directories must be emptied by hand
+      if (options.force && fs.existsSync(options.output) && fs.statSync(options.output).isFile()) {
+        fs.rmSync(options.output);
+      }
+
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const result = await exporter(tf, {
+        outPath: options.output,
+        jobId: options.job,
+        source: options.source,
+        bounds,
+        minZoom,
+        maxZoom,
+        name: options.name,
+        scheme: options.tms ? 'tms' : 'xyz',
+        onProgress: (written, total) => {
+          process.stdout.write(`\rExporting: ${Math.round((written / total) * 100)}% (${written}/${total} tiles)`);
+        }
+      });
+      tf.close();
+
+      console.log('\n');
+      console.log(`Exported ${result.tileCount.toLocaleString()} tiles to ${result.outPath || result.outDir}`);
+      console.log(`  Format: ${options.format} (${result.format} tiles)`);
+      console.log(`  Zoom: ${result.minZoom}-${result.maxZoom}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// =============================================================================
+// import - Import tiles from a file
+// =============================================================================
+const importers = {
+  mbtiles: (tf, inPath, options) => tf.importMBTiles(inPath, options),
+  dir: (tf, inPath, options) => tf.importDirectory(inPath, options)
+};
+
+program
+  .command('import <file>')
+  .description('Import tiles from a file or z/x/y directory into the database')
+  .option('-f, --format <format>', `Input format: ${Object.keys(importers).join(', ')} (default: dir for directories, else mbtiles)`)
+  .option('-s, --source <source>', 'Source to import into (default: a new source named after the file)')
+  .option('-n, --name <name>', 'Name for the import job')
+  .option('--replace', 'Overwrite tiles that are already cached (default: keep them)', false)
+  .option('--tms', 'Read TMS rows for a directory without manifest.json', false)
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action(async (file, options) => {
+    try {
+      const format = options.format || (fs.existsSync(file) && fs.statSync(file).isDirectory() ? 'dir' : 'mbtiles');
+      const importer = importers[format];
+      if (!importer) {
+        console.error(`Error: Unknown format "${format}". Use one of: ${Object.keys(importers).join(', ')}`);
+        process.exit(1);
+      }
+
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const result = await importer(tf, file, {
+        source: options.source,
+        name: options.name,
+        onConflict: options.replace ? 'replace' : 'skip',
+        scheme: options.tms ? 'tms' : undefined,
+        onProgress: (processed, total, counts) => {
+          process.stdout.write(`\rImporting: ${Math.round((processed / total) * 100)}% (${processed}/${total} tiles, ${counts.skipped} conflicts)`);
+        }
+      });
+      tf.close();
+
+      console.log('\n');
+      console.log(`Imported into ${result.source}${result.sourceCreated ? ' (new source)' : ''}`);
+      console.log(`  Job: ${result.jobId}`);
+      console.log(`  Zoom: ${result.minZoom}-${result.maxZoom}`);
+      console.log(`  Imported: ${result.imported}`);
+      console.log(`  Replaced: ${result.replaced}`);
+      console.log(`  Kept (already cached): ${result.skipped}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// =============================================================================
+// quota - Manage storage quotas
+// =============================================================================
+const quotaCommand = program
+  .command('quota')
+  .description('List and manage storage quotas');
+
+quotaCommand
+  .command('list', { isDefault: true })
+  .description('List storage quotas and their usage')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const quotas = tf.getQuotas();
+      tf.close();
+
+      if (quotas.length === 0) {
+        console.log('No storage quotas set.');
+        return;
+      }
+
+      console.log('Storage Quotas:');
+      console.log('');
+
+      for (const quota of quotas) {
+        console.log(`  ${quota.source || '(global)'}`);
+        if (quota.maxSize !== null) {
+          console.log(`    Size: ${formatSize(quota.usage.size)} of ${formatSize(quota.maxSize)}`);
+        }
+        if (quota.maxTiles !== null) {
+          console.log(`    Tiles: ${quota.usage.tileCount.toLocaleString()} of ${quota.maxTiles.toLocaleString()}`);
+        }
+        console.log(`    Eviction: ${quota.policy}`);
+        console.log('');
+      }
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+quotaCommand
+  .command('set [source]')
+  .description('Set the quota of a source, or of the whole database without source')
+  .option('--max-size <size>', 'Maximum storage, e.g. "20GB"')
+  .option('--max-tiles <count>', 'Maximum number of tiles')
+  .option('--policy <policy>', 'Eviction policy: none (pause downloads), lru, oldest or zoom', 'none')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((source, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const quota = tf.setQuota({
+        source: source || null,
+        maxSize: options.maxSize,
+        maxTiles: options.maxTiles !== undefined ? parseInt(options.maxTiles, 10) : null,
+        policy: options.policy
+      });
+      tf.close();
+
+      console.log(`Quota set for ${quota.source || 'the whole database'}`);
+      if (quota.maxSize !== null) {
+        console.log(`  Size: ${formatSize(quota.usage.size)} of ${formatSize(quota.maxSize)}`);
+      }
+      if (quota.maxTiles !== null) {
+        console.log(`  Tiles: ${quota.usage.tileCount.toLocaleString()} of ${quota.maxTiles.toLocaleString()}`);
+      }
+      console.log(`  Eviction: ${quota.policy}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+quotaCommand
+  .command('remove [source]')
+  .description('Remove the quota of a source, or the global quota without source')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((source, options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const removed = tf.removeQuota(source || null);
+      tf.close();
+
+      if (!removed) {
+        console.error(`No quota set for ${source || 'the whole database'}`);
+        process.exit(1);
+      }
+      console.log(`Quota removed: ${source || '(global)'}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+quotaCommand
+  .command('enforce')
+  .description('Evict tiles until quotas with an eviction policy are met')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((options) => {
+    try {
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
+      const result = tf.enforceQuotas();
+      tf.close();
 
-    console.log('Available Tile Sources:');
-    console.log('');
+      console.log(`Tiles evicted: ${result.evicted.toLocaleString()}`);
+      if (result.exceeded.length > 0) {
+        console.log(`Still over quota: ${result.exceeded.map(source => source || '(global)').join(', ')}`);
+        console.log('  (quotas with policy "none" never evict; pinned jobs are protected)');
+      }
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// =============================================================================
+// db - Database maintenance
+// =============================================================================
+const dbCommand = program
+  .command('db')
+  .description('Database maintenance');
+
+dbCommand
+  .command('migrate')
+  .description('Upgrade the database schema to this TileForge version')
+  .option('--dry-run', 'List the pending migrations without applying them', false)
+  .option('--no-backup', 'Skip the copy of the database made before migrating')
+  .option('-d, --db <path>', 'Database file path', defaults.dbPath)
+  .action((options) => {
+    try {
+      const plan = planMigrations(options.db);
+
+      console.log(`Database: ${plan.dbPath}${plan.exists ? '' : ' (new)'}`);
+      console.log(`Schema version: ${plan.version} (latest: ${plan.latestVersion})`);
+
+      if (plan.pending.length === 0) {
+        console.log('Schema is up to date.');
+        return;
+      }
 
-    for (const source of sources) {
-      console.log(`  ${source.id}`);
-      console.log(`    Name: ${source.name}`);
-      console.log(`    Zoom: ${source.minZoom}-${source.maxZoom}`);
-      console.log(`    Attribution: ${source.attribution}`);
       console.log('');
+      console.log(options.dryRun ? 'Pending migrations:' : 'Applying migrations:');
+      for (const migration of plan.pending) {
+        console.log(`  ${migration.version}. ${migration.description}`);
+      }
+      console.log('');
+
+      if (options.dryRun) {
+        console.log('Dry run: no changes made.');
+        return;
+      }
+
+      const tf = new TileForge({ dbPath: options.db, logLevel: 'error', backupOnMigrate: options.backup });
+      const migration = tf.getMigration();
+      tf.close();
+
+      if (migration?.backupPath) {
+        console.log(`Backup: ${migration.backupPath}`);
+      }
+      console.log(`Schema version: ${migration ? migration.to : plan.latestVersion}`);
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
     }
   });
 
@@ -342,11 +1372,15 @@ program
     try {
       const tf = new TileForge({ dbPath: options.db, logLevel: 'error' });
       const stats = tf.getStats();
-      const totalTiles = tf.getTotalTileCount();
+      const storage = tf.getStorageStats();
       tf.close();
 
+      const toMB = bytes => Math.round((bytes / 1024 / 1024) * 100) / 100;
+
       console.log('Database Statistics:');
-      console.log(`  Total tiles: ${totalTiles.toLocaleString()}`);
+      console.log(`  Total tiles: ${storage.tileCount.toLocaleString()}`);
+      console.log(`  Unique tiles: ${storage.uniqueTiles.toLocaleString()}`);
+      console.log(`  Stored: ${toMB(storage.storedSize)} MB (${toMB(storage.savedSize)} MB saved by deduplication)`);
       console.log('');
 
       if (stats.length === 0) {
@@ -356,10 +1390,9 @@ program
 
       console.log('By Source:');
       for (const stat of stats) {
-        const sizeMB = Math.round((stat.totalSize / 1024 / 1024) * 100) / 100;
         console.log(`  ${stat.source}:`);
-        console.log(`    Tiles: ${stat.tileCount.toLocaleString()}`);
-        console.log(`    Size: ${sizeMB} MB`);
+        console.log(`    Tiles: ${stat.tileCount.toLocaleString()} (${stat.uniqueTiles.toLocaleString()} unique)`);
+        console.log(`    Size: ${toMB(stat.totalSize)} MB (${toMB(stat.storedSize)} MB stored)`);
       }
 
     } catch (error) {
@@ -5,16 +5,25 @@
 export const defaults = {
   // Server configuration
   port: 3000,
+  bodyLimit: '10mb', // largest JSON request body (GeoJSON areas, GPX routes)
 
   // Database configuration
   dbPath: './data/tiles.db',
+  backupOnMigrate: true, // copy the database file before upgrading its schema
+
+  // Secrets file for source credentials referenced as ${NAME}
+  secretsPath: './data/secrets.json',
 
   // Download configuration
   maxConcurrentDownloads: 4,
   rateLimit: 500, // milliseconds between requests
+  resumeInterrupted: false, // resume jobs interrupted by a restart when TileForge starts (servers do by default)
 
   // Cache configuration
-  cacheSize: 1000, // number of tiles to keep in memory
+  cacheMaxSize: 64 * 1024 * 1024, // bytes of tiles to keep in memory
+
+  // Tile expiry
+  tileTTL: null, // seconds before cached tiles are stale (null: never); sources may set their own
 
   // Logging
   logLevel: 'info', // 'error' | 'warn' | 'info' | 'debug'
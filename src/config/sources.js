@@ -1,6 +1,34 @@
+import { tileToMercatorBBox, tileToQuadkey, flipY } from '../core/TileCalculator.js';
+import { renderTemplate, getTemplatePlaceholders } from '../utils/urlTemplate.js';
+import { ELEVATION_ENCODINGS } from '../utils/elevation.js';
+import { parseDuration } from '../utils/duration.js';
+
 /**
- * Tile source configurations - SATELLITE IMAGERY ONLY
+ * Tile source configurations
+ * Built-in sources are satellite imagery only; additional sources can be
+ * registered at runtime (see registerSource) and are persisted by TileForge
  * Each source defines the URL template and metadata
+ *
+ * URL templates (see utils/urlTemplate.js) support {z}, {x}, {y}, {-y} (TMS row),
+ * {q} (quadkey), {s} (subdomain), {r} (retina suffix, "@2x") and {size} (tile
+ * size times scale, 256 or 512), each with an optional format spec such as {x:08x}
+ *
+ * Sources listing `scales: [1, 2]` offer a high-DPI variant through {r} or {size}
+ * (WMS sources double {width}/{height}); 2x tiles are stored under "<source>@2x"
+ *
+ * Headers, query parameters, the referer and the URL itself may reference
+ * secrets as ${NAME}; they are resolved at request time (see utils/secrets.js)
+ *
+ * Elevation sources declare `encoding: 'terrain-rgb'` or `'terrarium'`; their
+ * PNG tiles are downloaded like any other and decoded by the elevation API
+ *
+ * `ttl` (seconds, or a duration such as "90d") marks cached tiles older than
+ * that as stale; stale tiles are still served and can be re-downloaded by a refresh job
+ *
+ * Sources use the XYZ service by default. Sources with `service: 'wms'`
+ * request OGC WMS GetMap images per tile; their URL template receives
+ * {bbox} (EPSG:3857), {width}, {height}, {layers}, {styles} and {format}.
+ * Sources with `service: 'local'` have no URL and only hold imported tiles
  */
 
 export const tileSources = {
@@ -39,6 +67,48 @@ export const tileSources = {
   }
 };
 
+/**
+ * Tile formats a source can declare
+ */
+export const TILE_FORMATS = ['png', 'jpg', 'webp', 'pbf'];
+
+/**
+ * User-registered sources, keyed by source ID
+ * Populated from the database by TileForge on startup
+ */
+const userSources = {};
+
+/**
+ * Resolve a source configuration (built-in or user-registered)
+ * @param {string} sourceId - Source identifier
+ * @returns {object|null} Source configuration or null if unknown
+ */
+export function getSourceConfig(sourceId) {
+  if (Object.prototype.hasOwnProperty.call(tileSources, sourceId)) {
+    return tileSources[sourceId];
+  }
+  if (Object.prototype.hasOwnProperty.call(userSources, sourceId)) {
+    return userSources[sourceId];
+  }
+  return null;
+}
+
+/**
+ * Placeholders accepted in XYZ and WMS URL templates
+ */
+const XYZ_PLACEHOLDERS = ['z', 'x', 'y', '-y', 'q', 's', 'r', 'size'];
+const WMS_PLACEHOLDERS = ['bbox', 'width', 'height', 'layers', 'styles', 'format', 's', 'r', 'size'];
+
+/**
+ * Source services: XYZ tile servers, OGC WMS, or 'local' for imported tiles without a server
+ */
+const SERVICES = ['xyz', 'wms', 'local'];
+
+/**
+ * Pixel ratios a source can offer
+ */
+export const TILE_SCALES = [1, 2];
+
 /**
  * Get tile URL with subdomain rotation
  * @param {string} source - Source identifier
@@ -46,40 +116,96 @@ export const tileSources = {
  * @param {number} x - Tile X coordinate
  * @param {number} y - Tile Y coordinate
  * @param {number} counter - Counter for subdomain rotation
+ * @param {object} options - Options
+ * @param {number} options.scale - Pixel ratio; 2 renders {r} as "@2x" (default: 1)
  * @returns {string} Tile URL
  */
-export function getTileUrl(source, z, x, y, counter = 0) {
-  const config = tileSources[source];
+export function getTileUrl(source, z, x, y, counter = 0, options = {}) {
+  const config = getSourceConfig(source);
   if (!config) {
     throw new Error(`Unknown tile source: ${source}`);
   }
 
-  let url = config.url;
-
-  // Replace {z}, {x}, {y} placeholders
-  url = url.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+  const scale = options.scale || 1;
+  const values = {
+    z,
+    x,
+    y,
+    '-y': flipY(y, z),
+    q: tileToQuadkey(x, y, z),
+    r: scale > 1 ? `@${scale}x` : '',
+    size: (config.tileSize || 256) * scale
+  };
 
   // Handle subdomain rotation
   if (config.subdomains && config.subdomains.length > 0) {
-    const subdomain = config.subdomains[counter % config.subdomains.length];
-    url = url.replace('{s}', subdomain);
+    values.s = config.subdomains[counter % config.subdomains.length];
+  }
+
+  // WMS GetMap parameters
+  if (config.service === 'wms') {
+    const bbox = tileToMercatorBBox(x, y, z);
+    const size = (config.tileSize || 256) * scale;
+
+    Object.assign(values, {
+      bbox: [bbox.minX, bbox.minY, bbox.maxX, bbox.maxY].join(','),
+      width: size,
+      height: size,
+      layers: encodeURIComponent(config.wms.layers),
+      styles: encodeURIComponent(config.wms.styles),
+      format: encodeURIComponent(config.wms.format)
+    });
   }
 
-  return url;
+  return renderTemplate(config.url, values);
+}
+
+/**
+ * Get the pixel ratios a source can be downloaded at
+ * @param {string} sourceId - Source identifier
+ * @returns {number[]}
+ */
+export function getSourceScales(sourceId) {
+  return getSourceConfig(sourceId)?.scales || [1];
+}
+
+/**
+ * Get the key tiles of a source are stored under for a pixel ratio
+ * 1x tiles use the source ID itself; other ratios are stored alongside as "<source>@2x"
+ * @param {string} sourceId - Source identifier
+ * @param {number} scale - Pixel ratio (default: 1)
+ * @returns {string}
+ */
+export function getStorageSource(sourceId, scale = 1) {
+  return scale > 1 ? `${sourceId}@${scale}x` : sourceId;
 }
 
 /**
  * Get list of available sources
- * @returns {Array<{id: string, name: string, attribution: string, maxZoom: number, minZoom: number}>}
+ * @returns {Array<{id: string, name: string, attribution: string, maxZoom: number, minZoom: number, builtIn: boolean}>}
  */
 export function getAvailableSources() {
-  return Object.keys(tileSources).map(key => ({
-    id: key,
-    name: tileSources[key].name,
-    attribution: tileSources[key].attribution,
-    maxZoom: tileSources[key].maxZoom,
-    minZoom: tileSources[key].minZoom
-  }));
+  const builtIn = Object.keys(tileSources).map(key => describeSource(key, tileSources[key], true));
+  const custom = Object.keys(userSources).map(key => describeSource(key, userSources[key], false));
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Build the public summary of a source
+ */
+function describeSource(id, config, builtIn) {
+  return {
+    id,
+    name: config.name,
+    attribution: config.attribution,
+    maxZoom: config.maxZoom,
+    minZoom: config.minZoom,
+    tileSize: config.tileSize,
+    scales: config.scales || [1],
+    encoding: config.encoding || null,
+    ttl: config.ttl ?? null,
+    builtIn
+  };
 }
 
 /**
@@ -88,5 +214,207 @@ export function getAvailableSources() {
  * @returns {boolean}
  */
 export function isValidSource(sourceId) {
-  return sourceId in tileSources;
+  return getSourceConfig(sourceId) !== null;
+}
+
+/**
+ * Check if a source is one of the built-in sources
+ * @param {string} sourceId - Source identifier
+ * @returns {boolean}
+ */
+export function isBuiltInSource(sourceId) {
+  return Object.prototype.hasOwnProperty.call(tileSources, sourceId);
+}
+
+/**
+ * Register (or replace) a user-defined source
+ * @param {string} sourceId - Source identifier
+ * @param {object} config - Normalized source configuration
+ */
+export function registerSource(sourceId, config) {
+  if (isBuiltInSource(sourceId)) {
+    throw new Error(`Cannot override built-in source: ${sourceId}`);
+  }
+  userSources[sourceId] = config;
+}
+
+/**
+ * Remove a user-defined source from the registry
+ * @param {string} sourceId - Source identifier
+ * @returns {boolean} True if removed, false if not registered
+ */
+export function unregisterSource(sourceId) {
+  if (!Object.prototype.hasOwnProperty.call(userSources, sourceId)) {
+    return false;
+  }
+  delete userSources[sourceId];
+  return true;
+}
+
+/**
+ * Normalize a user-supplied source definition
+ * Accepts subdomains as an array or a string ("abc" or "a,b,c")
+ * @param {object} config - Raw source definition
+ * @returns {object} Normalized source configuration
+ */
+export function normalizeSourceConfig(config) {
+  let subdomains = config.subdomains ?? null;
+  if (typeof subdomains === 'string') {
+    subdomains = subdomains.includes(',')
+      ? subdomains.split(',').map(s => s.trim()).filter(Boolean)
+      : subdomains.split('');
+  }
+
+  const service = config.service || 'xyz';
+
+  // Durations such as "90d" become seconds; invalid values are reported by validateSourceConfig
+  let ttl = config.ttl ?? null;
+  if (typeof ttl === 'string') {
+    try {
+      ttl = parseDuration(ttl);
+    } catch {
+      // Left as is
+    }
+  }
+
+  return {
+    name: typeof config.name === 'string' ? config.name.trim() : config.name,
+    url: typeof config.url === 'string' ? config.url.trim() : config.url ?? null,
+    subdomains: subdomains && subdomains.length > 0 ? subdomains.map(String) : null,
+    attribution: config.attribution ?? '',
+    maxZoom: config.maxZoom ?? 22,
+    minZoom: config.minZoom ?? 0,
+    tileSize: config.tileSize ?? 256,
+    scales: config.scales ?? [1],
+    encoding: config.encoding ?? null,
+    ttl,
+    headers: config.headers ?? null,
+    query: config.query ?? null,
+    referer: config.referer ?? null,
+    type: config.type || 'custom',
+    format: config.format ?? null,
+    service,
+    ...(service === 'wms' && {
+      wms: {
+        layers: config.wms?.layers ?? '',
+        styles: config.wms?.styles ?? '',
+        format: config.wms?.format || 'image/png'
+      }
+    })
+  };
+}
+
+/**
+ * Validate a source ID
+ * @param {string} sourceId - Source identifier
+ * @returns {boolean}
+ */
+export function isValidSourceId(sourceId) {
+  return typeof sourceId === 'string' && /^[a-z0-9][a-z0-9_-]{0,63}$/i.test(sourceId);
+}
+
+/**
+ * Validate a normalized source configuration
+ * @param {object} config - Normalized source configuration
+ * @returns {string[]} List of validation errors (empty if valid)
+ */
+export function validateSourceConfig(config) {
+  const errors = [];
+
+  if (!config.name || typeof config.name !== 'string') {
+    errors.push('name is required');
+  }
+
+  if (!SERVICES.includes(config.service)) {
+    errors.push(`service must be one of: ${SERVICES.join(', ')}`);
+  }
+
+  if (config.service === 'local') {
+    if (config.url) {
+      errors.push('local sources have no url (their tiles are imported)');
+    }
+  } else if (!config.url || typeof config.url !== 'string' || !/^https?:\/\//i.test(config.url)) {
+    errors.push('url must be an http(s) URL template');
+  } else {
+    const placeholders = getTemplatePlaceholders(config.url);
+    const allowed = config.service === 'wms' ? WMS_PLACEHOLDERS : XYZ_PLACEHOLDERS;
+    const unknown = placeholders.filter(p => !allowed.includes(p));
+
+    if (unknown.length > 0) {
+      errors.push(`url contains unsupported placeholders: ${unknown.map(p => `{${p}}`).join(', ')}`);
+    } else if (config.service === 'wms' && !placeholders.includes('bbox')) {
+      errors.push('WMS url must contain a {bbox} placeholder');
+    } else if (config.service !== 'wms' && !placeholders.includes('q') &&
+        !(placeholders.includes('z') && placeholders.includes('x') &&
+          (placeholders.includes('y') || placeholders.includes('-y')))) {
+      errors.push('url must contain {z}, {x} and {y} (or {-y}) placeholders, or {q}');
+    } else if (placeholders.includes('s') && !config.subdomains) {
+      errors.push('url uses {s} but no subdomains are configured');
+    }
+  }
+
+  if (!Number.isInteger(config.minZoom) || config.minZoom < 0 || config.minZoom > 22 ||
+      !Number.isInteger(config.maxZoom) || config.maxZoom < 0 || config.maxZoom > 22 ||
+      config.minZoom > config.maxZoom) {
+    errors.push('minZoom and maxZoom must be integers between 0-22 and minZoom <= maxZoom');
+  }
+
+  if (config.tileSize !== 256 && config.tileSize !== 512) {
+    errors.push('tileSize must be 256 or 512');
+  }
+
+  if (config.service === 'wms') {
+    const { layers, styles, format } = config.wms;
+    if (typeof layers !== 'string' || layers.trim().length === 0) {
+      errors.push('wms.layers is required for WMS sources');
+    }
+    if (typeof styles !== 'string' || typeof format !== 'string') {
+      errors.push('wms.styles and wms.format must be strings');
+    }
+  }
+
+  if (!Array.isArray(config.scales) || config.scales.length === 0 ||
+      !config.scales.every(scale => TILE_SCALES.includes(scale))) {
+    errors.push(`scales must list pixel ratios from: ${TILE_SCALES.join(', ')}`);
+  } else if (config.scales.some(scale => scale > 1) && config.service !== 'wms' &&
+      typeof config.url === 'string' &&
+      !getTemplatePlaceholders(config.url).some(p => p === 'r' || p === 'size')) {
+    errors.push('high-DPI scales need a {r} or {size} placeholder in the url');
+  }
+
+  if (config.format !== null && !TILE_FORMATS.includes(config.format)) {
+    errors.push(`format must be one of: ${TILE_FORMATS.join(', ')}`);
+  }
+
+  if (config.encoding !== null) {
+    if (!ELEVATION_ENCODINGS.includes(config.encoding)) {
+      errors.push(`encoding must be one of: ${ELEVATION_ENCODINGS.join(', ')}`);
+    } else if (config.format !== null && config.format !== 'png') {
+      errors.push('elevation sources must serve png tiles');
+    }
+  }
+
+  if (config.ttl !== null && (!Number.isInteger(config.ttl) || config.ttl <= 0)) {
+    errors.push('ttl must be a positive number of seconds or a duration such as "90d"');
+  }
+
+  if (config.attribution && typeof config.attribution !== 'string') {
+    errors.push('attribution must be a string');
+  }
+
+  for (const field of ['headers', 'query']) {
+    if (config[field] !== null) {
+      const valid = typeof config[field] === 'object' && !Array.isArray(config[field]) &&
+        Object.values(config[field]).every(v => typeof v === 'string');
+      if (!valid) {
+        errors.push(`${field} must be an object of string values`);
+      }
+    }
+  }
+
+  if (config.referer !== null && typeof config.referer !== 'string') {
+    errors.push('referer must be a string');
+  }
+
+  return errors;
 }
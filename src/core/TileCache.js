@@ -0,0 +1,238 @@
+/**
+ * In-memory LRU tile cache bounded by bytes
+ * Tiles are kept in partitions: sources given their own budget get a private
+ * partition, all other sources share the default one. A source's @2x tiles
+ * share its partition.
+ */
+
+const DEFAULT_PARTITION = '*';
+
+/**
+ * Partition name of a storage source ("arcgis@2x" belongs to "arcgis")
+ */
+function getPartitionName(source) {
+  const index = source.indexOf('@');
+  return index > 0 ? source.slice(0, index) : source;
+}
+
+/**
+ * Share of reads served from the cache, or null before any read
+ */
+function getHitRate(hits, misses) {
+  return hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null;
+}
+
+export class TileCache {
+  /**
+   * Create a new TileCache instance
+   * @param {object} options - Configuration options
+   * @param {number} options.maxSize - Bytes shared by sources without a partition
+   * @param {object} options.partitions - Own budgets in bytes by source ID (optional)
+   */
+  constructor(options = {}) {
+    this.partitions = new Map(); // partition name -> {maxSize, entries: Map<key, Buffer>, size}
+    this.addPartition(DEFAULT_PARTITION, options.maxSize);
+    for (const [source, maxSize] of Object.entries(options.partitions || {})) {
+      this.addPartition(source, maxSize);
+    }
+  }
+
+  /**
+   * Create an empty partition with its own byte budget
+   */
+  addPartition(name, maxSize) {
+    this.partitions.set(name, { maxSize, entries: new Map(), size: 0, hits: 0, misses: 0, evictions: 0 });
+  }
+
+  /**
+   * Get the partition holding a source's tiles
+   */
+  getPartition(source) {
+    return this.partitions.get(getPartitionName(source)) || this.partitions.get(DEFAULT_PARTITION);
+  }
+
+  /**
+   * Get a cached tile and mark it most recently used; counts a hit or a miss
+   * @param {string} source - Storage source
+   * @param {string} key - Tile key
+   * @returns {Buffer|undefined}
+   */
+  get(source, key) {
+    const partition = this.getPartition(source);
+    const data = partition.entries.get(key);
+
+    if (data === undefined) {
+      partition.misses++;
+      return undefined;
+    }
+
+    partition.hits++;
+    partition.entries.delete(key);
+    partition.entries.set(key, data);
+    return data;
+  }
+
+  /**
+   * Check if a tile is cached, marking it most recently used
+   * @param {string} source - Storage source
+   * @param {string} key - Tile key
+   * @returns {boolean}
+   */
+  has(source, key) {
+    const partition = this.getPartition(source);
+    const data = partition.entries.get(key);
+    if (data === undefined) {
+      return false;
+    }
+
+    partition.entries.delete(key);
+    partition.entries.set(key, data);
+    return true;
+  }
+
+  /**
+   * Cache a tile, evicting the least recently used tiles of its partition to make room
+   * Tiles larger than the partition's budget are not cached
+   * @param {string} source - Storage source
+   * @param {string} key - Tile key
+   * @param {Buffer} data
+   * @returns {boolean} True if the tile was cached
+   */
+  set(source, key, data) {
+    const partition = this.getPartition(source);
+    this.deleteFrom(partition, key);
+
+    if (data.length > partition.maxSize) {
+      return false;
+    }
+
+    while (partition.size + data.length > partition.maxSize) {
+      const [oldestKey] = partition.entries.keys();
+      this.deleteFrom(partition, oldestKey);
+      partition.evictions++;
+    }
+
+    partition.entries.set(key, data);
+    partition.size += data.length;
+    return true;
+  }
+
+  /**
+   * Get the byte budget of the partition holding a source's tiles
+   * @param {string} source - Storage source
+   * @returns {number}
+   */
+  getMaxSize(source) {
+    return this.getPartition(source).maxSize;
+  }
+
+  /**
+   * Remove a tile from the cache
+   * @param {string} source - Storage source
+   * @param {string} key - Tile key
+   */
+  delete(source, key) {
+    this.deleteFrom(this.getPartition(source), key);
+  }
+
+  /**
+   * Remove a tile from a partition, keeping its byte count in step
+   */
+  deleteFrom(partition, key) {
+    const data = partition.entries.get(key);
+    if (data !== undefined) {
+      partition.entries.delete(key);
+      partition.size -= data.length;
+    }
+  }
+
+  /**
+   * Remove all tiles of storage sources
+   * @param {string[]} sources - Storage sources
+   * @returns {number} Tiles removed
+   */
+  deleteSources(sources) {
+    let removed = 0;
+    for (const source of sources) {
+      const partition = this.getPartition(source);
+      const prefix = `${source}/`;
+      for (const key of partition.entries.keys()) {
+        if (key.startsWith(prefix)) {
+          this.deleteFrom(partition, key);
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove all cached tiles, or those of one source (its @2x tiles included)
+   * Counters are kept
+   * @param {string} source - Source ID (optional)
+   * @returns {{tiles: number, size: number}} What was removed
+   */
+  clear(source = null) {
+    let tiles = 0;
+    let size = 0;
+
+    for (const partition of this.partitions.values()) {
+      for (const [key, data] of partition.entries) {
+        if (source && getPartitionName(key.slice(0, key.indexOf('/'))) !== source) {
+          continue;
+        }
+        partition.entries.delete(key);
+        partition.size -= data.length;
+        tiles++;
+        size += data.length;
+      }
+    }
+
+    return { tiles, size };
+  }
+
+  /**
+   * Reset the hit, miss and eviction counters
+   */
+  resetStats() {
+    for (const partition of this.partitions.values()) {
+      partition.hits = 0;
+      partition.misses = 0;
+      partition.evictions = 0;
+    }
+  }
+
+  /**
+   * Get cache usage and counters, in total and by partition
+   * @returns {{tiles: number, size: number, maxSize: number, hits: number, misses: number,
+   *   hitRate: number|null, evictions: number, partitions: Array<object>}}
+   *   hitRate is null until the cache has been read
+   */
+  getStats() {
+    const partitions = [...this.partitions].map(([name, partition]) => ({
+      source: name === DEFAULT_PARTITION ? null : name,
+      tiles: partition.entries.size,
+      size: partition.size,
+      maxSize: partition.maxSize,
+      hits: partition.hits,
+      misses: partition.misses,
+      hitRate: getHitRate(partition.hits, partition.misses),
+      evictions: partition.evictions
+    }));
+
+    const total = (field) => partitions.reduce((sum, partition) => sum + partition[field], 0);
+    const hits = total('hits');
+    const misses = total('misses');
+
+    return {
+      tiles: total('tiles'),
+      size: total('size'),
+      maxSize: total('maxSize'),
+      hits,
+      misses,
+      hitRate: getHitRate(hits, misses),
+      evictions: total('evictions'),
+      partitions
+    };
+  }
+}
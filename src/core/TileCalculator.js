@@ -20,6 +20,27 @@ export function latLngToTile(lat, lng, zoom) {
   return { x, y, z: zoom };
 }
 
+/**
+ * Get the pixel within a tile that covers a latitude/longitude
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {{x: number, y: number, z: number}} tile - Tile containing the point (see latLngToTile)
+ * @param {number} tileSize - Tile size in pixels (default: 256)
+ * @returns {{px: number, py: number}} Pixel column and row, clamped to the tile
+ */
+export function getPixelOffset(lat, lng, tile, tileSize = 256) {
+  const n = Math.pow(2, tile.z);
+  const latRad = lat * Math.PI / 180;
+  const worldX = (lng + 180) / 360 * n;
+  const worldY = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n;
+
+  const clamp = value => Math.min(tileSize - 1, Math.max(0, value));
+  return {
+    px: clamp(Math.floor((worldX - tile.x) * tileSize)),
+    py: clamp(Math.floor((worldY - tile.y) * tileSize))
+  };
+}
+
 /**
  * Convert tile coordinates to latitude/longitude (top-left corner)
  * @param {number} x - Tile X coordinate
@@ -36,41 +57,464 @@ export function tileToLatLng(x, y, z) {
   return { lat, lng };
 }
 
+/**
+ * Half the circumference of the earth in EPSG:3857 metres
+ */
+export const MERCATOR_EXTENT = 20037508.342789244;
+
+/**
+ * Project latitude/longitude to EPSG:3857
+ * @param {number} lat - Latitude in degrees (-85.0511 to 85.0511)
+ * @param {number} lng - Longitude in degrees
+ * @returns {{x: number, y: number}} Coordinates in metres
+ */
+export function latLngToMercator(lat, lng) {
+  const latRad = lat * Math.PI / 180;
+
+  return {
+    x: lng / 180 * MERCATOR_EXTENT,
+    y: Math.log(Math.tan(Math.PI / 4 + latRad / 2)) / Math.PI * MERCATOR_EXTENT
+  };
+}
+
+/**
+ * Get the EPSG:3857 bounding box of a tile
+ * @param {number} x - Tile X coordinate
+ * @param {number} y - Tile Y coordinate
+ * @param {number} z - Zoom level
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Bounds in metres
+ */
+export function tileToMercatorBBox(x, y, z) {
+  const tileSpan = (2 * MERCATOR_EXTENT) / Math.pow(2, z);
+
+  return {
+    minX: -MERCATOR_EXTENT + x * tileSpan,
+    minY: MERCATOR_EXTENT - (y + 1) * tileSpan,
+    maxX: -MERCATOR_EXTENT + (x + 1) * tileSpan,
+    maxY: MERCATOR_EXTENT - y * tileSpan
+  };
+}
+
+/**
+ * Convert tile coordinates to a Bing Maps quadkey
+ * @param {number} x - Tile X coordinate
+ * @param {number} y - Tile Y coordinate
+ * @param {number} z - Zoom level
+ * @returns {string} Quadkey (empty string at zoom 0)
+ */
+export function tileToQuadkey(x, y, z) {
+  let quadkey = '';
+  for (let i = z; i > 0; i--) {
+    const mask = 1 << (i - 1);
+    let digit = 0;
+    if (x & mask) digit += 1;
+    if (y & mask) digit += 2;
+    quadkey += digit;
+  }
+  return quadkey;
+}
+
+/**
+ * Convert tile coordinates to a PMTiles tile ID
+ * IDs count all tiles of lower zoom levels, then follow a Hilbert curve within the
+ * zoom level, so sorting by ID keeps neighbouring tiles close together
+ * @param {number} x - Tile X coordinate
+ * @param {number} y - Tile Y coordinate
+ * @param {number} z - Zoom level
+ * @returns {number}
+ */
+export function tileToHilbertId(x, y, z) {
+  let id = (Math.pow(4, z) - 1) / 3;
+  let tx = x;
+  let ty = y;
+
+  for (let s = Math.pow(2, z - 1); s >= 1; s /= 2) {
+    const rx = (tx & s) > 0 ? 1 : 0;
+    const ry = (ty & s) > 0 ? 1 : 0;
+    id += s * s * ((3 * rx) ^ ry);
+
+    // Rotate the quadrant so the curve stays continuous
+    if (ry === 0) {
+      if (rx === 1) {
+        tx = s - 1 - tx;
+        ty = s - 1 - ty;
+      }
+      [tx, ty] = [ty, tx];
+    }
+  }
+
+  return id;
+}
+
+/**
+ * Flip a tile row between XYZ (top origin) and TMS (bottom origin)
+ * @param {number} y - Tile Y coordinate
+ * @param {number} z - Zoom level
+ * @returns {number}
+ */
+export function flipY(y, z) {
+  return Math.pow(2, z) - 1 - y;
+}
+
+/**
+ * Check if bounds cross the antimeridian (180° meridian), running east from west past 180°
+ * @param {{north: number, south: number, east: number, west: number}} bounds
+ * @returns {boolean}
+ */
+export function crossesAntimeridian(bounds) {
+  return bounds.west > bounds.east;
+}
+
+/**
+ * Split bounds crossing the antimeridian into the parts west and east of it
+ * @param {{north: number, south: number, east: number, west: number}} bounds
+ * @returns {Array<{north: number, south: number, east: number, west: number}>} One or two bounds with west <= east
+ */
+export function splitBounds(bounds) {
+  if (!crossesAntimeridian(bounds)) {
+    return [bounds];
+  }
+  return [{ ...bounds, east: 180 }, { ...bounds, west: -180 }];
+}
+
+/**
+ * Get the longitudes spanned by a set of longitude intervals
+ * The span leaves out the widest gap between the intervals, which may be the one
+ * across the antimeridian (the usual case) or one between two intervals; then the
+ * span crosses the antimeridian (west > east)
+ * @param {Array<number[]>} intervals - [west, east] intervals with west <= east, within ±180°
+ * @returns {{west: number, east: number}}
+ */
+export function getLongitudeSpan(intervals) {
+  const merged = [];
+  for (const interval of [...intervals].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+
+  let west = merged[0][0];
+  let east = merged[merged.length - 1][1];
+  let widestGap = west + 360 - east;
+  for (let i = 1; i < merged.length; i++) {
+    const gap = merged[i][0] - merged[i - 1][1];
+    if (gap > widestGap) {
+      widestGap = gap;
+      west = merged[i][0];
+      east = merged[i - 1][1];
+    }
+  }
+
+  return { west, east };
+}
+
+/**
+ * Get the centre of bounds, on the antimeridian side for bounds crossing it
+ * @param {{north: number, south: number, east: number, west: number}} bounds
+ * @returns {{lat: number, lng: number}}
+ */
+export function getBoundsCenter(bounds) {
+  const east = crossesAntimeridian(bounds) ? bounds.east + 360 : bounds.east;
+  const lng = (bounds.west + east) / 2;
+
+  return {
+    lat: (bounds.north + bounds.south) / 2,
+    lng: lng > 180 ? lng - 360 : lng
+  };
+}
+
 /**
  * Get tile bounds for a geographic bounding box
+ * For bounds crossing the antimeridian minX is the western column and maxX the
+ * eastern one, so minX > maxX: the range wraps around (see getTileRanges)
  * @param {{north: number, south: number, east: number, west: number}} bounds
  * @param {number} zoom - Zoom level
  * @returns {{minX: number, maxX: number, minY: number, maxY: number, z: number}}
  */
 export function getTileBounds(bounds, zoom) {
+  const maxTile = Math.pow(2, zoom) - 1;
+  const clamp = value => Math.max(0, Math.min(maxTile, value));
   const nwTile = latLngToTile(bounds.north, bounds.west, zoom);
   const seTile = latLngToTile(bounds.south, bounds.east, zoom);
 
+  let minX = clamp(nwTile.x);
+  let maxX = clamp(seTile.x);
+
+  // Crossing bounds whose ends share a column cover the whole row
+  if (crossesAntimeridian(bounds) && minX <= maxX) {
+    minX = 0;
+    maxX = maxTile;
+  }
+
   return {
-    minX: Math.min(nwTile.x, seTile.x),
-    maxX: Math.max(nwTile.x, seTile.x),
-    minY: Math.min(nwTile.y, seTile.y),
-    maxY: Math.max(nwTile.y, seTile.y),
+    minX,
+    maxX,
+    minY: clamp(Math.min(nwTile.y, seTile.y)),
+    maxY: clamp(Math.max(nwTile.y, seTile.y)),
     z: zoom
   };
 }
 
+/**
+ * Get the column range of the tiles stored at a zoom level
+ * Like getTileBounds, tiles on both sides of the antimeridian (e.g. columns 0-1 and
+ * 253-255 at zoom 8) give minX > maxX, a range that wraps around
+ * @param {Iterable<number>} columns - Columns holding tiles, in ascending order
+ * @param {number} zoom - Zoom level
+ * @returns {{minX: number, maxX: number}|null} null without columns
+ */
+export function getColumnRange(columns, zoom) {
+  let first = null;
+  let last = null;
+  let widestGap = null;
+
+  for (const x of columns) {
+    if (first === null) {
+      first = x;
+    } else if (x - last - 1 > (widestGap ? widestGap.size : 0)) {
+      widestGap = { size: x - last - 1, minX: x, maxX: last };
+    }
+    last = x;
+  }
+
+  if (first === null) {
+    return null;
+  }
+
+  // Wrap around when that leaves out more columns than the gap across the antimeridian
+  if (widestGap && widestGap.size > Math.pow(2, zoom) - 1 - last + first) {
+    return { minX: widestGap.minX, maxX: widestGap.maxX };
+  }
+  return { minX: first, maxX: last };
+}
+
+/**
+ * Check whether a column range may need to wrap around the antimeridian
+ * A range spanning at most half the columns already leaves out the widest gap
+ * @param {{z: number, minX: number, maxX: number}} range - Plain (minX <= maxX) column range
+ * @returns {boolean}
+ */
+export function mayWrapColumns(range) {
+  return range.maxX - range.minX + 1 > Math.pow(2, range.z) / 2;
+}
+
+/**
+ * Get the geographic bounds covered by tile ranges
+ * Ranges wrapping around the antimeridian (minX > maxX) give bounds crossing it,
+ * and so do ranges of several zoom levels that lie on both sides of it
+ * @param {Array<{z: number, minX: number, maxX: number, minY: number, maxY: number}>} ranges - Tile ranges (XYZ scheme)
+ * @returns {{north: number, south: number, east: number, west: number}}
+ */
+export function getRangesBounds(ranges) {
+  let north = -90;
+  let south = 90;
+  const intervals = [];
+
+  for (const { z, minX, maxX, minY, maxY } of ranges) {
+    north = Math.max(north, tileToLatLng(0, minY, z).lat);
+    south = Math.min(south, tileToLatLng(0, maxY + 1, z).lat);
+
+    const spans = minX > maxX ? [[minX, Math.pow(2, z) - 1], [0, maxX]] : [[minX, maxX]];
+    for (const [first, last] of spans) {
+      intervals.push([tileToLatLng(first, 0, z).lng, tileToLatLng(last + 1, 0, z).lng]);
+    }
+  }
+
+  return { north, south, ...getLongitudeSpan(intervals) };
+}
+
+/**
+ * Project a polygon's rings to fractional tile coordinates at a zoom level
+ * @returns {Array<Array<number[]>>} Rings of [x, y] points
+ */
+function projectRings(polygon, zoom) {
+  const n = Math.pow(2, zoom);
+
+  return polygon.map(ring => ring.map(([lng, lat]) => {
+    const latRad = Math.max(-85.051129, Math.min(85.051129, lat)) * Math.PI / 180;
+    return [
+      (lng + 180) / 360 * n,
+      (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n
+    ];
+  }));
+}
+
+/**
+ * Get the column spans of a tile row that a polygon intersects
+ * A tile intersects the polygon if an edge passes through it, or if it lies
+ * inside the polygon, which the row's centre line tells (even-odd rule, so holes
+ * are left out)
+ * @returns {Array<number[]>} [minX, maxX] column spans, possibly overlapping
+ */
+function getRowSpans(rings, y, n) {
+  const intervals = [];
+  const crossings = [];
+  const centre = y + 0.5;
+
+  for (const ring of rings) {
+    for (let i = 1; i < ring.length; i++) {
+      const [ax, ay] = ring[i - 1];
+      const [bx, by] = ring[i];
+
+      // Edges along a row boundary touch the tiles without entering them
+      const entersRow = ay === by
+        ? ay > y && ay < y + 1
+        : Math.max(ay, by) > y && Math.min(ay, by) < y + 1;
+
+      if (entersRow) {
+        // Clip the edge to the row
+        const clip = value => ax + (bx - ax) * (value - ay) / (by - ay);
+        const xs = [ax, bx];
+        if (Math.min(ay, by) < y) xs[ay < by ? 0 : 1] = clip(y);
+        if (Math.max(ay, by) > y + 1) xs[ay > by ? 0 : 1] = clip(y + 1);
+        intervals.push([Math.min(...xs), Math.max(...xs)]);
+      }
+
+      if ((ay > centre) !== (by > centre)) {
+        crossings.push(ax + (bx - ax) * (centre - ay) / (by - ay));
+      }
+    }
+  }
+
+  crossings.sort((a, b) => a - b);
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    intervals.push([crossings[i], crossings[i + 1]]);
+  }
+
+  // Columns touched only on their edge are left out
+  return intervals
+    .filter(([from, to]) => from !== to || !Number.isInteger(from))
+    .map(([from, to]) => {
+      const minX = Math.max(0, Math.floor(from));
+      return [minX, Math.min(n - 1, Math.max(minX, Math.ceil(to) - 1))];
+    })
+    .filter(([minX, maxX]) => minX <= maxX);
+}
+
+/**
+ * Sort column spans and merge those that overlap or touch
+ */
+function mergeSpans(spans) {
+  const merged = [];
+  for (const span of spans.sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && span[0] <= last[1] + 1) {
+      last[1] = Math.max(last[1], span[1]);
+    } else {
+      merged.push([...span]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Get the tile ranges a geometry intersects at a zoom level
+ * Each polygon is covered on its own, so overlapping polygons add up instead of
+ * cancelling out; rows with the same column spans are merged into one range
+ * @param {{type: 'MultiPolygon', coordinates: Array}} geometry - Normalized geometry (see utils/geojson.js)
+ * @param {number} zoom - Zoom level
+ * @returns {Array<{minX: number, maxX: number, minY: number, maxY: number, z: number}>}
+ */
+export function getGeometryTileRanges(geometry, zoom) {
+  const n = Math.pow(2, zoom);
+  const rows = new Map(); // y -> column spans of all polygons
+
+  for (const polygon of geometry.coordinates) {
+    const rings = projectRings(polygon, zoom);
+
+    // Holes lie inside the outer ring
+    let top = Infinity;
+    let bottom = -Infinity;
+    for (const [, y] of rings[0]) {
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+    }
+
+    const lastRow = Math.min(n - 1, Math.ceil(bottom) - 1);
+    for (let y = Math.max(0, Math.floor(top)); y <= lastRow; y++) {
+      const spans = getRowSpans(rings, y, n);
+      if (spans.length > 0) {
+        rows.set(y, (rows.get(y) || []).concat(spans));
+      }
+    }
+  }
+
+  const ranges = [];
+  let open = new Map(); // "minX:maxX" -> range still growing downwards
+
+  for (const y of [...rows.keys()].sort((a, b) => a - b)) {
+    const next = new Map();
+    for (const [minX, maxX] of mergeSpans(rows.get(y))) {
+      const key = `${minX}:${maxX}`;
+      let range = open.get(key);
+      if (range && range.maxY === y - 1) {
+        range.maxY = y;
+      } else {
+        range = { minX, maxX, minY: y, maxY: y, z: zoom };
+        ranges.push(range);
+      }
+      next.set(key, range);
+    }
+    open = next;
+  }
+
+  return ranges;
+}
+
+/**
+ * Get the tile ranges covering an area at a zoom level
+ * Bounds crossing the antimeridian give one range on each side of it
+ * @param {{north: number, south: number, east: number, west: number}} bounds
+ * @param {number} zoom - Zoom level
+ * @param {object} geometry - Normalized geometry; only the tiles it intersects are
+ *   selected, within the bounds (optional)
+ * @returns {Array<{minX: number, maxX: number, minY: number, maxY: number, z: number}>}
+ */
+export function getTileRanges(bounds, zoom, geometry = null) {
+  const tileBounds = getTileBounds(bounds, zoom);
+  const ranges = tileBounds.minX > tileBounds.maxX
+    ? [
+        { ...tileBounds, maxX: Math.pow(2, zoom) - 1 },
+        { ...tileBounds, minX: 0 }
+      ]
+    : [tileBounds];
+
+  if (!geometry) {
+    return ranges;
+  }
+
+  const geometryRanges = getGeometryTileRanges(geometry, zoom);
+  return ranges.flatMap(boundsRange => geometryRanges
+    .map(range => ({
+      minX: Math.max(range.minX, boundsRange.minX),
+      maxX: Math.min(range.maxX, boundsRange.maxX),
+      minY: Math.max(range.minY, boundsRange.minY),
+      maxY: Math.min(range.maxY, boundsRange.maxY),
+      z: zoom
+    }))
+    .filter(range => range.minX <= range.maxX && range.minY <= range.maxY));
+}
+
 /**
  * Generate list of tile coordinates for a bounding box and zoom range
  * @param {{north: number, south: number, east: number, west: number}} bounds
  * @param {number} minZoom
  * @param {number} maxZoom
+ * @param {object} geometry - Only list tiles intersecting this normalized geometry (optional)
  * @returns {Array<{x: number, y: number, z: number}>}
  */
-export function getTileList(bounds, minZoom, maxZoom) {
+export function getTileList(bounds, minZoom, maxZoom, geometry = null) {
   const tiles = [];
 
   for (let z = minZoom; z <= maxZoom; z++) {
-    const tileBounds = getTileBounds(bounds, z);
-
-    for (let x = tileBounds.minX; x <= tileBounds.maxX; x++) {
-      for (let y = tileBounds.minY; y <= tileBounds.maxY; y++) {
-        tiles.push({ x, y, z });
+    for (const tileBounds of getTileRanges(bounds, z, geometry)) {
+      for (let x = tileBounds.minX; x <= tileBounds.maxX; x++) {
+        for (let y = tileBounds.minY; y <= tileBounds.maxY; y++) {
+          tiles.push({ x, y, z });
+        }
       }
     }
   }
@@ -83,21 +527,35 @@ export function getTileList(bounds, minZoom, maxZoom) {
  * @param {{north: number, south: number, east: number, west: number}} bounds
  * @param {number} minZoom
  * @param {number} maxZoom
+ * @param {object} geometry - Only count tiles intersecting this normalized geometry (optional)
  * @returns {number}
  */
-export function calculateTileCount(bounds, minZoom, maxZoom) {
+export function calculateTileCount(bounds, minZoom, maxZoom, geometry = null) {
   let count = 0;
 
   for (let z = minZoom; z <= maxZoom; z++) {
-    const tileBounds = getTileBounds(bounds, z);
-    const width = tileBounds.maxX - tileBounds.minX + 1;
-    const height = tileBounds.maxY - tileBounds.minY + 1;
-    count += width * height;
+    for (const tileBounds of getTileRanges(bounds, z, geometry)) {
+      const width = tileBounds.maxX - tileBounds.minX + 1;
+      const height = tileBounds.maxY - tileBounds.minY + 1;
+      count += width * height;
+    }
   }
 
   return count;
 }
 
+/**
+ * Get the pixel area of a tile relative to a standard 256px tile
+ * Every tile size shares the XYZ grid, so tile counts are the same for any size;
+ * only the data per tile grows (a 512px or @2x tile holds four times the pixels)
+ * @param {number} tileSize - Tile size in pixels (default: 256)
+ * @param {number} scale - Pixel ratio (default: 1)
+ * @returns {number}
+ */
+export function getTileAreaFactor(tileSize = 256, scale = 1) {
+  return Math.pow((tileSize * scale) / 256, 2);
+}
+
 /**
  * Validate tile coordinates
  * @param {number} x - Tile X coordinate
@@ -114,6 +572,7 @@ export function isValidTile(x, y, z) {
 
 /**
  * Validate geographic bounds
+ * West may be greater than east for bounds crossing the antimeridian
  * @param {{north: number, south: number, east: number, west: number}} bounds
  * @returns {boolean}
  */
@@ -6,28 +6,91 @@
 import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { createLogger } from '../utils/logger.js';
+import { detectTileFormat } from '../utils/tileFormat.js';
+import { getColumnRange, getTileRanges, mayWrapColumns, tileToHilbertId } from './TileCalculator.js';
+import { getStorageSource } from '../config/sources.js';
 import { defaults } from '../config/defaults.js';
+import { getSchemaVersion, getPendingMigrations } from './migrations.js';
+import { TileCache } from './TileCache.js';
+import { parseSize } from '../utils/size.js';
+
+/**
+ * Storage quota eviction policies: 'none' never evicts (downloads pause instead),
+ * 'lru' evicts the least recently served tiles, 'oldest' the least recently
+ * downloaded and 'zoom' the most detailed zoom level first
+ */
+export const EVICTION_POLICIES = ['none', 'lru', 'oldest', 'zoom'];
+
+const EVICTION_ORDER = {
+  lru: 'COALESCE(t.lastAccess, t.timestamp)',
+  oldest: 't.timestamp',
+  zoom: 't.z DESC, COALESCE(t.lastAccess, t.timestamp)'
+};
+
+/**
+ * Scope of the global quota (not a valid source ID)
+ */
+const GLOBAL_QUOTA = '*';
+
+const EVICTION_BATCH_SIZE = 256;
+const ACCESS_FLUSH_SIZE = 500;
+
+/**
+ * Content hash identifying a tile blob
+ * @param {Buffer} data
+ * @returns {Buffer} SHA-256 digest
+ */
+function hashTileData(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+/**
+ * Decode the JSON columns of a download job row
+ */
+function parseJob(job) {
+  return {
+    ...job,
+    bounds: JSON.parse(job.bounds),
+    geometry: job.geometry ? JSON.parse(job.geometry) : null
+  };
+}
 
 export class TileDatabase {
   /**
    * Create a new TileDatabase instance
    * @param {object} options - Configuration options
    * @param {string} options.dbPath - Path to SQLite database file
-   * @param {number} options.cacheSize - Maximum number of tiles to cache in memory
+   * @param {number|string} options.cacheMaxSize - Bytes of tiles to keep in memory, or a size
+   *   such as "256MB" (default: 64MB)
+   * @param {object} options.cachePartitions - Own cache budgets by source ID, e.g. {arcgis: "32MB"};
+   *   other sources share cacheMaxSize (optional)
    * @param {string} options.logLevel - Log level ('error' | 'warn' | 'info' | 'debug')
+   * @param {boolean} options.backupOnMigrate - Copy an existing database file before
+   *   upgrading its schema (default: true)
    */
   constructor(options = {}) {
     const config = {
       dbPath: options.dbPath || defaults.dbPath,
-      cacheSize: options.cacheSize || defaults.cacheSize,
-      logLevel: options.logLevel || defaults.logLevel
+      cacheMaxSize: options.cacheMaxSize ?? defaults.cacheMaxSize,
+      cachePartitions: options.cachePartitions || {},
+      logLevel: options.logLevel || defaults.logLevel,
+      backupOnMigrate: options.backupOnMigrate ?? defaults.backupOnMigrate
     };
 
     this.dbPath = config.dbPath;
+    this.backupOnMigrate = config.backupOnMigrate;
     this.db = null;
-    this.cache = new Map(); // In-memory LRU cache
-    this.maxCacheSize = config.cacheSize;
+    this.cache = new TileCache({
+      maxSize: parseSize(config.cacheMaxSize),
+      partitions: Object.fromEntries(
+        Object.entries(config.cachePartitions).map(([source, size]) => [source, parseSize(size)])
+      )
+    });
+    this.sourceFormats = new Map(); // source -> recorded tile format
+    this.pendingAccess = new Map(); // cache key -> [lastAccess, z, x, y, source], flushed in batches
+    this.quotaUsage = new Map(); // quota scope -> {tileCount, size}, computed on demand
     this.logger = createLogger(config.logLevel);
 
     this.init();
@@ -46,49 +109,148 @@ export class TileDatabase {
     // Open database
     this.db = new Database(this.dbPath);
     this.db.pragma('journal_mode = WAL'); // Write-Ahead Logging for better concurrency
+    this.db.function('tile_id', { deterministic: true }, (z, x, y) => tileToHilbertId(x, y, z));
+    this.db.function('tile_hash', { deterministic: true }, data => hashTileData(data));
+
+    // Create or upgrade the schema
+    this.migration = this.migrate();
+
+    this.logger.info('Database initialized:', this.dbPath);
+
+    // Prepare statements for better performance
+    this.prepareStatements();
+
+    for (const row of this.statements.getSourceFormats.all()) {
+      this.sourceFormats.set(row.source, row.format);
+    }
+  }
+
+  /**
+   * Apply the schema migrations the database still needs
+   * Each migration runs in a transaction together with its PRAGMA user_version bump,
+   * so a failed step leaves the database at the previous version
+   * @returns {{from: number, to: number, applied: Array<{version: number, description: string}>,
+   *   backupPath: string|null}|null} What was migrated, or null if the schema was current
+   * @throws {Error} If the database was written by a newer TileForge version
+   */
+  migrate() {
+    const from = getSchemaVersion(this.db);
+    const pending = getPendingMigrations(from);
+    if (pending.length === 0) {
+      return null;
+    }
+
+    // New databases have nothing to lose
+    const hasTables = this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table'").get() !== undefined;
+    const backupPath = hasTables && this.backupOnMigrate ? this.backupDatabase(from) : null;
+
+    const applied = [];
+    for (const migration of pending) {
+      this.logger.debug(`Applying migration ${migration.version}: ${migration.description}`);
+      this.db.transaction(() => {
+        migration.up(this);
+        this.db.pragma(`user_version = ${migration.version}`);
+      })();
+      applied.push({ version: migration.version, description: migration.description });
+    }
+
+    const to = pending[pending.length - 1].version;
+    if (hasTables) {
+      this.logger.info(`Database migrated from schema version ${from} to ${to}`);
+    }
+
+    return { from, to, applied, backupPath };
+  }
+
+  /**
+   * Copy the database next to itself before migrating it
+   * @param {number} version - Current schema version, recorded in the file name
+   * @returns {string} Backup file path
+   */
+  backupDatabase(version) {
+    const backupPath = `${this.dbPath}.v${version}-${Date.now()}.bak`;
+    this.db.prepare('VACUUM INTO ?').run(backupPath);
+    this.logger.info(`Database backed up to ${backupPath}`);
+    return backupPath;
+  }
+
+  /**
+   * Move tile data from the tiles table into content-addressed tile_blobs
+   * Used by the migration for databases created before deduplication; identical
+   * tiles collapse into one blob. Must run inside a transaction
+   */
+  migrateTileBlobs() {
+    const { count } = this.db.prepare('SELECT COUNT(*) as count FROM tiles').get();
 
-    // Create tiles table if it doesn't exist
     this.db.exec(`
-      CREATE TABLE IF NOT EXISTS tiles (
+      ALTER TABLE tiles RENAME TO tiles_legacy;
+      DROP INDEX IF EXISTS idx_tiles_lookup;
+
+      CREATE TABLE tiles (
         z INTEGER NOT NULL,
         x INTEGER NOT NULL,
         y INTEGER NOT NULL,
         source TEXT NOT NULL,
         timestamp INTEGER NOT NULL,
-        data BLOB NOT NULL,
+        hash BLOB NOT NULL,
         PRIMARY KEY (z, x, y, source)
-      )
-    `);
+      );
 
-    // Create index for faster lookups
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_tiles_lookup
-      ON tiles(source, z, x, y)
+      INSERT OR IGNORE INTO tile_blobs (hash, size, data)
+      SELECT tile_hash(data), LENGTH(data), data FROM tiles_legacy;
+
+      INSERT INTO tiles (z, x, y, source, timestamp, hash)
+      SELECT z, x, y, source, timestamp, tile_hash(data) FROM tiles_legacy;
+
+      DROP TABLE tiles_legacy;
     `);
 
-    // Create download jobs table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS download_jobs (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        source TEXT NOT NULL,
-        bounds TEXT NOT NULL,
-        minZoom INTEGER NOT NULL,
-        maxZoom INTEGER NOT NULL,
-        totalTiles INTEGER NOT NULL,
-        downloadedTiles INTEGER DEFAULT 0,
-        status TEXT DEFAULT 'pending',
-        country TEXT DEFAULT NULL,
-        city TEXT DEFAULT NULL,
-        createdAt INTEGER NOT NULL,
-        updatedAt INTEGER NOT NULL
-      )
+    if (count > 0) {
+      const { blobs } = this.db.prepare('SELECT COUNT(*) as blobs FROM tile_blobs').get();
+      this.logger.info(`Migrated ${count} tiles into ${blobs} unique blobs (run VACUUM to reclaim the freed space)`);
+    }
+  }
+
+  /**
+   * Give jobs created before tile ownership was recorded the cached tiles inside their area
+   * Overlapping jobs both own the tiles they share, so deleting either keeps them
+   */
+  backfillJobTiles() {
+    const jobs = this.db.prepare('SELECT id, source, bounds, minZoom, maxZoom, scale FROM download_jobs').all();
+    if (jobs.length === 0) {
+      return;
+    }
+
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO job_tiles (job_id, source, z, x, y)
+      SELECT ?, source, z, x, y FROM tiles
+      WHERE source = ? AND z = ? AND x >= ? AND x <= ? AND y >= ? AND y <= ?
     `);
 
-    this.logger.info('Database initialized:', this.dbPath);
+    this.db.transaction(() => {
+      for (const job of jobs) {
+        const source = getStorageSource(job.source, job.scale);
+        for (const range of this.getTileRanges(JSON.parse(job.bounds), job.minZoom, job.maxZoom)) {
+          insert.run(job.id, source, range.z, range.minX, range.maxX, range.minY, range.maxY);
+        }
+      }
+    })();
 
-    // Prepare statements for better performance
-    this.prepareStatements();
+    this.logger.info(`Recorded tile ownership for ${jobs.length} existing jobs`);
+  }
+
+  /**
+   * Add a column to an existing table if it is missing
+   * Used by migrations, which may meet databases that already have the column
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints
+   */
+  ensureColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
   }
 
   /**
@@ -96,37 +258,177 @@ export class TileDatabase {
    */
   prepareStatements() {
     this.statements = {
-      getTile: this.db.prepare('SELECT data FROM tiles WHERE z = ? AND x = ? AND y = ? AND source = ?'),
+      getTile: this.db.prepare(`
+        SELECT b.data FROM tiles t
+        JOIN tile_blobs b ON b.hash = t.hash
+        WHERE t.z = ? AND t.x = ? AND t.y = ? AND t.source = ?
+      `),
       hasTile: this.db.prepare('SELECT 1 FROM tiles WHERE z = ? AND x = ? AND y = ? AND source = ? LIMIT 1'),
+      getTileInfo: this.db.prepare('SELECT timestamp, etag, lastModified FROM tiles WHERE z = ? AND x = ? AND y = ? AND source = ?'),
+      insertBlob: this.db.prepare('INSERT OR IGNORE INTO tile_blobs (hash, size, data) VALUES (?, ?, ?)'),
+      getCurrentVersion: this.db.prepare(`
+        SELECT hash, COALESCE(capturedAt, timestamp) as capturedAt, jobId FROM tiles
+        WHERE z = ? AND x = ? AND y = ? AND source = ?
+      `),
+      // Unchanged contents keep the time and job that first downloaded them
       insertTile: this.db.prepare(`
-        INSERT OR REPLACE INTO tiles (z, x, y, source, timestamp, data)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO tiles (z, x, y, source, timestamp, hash, etag, lastModified, capturedAt, jobId)
+        VALUES (@z, @x, @y, @source, @timestamp, @hash, @etag, @lastModified, @timestamp, @jobId)
+        ON CONFLICT(z, x, y, source) DO UPDATE SET
+          timestamp = excluded.timestamp,
+          hash = excluded.hash,
+          etag = excluded.etag,
+          lastModified = excluded.lastModified,
+          capturedAt = CASE WHEN tiles.hash = excluded.hash
+            THEN COALESCE(tiles.capturedAt, tiles.timestamp) ELSE excluded.capturedAt END,
+          jobId = CASE WHEN tiles.hash = excluded.hash
+            THEN COALESCE(tiles.jobId, excluded.jobId) ELSE excluded.jobId END
+      `),
+      archiveTileVersion: this.db.prepare(`
+        INSERT OR IGNORE INTO tile_versions (source, z, x, y, capturedAt, hash, jobId)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `),
+      getTileAt: this.db.prepare(`
+        SELECT b.data, v.capturedAt FROM (
+          SELECT hash, COALESCE(capturedAt, timestamp) as capturedAt FROM tiles
+          WHERE z = @z AND x = @x AND y = @y AND source = @source
+          UNION ALL
+          SELECT hash, capturedAt FROM tile_versions
+          WHERE source = @source AND z = @z AND x = @x AND y = @y
+        ) v
+        JOIN tile_blobs b ON b.hash = v.hash
+        WHERE v.capturedAt <= @at
+        ORDER BY v.capturedAt DESC
+        LIMIT 1
+      `),
+      touchTile: this.db.prepare(`
+        UPDATE tiles SET timestamp = ?, etag = COALESCE(?, etag), lastModified = COALESCE(?, lastModified)
+        WHERE z = ? AND x = ? AND y = ? AND source = ?
       `),
       deleteTile: this.db.prepare('DELETE FROM tiles WHERE z = ? AND x = ? AND y = ? AND source = ?'),
-      deleteTilesByJob: this.db.prepare(`
-        DELETE FROM tiles
+      updateTileAccess: this.db.prepare('UPDATE tiles SET lastAccess = ? WHERE z = ? AND x = ? AND y = ? AND source = ?'),
+
+      // Job tile ownership statements
+      addJobTile: this.db.prepare('INSERT OR IGNORE INTO job_tiles (job_id, source, z, x, y) VALUES (?, ?, ?, ?, ?)'),
+      hasJobTile: this.db.prepare('SELECT 1 FROM job_tiles WHERE job_id = ? AND source = ? AND z = ? AND x = ? AND y = ?'),
+      getJobTileSources: this.db.prepare('SELECT DISTINCT source FROM job_tiles WHERE job_id = ?'),
+      countSharedJobTiles: this.db.prepare(`
+        SELECT COUNT(*) as count FROM job_tiles jt
+        JOIN tiles t ON t.source = jt.source AND t.z = jt.z AND t.x = jt.x AND t.y = jt.y
+        WHERE jt.job_id = ?
+        AND EXISTS (
+          SELECT 1 FROM job_tiles o
+          WHERE o.source = jt.source AND o.z = jt.z AND o.x = jt.x AND o.y = jt.y AND o.job_id != jt.job_id
+        )
+      `),
+      deleteUnsharedJobTiles: this.db.prepare(`
+        DELETE FROM tiles WHERE rowid IN (
+          SELECT t.rowid FROM job_tiles jt
+          JOIN tiles t ON t.source = jt.source AND t.z = jt.z AND t.x = jt.x AND t.y = jt.y
+          WHERE jt.job_id = ?
+          AND NOT EXISTS (
+            SELECT 1 FROM job_tiles o
+            WHERE o.source = jt.source AND o.z = jt.z AND o.x = jt.x AND o.y = jt.y AND o.job_id != jt.job_id
+          )
+        )
+      `),
+      deleteJobTiles: this.db.prepare('DELETE FROM job_tiles WHERE job_id = ?'),
+      deleteTileOwners: this.db.prepare('DELETE FROM job_tiles WHERE source = ? AND z = ? AND x = ? AND y = ?'),
+      getTileCount: this.db.prepare('SELECT COUNT(*) as count FROM tiles WHERE source = ?'),
+      iterateTilesInRange: this.db.prepare(`
+        SELECT t.z, t.x, t.y, b.data FROM tiles t
+        JOIN tile_blobs b ON b.hash = t.hash
+        WHERE t.source = ?
+        AND t.z >= ? AND t.z <= ?
+        AND t.x >= ? AND t.x <= ?
+        AND t.y >= ? AND t.y <= ?
+        ORDER BY t.z, t.x, t.y
+      `),
+      iterateTilesInRangeByTileId: this.db.prepare(`
+        SELECT t.z, t.x, t.y, b.data FROM tiles t
+        JOIN tile_blobs b ON b.hash = t.hash
+        WHERE t.source = ?
+        AND t.z >= ? AND t.z <= ?
+        AND t.x >= ? AND t.x <= ?
+        AND t.y >= ? AND t.y <= ?
+        ORDER BY tile_id(t.z, t.x, t.y)
+      `),
+      listStaleTilesInRange: this.db.prepare(`
+        SELECT z, x, y FROM tiles
         WHERE source = ?
         AND z >= ? AND z <= ?
         AND x >= ? AND x <= ?
         AND y >= ? AND y <= ?
+        AND timestamp < ?
+        ORDER BY z, x, y
       `),
-      getTileCount: this.db.prepare('SELECT COUNT(*) as count FROM tiles WHERE source = ?'),
+      countTilesInRange: this.db.prepare(`
+        SELECT COUNT(*) as count FROM tiles
+        WHERE source = ?
+        AND z >= ? AND z <= ?
+        AND x >= ? AND x <= ?
+        AND y >= ? AND y <= ?
+      `),
+      getTileExtent: this.db.prepare(`
+        SELECT z, MIN(x) as minX, MAX(x) as maxX, MIN(y) as minY, MAX(y) as maxY
+        FROM tiles
+        WHERE source = ? AND z >= ? AND z <= ?
+        GROUP BY z
+        ORDER BY z
+      `),
+      getTileColumns: this.db.prepare('SELECT DISTINCT x FROM tiles WHERE source = ? AND z = ? ORDER BY x').pluck(),
       getAllTileCount: this.db.prepare('SELECT COUNT(*) as count FROM tiles'),
       getSourceStats: this.db.prepare(`
+        WITH source_blobs AS (
+          SELECT s.source, COUNT(*) as uniqueTiles, SUM(b.size) as storedSize
+          FROM (SELECT DISTINCT source, hash FROM tiles) s
+          JOIN tile_blobs b ON b.hash = s.hash
+          GROUP BY s.source
+        )
         SELECT
-          source,
+          t.source,
           COUNT(*) as tileCount,
-          SUM(LENGTH(data)) as totalSize,
-          MIN(timestamp) as oldestTile,
-          MAX(timestamp) as newestTile
-        FROM tiles
-        GROUP BY source
+          SUM(b.size) as totalSize,
+          sb.uniqueTiles,
+          sb.storedSize,
+          MIN(t.timestamp) as oldestTile,
+          MAX(t.timestamp) as newestTile,
+          f.format
+        FROM tiles t
+        JOIN tile_blobs b ON b.hash = t.hash
+        JOIN source_blobs sb ON sb.source = t.source
+        LEFT JOIN source_formats f ON f.source = t.source
+        GROUP BY t.source
+      `),
+      getStorageStats: this.db.prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM tiles) as tileCount,
+          (SELECT COALESCE(SUM(b.size), 0) FROM tiles t JOIN tile_blobs b ON b.hash = t.hash) as totalSize,
+          (SELECT COUNT(*) FROM tile_blobs) as uniqueTiles,
+          (SELECT COALESCE(SUM(size), 0) FROM tile_blobs) as storedSize
+      `),
+      getGlobalUsage: this.db.prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM tiles) as tileCount,
+          (SELECT COALESCE(SUM(size), 0) FROM tile_blobs) as size
+      `),
+      getSourceUsage: this.db.prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM tiles WHERE source = @source OR source GLOB @variants) as tileCount,
+          (SELECT COALESCE(SUM(size), 0) FROM tile_blobs WHERE hash IN (
+            SELECT hash FROM tiles WHERE source = @source OR source GLOB @variants
+          )) as size
+      `),
+      getSourceFormats: this.db.prepare('SELECT source, format FROM source_formats'),
+      setSourceFormat: this.db.prepare(`
+        INSERT INTO source_formats (source, format, updatedAt) VALUES (?, ?, ?)
+        ON CONFLICT(source) DO UPDATE SET format = excluded.format, updatedAt = excluded.updatedAt
       `),
 
       // Download job statements
       createJob: this.db.prepare(`
-        INSERT INTO download_jobs (id, name, source, bounds, minZoom, maxZoom, totalTiles, country, city, createdAt, updatedAt)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO download_jobs (id, name, source, bounds, geometry, minZoom, maxZoom, totalTiles, country, city, scale, type, parentJobId, snapshot, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `),
       updateJobProgress: this.db.prepare(`
         UPDATE download_jobs
@@ -135,11 +437,74 @@ export class TileDatabase {
       `),
       updateJobStatus: this.db.prepare(`
         UPDATE download_jobs
-        SET status = ?, updatedAt = ?
+        SET status = ?, runnerPid = ?, updatedAt = ?
         WHERE id = ?
       `),
+      setJobPinned: this.db.prepare('UPDATE download_jobs SET pinned = ?, updatedAt = ? WHERE id = ?'),
       getJob: this.db.prepare('SELECT * FROM download_jobs WHERE id = ?'),
-      getAllJobs: this.db.prepare('SELECT * FROM download_jobs ORDER BY createdAt DESC')
+      getJobStatus: this.db.prepare('SELECT status FROM download_jobs WHERE id = ?'),
+      getAllJobs: this.db.prepare('SELECT * FROM download_jobs ORDER BY createdAt DESC'),
+      getUnfinishedJobs: this.db.prepare(`
+        SELECT * FROM download_jobs
+        WHERE status IN ('pending', 'running', 'quota_exceeded')
+        ORDER BY createdAt
+      `),
+
+      // Download queue statements
+      enqueueJobTile: this.db.prepare('INSERT OR IGNORE INTO job_queue (job_id, z, x, y) VALUES (?, ?, ?, ?)'),
+      dequeueJobTile: this.db.prepare('DELETE FROM job_queue WHERE job_id = ? AND z = ? AND x = ? AND y = ?'),
+      getJobQueue: this.db.prepare('SELECT z, x, y FROM job_queue WHERE job_id = ?'),
+      countJobQueue: this.db.prepare('SELECT COUNT(*) as count FROM job_queue WHERE job_id = ?'),
+      clearJobQueue: this.db.prepare('DELETE FROM job_queue WHERE job_id = ?'),
+
+      // User-defined source statements
+      getSource: this.db.prepare('SELECT * FROM sources WHERE id = ?'),
+      getAllSources: this.db.prepare('SELECT * FROM sources ORDER BY id'),
+      upsertSource: this.db.prepare(`
+        INSERT INTO sources (id, name, url, subdomains, minZoom, maxZoom, tileSize, attribution, headers, options, createdAt, updatedAt)
+        VALUES (@id, @name, @url, @subdomains, @minZoom, @maxZoom, @tileSize, @attribution, @headers, @options, @now, @now)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name,
+          url = excluded.url,
+          subdomains = excluded.subdomains,
+          minZoom = excluded.minZoom,
+          maxZoom = excluded.maxZoom,
+          tileSize = excluded.tileSize,
+          attribution = excluded.attribution,
+          headers = excluded.headers,
+          options = excluded.options,
+          updatedAt = excluded.updatedAt
+      `),
+      deleteSource: this.db.prepare('DELETE FROM sources WHERE id = ?'),
+
+      // Snapshot statements
+      getSnapshotSummary: this.db.prepare(`
+        WITH captures AS (
+          SELECT COALESCE(capturedAt, timestamp) as capturedAt, 1 as current FROM tiles WHERE jobId = @jobId
+          UNION ALL
+          SELECT capturedAt, 0 as current FROM tile_versions WHERE jobId = @jobId
+        )
+        SELECT
+          COALESCE(SUM(current), 0) as currentTiles,
+          COUNT(*) - COALESCE(SUM(current), 0) as archivedTiles,
+          MIN(capturedAt) as firstCapture,
+          MAX(capturedAt) as lastCapture
+        FROM captures
+      `),
+      getChildJobs: this.db.prepare('SELECT * FROM download_jobs WHERE parentJobId = ? ORDER BY createdAt'),
+      deleteSnapshotVersions: this.db.prepare('DELETE FROM tile_versions WHERE jobId = ?'),
+
+      // Storage quota statements
+      getQuotas: this.db.prepare('SELECT * FROM quotas ORDER BY scope'),
+      setQuota: this.db.prepare(`
+        INSERT INTO quotas (scope, maxSize, maxTiles, policy, updatedAt) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(scope) DO UPDATE SET
+          maxSize = excluded.maxSize,
+          maxTiles = excluded.maxTiles,
+          policy = excluded.policy,
+          updatedAt = excluded.updatedAt
+      `),
+      deleteQuota: this.db.prepare('DELETE FROM quotas WHERE scope = ?')
     };
   }
 
@@ -150,17 +515,6 @@ export class TileDatabase {
     return `${source}/${z}/${x}/${y}`;
   }
 
-  /**
-   * Manage LRU cache - remove oldest if cache is full
-   */
-  manageCacheSize() {
-    if (this.cache.size >= this.maxCacheSize) {
-      // Remove first (oldest) item
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-  }
-
   /**
    * Get tile data from database
    * @param {number} z - Zoom level
@@ -173,26 +527,102 @@ export class TileDatabase {
     const cacheKey = this.getCacheKey(z, x, y, source);
 
     // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const data = this.cache.get(cacheKey);
-      // Move to end (most recently used)
-      this.cache.delete(cacheKey);
-      this.cache.set(cacheKey, data);
-      return data;
+    const cached = this.cache.get(source, cacheKey);
+    if (cached) {
+      this.recordAccess(cacheKey, z, x, y, source);
+      return cached;
     }
 
     // Query database
     const row = this.statements.getTile.get(z, x, y, source);
     if (row && row.data) {
       // Add to cache
-      this.manageCacheSize();
-      this.cache.set(cacheKey, row.data);
+      this.cache.set(source, cacheKey, row.data);
+      this.recordAccess(cacheKey, z, x, y, source);
       return row.data;
     }
 
     return null;
   }
 
+  /**
+   * Load stored tiles into the memory cache, lowest zoom levels first
+   * Stops once the loaded tiles fill the source's cache partition, so warm-up never
+   * evicts the tiles it loaded itself
+   * @param {string} source - Storage source
+   * @param {object} filter - {bounds, geometry, minZoom, maxZoom} (see iterateTiles)
+   * @returns {{tiles: number, size: number, complete: boolean}} Tiles loaded, and whether
+   *   all tiles of the selection fit
+   */
+  warmCache(source, filter = {}) {
+    const maxSize = this.cache.getMaxSize(source);
+    let tiles = 0;
+    let size = 0;
+
+    for (const { z, x, y, data } of this.iterateTiles(source, filter)) {
+      if (size + data.length > maxSize) {
+        return { tiles, size, complete: false };
+      }
+      this.cache.set(source, this.getCacheKey(z, x, y, source), data);
+      tiles++;
+      size += data.length;
+    }
+
+    return { tiles, size, complete: true };
+  }
+
+  /**
+   * Get memory cache usage and hit, miss and eviction counters (see TileCache.getStats)
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  /**
+   * Empty the memory cache, or drop one source's tiles from it
+   * @param {string} source - Source ID (optional)
+   * @returns {{tiles: number, size: number}} What was removed
+   */
+  clearCache(source = null) {
+    return this.cache.clear(source);
+  }
+
+  /**
+   * Reset the memory cache's hit, miss and eviction counters
+   */
+  resetCacheStats() {
+    this.cache.resetStats();
+  }
+
+  /**
+   * Remember when a tile was served, for LRU eviction
+   * Access times are written in batches rather than on every read
+   */
+  recordAccess(cacheKey, z, x, y, source) {
+    this.pendingAccess.delete(cacheKey);
+    this.pendingAccess.set(cacheKey, [Date.now(), z, x, y, source]);
+    if (this.pendingAccess.size >= ACCESS_FLUSH_SIZE) {
+      this.flushAccess();
+    }
+  }
+
+  /**
+   * Write pending tile access times to the database
+   */
+  flushAccess() {
+    if (this.pendingAccess.size === 0) {
+      return;
+    }
+
+    const pending = [...this.pendingAccess.values()];
+    this.pendingAccess.clear();
+    this.db.transaction(() => {
+      for (const access of pending) {
+        this.statements.updateTileAccess.run(...access);
+      }
+    })();
+  }
+
   /**
    * Check if tile exists in database
    * @param {number} z
@@ -202,8 +632,7 @@ export class TileDatabase {
    * @returns {boolean}
    */
   hasTile(z, x, y, source) {
-    const cacheKey = this.getCacheKey(z, x, y, source);
-    if (this.cache.has(cacheKey)) {
+    if (this.cache.has(source, this.getCacheKey(z, x, y, source))) {
       return true;
     }
 
@@ -218,15 +647,197 @@ export class TileDatabase {
    * @param {number} y
    * @param {string} source
    * @param {Buffer} data - Tile image data
+   * @param {object} options - Save options
+   * @param {string} options.jobId - Job downloading the tile (optional); it is recorded as
+   *   an owner of the tile unless options.own is false
+   * @param {boolean} options.own - Whether the job owns the tile (default: true; refresh jobs don't)
+   * @param {boolean} options.snapshot - Keep replaced contents as a tile version (default: false)
+   * @param {string} options.etag - Upstream ETag header (optional)
+   * @param {string} options.lastModified - Upstream Last-Modified header (optional)
    */
-  saveTile(z, x, y, source, data) {
+  saveTile(z, x, y, source, data, options = {}) {
     const timestamp = Date.now();
-    this.statements.insertTile.run(z, x, y, source, timestamp, data);
+    const written = this.db.transaction(() => {
+      const result = this.writeTile(z, x, y, source, timestamp, data, options);
+      if (options.jobId && options.own !== false) {
+        this.statements.addJobTile.run(options.jobId, source, z, x, y);
+      }
+      return result;
+    })();
+    this.recordSourceFormat(source, detectTileFormat(data));
+    this.updateQuotaUsage(source, written.added ? 1 : 0, written.storedSize);
 
     // Update cache
-    const cacheKey = this.getCacheKey(z, x, y, source);
-    this.manageCacheSize();
-    this.cache.set(cacheKey, data);
+    this.cache.set(source, this.getCacheKey(z, x, y, source), data);
+  }
+
+  /**
+   * Save a batch of tiles in one transaction
+   * @param {string} source
+   * @param {Array<{z: number, x: number, y: number, data: Buffer}>} tiles
+   * @param {object} options - Save options
+   * @param {boolean} options.replace - Overwrite tiles that are already stored (default: false, they are kept)
+   * @param {string} options.jobId - Record every tile (kept ones included) as owned by this job (optional)
+   * @returns {{saved: number, replaced: number, skipped: number}}
+   * @throws {Error} If a storage quota has no room for a tile, even after eviction; no tile
+   *   of the batch is saved then
+   */
+  saveTiles(source, tiles, options = {}) {
+    const result = { saved: 0, replaced: 0, skipped: 0 };
+    const timestamp = Date.now();
+    const limited = this.getQuotas().length > 0;
+
+    try {
+      this.db.transaction(() => {
+        for (const { z, x, y, data } of tiles) {
+          if (options.jobId) {
+            this.statements.addJobTile.run(options.jobId, source, z, x, y);
+          }
+
+          const exists = this.statements.hasTile.get(z, x, y, source) !== undefined;
+          if (exists && !options.replace) {
+            result.skipped++;
+            continue;
+          }
+
+          const quota = limited ? this.reserveQuota(source, data.length, { z, x, y }) : null;
+          if (quota) {
+            throw new Error(`Storage quota for ${quota.source || 'the database'} reached`);
+          }
+
+          const written = this.writeTile(z, x, y, source, timestamp, data, { jobId: options.jobId });
+          this.updateQuotaUsage(source, written.added ? 1 : 0, written.storedSize);
+          this.recordSourceFormat(source, detectTileFormat(data));
+
+          if (exists) {
+            this.cache.delete(source, this.getCacheKey(z, x, y, source));
+            result.replaced++;
+          } else {
+            result.saved++;
+          }
+        }
+      })();
+    } finally {
+      // Usage counted inside a rolled back batch is wrong; it is recomputed when needed
+      this.quotaUsage.clear();
+    }
+
+    return result;
+  }
+
+  /**
+   * Store tile data as a shared blob and point the tile at it
+   * Must run inside a transaction
+   * @param {object} meta - Optional: {etag, lastModified} of the upstream response, jobId of
+   *   the writing job, snapshot to keep replaced contents as a tile version
+   * @returns {{added: boolean, storedSize: number}} Whether the tile is new, and the bytes
+   *   added to the blob store (0 when its contents were already stored)
+   */
+  writeTile(z, x, y, source, timestamp, data, meta = {}) {
+    const hash = hashTileData(data);
+    const current = this.statements.getCurrentVersion.get(z, x, y, source);
+    const blob = this.statements.insertBlob.run(hash, data.length, data);
+
+    if (meta.snapshot && current && !current.hash.equals(hash)) {
+      this.statements.archiveTileVersion.run(source, z, x, y, current.capturedAt, current.hash, current.jobId);
+    }
+
+    this.statements.insertTile.run({
+      z, x, y, source, timestamp, hash,
+      etag: meta.etag || null,
+      lastModified: meta.lastModified || null,
+      jobId: meta.jobId || null
+    });
+    return { added: !current, storedSize: blob.changes > 0 ? data.length : 0 };
+  }
+
+  /**
+   * Get the contents a tile had at a point in time
+   * Looks at the current contents and the versions kept by snapshot downloads
+   * @param {number} z
+   * @param {number} x
+   * @param {number} y
+   * @param {string} source
+   * @param {number} at - Timestamp (ms)
+   * @returns {{data: Buffer, capturedAt: number}|null} Newest contents downloaded at or before `at`
+   */
+  getTileAt(z, x, y, source, at) {
+    return this.statements.getTileAt.get({ z, x, y, source, at }) || null;
+  }
+
+  /**
+   * Summarize the tile contents a job downloaded: those still current, those kept
+   * as versions, and when they were captured
+   * @param {string} jobId
+   * @returns {{currentTiles: number, archivedTiles: number, firstCapture: number|null, lastCapture: number|null}}
+   */
+  getSnapshotSummary(jobId) {
+    return this.statements.getSnapshotSummary.get({ jobId });
+  }
+
+  /**
+   * Delete the tile versions a job downloaded; the current contents are kept
+   * @param {string} jobId
+   * @returns {number} Versions deleted
+   */
+  deleteSnapshotVersions(jobId) {
+    const deleted = this.statements.deleteSnapshotVersions.run(jobId).changes;
+    this.quotaUsage.clear();
+    return deleted;
+  }
+
+  /**
+   * Get the age and upstream validators of a stored tile
+   * @param {number} z
+   * @param {number} x
+   * @param {number} y
+   * @param {string} source
+   * @returns {{timestamp: number, etag: string|null, lastModified: string|null}|null}
+   */
+  getTileInfo(z, x, y, source) {
+    return this.statements.getTileInfo.get(z, x, y, source) || null;
+  }
+
+  /**
+   * Mark a stored tile as fresh without changing its data
+   * Used when upstream answers a conditional request with 304 Not Modified
+   * @param {number} z
+   * @param {number} x
+   * @param {number} y
+   * @param {string} source
+   * @param {object} validators - New {etag, lastModified}; missing values keep the stored ones
+   * @returns {boolean} True if the tile exists
+   */
+  touchTile(z, x, y, source, validators = {}) {
+    return this.statements.touchTile.run(
+      Date.now(),
+      validators.etag || null,
+      validators.lastModified || null,
+      z, x, y, source
+    ).changes > 0;
+  }
+
+  /**
+   * Record the tile format stored for a source
+   * @param {string} source
+   * @param {string|null} format - 'png' | 'jpg' | 'webp' | 'pbf'; unrecognized tiles (null)
+   *   leave the recorded format as it is
+   */
+  recordSourceFormat(source, format) {
+    if (!format || this.sourceFormats.get(source) === format) {
+      return;
+    }
+    this.statements.setSourceFormat.run(source, format, Date.now());
+    this.sourceFormats.set(source, format);
+  }
+
+  /**
+   * Get the recorded tile format for a source
+   * @param {string} source
+   * @returns {string|null} Format or null if no tiles were stored yet
+   */
+  getSourceFormat(source) {
+    return this.sourceFormats.get(source) || null;
   }
 
   /**
@@ -238,52 +849,183 @@ export class TileDatabase {
    */
   deleteTile(z, x, y, source) {
     this.statements.deleteTile.run(z, x, y, source);
+    this.quotaUsage.clear();
 
     // Remove from cache
-    const cacheKey = this.getCacheKey(z, x, y, source);
-    this.cache.delete(cacheKey);
+    this.cache.delete(source, this.getCacheKey(z, x, y, source));
   }
 
   /**
-   * Delete all tiles for a job based on bounds and zoom range
-   * @param {string} source
-   * @param {object} bounds - {north, south, east, west}
-   * @param {number} minZoom
-   * @param {number} maxZoom
-   * @returns {number} Number of tiles deleted
+   * Record that a job owns a tile (downloaded, already cached or imported)
+   * @param {string} jobId
+   * @param {string} source - Storage source
+   * @param {number} z
+   * @param {number} x
+   * @param {number} y
+   */
+  addJobTile(jobId, source, z, x, y) {
+    this.statements.addJobTile.run(jobId, source, z, x, y);
+  }
+
+  /**
+   * Check if a job owns a tile
+   * @returns {boolean}
+   */
+  hasJobTile(jobId, source, z, x, y) {
+    return this.statements.hasJobTile.get(jobId, source, z, x, y) !== undefined;
+  }
+
+  /**
+   * Delete the tiles a job owns, except those other jobs also own
+   * The job's ownership records are released as well
+   * @param {string} jobId
+   * @returns {{deleted: number, kept: number}} Tiles deleted and tiles kept for other jobs
    */
-  deleteTilesForJob(source, bounds, minZoom, maxZoom) {
-    // Import tile calculator to get tile bounds
-    const { getTileBounds } = require('./TileCalculator.js');
+  deleteTilesForJob(jobId) {
+    const sources = this.statements.getJobTileSources.all(jobId).map(row => row.source);
+
+    const result = this.db.transaction(() => {
+      const kept = this.statements.countSharedJobTiles.get(jobId).count;
+      const deleted = this.statements.deleteUnsharedJobTiles.run(jobId).changes;
+      this.statements.deleteJobTiles.run(jobId);
+      return { deleted, kept };
+    })();
+    this.quotaUsage.clear();
+
+    // Clear cache for the job's sources
+    this.cache.deleteSources(sources);
+
+    return result;
+  }
 
-    let totalDeleted = 0;
+  /**
+   * Get the tile ranges selected by an optional bounds filter
+   * Without bounds each zoom level selects its whole grid; a geometry narrows the
+   * bounds to the tiles it intersects (several ranges per zoom level)
+   */
+  getTileRanges(bounds, minZoom, maxZoom, geometry = null) {
+    const ranges = [];
     for (let z = minZoom; z <= maxZoom; z++) {
-      const tileBounds = getTileBounds(bounds, z);
-      const result = this.statements.deleteTilesByJob.run(
+      if (bounds) {
+        ranges.push(...getTileRanges(bounds, z, geometry));
+      } else {
+        ranges.push({ minX: 0, maxX: Math.pow(2, z) - 1, minY: 0, maxY: Math.pow(2, z) - 1, z });
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * Iterate over the stored tiles of a source, ordered by z, x, y
+   * Tiles are read lazily, so whole sources can be exported without loading them into memory
+   * @param {string} source
+   * @param {object} filter - Selection
+   * @param {object} filter.bounds - {north, south, east, west} (optional, default: everything)
+   * @param {object} filter.geometry - Normalized polygon area within the bounds (optional)
+   * @param {number} filter.minZoom - Minimum zoom level (default: 0)
+   * @param {number} filter.maxZoom - Maximum zoom level (default: 22)
+   * @param {string} filter.order - 'zxy' (default) or 'tileId' for PMTiles (Hilbert) order
+   * @returns {Generator<{z: number, x: number, y: number, data: Buffer}>}
+   */
+  *iterateTiles(source, filter = {}) {
+    const { bounds = null, geometry = null, minZoom = 0, maxZoom = 22, order = 'zxy' } = filter;
+    const statement = order === 'tileId'
+      ? this.statements.iterateTilesInRangeByTileId
+      : this.statements.iterateTilesInRange;
+
+    for (const range of this.getTileRanges(bounds, minZoom, maxZoom, geometry)) {
+      yield* statement.iterate(
         source,
-        z, z,
-        tileBounds.minX, tileBounds.maxX,
-        tileBounds.minY, tileBounds.maxY
+        range.z, range.z,
+        range.minX, range.maxX,
+        range.minY, range.maxY
       );
-      totalDeleted += result.changes;
     }
+  }
+
+  /**
+   * List the stored tiles of a source last written before a time
+   * @param {string} source
+   * @param {object} filter - {bounds, geometry, minZoom, maxZoom} (see iterateTiles)
+   * @param {number} filter.before - Timestamp (ms); older tiles are listed
+   * @returns {Array<{z: number, x: number, y: number}>}
+   */
+  listStaleTiles(source, filter = {}) {
+    const { bounds = null, geometry = null, minZoom = 0, maxZoom = 22, before } = filter;
 
-    // Clear cache for this source
-    for (const key of this.cache.keys()) {
-      if (key.startsWith(source + '/')) {
-        this.cache.delete(key);
+    const tiles = [];
+    for (const range of this.getTileRanges(bounds, minZoom, maxZoom, geometry)) {
+      for (const tile of this.statements.listStaleTilesInRange.iterate(
+        source,
+        range.z, range.z,
+        range.minX, range.maxX,
+        range.minY, range.maxY,
+        before
+      )) {
+        tiles.push(tile);
       }
     }
+    return tiles;
+  }
+
+  /**
+   * Count the stored tiles of a source matching a selection (see iterateTiles)
+   * @param {string} source
+   * @param {object} filter - {bounds, geometry, minZoom, maxZoom}
+   * @returns {number}
+   */
+  countTiles(source, filter = {}) {
+    const { bounds = null, geometry = null, minZoom = 0, maxZoom = 22 } = filter;
+
+    let count = 0;
+    for (const range of this.getTileRanges(bounds, minZoom, maxZoom, geometry)) {
+      count += this.statements.countTilesInRange.get(
+        source,
+        range.z, range.z,
+        range.minX, range.maxX,
+        range.minY, range.maxY
+      ).count;
+    }
+    return count;
+  }
 
-    return totalDeleted;
+  /**
+   * Get the range of stored tile coordinates per zoom level
+   * Tiles on both sides of the antimeridian give minX > maxX (see getColumnRange)
+   * @param {string} source
+   * @param {number} minZoom
+   * @param {number} maxZoom
+   * @returns {Array<{z: number, minX: number, maxX: number, minY: number, maxY: number}>}
+   */
+  getTileExtent(source, minZoom = 0, maxZoom = 22) {
+    return this.statements.getTileExtent.all(source, minZoom, maxZoom).map(range => (
+      mayWrapColumns(range)
+        ? { ...range, ...getColumnRange(this.statements.getTileColumns.iterate(source, range.z), range.z) }
+        : range
+    ));
   }
 
   /**
    * Get statistics for all sources
-   * @returns {Array}
+   * totalSize counts every tile; storedSize counts each distinct tile of the source once
+   * @returns {Array<{source: string, tileCount: number, totalSize: number, uniqueTiles: number,
+   *   storedSize: number, savedSize: number, oldestTile: number, newestTile: number, format: string}>}
    */
   getStats() {
-    return this.statements.getSourceStats.all();
+    return this.statements.getSourceStats.all().map(stat => ({
+      ...stat,
+      savedSize: stat.totalSize - stat.storedSize
+    }));
+  }
+
+  /**
+   * Get deduplication statistics for the whole database
+   * Blobs shared between sources are counted once here
+   * @returns {{tileCount: number, totalSize: number, uniqueTiles: number, storedSize: number, savedSize: number}}
+   */
+  getStorageStats() {
+    const stats = this.statements.getStorageStats.get();
+    return { ...stats, savedSize: stats.totalSize - stats.storedSize };
   }
 
   /**
@@ -307,19 +1049,30 @@ export class TileDatabase {
 
   /**
    * Create download job
+   * @param {object} options - Additional job settings
+   * @param {number} options.scale - Pixel ratio of the downloaded tiles (default: 1)
+   * @param {string} options.type - 'download' (default), 'corridor', 'refresh' or 'import'
+   * @param {string} options.parentJobId - Job whose area a refresh job re-downloads (optional)
+   * @param {boolean} options.snapshot - Keep the contents the job replaces as tile versions (default: false)
+   * @param {object} options.geometry - Normalized polygon area within the bounds (optional)
    */
-  createDownloadJob(id, name, source, bounds, minZoom, maxZoom, totalTiles, country = null, city = null) {
+  createDownloadJob(id, name, source, bounds, minZoom, maxZoom, totalTiles, country = null, city = null, options = {}) {
     const now = Date.now();
     this.statements.createJob.run(
       id,
       name,
       source,
       JSON.stringify(bounds),
+      options.geometry ? JSON.stringify(options.geometry) : null,
       minZoom,
       maxZoom,
       totalTiles,
       country,
       city,
+      options.scale || 1,
+      options.type || 'download',
+      options.parentJobId || null,
+      options.snapshot ? 1 : 0,
       now,
       now
     );
@@ -334,9 +1087,35 @@ export class TileDatabase {
 
   /**
    * Update download job status
+   * Running and paused jobs record this process's ID, so other processes can tell
+   * whether the job is still held by a live process or was left behind by one that died
+   * @param {string} id
+   * @param {string} status
+   * @param {object} options
+   * @param {number|null} options.runnerPid - Process holding the job (default: this process
+   *   for running, quota_exceeded and paused jobs, else none)
+   */
+  updateJobStatus(id, status, options = {}) {
+    const runnerPid = 'runnerPid' in options
+      ? options.runnerPid
+      : (['running', 'quota_exceeded', 'paused'].includes(status) ? process.pid : null);
+    this.statements.updateJobStatus.run(status, runnerPid, Date.now(), id);
+  }
+
+  /**
+   * Get the recorded status of a download job, without reading the rest of it
+   * @returns {string|undefined}
+   */
+  getJobStatus(id) {
+    return this.statements.getJobStatus.get(id)?.status;
+  }
+
+  /**
+   * Pin or unpin a download job; tiles of pinned jobs are never evicted
+   * @returns {boolean} True if the job exists
    */
-  updateJobStatus(id, status) {
-    this.statements.updateJobStatus.run(status, Date.now(), id);
+  setJobPinned(id, pinned) {
+    return this.statements.setJobPinned.run(pinned ? 1 : 0, Date.now(), id).changes > 0;
   }
 
   /**
@@ -344,10 +1123,14 @@ export class TileDatabase {
    */
   getJob(id) {
     const job = this.statements.getJob.get(id);
-    if (job) {
-      job.bounds = JSON.parse(job.bounds);
-    }
-    return job;
+    return job && parseJob(job);
+  }
+
+  /**
+   * Get the jobs created for a job, such as its refresh jobs
+   */
+  getChildJobs(id) {
+    return this.statements.getChildJobs.all(id).map(parseJob);
   }
 
   /**
@@ -355,18 +1138,71 @@ export class TileDatabase {
    */
   getAllJobs() {
     const jobs = this.statements.getAllJobs.all();
-    return jobs.map(job => ({
-      ...job,
-      bounds: JSON.parse(job.bounds)
-    }));
+    return jobs.map(parseJob);
+  }
+
+  /**
+   * Get the jobs recorded as pending, running or waiting for quota room
+   * Includes jobs of processes that died; compare runnerPid with live processes
+   */
+  getUnfinishedJobs() {
+    return this.statements.getUnfinishedJobs.all().map(parseJob);
   }
 
   /**
-   * Delete download job
+   * Delete download job, its tile ownership records and its queued tiles
    */
   deleteJob(id) {
     const stmt = this.db.prepare('DELETE FROM download_jobs WHERE id = ?');
-    stmt.run(id);
+    this.db.transaction(() => {
+      stmt.run(id);
+      this.statements.deleteJobTiles.run(id);
+      this.statements.clearJobQueue.run(id);
+    })();
+  }
+
+  /**
+   * Replace the tiles queued for a job
+   * The queue is what an interrupted job still has to download
+   * @param {string} jobId
+   * @param {Array<{z: number, x: number, y: number}>} tiles
+   */
+  setJobQueue(jobId, tiles) {
+    this.db.transaction(() => {
+      this.statements.clearJobQueue.run(jobId);
+      for (const { z, x, y } of tiles) {
+        this.statements.enqueueJobTile.run(jobId, z, x, y);
+      }
+    })();
+  }
+
+  /**
+   * Remove a tile from a job's queue once it was downloaded, skipped or failed
+   */
+  dequeueJobTile(jobId, z, x, y) {
+    this.statements.dequeueJobTile.run(jobId, z, x, y);
+  }
+
+  /**
+   * Get the tiles still queued for a job
+   * @returns {Array<{z: number, x: number, y: number}>}
+   */
+  getJobQueue(jobId) {
+    return this.statements.getJobQueue.all(jobId);
+  }
+
+  /**
+   * Count the tiles still queued for a job
+   */
+  countJobQueue(jobId) {
+    return this.statements.countJobQueue.get(jobId).count;
+  }
+
+  /**
+   * Remove all queued tiles of a job
+   */
+  clearJobQueue(jobId) {
+    this.statements.clearJobQueue.run(jobId);
   }
 
   /**
@@ -393,11 +1229,252 @@ export class TileDatabase {
     stmt.run(minZoom, maxZoom, totalTiles, Date.now(), id);
   }
 
+  /**
+   * Convert a sources table row to a source configuration
+   */
+  parseSourceRow(row) {
+    return {
+      ...(row.options ? JSON.parse(row.options) : {}),
+      id: row.id,
+      name: row.name,
+      url: row.url || null,
+      subdomains: row.subdomains ? JSON.parse(row.subdomains) : null,
+      minZoom: row.minZoom,
+      maxZoom: row.maxZoom,
+      tileSize: row.tileSize,
+      attribution: row.attribution || '',
+      headers: row.headers ? JSON.parse(row.headers) : null,
+      type: 'custom',
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt
+    };
+  }
+
+  /**
+   * Get a user-defined source
+   * @param {string} id - Source ID
+   * @returns {object|null}
+   */
+  getUserSource(id) {
+    const row = this.statements.getSource.get(id);
+    return row ? this.parseSourceRow(row) : null;
+  }
+
+  /**
+   * Get all user-defined sources
+   * @returns {Array}
+   */
+  getUserSources() {
+    return this.statements.getAllSources.all().map(row => this.parseSourceRow(row));
+  }
+
+  /**
+   * Insert or update a user-defined source
+   * Fields without a dedicated column (service, wms, ...) are stored as JSON options
+   * @param {string} id - Source ID
+   * @param {object} config - Normalized source configuration
+   */
+  saveUserSource(id, config) {
+    const { name, url, subdomains, minZoom, maxZoom, tileSize, attribution, headers, type, ...options } = config;
+
+    this.statements.upsertSource.run({
+      id,
+      name,
+      // Local sources (imported tiles only) have no URL
+      url: url || '',
+      subdomains: subdomains ? JSON.stringify(subdomains) : null,
+      minZoom,
+      maxZoom,
+      tileSize,
+      attribution: attribution || null,
+      headers: headers ? JSON.stringify(headers) : null,
+      options: Object.keys(options).length > 0 ? JSON.stringify(options) : null,
+      now: Date.now()
+    });
+  }
+
+  /**
+   * Delete a user-defined source
+   * @param {string} id - Source ID
+   * @returns {boolean} True if a source was deleted
+   */
+  deleteUserSource(id) {
+    return this.statements.deleteSource.run(id).changes > 0;
+  }
+
+  /**
+   * Get the storage quotas
+   * @returns {Array<{source: string|null, maxSize: number|null, maxTiles: number|null, policy: string}>}
+   *   source is null for the global quota
+   */
+  getQuotas() {
+    return this.statements.getQuotas.all().map(row => ({
+      source: row.scope === GLOBAL_QUOTA ? null : row.scope,
+      maxSize: row.maxSize,
+      maxTiles: row.maxTiles,
+      policy: row.policy
+    }));
+  }
+
+  /**
+   * Insert or replace a storage quota
+   * @param {string|null} source - Source ID, or null for the whole database
+   * @param {object} quota - {maxSize, maxTiles, policy}; a null limit is not enforced
+   */
+  setQuota(source, quota) {
+    this.statements.setQuota.run(source || GLOBAL_QUOTA, quota.maxSize ?? null, quota.maxTiles ?? null, quota.policy, Date.now());
+  }
+
+  /**
+   * Delete a storage quota
+   * @param {string|null} source - Source ID, or null for the global quota
+   * @returns {boolean} True if a quota was deleted
+   */
+  deleteQuota(source) {
+    return this.statements.deleteQuota.run(source || GLOBAL_QUOTA).changes > 0;
+  }
+
+  /**
+   * Get the storage a quota counts
+   * A source quota covers its high-DPI variants (source@2x); sizes count each
+   * distinct tile once, like storedSize in getStats()
+   * @param {string|null} source - Source ID, or null for the whole database
+   * @returns {{tileCount: number, size: number}}
+   */
+  getQuotaUsage(source) {
+    const scope = source || GLOBAL_QUOTA;
+    if (!this.quotaUsage.has(scope)) {
+      const usage = source
+        ? this.statements.getSourceUsage.get({ source, variants: `${source}@*` })
+        : this.statements.getGlobalUsage.get();
+      this.quotaUsage.set(scope, usage);
+    }
+    return { ...this.quotaUsage.get(scope) };
+  }
+
+  /**
+   * Adjust the quota usage computed so far after writing or evicting a tile
+   * Bytes change when the blob store grows or shrinks, so duplicates are free
+   * @param {string} source - Storage source
+   * @param {number} tiles - Change in tile count
+   * @param {number} size - Change in stored bytes
+   */
+  updateQuotaUsage(source, tiles, size) {
+    const scopes = [GLOBAL_QUOTA, source.replace(/@\d+x$/, '')];
+    for (const scope of scopes) {
+      const usage = this.quotaUsage.get(scope);
+      if (usage) {
+        usage.tileCount += tiles;
+        usage.size += size;
+      }
+    }
+  }
+
+  /**
+   * Check whether a quota is exceeded, optionally with a tile about to be written
+   * @param {object} quota - {source, maxSize, maxTiles}
+   * @param {number} incomingSize - Size of the incoming tile, 0 for none
+   * @param {number} incomingTiles - Tiles the write adds: 0 when it replaces a stored tile
+   *   (default: 1 with an incoming tile)
+   * @returns {boolean}
+   */
+  isQuotaExceeded(quota, incomingSize = 0, incomingTiles = incomingSize > 0 ? 1 : 0) {
+    const usage = this.getQuotaUsage(quota.source);
+    return (quota.maxTiles !== null && usage.tileCount + incomingTiles > quota.maxTiles) ||
+      (quota.maxSize !== null && usage.size + incomingSize > quota.maxSize);
+  }
+
+  /**
+   * Evict tiles until a quota has room, following its policy
+   * Tiles owned by pinned jobs, and by running jobs or jobs waiting for room, are never evicted
+   * @param {object} quota - {source, maxSize, maxTiles, policy}
+   * @param {number} incomingSize - Room to make for an incoming tile, 0 for none
+   * @param {number} incomingTiles - Tiles the write adds (see isQuotaExceeded)
+   * @returns {{evicted: number, exceeded: boolean}} Tiles evicted, and whether the quota is still exceeded
+   */
+  evictForQuota(quota, incomingSize = 0, incomingTiles = incomingSize > 0 ? 1 : 0) {
+    const exceeded = () => this.isQuotaExceeded(quota, incomingSize, incomingTiles);
+    let evicted = 0;
+    if (quota.policy === 'none' || !EVICTION_ORDER[quota.policy]) {
+      return { evicted, exceeded: exceeded() };
+    }
+
+    // Evict by last access, so pending access times must be stored first
+    this.flushAccess();
+
+    const candidates = this.db.prepare(`
+      SELECT t.z, t.x, t.y, t.source, t.hash, b.size FROM tiles t
+      JOIN tile_blobs b ON b.hash = t.hash
+      WHERE ${quota.source ? '(t.source = @source OR t.source GLOB @variants)' : '1'}
+      AND NOT EXISTS (
+        SELECT 1 FROM job_tiles jt
+        JOIN download_jobs j ON j.id = jt.job_id
+        WHERE jt.source = t.source AND jt.z = t.z AND jt.x = t.x AND jt.y = t.y
+        AND (j.pinned = 1 OR j.status IN ('running', 'quota_exceeded'))
+      )
+      ORDER BY ${EVICTION_ORDER[quota.policy]}
+      LIMIT ${EVICTION_BATCH_SIZE}
+    `);
+    const params = quota.source ? { source: quota.source, variants: `${quota.source}@*` } : {};
+    const hasBlob = this.db.prepare('SELECT 1 FROM tile_blobs WHERE hash = ?');
+
+    // Tiles are evicted one at a time so no more than needed are removed
+    while (exceeded()) {
+      const batch = candidates.all(params);
+      if (batch.length === 0) {
+        break;
+      }
+
+      this.db.transaction(() => {
+        for (const { z, x, y, source, hash, size } of batch) {
+          if (!exceeded()) {
+            break;
+          }
+          this.statements.deleteTile.run(z, x, y, source);
+          this.statements.deleteTileOwners.run(source, z, x, y);
+          this.cache.delete(source, this.getCacheKey(z, x, y, source));
+          this.updateQuotaUsage(source, -1, hasBlob.get(hash) ? 0 : -size);
+          evicted++;
+        }
+      })();
+    }
+
+    if (evicted > 0) {
+      this.logger.info(`Evicted ${evicted} tiles (${quota.policy}) for the ${quota.source || 'global'} quota`);
+    }
+
+    return { evicted, exceeded: exceeded() };
+  }
+
+  /**
+   * Make room for a tile about to be written to a source
+   * Quotas with an eviction policy evict tiles first; the first quota that still
+   * has no room is returned
+   * @param {string} source - Storage source
+   * @param {number} size - Tile size in bytes
+   * @param {{z: number, x: number, y: number}} tile - The tile written (optional); replacing
+   *   a stored tile does not add to the tile count
+   * @returns {object|null} The exceeded quota {source, maxSize, maxTiles, policy}, or null if the tile fits
+   */
+  reserveQuota(source, size, tile = null) {
+    const baseSource = source.replace(/@\d+x$/, '');
+    const quotas = this.getQuotas().filter(quota => quota.source === null || quota.source === baseSource);
+    const tiles = tile && this.statements.hasTile.get(tile.z, tile.x, tile.y, source) !== undefined ? 0 : 1;
+
+    for (const quota of quotas) {
+      if (this.isQuotaExceeded(quota, size, tiles) && this.evictForQuota(quota, size, tiles).exceeded) {
+        return quota;
+      }
+    }
+    return null;
+  }
+
   /**
    * Close database connection
    */
   close() {
     if (this.db) {
+      this.flushAccess();
       this.db.close();
       this.logger.info('Database closed');
     }
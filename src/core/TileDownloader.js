@@ -4,10 +4,31 @@
  */
 
 import axios from 'axios';
-import { getTileUrl } from '../config/sources.js';
+import { getTileUrl, getSourceConfig, getStorageSource } from '../config/sources.js';
 import { createLogger } from '../utils/logger.js';
+import { createSecretStore } from '../utils/secrets.js';
+import { detectTileFormat, isVectorFormat } from '../utils/tileFormat.js';
+import { formatSize } from '../utils/size.js';
 import { defaults } from '../config/defaults.js';
 
+const USER_AGENT = 'TileForge/1.0 (Offline Map Tile Caching)';
+
+/**
+ * Milliseconds between checks for pause, resume and cancel requests from other processes
+ */
+const STATUS_CHECK_INTERVAL = 2000;
+
+/**
+ * Read the HTTP validators of an upstream response
+ * @returns {{etag: string|null, lastModified: string|null}}
+ */
+function getValidators(response) {
+  return {
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null
+  };
+}
+
 export class TileDownloader {
   /**
    * Create a new TileDownloader instance
@@ -15,12 +36,14 @@ export class TileDownloader {
    * @param {object} options - Configuration options
    * @param {number} options.maxConcurrentDownloads - Maximum concurrent downloads
    * @param {number} options.rateLimit - Minimum ms between requests
+   * @param {string} options.secretsPath - JSON secrets file for ${NAME} references
    * @param {string} options.logLevel - Log level
    */
   constructor(database, options = {}) {
     const config = {
       maxConcurrentDownloads: options.maxConcurrentDownloads || defaults.maxConcurrentDownloads,
       rateLimit: options.rateLimit || defaults.rateLimit,
+      secretsPath: options.secretsPath || defaults.secretsPath,
       logLevel: options.logLevel || defaults.logLevel
     };
 
@@ -28,6 +51,7 @@ export class TileDownloader {
     this.maxConcurrent = config.maxConcurrentDownloads;
     this.minRequestInterval = config.rateLimit;
     this.logger = createLogger(config.logLevel);
+    this.secrets = createSecretStore({ secretsPath: config.secretsPath });
 
     this.queue = [];
     this.activeDownloads = 0;
@@ -37,6 +61,8 @@ export class TileDownloader {
 
     // Rate limiting
     this.lastRequestTime = 0;
+
+    this.statusTimer = null; // Watches the database for pause/resume/cancel requests while jobs run
   }
 
   /**
@@ -44,59 +70,139 @@ export class TileDownloader {
    * @param {string} jobId
    * @param {string} source
    * @param {Array} tiles - Array of {x, y, z}
+   * @param {object} options - Job options
+   * @param {number} options.scale - Pixel ratio to download (default: 1)
+   * @param {boolean} options.refresh - Re-download cached tiles instead of skipping them,
+   *   using conditional requests when their ETag or Last-Modified is known (default: false)
+   * @param {boolean} options.snapshot - Re-download cached tiles like a refresh, keeping
+   *   contents that changed as tile versions (default: false)
+   * @param {number} options.totalTiles - Tiles of the whole job, when resuming it with the
+   *   tiles it has left; the others count as done (default: tiles.length)
+   * @param {number} options.downloadedTiles - Tiles the job downloaded before it was resumed (default: 0)
    * @returns {Promise<void>}
    */
-  async startJob(jobId, source, tiles) {
-    this.logger.info(`Starting download job ${jobId} for ${tiles.length} tiles from ${source}`);
+  async startJob(jobId, source, tiles, options = {}) {
+    const scale = options.scale || 1;
+    const refresh = !!options.refresh;
+    const snapshot = !!options.snapshot;
+    const totalTiles = options.totalTiles ?? tiles.length;
+    const downloadedTiles = options.downloadedTiles || 0;
+    this.logger.info(`Starting ${refresh ? 'refresh' : 'download'} job ${jobId} for ${tiles.length} tiles from ${source}${scale > 1 ? ` @${scale}x` : ''}`);
 
     this.activeJobs.set(jobId, {
       id: jobId,
       source,
+      scale,
       tiles,
-      totalTiles: tiles.length,
-      downloadedTiles: 0,
+      totalTiles,
+      downloadedTiles,
       failedTiles: 0,
       status: 'running'
     });
 
     this.downloadStats.set(jobId, {
       startTime: Date.now(),
-      downloadedCount: 0,
+      downloadedCount: downloadedTiles,
       failedCount: 0,
-      skippedCount: 0
+      skippedCount: Math.max(0, totalTiles - tiles.length - downloadedTiles)
     });
 
     // Update job status in database
     this.db.updateJobStatus(jobId, 'running');
 
     // Queue all tiles for download
+    const queued = [];
     for (const tile of tiles) {
-      this.queueTile(jobId, source, tile.z, tile.x, tile.y);
+      if (refresh || snapshot) {
+        this.queue.push({ jobId, source, z: tile.z, x: tile.x, y: tile.y, scale, refresh, snapshot });
+        queued.push(tile);
+      } else if (this.queueTile(jobId, source, tile.z, tile.x, tile.y, scale)) {
+        queued.push(tile);
+      }
     }
 
+    // Persist what is left to download, so the job can be resumed after a restart
+    this.db.setJobQueue(jobId, queued);
+
+    this.watchJobStatus();
     this.processQueue();
   }
 
+  /**
+   * Build the request headers and query parameters for a source
+   * Secret references are resolved here, so the result must never be logged or stored
+   * @param {string} source - Source ID
+   * @returns {{headers: object, params: object}}
+   * @throws {Error} If a referenced secret is not defined
+   */
+  getRequestOptions(source) {
+    const config = getSourceConfig(source) || {};
+    const headers = {};
+    const params = {};
+
+    for (const [name, value] of Object.entries(config.headers || {})) {
+      headers[name] = this.secrets.resolve(value);
+    }
+
+    if (config.referer) {
+      headers.Referer = this.secrets.resolve(config.referer);
+    }
+
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'user-agent')) {
+      headers['User-Agent'] = USER_AGENT;
+    }
+
+    for (const [name, value] of Object.entries(config.query || {})) {
+      params[name] = this.secrets.resolve(value);
+    }
+
+    return { headers, params };
+  }
+
+  /**
+   * Check that every secret a source references can be resolved
+   * @param {string} source - Source ID
+   * @throws {Error} If a referenced secret is not defined
+   */
+  checkSourceCredentials(source) {
+    const config = getSourceConfig(source);
+    if (config) {
+      this.secrets.resolve(config.url);
+      this.getRequestOptions(source);
+    }
+  }
+
   /**
    * Queue a tile for download
+   * @returns {boolean} False if the tile was already cached and skipped
    */
-  queueTile(jobId, source, z, x, y) {
-    // Check if tile already exists
-    if (this.db.hasTile(z, x, y, source)) {
-      this.logger.debug(`Tile ${source}/${z}/${x}/${y} already exists, skipping`);
+  queueTile(jobId, source, z, x, y, scale = 1) {
+    const storageSource = getStorageSource(source, scale);
+
+    // Check if tile already exists; the job shares it with whoever downloaded it
+    if (this.db.hasTile(z, x, y, storageSource)) {
+      this.logger.debug(`Tile ${storageSource}/${z}/${x}/${y} already exists, skipping`);
+      this.db.addJobTile(jobId, storageSource, z, x, y);
       this.handleTileSkipped(jobId);
-      return;
+      return false;
     }
 
-    this.queue.push({ jobId, source, z, x, y });
+    this.queue.push({ jobId, source, z, x, y, scale });
+    return true;
   }
 
   /**
    * Process download queue
    */
   async processQueue() {
-    while (this.activeDownloads < this.maxConcurrent && this.queue.length > 0) {
-      const task = this.queue.shift();
+    while (this.activeDownloads < this.maxConcurrent) {
+      // Tiles of jobs waiting for quota room stay queued
+      const index = this.queue.findIndex(task => this.activeJobs.get(task.jobId)?.status === 'running');
+      if (index === -1) {
+        break;
+      }
+
+      const task = this.queue.splice(index, 1)[0];
       this.activeDownloads++;
 
       this.downloadTile(task)
@@ -126,39 +232,233 @@ export class TileDownloader {
    * Download a single tile
    */
   async downloadTile(task) {
-    const { jobId, source, z, x, y } = task;
+    const { jobId, source, z, x, y, scale, refresh, snapshot } = task;
+    const storageSource = getStorageSource(source, scale);
 
     try {
       // Rate limiting
       await this.rateLimit();
 
-      const url = getTileUrl(source, z, x, y, this.counter++);
+      // Log the template-rendered URL; secrets are only substituted for the request
+      const url = getTileUrl(source, z, x, y, this.counter++, { scale });
       this.logger.debug(`Downloading tile: ${url}`);
 
-      const response = await axios.get(url, {
+      const { headers, params } = this.getRequestOptions(source);
+
+      // Vector tiles are stored exactly as served, gzip encoding included
+      const vector = isVectorFormat(getSourceConfig(source)?.format);
+      if (vector) {
+        headers['Accept-Encoding'] = 'gzip';
+      }
+
+      // Refreshes and snapshots revalidate the cached tile when upstream gave us validators
+      const cached = refresh || snapshot ? this.db.getTileInfo(z, x, y, storageSource) : null;
+      if (cached?.etag) {
+        headers['If-None-Match'] = cached.etag;
+      }
+      if (cached?.lastModified) {
+        headers['If-Modified-Since'] = cached.lastModified;
+      }
+
+      const response = await axios.get(this.secrets.resolve(url), {
         responseType: 'arraybuffer',
         timeout: 30000,
-        headers: {
-          'User-Agent': 'TileForge/1.0 (Offline Map Tile Caching)'
-        }
+        decompress: !vector,
+        headers,
+        params,
+        validateStatus: status => (status >= 200 && status < 300) || (status === 304 && !!cached)
       });
 
-      if (response.status === 200 && response.data) {
-        // Save tile to database
-        const buffer = Buffer.from(response.data);
-        this.db.saveTile(z, x, y, source, buffer);
+      // The job was cancelled or interrupted while the tile was on its way
+      if (!this.activeJobs.has(jobId)) {
+        return;
+      }
+
+      if (response.status === 304) {
+        this.db.touchTile(z, x, y, storageSource, getValidators(response));
+        if (!refresh) {
+          this.db.addJobTile(jobId, storageSource, z, x, y);
+        }
+        this.handleTileSkipped(jobId);
+        this.db.dequeueJobTile(jobId, z, x, y);
+        this.logger.debug(`Not modified: ${storageSource}/${z}/${x}/${y}`);
+      } else if (response.status === 200 || (vector && response.status === 204)) {
+        // WMS servers report errors as XML service exceptions with HTTP 200
+        const buffer = Buffer.from(response.status === 200 && response.data || []);
+        const contentType = response.headers['content-type'] || '';
+        if (getSourceConfig(source)?.service === 'wms' && /xml/i.test(contentType)) {
+          const message = buffer.toString('utf8').replace(/\s+/g, ' ').slice(0, 200);
+          throw new Error(`WMS service exception: ${message}`);
+        }
+
+        // Error pages served with HTTP 200 and empty bodies are not tiles, except that
+        // vector servers answer blank tiles (open sea, desert) with no content; those
+        // are stored as empty vector tiles
+        if (buffer.length === 0 && !vector) {
+          throw new Error('Empty response');
+        }
+        if (buffer.length > 0 && !detectTileFormat(buffer)) {
+          throw new Error(`Unrecognized tile data${contentType ? ` (${contentType})` : ''}`);
+        }
+
+        // Save tile to database, unless a storage quota has no room for it
+        const quota = this.db.reserveQuota(storageSource, buffer.length, { z, x, y });
+        if (quota) {
+          this.pauseForQuota(jobId, task, quota);
+          return;
+        }
+
+        // Refreshed tiles stay owned by the jobs that downloaded them
+        this.db.saveTile(z, x, y, storageSource, buffer, {
+          jobId,
+          own: !refresh,
+          snapshot,
+          ...getValidators(response)
+        });
 
         this.handleTileDownloaded(jobId);
-        this.logger.debug(`Downloaded: ${source}/${z}/${x}/${y}`);
+        this.db.dequeueJobTile(jobId, z, x, y);
+        this.logger.debug(`Downloaded: ${storageSource}/${z}/${x}/${y}`);
       } else {
         throw new Error(`HTTP ${response.status}`);
       }
     } catch (error) {
-      this.logger.error(`Failed to download ${source}/${z}/${x}/${y}:`, error.message);
+      // Failed tiles stay in the job's queue, so resuming the job retries them
+      this.logger.error(`Failed to download ${storageSource}/${z}/${x}/${y}:`, error.message);
       this.handleTileFailed(jobId);
     }
   }
 
+  /**
+   * Stop downloading a job's tiles because a storage quota is full
+   * The tile is put back in the queue; the job continues on resumeQuotaJobs()
+   * @param {string} jobId
+   * @param {object} task - Download task that found no room
+   * @param {object} quota - Exceeded quota {source, maxSize, maxTiles}
+   */
+  pauseForQuota(jobId, task, quota) {
+    const job = this.activeJobs.get(jobId);
+    if (!job) {
+      return; // Cancelled meanwhile
+    }
+
+    this.queue.unshift(task);
+    if (job.status !== 'running') {
+      return; // Already waiting for quota room, or paused
+    }
+
+    const limits = [
+      quota.maxSize !== null ? formatSize(quota.maxSize) : null,
+      quota.maxTiles !== null ? `${quota.maxTiles.toLocaleString()} tiles` : null
+    ].filter(Boolean).join(', ');
+
+    job.status = 'quota_exceeded';
+    job.reason = `Storage quota for ${quota.source || 'the database'} reached (${limits})`;
+    this.db.updateJobStatus(jobId, 'quota_exceeded');
+    this.logger.warn(`Job ${jobId} paused: ${job.reason}`);
+  }
+
+  /**
+   * Continue jobs paused by a storage quota
+   * Called when quotas change or tiles are removed; jobs pause again if there is still no room
+   * @returns {number} Number of jobs resumed
+   */
+  resumeQuotaJobs() {
+    let resumed = 0;
+    for (const [jobId, job] of this.activeJobs) {
+      if (job.status === 'quota_exceeded') {
+        job.status = 'running';
+        delete job.reason;
+        this.db.updateJobStatus(jobId, 'running');
+        resumed++;
+      }
+    }
+
+    if (resumed > 0) {
+      this.processQueue();
+    }
+    return resumed;
+  }
+
+  /**
+   * Pause a job; its queued tiles and counters are kept until resumeJob()
+   * Tiles already being downloaded still complete
+   * @param {string} jobId
+   * @returns {boolean} False if the job is not active
+   */
+  pauseJob(jobId) {
+    const job = this.activeJobs.get(jobId);
+    if (!job) {
+      return false;
+    }
+
+    if (job.status !== 'paused') {
+      job.status = 'paused';
+      delete job.reason;
+      this.db.updateJobProgress(jobId, this.downloadStats.get(jobId).downloadedCount);
+      this.db.updateJobStatus(jobId, 'paused');
+      this.logger.info(`Job ${jobId} paused`);
+    }
+    return true;
+  }
+
+  /**
+   * Continue a paused job
+   * @param {string} jobId
+   * @returns {boolean} False if the job is not active or not paused
+   */
+  resumeJob(jobId) {
+    const job = this.activeJobs.get(jobId);
+    if (job?.status !== 'paused') {
+      return false;
+    }
+
+    job.status = 'running';
+    this.db.updateJobStatus(jobId, 'running');
+    this.logger.info(`Job ${jobId} resumed`);
+    this.processQueue();
+    return true;
+  }
+
+  /**
+   * Check the database for requests from other processes while jobs are active
+   */
+  watchJobStatus() {
+    if (!this.statusTimer) {
+      this.statusTimer = setInterval(() => this.checkJobStatus(), STATUS_CHECK_INTERVAL);
+      this.statusTimer.unref();
+    }
+  }
+
+  /**
+   * Stop checking the database for requests from other processes
+   */
+  unwatchJobStatus() {
+    clearInterval(this.statusTimer);
+    this.statusTimer = null;
+  }
+
+  /**
+   * Apply the pause, resume and cancel requests other processes recorded for active jobs
+   */
+  checkJobStatus() {
+    if (this.activeJobs.size === 0) {
+      this.unwatchJobStatus();
+      return;
+    }
+
+    for (const [jobId, job] of this.activeJobs) {
+      const status = this.db.getJobStatus(jobId);
+      if (status === 'paused' && job.status !== 'paused') {
+        this.pauseJob(jobId);
+      } else if (status === 'running' && job.status === 'paused') {
+        this.resumeJob(jobId);
+      } else if (status === 'cancelled' || status === undefined) {
+        this.cancelJob(jobId); // Cancelled or deleted
+      }
+    }
+  }
+
   /**
    * Rate limiting - wait if needed
    */
@@ -233,6 +533,9 @@ export class TileDownloader {
     // Update final progress
     this.db.updateJobProgress(jobId, stats.downloadedCount);
     this.db.updateJobStatus(jobId, stats.failedCount > 0 ? 'completed_with_errors' : 'completed');
+    if (stats.failedCount === 0) {
+      this.db.clearJobQueue(jobId); // Otherwise the failed tiles stay queued for resumeJob()
+    }
 
     // Clean up
     this.activeJobs.delete(jobId);
@@ -253,6 +556,7 @@ export class TileDownloader {
 
     // Update status
     this.db.updateJobStatus(jobId, 'cancelled');
+    this.db.clearJobQueue(jobId);
 
     // Clean up
     this.activeJobs.delete(jobId);
@@ -262,6 +566,29 @@ export class TileDownloader {
     return true;
   }
 
+  /**
+   * Stop all jobs without finishing them, e.g. when shutting down
+   * Their queued tiles stay in the database, so they can be resumed later;
+   * paused jobs stay paused
+   * @returns {string[]} IDs of the interrupted jobs
+   */
+  interruptJobs() {
+    const jobIds = [...this.activeJobs.keys()];
+
+    for (const jobId of jobIds) {
+      const status = this.activeJobs.get(jobId).status === 'paused' ? 'paused' : 'interrupted';
+      this.db.updateJobProgress(jobId, this.downloadStats.get(jobId).downloadedCount);
+      this.db.updateJobStatus(jobId, status, { runnerPid: null });
+      this.logger.info(`Job ${jobId} ${status}`);
+    }
+
+    this.unwatchJobStatus();
+    this.queue = [];
+    this.activeJobs.clear();
+    this.downloadStats.clear();
+    return jobIds;
+  }
+
   /**
    * Get job status
    */
@@ -279,12 +606,14 @@ export class TileDownloader {
     return {
       jobId,
       source: job.source,
+      scale: job.scale,
       totalTiles: job.totalTiles,
       downloadedTiles: stats.downloadedCount,
       skippedTiles: stats.skippedCount,
       failedTiles: stats.failedCount,
       progress: Math.round(progress),
       status: job.status,
+      ...(job.reason && { reason: job.reason }),
       queuedTiles: this.queue.filter(t => t.jobId === jobId).length
     };
   }
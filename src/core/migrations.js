@@ -0,0 +1,350 @@
+/**
+ * Schema migrations for the tile database
+ * The schema version is stored in PRAGMA user_version; each migration moves the
+ * database one version up and runs in its own transaction with the version bump.
+ *
+ * Databases created before versioning report version 0 whatever their layout, so
+ * every step must also work on a schema that already has its changes
+ * (CREATE ... IF NOT EXISTS, ensureColumn).
+ */
+
+import fs from 'fs';
+import Database from 'better-sqlite3';
+
+/**
+ * Ordered migration steps
+ * up() receives the TileDatabase; append new steps, never change released ones
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create tile and download job tables',
+    up(database) {
+      database.db.exec(`
+        CREATE TABLE IF NOT EXISTS tiles (
+          z INTEGER NOT NULL,
+          x INTEGER NOT NULL,
+          y INTEGER NOT NULL,
+          source TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          data BLOB NOT NULL,
+          PRIMARY KEY (z, x, y, source)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_tiles_lookup
+        ON tiles(source, z, x, y);
+
+        CREATE TABLE IF NOT EXISTS download_jobs (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          source TEXT NOT NULL,
+          bounds TEXT NOT NULL,
+          minZoom INTEGER NOT NULL,
+          maxZoom INTEGER NOT NULL,
+          totalTiles INTEGER NOT NULL,
+          downloadedTiles INTEGER DEFAULT 0,
+          status TEXT DEFAULT 'pending',
+          country TEXT DEFAULT NULL,
+          city TEXT DEFAULT NULL,
+          createdAt INTEGER NOT NULL,
+          updatedAt INTEGER NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Add user-defined sources',
+    up(database) {
+      database.db.exec(`
+        CREATE TABLE IF NOT EXISTS sources (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          url TEXT NOT NULL,
+          subdomains TEXT DEFAULT NULL,
+          minZoom INTEGER NOT NULL DEFAULT 0,
+          maxZoom INTEGER NOT NULL DEFAULT 22,
+          tileSize INTEGER NOT NULL DEFAULT 256,
+          attribution TEXT DEFAULT NULL,
+          headers TEXT DEFAULT NULL,
+          createdAt INTEGER NOT NULL,
+          updatedAt INTEGER NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'Store extra source settings as JSON options',
+    up(database) {
+      database.ensureColumn('sources', 'options', 'TEXT DEFAULT NULL');
+    }
+  },
+  {
+    version: 4,
+    description: 'Record the tile format of each source',
+    up(database) {
+      database.db.exec(`
+        CREATE TABLE IF NOT EXISTS source_formats (
+          source TEXT PRIMARY KEY,
+          format TEXT NOT NULL,
+          updatedAt INTEGER NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 5,
+    description: 'Add the pixel ratio of download jobs',
+    up(database) {
+      database.ensureColumn('download_jobs', 'scale', 'INTEGER NOT NULL DEFAULT 1');
+    }
+  },
+  {
+    version: 6,
+    description: 'Store tile contents as deduplicated blobs',
+    up(database) {
+      database.db.exec(`
+        CREATE TABLE IF NOT EXISTS tile_blobs (
+          hash BLOB PRIMARY KEY,
+          size INTEGER NOT NULL,
+          data BLOB NOT NULL
+        )
+      `);
+
+      if (hasColumn(database.db, 'tiles', 'data')) {
+        database.migrateTileBlobs();
+      }
+
+      // Remove blobs once the last tile referencing them is deleted or rewritten
+      database.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_tiles_lookup
+        ON tiles(source, z, x, y);
+
+        CREATE INDEX IF NOT EXISTS idx_tiles_hash
+        ON tiles(hash);
+
+        CREATE TRIGGER IF NOT EXISTS tiles_release_blob_on_delete
+        AFTER DELETE ON tiles
+        BEGIN
+          DELETE FROM tile_blobs
+          WHERE hash = OLD.hash AND NOT EXISTS (SELECT 1 FROM tiles WHERE hash = OLD.hash);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS tiles_release_blob_on_update
+        AFTER UPDATE OF hash ON tiles
+        WHEN OLD.hash != NEW.hash
+        BEGIN
+          DELETE FROM tile_blobs
+          WHERE hash = OLD.hash AND NOT EXISTS (SELECT 1 FROM tiles WHERE hash = OLD.hash);
+        END;
+      `);
+    }
+  },
+  {
+    version: 7,
+    description: 'Record the tiles each job owns',
+    up(database) {
+      if (hasTable(database.db, 'job_tiles')) {
+        return;
+      }
+
+      database.db.exec(`
+        CREATE TABLE job_tiles (
+          job_id TEXT NOT NULL,
+          source TEXT NOT NULL,
+          z INTEGER NOT NULL,
+          x INTEGER NOT NULL,
+          y INTEGER NOT NULL,
+          PRIMARY KEY (job_id, source, z, x, y)
+        ) WITHOUT ROWID;
+
+        CREATE INDEX IF NOT EXISTS idx_job_tiles_tile
+        ON job_tiles(source, z, x, y);
+      `);
+      database.backfillJobTiles();
+    }
+  },
+  {
+    version: 8,
+    description: 'Add tile validators and refresh jobs',
+    up(database) {
+      database.ensureColumn('tiles', 'etag', 'TEXT DEFAULT NULL');
+      database.ensureColumn('tiles', 'lastModified', 'TEXT DEFAULT NULL');
+      database.ensureColumn('download_jobs', 'type', "TEXT NOT NULL DEFAULT 'download'");
+      database.ensureColumn('download_jobs', 'parentJobId', 'TEXT DEFAULT NULL');
+    }
+  },
+  {
+    version: 9,
+    description: 'Add storage quotas, tile access times and pinned jobs',
+    up(database) {
+      database.ensureColumn('tiles', 'lastAccess', 'INTEGER DEFAULT NULL');
+      database.ensureColumn('download_jobs', 'pinned', 'INTEGER NOT NULL DEFAULT 0');
+      database.db.exec(`
+        CREATE TABLE IF NOT EXISTS quotas (
+          scope TEXT PRIMARY KEY,
+          maxSize INTEGER DEFAULT NULL,
+          maxTiles INTEGER DEFAULT NULL,
+          policy TEXT NOT NULL DEFAULT 'none',
+          updatedAt INTEGER NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 10,
+    description: 'Keep tile history for imagery snapshots',
+    up(database) {
+      database.ensureColumn('tiles', 'capturedAt', 'INTEGER DEFAULT NULL');
+      database.ensureColumn('tiles', 'jobId', 'TEXT DEFAULT NULL');
+      database.ensureColumn('download_jobs', 'snapshot', 'INTEGER NOT NULL DEFAULT 0');
+
+      // Blobs are now also referenced by tile versions, and deleting a tile deletes
+      // its history, so the release triggers are replaced
+      database.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_tiles_job
+        ON tiles(jobId);
+
+        CREATE TABLE IF NOT EXISTS tile_versions (
+          source TEXT NOT NULL,
+          z INTEGER NOT NULL,
+          x INTEGER NOT NULL,
+          y INTEGER NOT NULL,
+          capturedAt INTEGER NOT NULL,
+          hash BLOB NOT NULL,
+          jobId TEXT DEFAULT NULL,
+          PRIMARY KEY (source, z, x, y, capturedAt)
+        ) WITHOUT ROWID;
+
+        CREATE INDEX IF NOT EXISTS idx_tile_versions_job
+        ON tile_versions(jobId);
+
+        CREATE INDEX IF NOT EXISTS idx_tile_versions_hash
+        ON tile_versions(hash);
+
+        DROP TRIGGER IF EXISTS tiles_release_blob_on_delete;
+        DROP TRIGGER IF EXISTS tiles_release_blob_on_update;
+
+        CREATE TRIGGER tiles_release_blob_on_delete
+        AFTER DELETE ON tiles
+        BEGIN
+          DELETE FROM tile_versions
+          WHERE source = OLD.source AND z = OLD.z AND x = OLD.x AND y = OLD.y;
+          DELETE FROM tile_blobs
+          WHERE hash = OLD.hash
+          AND NOT EXISTS (SELECT 1 FROM tiles WHERE hash = OLD.hash)
+          AND NOT EXISTS (SELECT 1 FROM tile_versions WHERE hash = OLD.hash);
+        END;
+
+        CREATE TRIGGER tiles_release_blob_on_update
+        AFTER UPDATE OF hash ON tiles
+        WHEN OLD.hash != NEW.hash
+        BEGIN
+          DELETE FROM tile_blobs
+          WHERE hash = OLD.hash
+          AND NOT EXISTS (SELECT 1 FROM tiles WHERE hash = OLD.hash)
+          AND NOT EXISTS (SELECT 1 FROM tile_versions WHERE hash = OLD.hash);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS tile_versions_release_blob_on_delete
+        AFTER DELETE ON tile_versions
+        BEGIN
+          DELETE FROM tile_blobs
+          WHERE hash = OLD.hash
+          AND NOT EXISTS (SELECT 1 FROM tiles WHERE hash = OLD.hash)
+          AND NOT EXISTS (SELECT 1 FROM tile_versions WHERE hash = OLD.hash);
+        END;
+      `);
+    }
+  },
+  {
+    version: 11,
+    description: 'Store the polygon area of download jobs',
+    up(database) {
+      database.ensureColumn('download_jobs', 'geometry', 'TEXT DEFAULT NULL');
+    }
+  },
+  {
+    version: 12,
+    description: 'Persist the download queue so interrupted jobs can be resumed',
+    up(database) {
+      database.ensureColumn('download_jobs', 'runnerPid', 'INTEGER DEFAULT NULL');
+      database.db.exec(`
+        CREATE TABLE IF NOT EXISTS job_queue (
+          job_id TEXT NOT NULL,
+          z INTEGER NOT NULL,
+          x INTEGER NOT NULL,
+          y INTEGER NOT NULL,
+          PRIMARY KEY (job_id, z, x, y)
+        ) WITHOUT ROWID;
+      `);
+    }
+  }
+];
+
+/**
+ * Schema version this TileForge version creates and reads
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function hasTable(db, table) {
+  return db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table) !== undefined;
+}
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/**
+ * Get the schema version of an open database
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {number}
+ */
+export function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Get the migrations a database at a schema version still needs
+ * @param {number} version - Current schema version
+ * @returns {Array<object>} Migration steps, in the order to apply them
+ * @throws {Error} If the database was written by a newer TileForge version
+ */
+export function getPendingMigrations(version) {
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${version} is newer than this TileForge supports (${SCHEMA_VERSION}); upgrade TileForge to open it`
+    );
+  }
+  return MIGRATIONS.filter(migration => migration.version > version);
+}
+
+/**
+ * List the migrations a database file needs, without changing it
+ * @param {string} dbPath - Path to the SQLite database file
+ * @returns {{dbPath: string, exists: boolean, version: number, latestVersion: number,
+ *   pending: Array<{version: number, description: string}>}}
+ * @throws {Error} If the database was written by a newer TileForge version
+ */
+export function planMigrations(dbPath) {
+  const exists = fs.existsSync(dbPath);
+  let version = 0;
+
+  if (exists) {
+    const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+    try {
+      version = getSchemaVersion(db);
+    } finally {
+      db.close();
+    }
+  }
+
+  return {
+    dbPath,
+    exists,
+    version,
+    latestVersion: SCHEMA_VERSION,
+    pending: getPendingMigrations(version).map(({ version, description }) => ({ version, description }))
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * Tile directory reader and writer
+ * Tiles are plain files laid out as {z}/{x}/{y}.{ext}, with a manifest.json
+ * (TileJSON fields plus the tile count) at the root of the tree
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { flipY, getColumnRange, isValidTile } from '../core/TileCalculator.js';
+import { detectTileFormat, getVectorLayerNames } from '../utils/tileFormat.js';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * File extensions recognized when reading a tile tree
+ */
+const TILE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'pbf', 'mvt'];
+
+/**
+ * Write tiles to a new directory tree
+ * @param {string} outDir - Output directory (must not exist or be empty)
+ * @param {object} options - Export contents
+ * @param {Iterable<{z: number, x: number, y: number, data: Buffer}>} options.tiles - Tiles in XYZ scheme
+ * @param {object} options.info - Tileset description: name, description, attribution, format,
+ *   bounds {north, south, east, west}, center [lng, lat, zoom], minZoom, maxZoom
+ * @param {string} options.scheme - Row layout: 'xyz' or 'tms' (default: 'xyz')
+ * @param {Function} options.onProgress - Called with the number of tiles written so far (optional)
+ * @returns {{tileCount: number, manifest: object}} Tiles written and the manifest contents
+ */
+export function writeTileDirectory(outDir, options) {
+  const { tiles, info, scheme = 'xyz', onProgress } = options;
+
+  if (scheme !== 'xyz' && scheme !== 'tms') {
+    throw new Error(`Invalid scheme: ${scheme}. Use "xyz" or "tms"`);
+  }
+  if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+    throw new Error(`Output directory is not empty: ${outDir}`);
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const vectorLayers = new Map();
+  const extensions = new Set();
+  const createdDirs = new Set();
+  let tileCount = 0;
+
+  for (const tile of tiles) {
+    // Each file is named after its own content, so mixed-format sources keep valid extensions
+    const extension = detectTileFormat(tile.data) || info.format;
+    extensions.add(extension);
+
+    if (extension === 'pbf') {
+      for (const id of getVectorLayerNames(tile.data)) {
+        const zooms = vectorLayers.get(id) || { minzoom: tile.z, maxzoom: tile.z };
+        vectorLayers.set(id, { minzoom: Math.min(zooms.minzoom, tile.z), maxzoom: Math.max(zooms.maxzoom, tile.z) });
+      }
+    }
+
+    const dir = path.join(outDir, String(tile.z), String(tile.x));
+    if (!createdDirs.has(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+      createdDirs.add(dir);
+    }
+
+    const row = scheme === 'tms' ? flipY(tile.y, tile.z) : tile.y;
+    fs.writeFileSync(path.join(dir, `${row}.${extension}`), tile.data);
+
+    tileCount++;
+    if (onProgress && tileCount % 1000 === 0) onProgress(tileCount);
+  }
+
+  const { bounds } = info;
+  const extension = extensions.size === 1 ? [...extensions][0] : info.format;
+
+  const manifest = {
+    tilejson: '3.0.0',
+    name: info.name,
+    description: info.description,
+    attribution: info.attribution,
+    format: info.format,
+    scheme,
+    tiles: [`{z}/{x}/{y}.${extension}`],
+    bounds: [bounds.west, bounds.south, bounds.east, bounds.north],
+    center: info.center,
+    minzoom: info.minZoom,
+    maxzoom: info.maxZoom,
+    tileCount,
+    ...(info.format === 'pbf' && {
+      vector_layers: [...vectorLayers].map(([id, zooms]) => ({ id, fields: {}, ...zooms }))
+    })
+  };
+
+  fs.writeFileSync(path.join(outDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  if (onProgress) onProgress(tileCount);
+
+  return { tileCount, manifest };
+}
+
+/**
+ * List the numeric entries of a directory
+ * @returns {number[]}
+ */
+function listNumericDirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && /^\d+$/.test(entry.name))
+    .map(entry => Number(entry.name));
+}
+
+/**
+ * Open a tile directory tree for reading
+ * The row layout comes from the manifest's scheme, else from options.scheme
+ * @param {string} inDir - Root of the tree
+ * @param {object} options - Read options
+ * @param {string} options.scheme - Row layout when there is no manifest: 'xyz' or 'tms' (default: 'xyz')
+ * @returns {{manifest: object|null, scheme: string, tileCount: number, extent: Array, tiles: Function}}
+ *   the manifest (if any), the XYZ tile ranges per zoom level, and tiles() iterating over
+ *   {z, x, y, data} in XYZ scheme
+ * @throws {Error} If the directory does not exist or its manifest is invalid
+ */
+export function openTileDirectory(inDir, options = {}) {
+  if (!fs.existsSync(inDir) || !fs.statSync(inDir).isDirectory()) {
+    throw new Error(`Directory not found: ${inDir}`);
+  }
+
+  let manifest = null;
+  const manifestPath = path.join(inDir, MANIFEST_FILE);
+  if (fs.existsSync(manifestPath)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${MANIFEST_FILE}: ${error.message}`);
+    }
+  }
+
+  const scheme = manifest?.scheme || options.scheme || 'xyz';
+  if (scheme !== 'xyz' && scheme !== 'tms') {
+    throw new Error(`Invalid scheme: ${scheme}. Use "xyz" or "tms"`);
+  }
+
+  // Index the tree up front (names only) for the tile count and extent
+  const files = [];
+  const extent = [];
+  for (const z of listNumericDirs(inDir).sort((a, b) => a - b)) {
+    let range = null;
+    const columns = new Set();
+
+    for (const x of listNumericDirs(path.join(inDir, String(z)))) {
+      for (const name of fs.readdirSync(path.join(inDir, String(z), String(x)))) {
+        const match = /^(\d+)\.([a-z]+)$/i.exec(name);
+        if (!match || !TILE_EXTENSIONS.includes(match[2].toLowerCase())) continue;
+
+        const row = Number(match[1]);
+        const y = scheme === 'tms' ? flipY(row, z) : row;
+        if (!isValidTile(x, y, z)) continue;
+
+        files.push({ z, x, y, file: path.join(inDir, String(z), String(x), name) });
+        columns.add(x);
+        range = range
+          ? { z, minY: Math.min(range.minY, y), maxY: Math.max(range.maxY, y) }
+          : { z, minY: y, maxY: y };
+      }
+    }
+
+    // Tiles on both sides of the antimeridian give a column range wrapping around it
+    if (range) {
+      extent.push({ ...range, ...getColumnRange([...columns].sort((a, b) => a - b), z) });
+    }
+  }
+
+  return {
+    manifest,
+    scheme,
+    tileCount: files.length,
+    extent,
+    *tiles() {
+      for (const { z, x, y, file } of files) {
+        yield { z, x, y, data: fs.readFileSync(file) };
+      }
+    }
+  };
+}
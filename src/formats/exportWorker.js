@@ -0,0 +1,93 @@
+/**
+ * Export writer thread
+ * Exports are written in a worker thread that reads the tiles through its own
+ * database connection, so a large export does not hold up tile serving and the API
+ */
+
+import fs from 'fs';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { TileDatabase } from '../core/TileDatabase.js';
+import { writeMBTiles } from './mbtiles.js';
+import { writePMTiles } from './pmtiles.js';
+import { writeTileDirectory } from './directory.js';
+import { writeGeoPackage } from './geopackage.js';
+
+/**
+ * Writers by export format; each returns at least {tileCount}
+ */
+const WRITERS = {
+  mbtiles: (outPath, options) => ({ tileCount: writeMBTiles(outPath, options) }),
+  pmtiles: writePMTiles,
+  directory: writeTileDirectory,
+  gpkg: writeGeoPackage
+};
+
+/**
+ * Write an export in a worker thread
+ * @param {string} format - 'mbtiles' | 'pmtiles' | 'directory' | 'gpkg'
+ * @param {object} options - Export options
+ * @param {string} options.dbPath - Database file to read the tiles from
+ * @param {string} options.source - Storage source of the tiles
+ * @param {object} options.filter - {bounds, geometry, minZoom, maxZoom, order} (see TileDatabase.iterateTiles)
+ * @param {string} options.outPath - Output file or directory
+ * @param {Function} options.onProgress - Called with the number of tiles written so far (optional)
+ * @param {AbortSignal} options.signal - Stops the export and removes its output (optional)
+ * @param {object} options.writerOptions - Options passed on to the writer: info, scheme, tableName
+ * @returns {Promise<object>} The writer's result
+ */
+export function runExport(format, options) {
+  const { dbPath, source, filter, outPath, onProgress, signal, writerOptions } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Export aborted'));
+      return;
+    }
+
+    const worker = new Worker(new URL(import.meta.url), {
+      workerData: { tileforgeExport: { format, dbPath, source, filter, outPath, writerOptions } }
+    });
+    const abort = () => worker.terminate();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    let result = null;
+    let failure = null;
+    worker.on('message', message => {
+      if (message.result) {
+        result = message.result;
+      } else if (onProgress) {
+        onProgress(message.written);
+      }
+    });
+    worker.on('error', error => {
+      failure = error;
+    });
+    worker.on('exit', () => {
+      signal?.removeEventListener('abort', abort);
+      if (signal?.aborted) {
+        fs.rmSync(outPath, { recursive: true, force: true });
+        reject(new Error('Export aborted'));
+      } else if (failure || !result) {
+        reject(failure || new Error('Export worker stopped unexpectedly'));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+if (!isMainThread && workerData?.tileforgeExport) {
+  const { format, dbPath, source, filter, outPath, writerOptions } = workerData.tileforgeExport;
+  const database = new TileDatabase({ dbPath, logLevel: 'warn', cacheMaxSize: 0, backupOnMigrate: false });
+
+  try {
+    const result = WRITERS[format](outPath, {
+      ...writerOptions,
+      tiles: database.iterateTiles(source, filter),
+      onProgress: written => parentPort.postMessage({ written })
+    });
+    parentPort.postMessage({ result });
+  } finally {
+    database.close();
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * OGC GeoPackage (1.3) tile writer
+ * A GeoPackage is a SQLite file with metadata tables describing a tile pyramid
+ * user table; tiles are written in the EPSG:3857 tile matrix set covering the
+ * whole world, whose row order matches the XYZ scheme. See https://www.geopackage.org/spec/
+ */
+
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { MERCATOR_EXTENT, latLngToMercator, crossesAntimeridian } from '../core/TileCalculator.js';
+
+const BATCH_SIZE = 1000;
+
+/**
+ * GeoPackage application ID ("GPKG") and version 1.3.0
+ */
+const APPLICATION_ID = 0x47504b47;
+const USER_VERSION = 10300;
+
+/**
+ * Tile formats a GeoPackage can hold (WebP through the gpkg_webp extension)
+ */
+const GEOPACKAGE_FORMATS = ['png', 'jpg', 'webp'];
+
+const WGS84_WKT = 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],' +
+  'AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],' +
+  'UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]';
+
+const WEB_MERCATOR_WKT = `PROJCS["WGS 84 / Pseudo-Mercator",${WGS84_WKT},PROJECTION["Mercator_1SP"],` +
+  'PARAMETER["central_meridian",0],PARAMETER["scale_factor",1],PARAMETER["false_easting",0],' +
+  'PARAMETER["false_northing",0],UNIT["metre",1,AUTHORITY["EPSG","9001"]],AXIS["Easting",EAST],' +
+  'AXIS["Northing",NORTH],AUTHORITY["EPSG","3857"]]';
+
+/**
+ * Spatial reference systems: the three the spec requires, plus Web Mercator
+ */
+const SPATIAL_REF_SYS = [
+  ['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system'],
+  ['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system'],
+  ['WGS 84 geodetic', 4326, 'EPSG', 4326, WGS84_WKT, 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid'],
+  ['WGS 84 / Pseudo-Mercator', 3857, 'EPSG', 3857, WEB_MERCATOR_WKT, 'Web Mercator (spherical Mercator) used by web tile services']
+];
+
+/**
+ * Derive a tile table name from a tileset name
+ * Table names must start with a letter and must not use the reserved gpkg_ prefix
+ * @param {string} name
+ * @returns {string}
+ */
+function getTileTableName(name) {
+  const table = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/^[^a-z]+|_+$/g, '')
+    .slice(0, 64);
+
+  return !table || table.startsWith('gpkg_') ? 'tiles' : table;
+}
+
+/**
+ * Write tiles to a new GeoPackage file
+ * @param {string} outPath - Output file (must not exist)
+ * @param {object} options - Export contents
+ * @param {Iterable<{z: number, x: number, y: number, data: Buffer}>} options.tiles - Tiles in XYZ scheme
+ * @param {object} options.info - Tileset description: name, description, format, tileSize,
+ *   bounds {north, south, east, west}, minZoom, maxZoom
+ * @param {string} options.tableName - Tile pyramid table (default: derived from info.name)
+ * @param {Function} options.onProgress - Called with the number of tiles written so far (optional)
+ * @returns {{tileCount: number, tableName: string}} Tiles written and the tile table name
+ */
+export function writeGeoPackage(outPath, options) {
+  const { tiles, info, onProgress } = options;
+  const tableName = options.tableName || getTileTableName(info.name);
+
+  if (fs.existsSync(outPath)) {
+    throw new Error(`Output file already exists: ${outPath}`);
+  }
+  if (!GEOPACKAGE_FORMATS.includes(info.format)) {
+    throw new Error(`Unsupported tile format for GeoPackage: ${info.format} (raster png, jpg or webp tiles only)`);
+  }
+  if (!/^[a-z][a-z0-9_]*$/.test(tableName) || tableName.startsWith('gpkg_')) {
+    throw new Error(`Invalid GeoPackage table name: ${tableName}`);
+  }
+
+  const db = new Database(outPath);
+  let written = 0;
+
+  try {
+    db.pragma('journal_mode = OFF');
+    db.pragma('synchronous = OFF');
+    db.pragma(`application_id = ${APPLICATION_ID}`);
+    db.pragma(`user_version = ${USER_VERSION}`);
+
+    db.exec(`
+      CREATE TABLE gpkg_spatial_ref_sys (
+        srs_name TEXT NOT NULL,
+        srs_id INTEGER NOT NULL PRIMARY KEY,
+        organization TEXT NOT NULL,
+        organization_coordsys_id INTEGER NOT NULL,
+        definition TEXT NOT NULL,
+        description TEXT
+      );
+      CREATE TABLE gpkg_contents (
+        table_name TEXT NOT NULL PRIMARY KEY,
+        data_type TEXT NOT NULL,
+        identifier TEXT UNIQUE,
+        description TEXT DEFAULT '',
+        last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+        min_x DOUBLE,
+        min_y DOUBLE,
+        max_x DOUBLE,
+        max_y DOUBLE,
+        srs_id INTEGER,
+        CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
+      );
+      CREATE TABLE gpkg_tile_matrix_set (
+        table_name TEXT NOT NULL PRIMARY KEY,
+        srs_id INTEGER NOT NULL,
+        min_x DOUBLE NOT NULL,
+        min_y DOUBLE NOT NULL,
+        max_x DOUBLE NOT NULL,
+        max_y DOUBLE NOT NULL,
+        CONSTRAINT fk_gtms_table_name FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+        CONSTRAINT fk_gtms_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id)
+      );
+      CREATE TABLE gpkg_tile_matrix (
+        table_name TEXT NOT NULL,
+        zoom_level INTEGER NOT NULL,
+        matrix_width INTEGER NOT NULL,
+        matrix_height INTEGER NOT NULL,
+        tile_width INTEGER NOT NULL,
+        tile_height INTEGER NOT NULL,
+        pixel_x_size DOUBLE NOT NULL,
+        pixel_y_size DOUBLE NOT NULL,
+        CONSTRAINT pk_ttm PRIMARY KEY (table_name, zoom_level),
+        CONSTRAINT fk_tmm_table_name FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name)
+      );
+      CREATE TABLE "${tableName}" (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        zoom_level INTEGER NOT NULL,
+        tile_column INTEGER NOT NULL,
+        tile_row INTEGER NOT NULL,
+        tile_data BLOB NOT NULL,
+        UNIQUE (zoom_level, tile_column, tile_row)
+      );
+    `);
+
+    const insertSrs = db.prepare('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)');
+    for (const row of SPATIAL_REF_SYS) {
+      insertSrs.run(...row);
+    }
+
+    // Contents report the exported area; the matrix set spans the whole Web Mercator square.
+    // EPSG:3857 boxes cannot wrap, so areas crossing the antimeridian report its full width
+    const { bounds } = info;
+    const crossing = crossesAntimeridian(bounds);
+    const min = latLngToMercator(bounds.south, crossing ? -180 : bounds.west);
+    const max = latLngToMercator(bounds.north, crossing ? 180 : bounds.east);
+
+    db.prepare(`
+      INSERT INTO gpkg_contents (table_name, data_type, identifier, description, min_x, min_y, max_x, max_y, srs_id)
+      VALUES (?, 'tiles', ?, ?, ?, ?, ?, ?, 3857)
+    `).run(tableName, info.name || tableName, info.description || '', min.x, min.y, max.x, max.y);
+
+    db.prepare('INSERT INTO gpkg_tile_matrix_set VALUES (?, 3857, ?, ?, ?, ?)')
+      .run(tableName, -MERCATOR_EXTENT, -MERCATOR_EXTENT, MERCATOR_EXTENT, MERCATOR_EXTENT);
+
+    const tileSize = info.tileSize || 256;
+    const insertMatrix = db.prepare('INSERT INTO gpkg_tile_matrix VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+    for (let z = info.minZoom; z <= info.maxZoom; z++) {
+      const matrixSize = Math.pow(2, z);
+      const pixelSize = (2 * MERCATOR_EXTENT) / (matrixSize * tileSize);
+      insertMatrix.run(tableName, z, matrixSize, matrixSize, tileSize, tileSize, pixelSize, pixelSize);
+    }
+
+    if (info.format === 'webp') {
+      db.exec(`
+        CREATE TABLE gpkg_extensions (
+          table_name TEXT,
+          column_name TEXT,
+          extension_name TEXT NOT NULL,
+          definition TEXT NOT NULL,
+          scope TEXT NOT NULL,
+          CONSTRAINT ge_tce UNIQUE (table_name, column_name, extension_name)
+        );
+      `);
+      db.prepare('INSERT INTO gpkg_extensions VALUES (?, ?, ?, ?, ?)').run(
+        tableName, 'tile_data', 'gpkg_webp', 'http://www.geopackage.org/spec/#extension_tiles_webp', 'read-write'
+      );
+    }
+
+    const insertTile = db.prepare(`INSERT INTO "${tableName}" (zoom_level, tile_column, tile_row, tile_data) VALUES (?, ?, ?, ?)`);
+    const insertBatch = db.transaction(batch => {
+      for (const tile of batch) {
+        insertTile.run(tile.z, tile.x, tile.y, tile.data);
+      }
+    });
+
+    let batch = [];
+    for (const tile of tiles) {
+      batch.push(tile);
+      if (batch.length === BATCH_SIZE) {
+        insertBatch(batch);
+        written += batch.length;
+        batch = [];
+        if (onProgress) onProgress(written);
+      }
+    }
+    if (batch.length > 0) {
+      insertBatch(batch);
+      written += batch.length;
+      if (onProgress) onProgress(written);
+    }
+
+    db.close();
+  } catch (error) {
+    db.close();
+    fs.rmSync(outPath, { force: true });
+    throw error;
+  }
+
+  return { tileCount: written, tableName };
+}
@@ -0,0 +1,197 @@
+/**
+ * MBTiles 1.3 reader and writer
+ * MBTiles is a SQLite file with a `tiles` table in TMS row order and a
+ * `metadata` key/value table; see https://github.com/mapbox/mbtiles-spec
+ */
+
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { flipY, getColumnRange, mayWrapColumns } from '../core/TileCalculator.js';
+import { getVectorLayerNames } from '../utils/tileFormat.js';
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Build the metadata rows of an MBTiles file
+ * @param {object} info - Tileset description (see writeMBTiles)
+ * @param {Map<string, {minzoom: number, maxzoom: number}>} vectorLayers - Layers seen in vector tiles
+ * @returns {object} Metadata values keyed by name
+ */
+function buildMetadata(info, vectorLayers) {
+  const { bounds, center } = info;
+
+  const metadata = {
+    name: info.name,
+    description: info.description,
+    attribution: info.attribution,
+    format: info.format,
+    type: 'baselayer',
+    version: '1',
+    bounds: [bounds.west, bounds.south, bounds.east, bounds.north].join(','),
+    center: center.join(','),
+    minzoom: info.minZoom,
+    maxzoom: info.maxZoom
+  };
+
+  if (info.format === 'pbf') {
+    metadata.json = JSON.stringify({
+      vector_layers: [...vectorLayers].map(([id, zooms]) => ({ id, fields: {}, ...zooms }))
+    });
+  }
+
+  return metadata;
+}
+
+/**
+ * Write tiles to a new MBTiles file
+ * @param {string} outPath - Output file (must not exist)
+ * @param {object} options - Export contents
+ * @param {Iterable<{z: number, x: number, y: number, data: Buffer}>} options.tiles - Tiles in XYZ scheme
+ * @param {object} options.info - Tileset description: name, description, attribution, format,
+ *   bounds {north, south, east, west}, center [lng, lat, zoom], minZoom, maxZoom
+ * @param {Function} options.onProgress - Called with the number of tiles written so far (optional)
+ * @returns {number} Number of tiles written
+ */
+export function writeMBTiles(outPath, options) {
+  const { tiles, info, onProgress } = options;
+
+  if (fs.existsSync(outPath)) {
+    throw new Error(`Output file already exists: ${outPath}`);
+  }
+
+  const db = new Database(outPath);
+  const vectorLayers = new Map();
+  let written = 0;
+
+  try {
+    db.pragma('journal_mode = OFF');
+    db.pragma('synchronous = OFF');
+
+    db.exec(`
+      CREATE TABLE metadata (name TEXT, value TEXT);
+      CREATE UNIQUE INDEX name ON metadata (name);
+      CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB);
+      CREATE UNIQUE INDEX tile_index ON tiles (zoom_level, tile_column, tile_row);
+    `);
+
+    const insertMetadata = db.prepare('INSERT INTO metadata (name, value) VALUES (?, ?)');
+    const insertTile = db.prepare('INSERT INTO tiles (zoom_level, tile_column, tile_row, tile_data) VALUES (?, ?, ?, ?)');
+
+    const insertBatch = db.transaction(batch => {
+      for (const tile of batch) {
+        insertTile.run(tile.z, tile.x, flipY(tile.y, tile.z), tile.data);
+      }
+    });
+
+    let batch = [];
+    for (const tile of tiles) {
+      // Vector tilesets must list their layers in the metadata
+      if (info.format === 'pbf') {
+        for (const id of getVectorLayerNames(tile.data)) {
+          const zooms = vectorLayers.get(id) || { minzoom: tile.z, maxzoom: tile.z };
+          vectorLayers.set(id, { minzoom: Math.min(zooms.minzoom, tile.z), maxzoom: Math.max(zooms.maxzoom, tile.z) });
+        }
+      }
+
+      batch.push(tile);
+      if (batch.length === BATCH_SIZE) {
+        insertBatch(batch);
+        written += batch.length;
+        batch = [];
+        if (onProgress) onProgress(written);
+      }
+    }
+    if (batch.length > 0) {
+      insertBatch(batch);
+      written += batch.length;
+      if (onProgress) onProgress(written);
+    }
+
+    db.transaction(() => {
+      for (const [name, value] of Object.entries(buildMetadata(info, vectorLayers))) {
+        if (value !== undefined && value !== null && value !== '') {
+          insertMetadata.run(name, String(value));
+        }
+      }
+    })();
+
+    db.close();
+  } catch (error) {
+    db.close();
+    fs.rmSync(outPath, { force: true });
+    throw error;
+  }
+
+  return written;
+}
+
+/**
+ * Open an MBTiles file for reading
+ * @param {string} inPath - MBTiles file
+ * @returns {{metadata: object, tileCount: number, extent: Array, tiles: Function, close: Function}}
+ *   metadata values keyed by name, the XYZ tile ranges per zoom level, and tiles() iterating
+ *   over {z, x, y, data} in XYZ scheme
+ * @throws {Error} If the file is not an MBTiles file
+ */
+export function openMBTiles(inPath) {
+  if (!fs.existsSync(inPath)) {
+    throw new Error(`File not found: ${inPath}`);
+  }
+
+  const db = new Database(inPath, { readonly: true, fileMustExist: true });
+
+  try {
+    const tables = new Set(db.prepare("SELECT name FROM sqlite_master WHERE type IN ('table', 'view')").all().map(r => r.name));
+    if (!tables.has('tiles') || !tables.has('metadata')) {
+      throw new Error(`Not an MBTiles file (missing tiles or metadata table): ${inPath}`);
+    }
+
+    const metadata = {};
+    for (const { name, value } of db.prepare('SELECT name, value FROM metadata').all()) {
+      metadata[name] = value;
+    }
+
+    const tileCount = db.prepare('SELECT COUNT(*) as count FROM tiles').get().count;
+
+    // Stored rows are TMS; flip the row range back to XYZ. Tiles on both sides of the
+    // antimeridian give a column range wrapping around it (minX > maxX)
+    const columns = db.prepare('SELECT DISTINCT tile_column FROM tiles WHERE zoom_level = ? ORDER BY tile_column').pluck();
+    const extent = db.prepare(`
+      SELECT zoom_level as z, MIN(tile_column) as minX, MAX(tile_column) as maxX,
+        MIN(tile_row) as minRow, MAX(tile_row) as maxRow
+      FROM tiles GROUP BY zoom_level ORDER BY zoom_level
+    `).all().map(({ z, minX, maxX, minRow, maxRow }) => ({
+      z,
+      ...(mayWrapColumns({ z, minX, maxX }) ? getColumnRange(columns.iterate(z), z) : { minX, maxX }),
+      minY: flipY(maxRow, z),
+      maxY: flipY(minRow, z)
+    }));
+
+    const iterate = db.prepare('SELECT zoom_level, tile_column, tile_row, tile_data FROM tiles');
+
+    return {
+      metadata,
+      tileCount,
+      extent,
+      *tiles() {
+        for (const row of iterate.iterate()) {
+          yield {
+            z: row.zoom_level,
+            x: row.tile_column,
+            y: flipY(row.tile_row, row.zoom_level),
+            data: row.tile_data
+          };
+        }
+      },
+      close() {
+        db.close();
+      }
+    };
+  } catch (error) {
+    db.close();
+    if (error.code === 'SQLITE_NOTADB') {
+      throw new Error(`Not an MBTiles file: ${inPath}`);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,437 @@
+/**
+ * PMTiles v3 reader and writer
+ * A PMTiles archive is a single file of tiles addressed by Hilbert tile ID, with a
+ * 127-byte header, a root directory within the first 16 KiB, JSON metadata,
+ * optional leaf directories and the tile data; see https://github.com/protomaps/PMTiles
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { tileToHilbertId, isValidTile } from '../core/TileCalculator.js';
+import { getVectorLayerNames, isGzipped } from '../utils/tileFormat.js';
+
+const HEADER_SIZE = 127;
+const ROOT_DIRECTORY_MAX = 16384 - HEADER_SIZE;
+
+const COMPRESSION = { none: 1, gzip: 2 };
+
+/**
+ * Bytes copied at a time when appending the tile data to an archive
+ */
+const COPY_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * PMTiles tile type codes by TileForge format
+ */
+const TILE_TYPES = { pbf: 1, png: 2, jpg: 3, webp: 4 };
+const FORMATS_BY_TILE_TYPE = { 1: 'pbf', 2: 'png', 3: 'jpg', 4: 'webp' };
+
+/**
+ * Encode an unsigned varint (values up to 2^53)
+ */
+function writeVarint(bytes, value) {
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+/**
+ * Decode an unsigned varint
+ * @returns {number}
+ */
+function readVarint(reader) {
+  let value = 0;
+  let multiplier = 1;
+  let byte;
+  do {
+    if (reader.offset >= reader.data.length) {
+      throw new Error('Truncated PMTiles directory');
+    }
+    byte = reader.data[reader.offset++];
+    value += (byte & 0x7f) * multiplier;
+    multiplier *= 0x80;
+  } while (byte & 0x80);
+  return value;
+}
+
+/**
+ * Serialize and compress a directory
+ * @param {Array<{tileId: number, offset: number, length: number, runLength: number}>} entries - Sorted by tileId
+ * @returns {Buffer}
+ */
+function serializeDirectory(entries) {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+
+  let lastId = 0;
+  for (const entry of entries) {
+    writeVarint(bytes, entry.tileId - lastId);
+    lastId = entry.tileId;
+  }
+  for (const entry of entries) writeVarint(bytes, entry.runLength);
+  for (const entry of entries) writeVarint(bytes, entry.length);
+
+  // Offsets of contiguous entries are stored as 0
+  entries.forEach((entry, i) => {
+    const previous = entries[i - 1];
+    if (previous && entry.offset === previous.offset + previous.length) {
+      writeVarint(bytes, 0);
+    } else {
+      writeVarint(bytes, entry.offset + 1);
+    }
+  });
+
+  return zlib.gzipSync(Buffer.from(bytes));
+}
+
+/**
+ * Decompress and parse a directory
+ * @param {Buffer} data
+ * @param {number} compression - Internal compression code from the header
+ * @returns {Array<{tileId: number, offset: number, length: number, runLength: number}>}
+ */
+function deserializeDirectory(data, compression) {
+  const reader = { data: compression === COMPRESSION.gzip ? zlib.gunzipSync(data) : data, offset: 0 };
+  const count = readVarint(reader);
+  const entries = [];
+
+  let lastId = 0;
+  for (let i = 0; i < count; i++) {
+    lastId += readVarint(reader);
+    entries.push({ tileId: lastId, offset: 0, length: 0, runLength: 0 });
+  }
+  for (const entry of entries) entry.runLength = readVarint(reader);
+  for (const entry of entries) entry.length = readVarint(reader);
+
+  entries.forEach((entry, i) => {
+    const value = readVarint(reader);
+    entry.offset = value === 0 && i > 0
+      ? entries[i - 1].offset + entries[i - 1].length
+      : value - 1;
+  });
+
+  return entries;
+}
+
+/**
+ * Split directory entries into a root directory and leaf directories
+ * The root must fit in the first 16 KiB together with the header
+ * @returns {{root: Buffer, leaves: Buffer}}
+ */
+function buildDirectories(entries) {
+  const root = serializeDirectory(entries);
+  if (root.length <= ROOT_DIRECTORY_MAX) {
+    return { root, leaves: Buffer.alloc(0) };
+  }
+
+  for (let leafSize = 4096; ; leafSize *= 2) {
+    const rootEntries = [];
+    const leaves = [];
+    let offset = 0;
+
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leaf = serializeDirectory(entries.slice(i, i + leafSize));
+      rootEntries.push({ tileId: entries[i].tileId, offset, length: leaf.length, runLength: 0 });
+      leaves.push(leaf);
+      offset += leaf.length;
+    }
+
+    const leafRoot = serializeDirectory(rootEntries);
+    if (leafRoot.length <= ROOT_DIRECTORY_MAX) {
+      return { root: leafRoot, leaves: Buffer.concat(leaves) };
+    }
+  }
+}
+
+/**
+ * Write tiles to a new PMTiles archive
+ * Identical tiles are stored once; runs of identical tiles share one directory entry.
+ * Tiles passed in tile ID order (see tileToHilbertId) produce a clustered archive.
+ * @param {string} outPath - Output file (must not exist)
+ * @param {object} options - Export contents
+ * @param {Iterable<{z: number, x: number, y: number, data: Buffer}>} options.tiles - Tiles in XYZ scheme
+ * @param {object} options.info - Tileset description: name, description, attribution, format,
+ *   bounds {north, south, east, west}, center [lng, lat, zoom], minZoom, maxZoom
+ * @param {Function} options.onProgress - Called with the number of tiles written so far (optional)
+ * @returns {{tileCount: number, tileContents: number}} Tiles written and unique tile contents stored
+ */
+export function writePMTiles(outPath, options) {
+  const { tiles, info, onProgress } = options;
+
+  if (fs.existsSync(outPath)) {
+    throw new Error(`Output file already exists: ${outPath}`);
+  }
+  if (!TILE_TYPES[info.format]) {
+    throw new Error(`Unsupported tile format for PMTiles: ${info.format}`);
+  }
+
+  const vector = info.format === 'pbf';
+  const vectorLayers = new Map();
+  const contents = new Map();
+  const entries = [];
+  let clustered = true;
+  let tileCount = 0;
+  let dataLength = 0;
+
+  // Tile data goes to a temporary file first, as directories precede it in the archive
+  const dataPath = path.join(os.tmpdir(), `tileforge-${crypto.randomBytes(8).toString('hex')}.pmtiles-data`);
+  let dataFd = fs.openSync(dataPath, 'w');
+
+  try {
+    for (const tile of tiles) {
+      // Vector tiles are stored gzip-compressed throughout the archive
+      let data = tile.data;
+      if (vector) {
+        for (const id of getVectorLayerNames(data)) {
+          const zooms = vectorLayers.get(id) || { minzoom: tile.z, maxzoom: tile.z };
+          vectorLayers.set(id, { minzoom: Math.min(zooms.minzoom, tile.z), maxzoom: Math.max(zooms.maxzoom, tile.z) });
+        }
+        if (!isGzipped(data)) data = zlib.gzipSync(data);
+      }
+
+      const tileId = tileToHilbertId(tile.x, tile.y, tile.z);
+      const hash = crypto.createHash('sha256').update(data).digest('base64');
+
+      let content = contents.get(hash);
+      if (!content) {
+        content = { offset: dataLength, length: data.length };
+        contents.set(hash, content);
+        fs.writeSync(dataFd, data);
+        dataLength += data.length;
+      }
+
+      const last = entries[entries.length - 1];
+      if (last && tileId <= last.tileId) {
+        clustered = false;
+      }
+      if (last && clustered && tileId === last.tileId + last.runLength && content.offset === last.offset) {
+        last.runLength++;
+      } else {
+        entries.push({ tileId, offset: content.offset, length: content.length, runLength: 1 });
+      }
+
+      tileCount++;
+      if (onProgress && tileCount % 1000 === 0) onProgress(tileCount);
+    }
+    fs.closeSync(dataFd);
+    dataFd = null;
+
+    if (!clustered) {
+      entries.sort((a, b) => a.tileId - b.tileId);
+    }
+
+    const { root, leaves } = buildDirectories(entries);
+
+    const metadata = zlib.gzipSync(Buffer.from(JSON.stringify({
+      name: info.name,
+      description: info.description,
+      attribution: info.attribution,
+      type: 'baselayer',
+      version: '1',
+      ...(vector && {
+        vector_layers: [...vectorLayers].map(([id, zooms]) => ({ id, fields: {}, ...zooms }))
+      })
+    })));
+
+    const rootOffset = HEADER_SIZE;
+    const metadataOffset = rootOffset + root.length;
+    const leavesOffset = metadataOffset + metadata.length;
+    const dataOffset = leavesOffset + leaves.length;
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.write('PMTiles', 0, 'ascii');
+    header.writeUInt8(3, 7);
+    header.writeBigUInt64LE(BigInt(rootOffset), 8);
+    header.writeBigUInt64LE(BigInt(root.length), 16);
+    header.writeBigUInt64LE(BigInt(metadataOffset), 24);
+    header.writeBigUInt64LE(BigInt(metadata.length), 32);
+    header.writeBigUInt64LE(BigInt(leavesOffset), 40);
+    header.writeBigUInt64LE(BigInt(leaves.length), 48);
+    header.writeBigUInt64LE(BigInt(dataOffset), 56);
+    header.writeBigUInt64LE(BigInt(dataLength), 64);
+    header.writeBigUInt64LE(BigInt(tileCount), 72);
+    header.writeBigUInt64LE(BigInt(entries.length), 80);
+    header.writeBigUInt64LE(BigInt(contents.size), 88);
+    header.writeUInt8(clustered ? 1 : 0, 96);
+    header.writeUInt8(COMPRESSION.gzip, 97);
+    header.writeUInt8(vector ? COMPRESSION.gzip : COMPRESSION.none, 98);
+    header.writeUInt8(TILE_TYPES[info.format], 99);
+    header.writeUInt8(info.minZoom, 100);
+    header.writeUInt8(info.maxZoom, 101);
+    header.writeInt32LE(Math.round(info.bounds.west * 1e7), 102);
+    header.writeInt32LE(Math.round(info.bounds.south * 1e7), 106);
+    header.writeInt32LE(Math.round(info.bounds.east * 1e7), 110);
+    header.writeInt32LE(Math.round(info.bounds.north * 1e7), 114);
+    header.writeUInt8(info.center[2], 118);
+    header.writeInt32LE(Math.round(info.center[0] * 1e7), 119);
+    header.writeInt32LE(Math.round(info.center[1] * 1e7), 123);
+
+    fs.writeFileSync(outPath, Buffer.concat([header, root, metadata, leaves]));
+    copyFileData(dataPath, outPath);
+  } catch (error) {
+    fs.rmSync(outPath, { force: true });
+    throw error;
+  } finally {
+    // Once closed, the descriptor number may belong to another open file
+    if (dataFd !== null) {
+      fs.closeSync(dataFd);
+    }
+    fs.rmSync(dataPath, { force: true });
+  }
+
+  if (onProgress) onProgress(tileCount);
+
+  return { tileCount, tileContents: contents.size };
+}
+
+/**
+ * Append the contents of one file to another in fixed-size chunks, as the tile data
+ * of a large archive does not fit in one buffer
+ */
+function copyFileData(fromPath, toPath) {
+  const buffer = Buffer.alloc(COPY_CHUNK_SIZE);
+  const fromFd = fs.openSync(fromPath, 'r');
+  try {
+    const toFd = fs.openSync(toPath, 'a');
+    try {
+      let bytesRead;
+      while ((bytesRead = fs.readSync(fromFd, buffer, 0, buffer.length, null)) > 0) {
+        fs.writeSync(toFd, buffer, 0, bytesRead);
+      }
+    } finally {
+      fs.closeSync(toFd);
+    }
+  } finally {
+    fs.closeSync(fromFd);
+  }
+}
+
+/**
+ * Open a PMTiles archive for reading
+ * @param {string} inPath - PMTiles file
+ * @returns {{header: object, format: string, metadata: Function, getTile: Function, close: Function}}
+ *   getTile(z, x, y) returns the tile data as stored (gzip for vector tiles) or null
+ * @throws {Error} If the file is not a PMTiles v3 archive
+ */
+export function openPMTiles(inPath) {
+  const fd = fs.openSync(inPath, 'r');
+
+  const read = (offset, length) => {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, offset);
+    return buffer.subarray(0, bytesRead);
+  };
+
+  const raw = read(0, HEADER_SIZE);
+  if (raw.length < HEADER_SIZE || raw.toString('ascii', 0, 7) !== 'PMTiles' || raw[7] !== 3) {
+    fs.closeSync(fd);
+    throw new Error(`Not a PMTiles v3 archive: ${inPath}`);
+  }
+
+  const u64 = offset => Number(raw.readBigUInt64LE(offset));
+  const header = {
+    rootOffset: u64(8),
+    rootLength: u64(16),
+    metadataOffset: u64(24),
+    metadataLength: u64(32),
+    leavesOffset: u64(40),
+    leavesLength: u64(48),
+    dataOffset: u64(56),
+    dataLength: u64(64),
+    addressedTiles: u64(72),
+    internalCompression: raw[97],
+    tileCompression: raw[98],
+    tileType: raw[99],
+    minZoom: raw[100],
+    maxZoom: raw[101],
+    bounds: {
+      west: raw.readInt32LE(102) / 1e7,
+      south: raw.readInt32LE(106) / 1e7,
+      east: raw.readInt32LE(110) / 1e7,
+      north: raw.readInt32LE(114) / 1e7
+    },
+    center: [raw.readInt32LE(119) / 1e7, raw.readInt32LE(123) / 1e7, raw[118]]
+  };
+
+  if (header.internalCompression !== COMPRESSION.gzip && header.internalCompression !== COMPRESSION.none) {
+    fs.closeSync(fd);
+    throw new Error(`Unsupported PMTiles directory compression: ${header.internalCompression}`);
+  }
+
+  const root = deserializeDirectory(read(header.rootOffset, header.rootLength), header.internalCompression);
+  const leafCache = new Map();
+
+  /**
+   * Find the entry covering a tile ID (binary search, then the preceding run or leaf)
+   */
+  const findEntry = (entries, tileId) => {
+    let low = 0;
+    let high = entries.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (tileId > entries[mid].tileId) low = mid + 1;
+      else if (tileId < entries[mid].tileId) high = mid - 1;
+      else return entries[mid];
+    }
+    const entry = entries[high];
+    if (entry && (entry.runLength === 0 || tileId - entry.tileId < entry.runLength)) {
+      return entry;
+    }
+    return null;
+  };
+
+  return {
+    header,
+    format: FORMATS_BY_TILE_TYPE[header.tileType] || null,
+
+    /**
+     * Read the archive's JSON metadata
+     * @returns {object}
+     */
+    metadata() {
+      const data = read(header.metadataOffset, header.metadataLength);
+      return JSON.parse((header.internalCompression === COMPRESSION.gzip ? zlib.gunzipSync(data) : data).toString('utf8'));
+    },
+
+    /**
+     * Read a tile
+     * @returns {Buffer|null}
+     */
+    getTile(z, x, y) {
+      if (!isValidTile(x, y, z) || z < header.minZoom || z > header.maxZoom) {
+        return null;
+      }
+
+      const tileId = tileToHilbertId(x, y, z);
+      let entries = root;
+
+      // Root -> leaf directories are at most a few levels deep
+      for (let depth = 0; depth < 4; depth++) {
+        const entry = findEntry(entries, tileId);
+        if (!entry) return null;
+
+        if (entry.runLength > 0) {
+          return read(header.dataOffset + entry.offset, entry.length);
+        }
+
+        const leafOffset = header.leavesOffset + entry.offset;
+        if (!leafCache.has(leafOffset)) {
+          if (leafCache.size >= 64) leafCache.delete(leafCache.keys().next().value);
+          leafCache.set(leafOffset, deserializeDirectory(read(leafOffset, entry.length), header.internalCompression));
+        }
+        entries = leafCache.get(leafOffset);
+      }
+
+      return null;
+    },
+
+    close() {
+      fs.closeSync(fd);
+    }
+  };
+}
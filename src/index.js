@@ -9,11 +9,15 @@ export { TileForge } from './TileForge.js';
 // Core services
 export { TileDatabase } from './core/TileDatabase.js';
 export { TileDownloader } from './core/TileDownloader.js';
+export { planMigrations, SCHEMA_VERSION } from './core/migrations.js';
 
 // Utilities
 export * as tileCalculator from './core/TileCalculator.js';
 export { tileSources, getTileUrl, getAvailableSources } from './config/sources.js';
 
+// File formats
+export { writeTileDirectory, openTileDirectory } from './formats/directory.js';
+
 // Server components (for advanced usage)
 export { createServer } from './server/createServer.js';
 export { createRouter } from './server/createRouter.js';
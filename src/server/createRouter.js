@@ -8,6 +8,12 @@ import { TileForge } from '../TileForge.js';
 import { createTilesRouter } from './routes/tiles.js';
 import { createDownloadRouter } from './routes/download.js';
 import { createSourcesRouter } from './routes/sources.js';
+import { createElevationRouter } from './routes/elevation.js';
+import { createExportRouter } from './routes/export.js';
+import { createImportRouter } from './routes/import.js';
+import { createQuotasRouter } from './routes/quotas.js';
+import { createCacheRouter } from './routes/cache.js';
+import { openPMTiles } from '../formats/pmtiles.js';
 
 /**
  * Create an Express router with all TileForge endpoints
@@ -15,10 +21,15 @@ import { createSourcesRouter } from './routes/sources.js';
  * @param {object} options - Configuration options
  * @param {string} options.dbPath - Path to SQLite database file
  * @param {number} options.maxConcurrentDownloads - Maximum concurrent downloads
- * @param {number} options.cacheSize - In-memory tile cache size
+ * @param {number|string} options.cacheMaxSize - Bytes of tiles kept in memory, or a size such as "256MB"
+ * @param {object} options.cachePartitions - Own memory cache budgets by source ID (optional)
  * @param {number} options.rateLimit - Minimum ms between requests
+ * @param {string} options.secretsPath - Secrets file for ${NAME} references in sources
  * @param {string} options.logLevel - Log level
+ * @param {number|string} options.tileTTL - Tile TTL for sources without their own (optional)
+ * @param {boolean} options.resumeInterrupted - Resume interrupted download jobs at startup (default: false)
  * @param {TileForge} options.tileforge - Existing TileForge instance (optional)
+ * @param {object} options.pmtiles - PMTiles archives to serve, as {sourceId: filePath} (optional)
  * @returns {Router} Express router
  *
  * @example
@@ -36,6 +47,10 @@ import { createSourcesRouter } from './routes/sources.js';
  *
  * const tf = new TileForge({ dbPath: './tiles.db' });
  * app.use('/map', createRouter({ tileforge: tf }));
+ *
+ * @example
+ * // Serve tiles from a PMTiles archive at /tiles/city/:z/:x/:y.png
+ * app.use('/', createRouter({ pmtiles: { city: './city.pmtiles' } }));
  */
 export function createRouter(options = {}) {
   const router = Router();
@@ -44,18 +59,34 @@ export function createRouter(options = {}) {
   const tileforge = options.tileforge || new TileForge({
     dbPath: options.dbPath,
     maxConcurrentDownloads: options.maxConcurrentDownloads,
-    cacheSize: options.cacheSize,
+    cacheMaxSize: options.cacheMaxSize,
+    cachePartitions: options.cachePartitions,
     rateLimit: options.rateLimit,
-    logLevel: options.logLevel
+    secretsPath: options.secretsPath,
+    logLevel: options.logLevel,
+    tileTTL: options.tileTTL,
+    resumeInterrupted: options.resumeInterrupted
   });
 
-  // Store TileForge instance on router for cleanup access
+  // Open PMTiles archives served alongside the cache
+  const archives = new Map();
+  for (const [sourceId, filePath] of Object.entries(options.pmtiles || {})) {
+    archives.set(sourceId, openPMTiles(filePath));
+  }
+
+  // Store TileForge instance and archives on router for cleanup access
   router.tileforge = tileforge;
+  router.archives = archives;
 
   // Mount routes
-  router.use('/tiles', createTilesRouter(tileforge));
+  router.use('/tiles', createTilesRouter(tileforge, { archives }));
   router.use('/api/download', createDownloadRouter(tileforge));
   router.use('/api/sources', createSourcesRouter(tileforge));
+  router.use('/api/elevation', createElevationRouter(tileforge));
+  router.use('/api/export', createExportRouter(tileforge));
+  router.use('/api/import', createImportRouter(tileforge));
+  router.use('/api/quotas', createQuotasRouter(tileforge));
+  router.use('/api/cache', createCacheRouter(tileforge));
 
   // Health check
   router.get('/health', (req, res) => {
@@ -74,13 +105,24 @@ export function createRouter(options = {}) {
       description: 'Offline map tile server',
       endpoints: {
         tiles: 'GET /tiles/:source/:z/:x/:y.png',
+        retinaTiles: 'GET /tiles/:source/:z/:x/:y@2x.png',
+        vectorTiles: 'GET /tiles/:source/:z/:x/:y.pbf',
         tileCount: 'GET /tiles/:source/count',
         sources: 'GET /api/sources',
         sourceDetails: 'GET /api/sources/:sourceId',
+        sourceAdd: 'POST /api/sources',
+        sourceUpdate: 'PUT /api/sources/:sourceId',
+        sourceRemove: 'DELETE /api/sources/:sourceId',
         download: 'POST /api/download',
         downloadStatus: 'GET /api/download/:jobId',
         downloadList: 'GET /api/download',
         estimate: 'POST /api/download/estimate',
+        elevation: 'GET /api/elevation?lat=&lng=',
+        elevationProfile: 'POST /api/elevation/profile',
+        exportMBTiles: 'GET /api/export/:jobId.mbtiles',
+        importMBTiles: 'POST /api/import',
+        quotas: 'GET /api/quotas',
+        cache: 'GET /api/cache',
         health: 'GET /health'
       }
     });
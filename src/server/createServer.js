@@ -17,10 +17,17 @@ import { defaults } from '../config/defaults.js';
  * @param {number} options.port - Server port (default: 3000)
  * @param {string} options.dbPath - Path to SQLite database file
  * @param {number} options.maxConcurrentDownloads - Maximum concurrent downloads
- * @param {number} options.cacheSize - In-memory tile cache size
+ * @param {number|string} options.cacheMaxSize - Bytes of tiles kept in memory, or a size such as "256MB"
+ * @param {object} options.cachePartitions - Own memory cache budgets by source ID (optional)
  * @param {number} options.rateLimit - Minimum ms between requests
+ * @param {string} options.secretsPath - Secrets file for ${NAME} references in sources
  * @param {string} options.logLevel - Log level
+ * @param {number|string} options.tileTTL - Tile TTL for sources without their own (optional)
  * @param {TileForge} options.tileforge - Existing TileForge instance (optional)
+ * @param {object} options.pmtiles - PMTiles archives to serve, as {sourceId: filePath} (optional)
+ * @param {string} options.bodyLimit - Largest JSON request body, e.g. for GPX routes (default: "10mb")
+ * @param {boolean} options.resumeInterrupted - Resume download jobs interrupted by a restart
+ *   or crash when the server starts (default: true)
  * @returns {{start: Function, stop: Function, app: Express, tileforge: TileForge}}
  *
  * @example
@@ -42,9 +49,14 @@ export function createServer(options = {}) {
     port: options.port || defaults.port,
     dbPath: options.dbPath || defaults.dbPath,
     maxConcurrentDownloads: options.maxConcurrentDownloads || defaults.maxConcurrentDownloads,
-    cacheSize: options.cacheSize || defaults.cacheSize,
+    cacheMaxSize: options.cacheMaxSize ?? defaults.cacheMaxSize,
+    cachePartitions: options.cachePartitions,
     rateLimit: options.rateLimit || defaults.rateLimit,
-    logLevel: options.logLevel || defaults.logLevel
+    secretsPath: options.secretsPath || defaults.secretsPath,
+    logLevel: options.logLevel || defaults.logLevel,
+    tileTTL: options.tileTTL ?? defaults.tileTTL,
+    bodyLimit: options.bodyLimit || defaults.bodyLimit,
+    resumeInterrupted: options.resumeInterrupted ?? true
   };
 
   const logger = createLogger(config.logLevel);
@@ -53,9 +65,13 @@ export function createServer(options = {}) {
   const tileforge = options.tileforge || new TileForge({
     dbPath: config.dbPath,
     maxConcurrentDownloads: config.maxConcurrentDownloads,
-    cacheSize: config.cacheSize,
+    cacheMaxSize: config.cacheMaxSize,
+    cachePartitions: config.cachePartitions,
     rateLimit: config.rateLimit,
-    logLevel: config.logLevel
+    secretsPath: config.secretsPath,
+    logLevel: config.logLevel,
+    tileTTL: config.tileTTL,
+    resumeInterrupted: config.resumeInterrupted
   });
 
   // Create Express app
@@ -63,7 +79,7 @@ export function createServer(options = {}) {
 
   // Middleware
   app.use(cors());
-  app.use(express.json());
+  app.use(express.json({ limit: config.bodyLimit }));
 
   // Request logging
   app.use((req, res, next) => {
@@ -72,7 +88,7 @@ export function createServer(options = {}) {
   });
 
   // Mount TileForge router
-  const router = createRouter({ tileforge });
+  const router = createRouter({ tileforge, pmtiles: options.pmtiles });
   app.use('/', router);
 
   // Error handling
@@ -111,7 +127,13 @@ export function createServer(options = {}) {
           logger.info(`  GET  http://localhost:${config.port}/health`);
           logger.info(`  GET  http://localhost:${config.port}/api/sources`);
           logger.info(`  GET  http://localhost:${config.port}/tiles/:source/:z/:x/:y.png`);
+          logger.info(`  GET  http://localhost:${config.port}/tiles/:source/:z/:x/:y@2x.png`);
+          logger.info(`  GET  http://localhost:${config.port}/tiles/:source/:z/:x/:y.pbf`);
           logger.info(`  POST http://localhost:${config.port}/api/download`);
+          logger.info(`  GET  http://localhost:${config.port}/api/elevation?lat=&lng=`);
+          for (const sourceId of router.archives.keys()) {
+            logger.info(`  GET  http://localhost:${config.port}/tiles/${sourceId}/:z/:x/:y (PMTiles archive)`);
+          }
           logger.info('');
           resolve();
         });
@@ -130,6 +152,10 @@ export function createServer(options = {}) {
       return new Promise((resolve) => {
         logger.info('Shutting down gracefully...');
 
+        for (const archive of router.archives.values()) {
+          archive.close();
+        }
+
         if (server) {
           server.close(() => {
             tileforge.close();
@@ -0,0 +1,77 @@
+/**
+ * Memory cache routes
+ * GET /api/cache - Cache usage with hit, miss and eviction counters
+ * DELETE /api/cache - Clear the cache (?source=, ?resetStats=true)
+ * POST /api/cache/warm - Load a job's tiles into the cache
+ */
+
+import { Router } from 'express';
+
+/**
+ * Create cache router
+ * @param {TileForge} tileforge - TileForge instance
+ * @returns {Router}
+ */
+export function createCacheRouter(tileforge) {
+  const router = Router();
+
+  /**
+   * GET /api/cache
+   * Cache usage and counters, in total and per partition
+   */
+  router.get('/', (req, res) => {
+    res.json(tileforge.getCacheStats());
+  });
+
+  /**
+   * DELETE /api/cache?source=&resetStats=true
+   * Drop all tiles (or one source's) from memory; the database keeps them
+   */
+  router.delete('/', (req, res) => {
+    const source = req.query.source || null;
+    const resetStats = req.query.resetStats === 'true';
+    const result = tileforge.clearCache({ source, resetStats });
+
+    res.json({
+      message: 'Cache cleared',
+      source,
+      ...result
+    });
+  });
+
+  /**
+   * POST /api/cache/warm
+   * Load the tiles of a job's area into memory: { jobId, minZoom, maxZoom }
+   */
+  router.post('/warm', (req, res) => {
+    const { jobId, minZoom, maxZoom } = req.body || {};
+
+    if (!jobId) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'jobId is required'
+      });
+    }
+
+    try {
+      const result = tileforge.warmCache(jobId, { minZoom, maxZoom });
+      res.json({
+        message: result.complete ? 'Cache warmed' : 'Cache warmed until its memory budget was reached',
+        ...result
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: error.message
+        });
+      }
+      res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
@@ -1,18 +1,58 @@
 /**
  * Download management routes
- * POST /api/download - Start new download job
+ * POST /api/download - Start new download job (bounds, a GeoJSON polygon geometry, or a route corridor)
  * GET /api/download - List all jobs
  * GET /api/download/:jobId - Get job status
  * DELETE /api/download/:jobId - Cancel/delete job
  * PATCH /api/download/:jobId/rename - Rename job
  * PATCH /api/download/:jobId/location - Update location metadata
+ * PATCH /api/download/:jobId/pin - Pin or unpin a job (protects its tiles from eviction)
  * PATCH /api/download/:jobId/extend - Extend zoom levels
+ * POST /api/download/:jobId/refresh - Re-download stale tiles
+ * PATCH /api/download/:jobId/pause - Pause a job, keeping its queue and progress
+ * PATCH /api/download/:jobId/resume - Resume a paused or interrupted job (also POST)
+ * GET /api/download/:jobId/snapshots - List a job's snapshots
+ * DELETE /api/download/:jobId/snapshots - Prune older snapshots (?before=, ?keep=)
  * POST /api/download/estimate - Estimate download size
  */
 
 import { Router } from 'express';
-import { isValidSource, getAvailableSources } from '../../config/sources.js';
+import { isValidSource, getAvailableSources, getSourceScales } from '../../config/sources.js';
 import { isValidBounds, isValidZoomRange } from '../../core/TileCalculator.js';
+import { normalizeGeometry } from '../../utils/geojson.js';
+import { bufferRoute } from '../../utils/corridor.js';
+
+/**
+ * Validate the area of a download or estimate: a route corridor, a GeoJSON geometry, else bounds
+ * @returns {{error: string, message: string}|null} Error response body, or null if valid
+ */
+function validateArea({ bounds, geometry, route, buffer }) {
+  if (route) {
+    try {
+      bufferRoute(route, buffer);
+      return null;
+    } catch (error) {
+      return { error: 'Invalid route', message: error.message };
+    }
+  }
+
+  if (geometry) {
+    try {
+      normalizeGeometry(geometry);
+      return null;
+    } catch (error) {
+      return { error: 'Invalid geometry', message: error.message };
+    }
+  }
+
+  if (!bounds || !isValidBounds(bounds)) {
+    return {
+      error: 'Invalid bounds',
+      message: 'Bounds must include valid north, south, east, west coordinates'
+    };
+  }
+  return null;
+}
 
 /**
  * Create download router
@@ -28,7 +68,7 @@ export function createDownloadRouter(tileforge) {
    */
   router.post('/', async (req, res) => {
     try {
-      const { name, source, bounds, minZoom, maxZoom } = req.body;
+      const { name, source, bounds, geometry, route, buffer, minZoom, maxZoom, scale = 1, snapshot = false } = req.body;
 
       // Validate required fields
       if (!name || typeof name !== 'string' || name.trim().length === 0) {
@@ -52,17 +92,29 @@ export function createDownloadRouter(tileforge) {
         });
       }
 
-      if (!bounds) {
+      if (!getSourceScales(source).includes(scale)) {
+        return res.status(400).json({
+          error: 'Invalid scale',
+          message: `Source ${source} supports scales: ${getSourceScales(source).join(', ')}`
+        });
+      }
+
+      if (!bounds && !geometry && !route) {
         return res.status(400).json({
           error: 'Invalid request',
-          message: 'Bounds is required'
+          message: 'Bounds, geometry or route is required'
         });
       }
 
-      if (!isValidBounds(bounds)) {
+      const areaError = validateArea(req.body);
+      if (areaError) {
+        return res.status(400).json(areaError);
+      }
+
+      if (typeof snapshot !== 'boolean') {
         return res.status(400).json({
-          error: 'Invalid bounds',
-          message: 'Bounds must include valid north, south, east, west coordinates'
+          error: 'Invalid request',
+          message: 'snapshot must be true or false'
         });
       }
 
@@ -85,8 +137,13 @@ export function createDownloadRouter(tileforge) {
         name: name.trim(),
         source,
         bounds,
+        geometry,
+        route,
+        buffer,
         minZoom,
-        maxZoom
+        maxZoom,
+        scale,
+        snapshot
       });
 
       res.status(201).json({
@@ -116,13 +173,11 @@ export function createDownloadRouter(tileforge) {
    */
   router.post('/estimate', (req, res) => {
     try {
-      const { bounds, minZoom, maxZoom } = req.body;
+      const { bounds, geometry, route, buffer, minZoom, maxZoom, source, scale = 1 } = req.body;
 
-      if (!bounds || !isValidBounds(bounds)) {
-        return res.status(400).json({
-          error: 'Invalid bounds',
-          message: 'Bounds must include valid north, south, east, west coordinates'
-        });
+      const areaError = validateArea(req.body);
+      if (areaError) {
+        return res.status(400).json(areaError);
       }
 
       if (!isValidZoomRange(minZoom, maxZoom)) {
@@ -132,7 +187,23 @@ export function createDownloadRouter(tileforge) {
         });
       }
 
-      const estimate = tileforge.estimate({ bounds, minZoom, maxZoom });
+      if (source !== undefined && !isValidSource(source)) {
+        return res.status(400).json({
+          error: 'Invalid source',
+          message: `Unknown source: ${source}. Available: ${getAvailableSources().map(s => s.id).join(', ')}`
+        });
+      }
+
+      if (!getSourceScales(source).includes(scale)) {
+        return res.status(400).json({
+          error: 'Invalid scale',
+          message: source
+            ? `Source ${source} supports scales: ${getSourceScales(source).join(', ')}`
+            : 'A source is required to estimate high-DPI scales'
+        });
+      }
+
+      const estimate = tileforge.estimate({ bounds, geometry, route, buffer, minZoom, maxZoom, source, scale });
       res.json(estimate);
     } catch (error) {
       res.status(500).json({
@@ -181,7 +252,8 @@ export function createDownloadRouter(tileforge) {
     res.json({
       message: 'Job deleted',
       jobId,
-      tilesDeleted: result.tilesDeleted
+      tilesDeleted: result.tilesDeleted,
+      tilesKept: result.tilesKept
     });
   });
 
@@ -241,6 +313,37 @@ export function createDownloadRouter(tileforge) {
     });
   });
 
+  /**
+   * PATCH /api/download/:jobId/pin
+   * Pin or unpin a job; tiles of pinned jobs are never evicted by storage quotas
+   */
+  router.patch('/:jobId/pin', (req, res) => {
+    const { jobId } = req.params;
+    const { pinned = true } = req.body || {};
+
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'pinned must be true or false'
+      });
+    }
+
+    const success = tileforge.pinJob(jobId, pinned);
+
+    if (!success) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No job found with ID: ${jobId}`
+      });
+    }
+
+    res.json({
+      message: pinned ? 'Job pinned' : 'Job unpinned',
+      jobId,
+      pinned
+    });
+  });
+
   /**
    * PATCH /api/download/:jobId/extend
    * Extend zoom levels for existing job
@@ -277,5 +380,160 @@ export function createDownloadRouter(tileforge) {
     }
   });
 
+  /**
+   * POST /api/download/:jobId/refresh
+   * Re-download the job's tiles older than a threshold (default: the source TTL)
+   */
+  router.post('/:jobId/refresh', async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const { olderThan, name, snapshot } = req.body || {};
+
+      if (snapshot !== undefined && typeof snapshot !== 'boolean') {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'snapshot must be true or false'
+        });
+      }
+
+      const result = await tileforge.refreshJob(jobId, { olderThan, name, snapshot });
+
+      res.status(result.jobId ? 201 : 200).json({
+        message: result.jobId ? 'Refresh started' : 'No stale tiles',
+        ...result
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: error.message
+        });
+      }
+      if (error.message.includes('Invalid duration') || error.message.includes('no TTL')) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        error: 'Refresh failed',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * PATCH /api/download/:jobId/pause
+   * Pause a job; queued tiles and progress are kept until it is resumed
+   */
+  router.patch('/:jobId/pause', (req, res) => {
+    try {
+      const status = tileforge.pauseJob(req.params.jobId);
+
+      res.json({
+        message: 'Download paused',
+        ...status
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: error.message
+        });
+      }
+      if (error.message.includes('can be paused')) {
+        return res.status(409).json({
+          error: 'Job cannot be paused',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        error: 'Pause failed',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * PATCH /api/download/:jobId/resume (or POST)
+   * Continue a paused job, or one interrupted by a restart or crash; only missing tiles are downloaded
+   */
+  const resume = (req, res) => {
+    try {
+      const result = tileforge.resumeJob(req.params.jobId);
+
+      res.json({
+        message: 'Download resumed',
+        ...result
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: error.message
+        });
+      }
+      if (error.message.includes('resumed') || error.message.includes('already running')) {
+        return res.status(409).json({
+          error: 'Job cannot be resumed',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        error: 'Resume failed',
+        message: error.message
+      });
+    }
+  };
+  router.patch('/:jobId/resume', resume);
+  router.post('/:jobId/resume', resume);
+
+  /**
+   * GET /api/download/:jobId/snapshots
+   * List the snapshots of a job (the job and its refresh jobs), oldest first
+   */
+  router.get('/:jobId/snapshots', (req, res) => {
+    try {
+      res.json(tileforge.listSnapshots(req.params.jobId));
+    } catch (error) {
+      res.status(404).json({
+        error: 'Job not found',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/download/:jobId/snapshots?before=&keep=
+   * Delete the tile versions of snapshots created before a date and/or beyond the
+   * newest `keep`; current tiles are never deleted
+   */
+  router.delete('/:jobId/snapshots', (req, res) => {
+    try {
+      const { before, keep } = req.query;
+      const result = tileforge.pruneSnapshots(req.params.jobId, {
+        before,
+        keep: keep !== undefined ? Number(keep) : undefined
+      });
+
+      res.json({
+        message: 'Snapshots pruned',
+        jobId: req.params.jobId,
+        ...result
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: error.message
+        });
+      }
+      res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+  });
+
   return router;
 }
@@ -0,0 +1,126 @@
+/**
+ * Elevation query routes
+ * GET /api/elevation?lat=&lng= - Elevation of a point
+ * POST /api/elevation/profile - Elevation profile along a GeoJSON LineString
+ *
+ * Heights are decoded from cached Terrain-RGB / Terrarium tiles; both routes
+ * accept ?source= (default: first elevation source) and ?zoom= (default: most
+ * detailed cached zoom)
+ */
+
+import { Router } from 'express';
+import { isValidSource, getAvailableSources } from '../../config/sources.js';
+
+/**
+ * Parse the shared source/zoom query parameters
+ * @returns {{options: object}|{error: string}}
+ */
+function parseQueryOptions(query) {
+  const options = {};
+
+  if (query.source !== undefined) {
+    if (!isValidSource(query.source)) {
+      return { error: `Unknown source: ${query.source}. Available: ${getAvailableSources().map(s => s.id).join(', ')}` };
+    }
+    options.source = query.source;
+  }
+
+  if (query.zoom !== undefined) {
+    options.zoom = Number(query.zoom);
+    if (!Number.isInteger(options.zoom)) {
+      return { error: 'zoom must be an integer' };
+    }
+  }
+
+  return { options };
+}
+
+/**
+ * Send an elevation lookup error with a status matching its cause
+ */
+function sendError(res, error) {
+  if (error.message.includes('not cached')) {
+    return res.status(404).json({
+      error: 'Elevation not cached',
+      message: error.message
+    });
+  }
+  if (/^(Invalid|No elevation source|Profile too long)|not an elevation source/.test(error.message)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    error: 'Elevation query failed',
+    message: error.message
+  });
+}
+
+/**
+ * Create elevation router
+ * @param {TileForge} tileforge - TileForge instance
+ * @returns {Router}
+ */
+export function createElevationRouter(tileforge) {
+  const router = Router();
+
+  /**
+   * GET /api/elevation?lat=&lng=
+   * Get the elevation of a point
+   */
+  router.get('/', (req, res) => {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+
+    if (req.query.lat === undefined || req.query.lng === undefined ||
+        !Number.isFinite(lat) || !Number.isFinite(lng) ||
+        Math.abs(lat) > 85.0511 || Math.abs(lng) > 180) {
+      return res.status(400).json({
+        error: 'Invalid coordinates',
+        message: 'lat (-85.0511 to 85.0511) and lng (-180 to 180) are required'
+      });
+    }
+
+    const { options, error } = parseQueryOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error
+      });
+    }
+
+    try {
+      res.json(tileforge.getElevation(lat, lng, options));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * POST /api/elevation/profile
+   * Get an elevation profile along a GeoJSON LineString (or Feature)
+   * ?interval= samples every N metres instead of only at the vertices
+   */
+  router.post('/profile', (req, res) => {
+    const { options, error } = parseQueryOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error
+      });
+    }
+
+    if (req.query.interval !== undefined) {
+      options.interval = Number(req.query.interval);
+    }
+
+    try {
+      res.json(tileforge.getElevationProfile(req.body, options));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,98 @@
+/**
+ * Export routes
+ * GET /api/export/:jobId.mbtiles - Download a job's tiles as an MBTiles file
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream';
+import { Router } from 'express';
+
+/**
+ * Create export router
+ * @param {TileForge} tileforge - TileForge instance
+ * @returns {Router}
+ */
+export function createExportRouter(tileforge) {
+  const router = Router();
+
+  /**
+   * Export to a temporary file, stream it to the client and remove it afterwards
+   * The export is written in a worker thread; a client that disconnects meanwhile
+   * stops it, and the temporary file is removed
+   * @param {object} res - Express response
+   * @param {string} extension - File extension
+   * @param {string} contentType - Response content type
+   * @param {Function} exportTo - async (outPath, signal) => export result
+   * @param {string} filename - Download file name (without extension)
+   */
+  async function sendExport(res, extension, contentType, exportTo, filename) {
+    const tempPath = path.join(os.tmpdir(), `tileforge-${crypto.randomBytes(8).toString('hex')}.${extension}`);
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    res.on('close', abort);
+
+    try {
+      await exportTo(tempPath, controller.signal);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      if (controller.signal.aborted) return;
+      throw error;
+    } finally {
+      res.off('close', abort);
+    }
+
+    if (res.destroyed) {
+      fs.rmSync(tempPath, { force: true });
+      return;
+    }
+
+    res.attachment(`${filename.replace(/[^\w.-]+/g, '_')}.${extension}`);
+    res.type(contentType);
+    res.set('Content-Length', String(fs.statSync(tempPath).size));
+
+    // pipeline also ends the file stream when the client disconnects
+    pipeline(fs.createReadStream(tempPath), res, () => fs.rm(tempPath, { force: true }, () => {}));
+  }
+
+  /**
+   * GET /api/export/:jobId.mbtiles
+   * Download a job's cached tiles as an MBTiles file
+   */
+  router.get('/:jobId.mbtiles', async (req, res) => {
+    const { jobId } = req.params;
+
+    const job = tileforge.getJobStatus(jobId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No job found with ID: ${jobId}`
+      });
+    }
+
+    try {
+      await sendExport(
+        res,
+        'mbtiles',
+        'application/vnd.sqlite3',
+        (outPath, signal) => tileforge.exportMBTiles({ jobId, outPath, signal }),
+        job.name || jobId
+      );
+    } catch (error) {
+      if (error.message.includes('No cached tiles')) {
+        return res.status(404).json({
+          error: 'No tiles',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        error: 'Export failed',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,81 @@
+/**
+ * Import routes
+ * POST /api/import - Import an uploaded MBTiles file (sent as the request body)
+ *
+ * Query parameters: source (target source; default: a new source named after
+ * filename), filename, name (job name) and onConflict ('skip' | 'replace')
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Router } from 'express';
+
+/**
+ * Create import router
+ * @param {TileForge} tileforge - TileForge instance
+ * @returns {Router}
+ */
+export function createImportRouter(tileforge) {
+  const router = Router();
+
+  /**
+   * POST /api/import?source=&filename=&name=&onConflict=
+   * Import an MBTiles file; the file is the raw request body
+   */
+  router.post('/', async (req, res) => {
+    const { source, filename = 'upload.mbtiles', name, onConflict = 'skip' } = req.query;
+
+    if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Send the MBTiles file as the request body (Content-Type: application/octet-stream)'
+      });
+    }
+
+    if (onConflict !== 'skip' && onConflict !== 'replace') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'onConflict must be "skip" or "replace"'
+      });
+    }
+
+    const tempPath = path.join(os.tmpdir(), `tileforge-${crypto.randomBytes(8).toString('hex')}.mbtiles`);
+
+    try {
+      await pipeline(req, fs.createWriteStream(tempPath));
+
+      const result = await tileforge.importMBTiles(tempPath, {
+        source,
+        filename: path.basename(filename),
+        name,
+        onConflict
+      });
+
+      res.status(201).json({
+        message: 'Import completed',
+        ...result
+      });
+    } catch (error) {
+      // Report the uploaded file name rather than the temporary path
+      const message = error.message.replace(tempPath, path.basename(filename));
+
+      if (/^(Not an MBTiles|No tiles|Invalid)/.test(message)) {
+        return res.status(400).json({
+          error: 'Invalid import',
+          message
+        });
+      }
+      res.status(500).json({
+        error: 'Import failed',
+        message
+      });
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,85 @@
+/**
+ * Storage quota routes
+ * GET /api/quotas - List quotas and their current usage
+ * PUT /api/quotas - Set a quota (global, or for a source)
+ * DELETE /api/quotas - Remove a quota (?source=, global without)
+ * POST /api/quotas/enforce - Evict tiles until quotas with an eviction policy are met
+ */
+
+import { Router } from 'express';
+
+/**
+ * Create quotas router
+ * @param {TileForge} tileforge - TileForge instance
+ * @returns {Router}
+ */
+export function createQuotasRouter(tileforge) {
+  const router = Router();
+
+  /**
+   * GET /api/quotas
+   * List quotas with the tiles and bytes they currently count
+   */
+  router.get('/', (req, res) => {
+    res.json(tileforge.getQuotas());
+  });
+
+  /**
+   * PUT /api/quotas
+   * Set a quota: { source, maxSize, maxTiles, policy }; without source it covers the whole database
+   */
+  router.put('/', (req, res) => {
+    try {
+      const { source = null, maxSize = null, maxTiles = null, policy } = req.body || {};
+      const quota = tileforge.setQuota({ source, maxSize, maxTiles, policy });
+
+      res.json({
+        message: 'Quota set',
+        quota
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Invalid quota',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/quotas?source=
+   * Remove a source quota, or the global quota without source
+   */
+  router.delete('/', (req, res) => {
+    const source = req.query.source || null;
+
+    if (!tileforge.removeQuota(source)) {
+      return res.status(404).json({
+        error: 'Quota not found',
+        message: source ? `No quota set for source: ${source}` : 'No global quota set'
+      });
+    }
+
+    res.json({
+      message: 'Quota removed',
+      source
+    });
+  });
+
+  /**
+   * POST /api/quotas/enforce
+   * Evict tiles now instead of waiting for the next download
+   */
+  router.post('/enforce', (req, res) => {
+    try {
+      const result = tileforge.enforceQuotas();
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        error: 'Eviction failed',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
@@ -3,10 +3,14 @@
  * GET /api/sources - List all available sources
  * GET /api/sources/:sourceId - Get specific source details
  * GET /api/sources/stats/all - Get statistics for all sources
+ * POST /api/sources - Register a user-defined source
+ * POST /api/sources/import - Inspect or import a WMTS capabilities document
+ * PUT /api/sources/:sourceId - Update a user-defined source
+ * DELETE /api/sources/:sourceId - Remove a user-defined source
  */
 
 import { Router } from 'express';
-import { isValidSource, getAvailableSources } from '../../config/sources.js';
+import { isValidSource, isBuiltInSource, getAvailableSources } from '../../config/sources.js';
 
 /**
  * Create sources router
@@ -41,7 +45,7 @@ export function createSourcesRouter(tileforge) {
 
   /**
    * GET /api/sources/stats/all
-   * Get raw statistics for all sources
+   * Get raw statistics for all sources, including the space saved by storing identical tiles once
    */
   router.get('/stats/all', (req, res) => {
     const stats = tileforge.getStats();
@@ -49,7 +53,11 @@ export function createSourcesRouter(tileforge) {
     const result = stats.map(stat => ({
       source: stat.source,
       tileCount: stat.tileCount,
+      format: stat.format,
       totalSizeMB: Math.round((stat.totalSize / 1024 / 1024) * 100) / 100,
+      uniqueTiles: stat.uniqueTiles,
+      storedSizeMB: Math.round((stat.storedSize / 1024 / 1024) * 100) / 100,
+      savedSizeMB: Math.round((stat.savedSize / 1024 / 1024) * 100) / 100,
       oldestTile: stat.oldestTile,
       newestTile: stat.newestTile
     }));
@@ -75,5 +83,164 @@ export function createSourcesRouter(tileforge) {
     res.json(source);
   });
 
+  /**
+   * POST /api/sources
+   * Register a user-defined source
+   */
+  router.post('/', (req, res) => {
+    const { id, ...config } = req.body || {};
+
+    if (!id) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Source id is required'
+      });
+    }
+
+    if (isValidSource(id)) {
+      return res.status(409).json({
+        error: 'Source exists',
+        message: `Source already exists: ${id}`
+      });
+    }
+
+    try {
+      const source = tileforge.addSource(id, config);
+      res.status(201).json({
+        message: 'Source added',
+        ...source
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Invalid source',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/sources/import
+   * Import a WMTS layer as a source. Without `layer`, lists the document's
+   * layers and tile matrix sets instead. The document is given as an
+   * http(s) `url` or inline as `xml`.
+   */
+  router.post('/import', async (req, res) => {
+    const { url, xml, id, layer, tileMatrixSet, style, format, name, attribution } = req.body || {};
+
+    if (!url && !xml) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Capabilities url or xml is required'
+      });
+    }
+
+    if (!xml && !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Capabilities url must be an http(s) URL'
+      });
+    }
+
+    try {
+      if (!layer) {
+        const capabilities = await tileforge.inspectWMTS(url, { xml });
+        return res.json(capabilities);
+      }
+
+      if (!id) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'Source id is required'
+        });
+      }
+
+      if (isValidSource(id)) {
+        return res.status(409).json({
+          error: 'Source exists',
+          message: `Source already exists: ${id}`
+        });
+      }
+
+      const source = await tileforge.importWMTS(url, {
+        id, xml, layer, tileMatrixSet, style, format, name, attribution
+      });
+
+      res.status(201).json({
+        message: 'Source imported',
+        ...source
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Import failed',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * PUT /api/sources/:sourceId
+   * Update a user-defined source (partial updates are merged)
+   */
+  router.put('/:sourceId', (req, res) => {
+    const { sourceId } = req.params;
+
+    if (isBuiltInSource(sourceId)) {
+      return res.status(403).json({
+        error: 'Read-only source',
+        message: `Built-in source cannot be modified: ${sourceId}`
+      });
+    }
+
+    if (!isValidSource(sourceId)) {
+      return res.status(404).json({
+        error: 'Source not found',
+        message: `Unknown source: ${sourceId}`
+      });
+    }
+
+    try {
+      const { id, ...changes } = req.body || {};
+      const source = tileforge.updateSource(sourceId, changes);
+      res.json({
+        message: 'Source updated',
+        ...source
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Invalid source',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/sources/:sourceId
+   * Remove a user-defined source (cached tiles are kept)
+   */
+  router.delete('/:sourceId', (req, res) => {
+    const { sourceId } = req.params;
+
+    if (isBuiltInSource(sourceId)) {
+      return res.status(403).json({
+        error: 'Read-only source',
+        message: `Built-in source cannot be removed: ${sourceId}`
+      });
+    }
+
+    const removed = tileforge.removeSource(sourceId);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Source not found',
+        message: `Unknown source: ${sourceId}`
+      });
+    }
+
+    res.json({
+      message: 'Source removed',
+      sourceId
+    });
+  });
+
   return router;
 }
@@ -1,66 +1,193 @@
 /**
  * Tile serving routes
- * GET /tiles/:source/:z/:x/:y.png - Retrieve cached tile
+ * GET /tiles/:source/:z/:x/:y.png - Retrieve cached raster tile
+ * GET /tiles/:source/:z/:x/:y@2x.png - Retrieve cached high-DPI raster tile
+ * GET /tiles/:source/:z/:x/:y.pbf - Retrieve cached vector tile
  * GET /tiles/:source/count - Get tile count for source
+ *
+ * Sources backed by a PMTiles archive (see createRouter's pmtiles option) are
+ * served from the archive instead of the tile database
+ *
+ * Cached tiles are sent with Last-Modified and Age (time since they were downloaded);
+ * tiles older than their source TTL are still served, flagged with X-Tile-Stale: true
+ *
+ * Earlier imagery kept by snapshot downloads is served with ?at=<date> or a
+ * source of <source>@<date|snapshot job ID>, e.g. /tiles/arcgis@2026-01-01/12/2048/1360.png:
+ * the newest tile downloaded at or before that time
  */
 
+import zlib from 'zlib';
 import { Router } from 'express';
 import { isValidTile } from '../../core/TileCalculator.js';
 import { isValidSource } from '../../config/sources.js';
+import { CONTENT_TYPES, detectTileFormat, isGzipped, isVectorFormat } from '../../utils/tileFormat.js';
+
+const MAX_AGE = 86400; // 24 hours
 
 /**
  * Create tiles router
  * @param {TileForge} tileforge - TileForge instance
+ * @param {object} options - Router options
+ * @param {Map<string, object>} options.archives - Open PMTiles archives by source ID (optional)
  * @returns {Router}
  */
-export function createTilesRouter(tileforge) {
+export function createTilesRouter(tileforge, options = {}) {
   const router = Router();
+  const archives = options.archives || new Map();
 
   /**
-   * GET /tiles/:source/:z/:x/:y.png
-   * Retrieve a cached tile
+   * Create a handler serving cached tiles of one kind (raster or vector)
+   * @param {boolean} vector - Whether the route serves vector tiles
+   * @param {number} scale - Pixel ratio the route serves (default: 1)
    */
-  router.get('/:source/:z/:x/:y.png', (req, res) => {
-    const { source } = req.params;
-    const z = parseInt(req.params.z, 10);
-    const x = parseInt(req.params.x, 10);
-    const y = parseInt(req.params.y, 10);
+  function serveTile(vector, scale = 1) {
+    return (req, res) => {
+      const { source, at } = parseSnapshotSource(req.params.source, req.query.at);
+      const z = parseInt(req.params.z, 10);
+      const x = parseInt(req.params.x, 10);
+      const y = parseInt(req.params.y, 10);
+      const archive = archives.get(source);
 
-    // Validate source
-    if (!isValidSource(source)) {
-      return res.status(400).json({
-        error: 'Invalid source',
-        message: `Unknown tile source: ${source}`
-      });
-    }
+      // Validate source
+      if (!archive && !isValidSource(source)) {
+        return res.status(400).json({
+          error: 'Invalid source',
+          message: `Unknown tile source: ${source}`
+        });
+      }
 
-    // Validate coordinates
-    if (!isValidTile(x, y, z)) {
-      return res.status(400).json({
-        error: 'Invalid coordinates',
-        message: 'Tile coordinates out of range'
-      });
-    }
+      // Vector sources are served as .pbf, raster sources as .png
+      const format = archive ? archive.format : tileforge.getSourceFormat(source);
+      if (isVectorFormat(format) !== vector) {
+        return res.status(400).json({
+          error: 'Invalid format',
+          message: `Source ${source} serves ${vector ? 'raster' : 'vector'} tiles; use .${vector ? 'png' : 'pbf'}`
+        });
+      }
+
+      // Validate coordinates
+      if (!isValidTile(x, y, z)) {
+        return res.status(400).json({
+          error: 'Invalid coordinates',
+          message: 'Tile coordinates out of range'
+        });
+      }
+
+      if (archive && at !== undefined) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `Source ${source} is served from a PMTiles archive, which has no snapshots`
+        });
+      }
+
+      // Get tile from the archive (which holds a single scale), a snapshot or the cache
+      let tileData;
+      let version = null;
+      if (archive) {
+        tileData = scale === 1 ? archive.getTile(z, x, y) : null;
+      } else if (at !== undefined) {
+        try {
+          version = tileforge.getTileAt(source, z, x, y, at, { scale });
+        } catch (error) {
+          const status = error.message.includes('not found') ? 404 : 400;
+          return res.status(status).json({
+            error: status === 404 ? 'Snapshot not found' : 'Invalid snapshot',
+            message: error.message
+          });
+        }
+        tileData = version?.data;
+      } else {
+        tileData = tileforge.getTile(source, z, x, y, { scale });
+      }
+
+      if (!tileData) {
+        return res.status(404).json({
+          error: 'Tile not found',
+          message: `Tile ${source}/${z}/${x}/${y}${scale > 1 ? `@${scale}x` : ''} not in cache${at !== undefined ? ` at ${at}` : ''}`
+        });
+      }
 
-    // Get tile from cache
-    const tileData = tileforge.getTile(source, z, x, y);
+      // Vector tiles are stored as served; gzip ones are passed through when the client
+      // accepts it and decompressed for clients that do not
+      const gzipped = isGzipped(tileData);
+      const decompress = gzipped && !req.acceptsEncodings('gzip');
+      if (decompress) {
+        try {
+          tileData = zlib.gunzipSync(tileData);
+        } catch (error) {
+          return res.status(500).json({
+            error: 'Corrupt tile',
+            message: `Tile ${source}/${z}/${x}/${y} could not be decompressed: ${error.message}`
+          });
+        }
+      }
 
-    if (!tileData) {
-      return res.status(404).json({
-        error: 'Tile not found',
-        message: `Tile ${source}/${z}/${x}/${y} not in cache`
+      // Set headers and return tile
+      res.set({
+        'Content-Type': CONTENT_TYPES[detectTileFormat(tileData) || format],
+        'Cache-Control': `public, max-age=${MAX_AGE}`,
+        'Access-Control-Allow-Origin': '*'
       });
+
+      // Clients subtract Age from max-age, so max-age counts from the download:
+      // they may keep the tile for a day, or until its source TTL runs out
+      const info = archive || version ? null : tileforge.getTileInfo(source, z, x, y, { scale });
+      if (version) {
+        res.set('Last-Modified', new Date(version.capturedAt).toUTCString());
+      } else if (info) {
+        const remaining = info.ttl === null ? MAX_AGE : Math.max(0, Math.min(MAX_AGE, info.ttl - info.age));
+        res.set({
+          'Cache-Control': `public, max-age=${info.age + remaining}`,
+          'Last-Modified': new Date(info.timestamp).toUTCString(),
+          'Age': String(info.age)
+        });
+        if (info.stale) {
+          res.set('X-Tile-Stale', 'true');
+        }
+      }
+
+      if (gzipped) {
+        res.vary('Accept-Encoding');
+        if (!decompress) {
+          res.set('Content-Encoding', 'gzip');
+        }
+      }
+
+      res.send(tileData);
+    };
+  }
+
+  /**
+   * Split a source parameter of the form <source>@<date|snapshot ID>
+   * @param {string} param - Source route parameter
+   * @param {string} query - The ?at= query parameter, used when the source has no @
+   * @returns {{source: string, at: string|undefined}}
+   */
+  function parseSnapshotSource(param, query) {
+    const index = param.indexOf('@');
+    if (index > 0) {
+      return { source: param.slice(0, index), at: param.slice(index + 1) };
     }
+    return { source: param, at: typeof query === 'string' && query !== '' ? query : undefined };
+  }
 
-    // Set headers and return tile
-    res.set({
-      'Content-Type': 'image/png',
-      'Cache-Control': 'public, max-age=86400', // 24 hours
-      'Access-Control-Allow-Origin': '*'
-    });
+  /**
+   * GET /tiles/:source/:z/:x/:y@2x.png
+   * Retrieve a cached high-DPI raster tile (registered first, ":y.png" would also match "0@2x.png")
+   */
+  router.get('/:source/:z/:x/:y@2x.png', serveTile(false, 2));
 
-    res.send(tileData);
-  });
+  /**
+   * GET /tiles/:source/:z/:x/:y.png
+   * Retrieve a cached raster tile
+   */
+  router.get('/:source/:z/:x/:y.png', serveTile(false));
+
+  /**
+   * GET /tiles/:source/:z/:x/:y.pbf
+   * Retrieve a cached vector tile
+   */
+  router.get('/:source/:z/:x/:y.pbf', serveTile(true));
 
   /**
    * GET /tiles/:source/count
@@ -68,16 +195,17 @@ export function createTilesRouter(tileforge) {
    */
   router.get('/:source/count', (req, res) => {
     const { source } = req.params;
+    const archive = archives.get(source);
 
     // Validate source
-    if (!isValidSource(source)) {
+    if (!archive && !isValidSource(source)) {
       return res.status(400).json({
         error: 'Invalid source',
         message: `Unknown tile source: ${source}`
       });
     }
 
-    const count = tileforge.getTileCount(source);
+    const count = archive ? archive.header.addressedTiles : tileforge.getTileCount(source);
 
     res.json({
       source,
@@ -0,0 +1,267 @@
+/**
+ * Corridor areas around routes, for downloads along pipelines, roads and rivers
+ * A route is a GPX track or route, or a GeoJSON LineString / MultiLineString.
+ * The corridor is stored as a MultiPolygon with one convex polygon per route
+ * segment, each enclosing the segment and a circle of the buffer distance
+ * around both its ends; polygons crossing the antimeridian are split at ±180°.
+ */
+
+import { splitPolygon } from './geojson.js';
+
+/**
+ * Largest corridor buffer in metres
+ */
+export const MAX_CORRIDOR_BUFFER = 50000;
+
+const EARTH_RADIUS = 6371008.8;
+const METRES_PER_DEGREE = EARTH_RADIUS * Math.PI / 180;
+const MAX_LATITUDE = 85.051129;
+
+/**
+ * Sides of the polygons standing in for the circles around route points
+ */
+const CIRCLE_SIDES = 16;
+
+/**
+ * Read the tracks and routes of a GPX document
+ * @param {string} xml - GPX document
+ * @returns {Array<Array<number[]>>} Lines of [lng, lat] positions, one per track segment or route
+ * @throws {Error} If the document has no track or route points
+ */
+export function parseGPX(xml) {
+  const lines = [];
+  const segments = /<(?:\w+:)?(trkseg|rte)\b[^>]*>([\s\S]*?)<\/(?:\w+:)?\1\s*>/g;
+  const points = /<(?:\w+:)?(?:trkpt|rtept)\b([^>]*)>/g;
+  const attribute = (attributes, name) => {
+    const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(attributes);
+    return match ? Number(match[1]) : NaN;
+  };
+
+  for (const [, , body] of xml.matchAll(segments)) {
+    const line = [];
+    for (const [, attributes] of body.matchAll(points)) {
+      const lat = attribute(attributes, 'lat');
+      const lng = attribute(attributes, 'lon');
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        throw new Error('Invalid GPX: track and route points need numeric lat and lon attributes');
+      }
+      line.push([lng, lat]);
+    }
+    if (line.length > 0) {
+      lines.push(line);
+    }
+  }
+
+  if (lines.length === 0) {
+    throw new Error('Invalid GPX: no track or route points found');
+  }
+  return lines;
+}
+
+/**
+ * Collect the lines of a GeoJSON object
+ */
+function collectLines(geojson) {
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error('Invalid route: expected a GPX document or a GeoJSON LineString, MultiLineString, Feature or FeatureCollection');
+  }
+
+  switch (geojson.type) {
+    case 'LineString':
+      return [geojson.coordinates];
+    case 'MultiLineString':
+      if (!Array.isArray(geojson.coordinates)) {
+        throw new Error('Invalid route: MultiLineString coordinates must be an array of lines');
+      }
+      return geojson.coordinates;
+    case 'Feature':
+      return collectLines(geojson.geometry);
+    case 'FeatureCollection':
+      if (!Array.isArray(geojson.features)) {
+        throw new Error('Invalid route: FeatureCollection has no features array');
+      }
+      return geojson.features.flatMap(feature => collectLines(feature));
+    default:
+      throw new Error(`Invalid route: ${geojson.type || 'untyped'} geometries are not supported; use LineString or MultiLineString`);
+  }
+}
+
+/**
+ * Get the lines of a route
+ * @param {string|object} route - GPX document, GeoJSON text or a GeoJSON object
+ * @returns {Array<Array<number[]>>} Lines of [lng, lat] positions
+ * @throws {Error} If the route holds no valid line
+ */
+export function getRouteLines(route) {
+  let lines;
+  if (typeof route === 'string' && route.trimStart().startsWith('<')) {
+    lines = parseGPX(route);
+  } else if (typeof route === 'string') {
+    try {
+      lines = collectLines(JSON.parse(route));
+    } catch (error) {
+      throw error instanceof SyntaxError ? new Error(`Invalid route: ${error.message}`) : error;
+    }
+  } else {
+    lines = collectLines(route);
+  }
+
+  for (const line of lines) {
+    if (!Array.isArray(line) || line.length === 0) {
+      throw new Error('Invalid route: lines need at least one position');
+    }
+    for (const position of line) {
+      const [lng, lat] = Array.isArray(position) ? position : [];
+      if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+        throw new Error(`Invalid route: position ${JSON.stringify(position)} is not a [lng, lat] pair`);
+      }
+    }
+  }
+
+  if (lines.length === 0) {
+    throw new Error('Invalid route: no lines found');
+  }
+  return lines.map(line => line.map(([lng, lat]) => [lng, lat]));
+}
+
+/**
+ * Simplify a line, keeping every point further than a tolerance from the result
+ * (Douglas-Peucker, measuring each segment on an equirectangular projection at its
+ * mean latitude)
+ * @param {Array<number[]>} line - [lng, lat] positions
+ * @param {number} tolerance - Metres
+ * @returns {Array<number[]>}
+ */
+export function simplifyLine(line, tolerance) {
+  if (line.length <= 2) {
+    return line;
+  }
+
+  const keep = new Uint8Array(line.length);
+  keep[0] = keep[line.length - 1] = 1;
+
+  // An explicit stack keeps long tracks from overflowing the call stack
+  const stack = [[0, line.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    const lngScale = Math.cos((line[first][1] + line[last][1]) / 2 * Math.PI / 180) * METRES_PER_DEGREE;
+    const project = ([lng, lat]) => [lng * lngScale, lat * METRES_PER_DEGREE];
+    const [ax, ay] = project(line[first]);
+    const [bx, by] = project(line[last]);
+    const length = Math.hypot(bx - ax, by - ay);
+
+    let furthest = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const [px, py] = project(line[i]);
+      const distance = length === 0
+        ? Math.hypot(px - ax, py - ay)
+        : Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length;
+      if (distance > maxDistance) {
+        furthest = i;
+        maxDistance = distance;
+      }
+    }
+
+    if (furthest !== -1) {
+      keep[furthest] = 1;
+      stack.push([first, furthest], [furthest, last]);
+    }
+  }
+
+  return line.filter((position, i) => keep[i]);
+}
+
+/**
+ * Make a line's longitudes continuous, so consecutive positions differ by less than
+ * 180°: a route from 179° to -179° runs 2° across the antimeridian
+ */
+function unwrapLine(line) {
+  const unwrapped = [line[0]];
+  for (let i = 1; i < line.length; i++) {
+    const delta = line[i][0] - line[i - 1][0];
+    unwrapped.push([unwrapped[i - 1][0] + delta - 360 * Math.round(delta / 360), line[i][1]]);
+  }
+  return unwrapped;
+}
+
+/**
+ * Get the points of a polygon enclosing a circle around a position
+ * Longitudes are not wrapped, so the points may lie past ±180°
+ */
+function circlePoints([lng, lat], radius) {
+  const latRadius = radius / METRES_PER_DEGREE;
+  // Near the poles a circle covers every longitude
+  const lngRadius = Math.min(180, radius / (METRES_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 1e-6)));
+  const points = [];
+
+  for (let i = 0; i < CIRCLE_SIDES; i++) {
+    const angle = 2 * Math.PI * i / CIRCLE_SIDES;
+    points.push([
+      lng + lngRadius * Math.cos(angle),
+      Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat + latRadius * Math.sin(angle)))
+    ]);
+  }
+  return points;
+}
+
+/**
+ * Get the convex hull of points as a closed ring (monotone chain)
+ */
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const chain = (list) => {
+    const hull = [];
+    for (const point of list) {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+        hull.pop();
+      }
+      hull.push(point);
+    }
+    hull.pop();
+    return hull;
+  };
+
+  const ring = [...chain(sorted), ...chain(sorted.reverse())];
+  return [...ring, ring[0]];
+}
+
+/**
+ * Build the corridor around a route
+ * Tracks are first simplified by a tenth of the buffer, and the corridor widened
+ * by as much, so it still covers everything within the buffer of the original track
+ * @param {string|object} route - GPX document, or a GeoJSON LineString / MultiLineString (see getRouteLines)
+ * @param {number} buffer - Distance in metres on each side of the route
+ * @returns {{type: 'MultiPolygon', coordinates: Array}} Normalized geometry (see utils/geojson.js)
+ * @throws {Error} If the route or buffer is invalid
+ */
+export function bufferRoute(route, buffer) {
+  if (typeof buffer !== 'number' || !Number.isFinite(buffer) || buffer <= 0 || buffer > MAX_CORRIDOR_BUFFER) {
+    throw new Error(`Invalid buffer: must be a distance in metres between 0 and ${MAX_CORRIDOR_BUFFER}`);
+  }
+
+  const tolerance = buffer / 10;
+  // The circle polygons' sides must stay outside the circle
+  const radius = (buffer + tolerance) / Math.cos(Math.PI / CIRCLE_SIDES);
+  const round = value => Math.round(value * 1e7) / 1e7;
+  const polygons = [];
+
+  for (const line of getRouteLines(route)) {
+    const points = simplifyLine(unwrapLine(line), tolerance);
+    const segments = points.length === 1 ? [[points[0], points[0]]] : points.slice(1).map((point, i) => [points[i], point]);
+
+    for (const [start, end] of segments) {
+      // Hull the segment next to the longitudes it starts at, then split it at ±180°
+      const shift = -360 * Math.round(start[0] / 360);
+      const ends = [start, end].map(([lng, lat]) => [lng + shift, lat]);
+      const ring = convexHull(ends.flatMap(point => circlePoints(point, radius)));
+
+      for (const polygon of splitPolygon([ring])) {
+        polygons.push(polygon.map(part => part.map(([lng, lat]) => [round(lng), round(lat)])));
+      }
+    }
+  }
+
+  return { type: 'MultiPolygon', coordinates: polygons };
+}
@@ -0,0 +1,49 @@
+/**
+ * Duration parsing for tile TTLs and refresh thresholds
+ * Durations are written as a number and a unit: "90d", "12h", "30m", "2w";
+ * plain numbers are seconds
+ */
+
+const UNIT_SECONDS = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60
+};
+
+/**
+ * Parse a duration
+ * @param {string|number} value - Duration such as "90d", or a number of seconds
+ * @returns {number} Duration in seconds
+ * @throws {Error} If the value is not a valid duration
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid duration: ${value}`);
+    }
+    return value;
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([smhdw]?)\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid duration: "${value}". Use a number and a unit (s, m, h, d, w), e.g. "90d"`);
+  }
+
+  return Math.round(Number(match[1]) * UNIT_SECONDS[(match[2] || 's').toLowerCase()]);
+}
+
+/**
+ * Format a number of seconds as a short duration
+ * @param {number} seconds
+ * @returns {string} e.g. "90d", "36h", "45s"
+ */
+export function formatDuration(seconds) {
+  for (const unit of ['w', 'd', 'h', 'm']) {
+    if (seconds >= UNIT_SECONDS[unit] && seconds % UNIT_SECONDS[unit] === 0) {
+      return `${seconds / UNIT_SECONDS[unit]}${unit}`;
+    }
+  }
+  return `${seconds}s`;
+}
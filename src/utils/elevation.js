@@ -0,0 +1,121 @@
+/**
+ * Elevation tile decoding
+ * Heights are packed into the RGB channels of PNG tiles:
+ *   terrain-rgb (Mapbox): -10000 + (R * 65536 + G * 256 + B) * 0.1
+ *   terrarium (Tilezen):  (R * 256 + G + B / 256) - 32768
+ */
+
+import { decodePng } from './png.js';
+
+/**
+ * Supported elevation encodings
+ */
+export const ELEVATION_ENCODINGS = ['terrain-rgb', 'terrarium'];
+
+/**
+ * Decode the height of one pixel
+ * @param {string} encoding - 'terrain-rgb' | 'terrarium'
+ * @param {number} r - Red channel
+ * @param {number} g - Green channel
+ * @param {number} b - Blue channel
+ * @returns {number} Height in metres
+ */
+export function decodeHeight(encoding, r, g, b) {
+  if (encoding === 'terrarium') {
+    return (r * 256 + g + b / 256) - 32768;
+  }
+  return -10000 + (r * 65536 + g * 256 + b) * 0.1;
+}
+
+/**
+ * Decode an elevation tile for sampling
+ * @param {Buffer} data - PNG tile data
+ * @param {string} encoding - 'terrain-rgb' | 'terrarium'
+ * @returns {{size: number, heightAt: Function}} heightAt(px, py) returns metres, rounded to 0.1
+ */
+export function decodeElevationTile(data, encoding) {
+  const image = decodePng(data);
+
+  return {
+    size: image.width,
+    heightAt(px, py) {
+      const offset = (py * image.width + px) * 4;
+      const height = decodeHeight(encoding, image.data[offset], image.data[offset + 1], image.data[offset + 2]);
+      return Math.round(height * 10) / 10;
+    }
+  };
+}
+
+/**
+ * Distance between two points on the earth (haversine)
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Distance in metres
+ */
+export function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Most points a single elevation profile may sample
+ */
+export const MAX_PROFILE_POINTS = 10000;
+
+/**
+ * Get the [lng, lat] coordinates of a LineString
+ * @param {object|Array} line - GeoJSON LineString, Feature with a LineString geometry, or a coordinate array
+ * @returns {Array<[number, number]>}
+ * @throws {Error} If the input is not a LineString with at least two valid positions
+ */
+export function getLineCoordinates(line) {
+  const geometry = line?.type === 'Feature' ? line.geometry : line;
+  const coordinates = Array.isArray(geometry) ? geometry : geometry?.type === 'LineString' ? geometry.coordinates : null;
+
+  if (!Array.isArray(coordinates) || coordinates.length < 2) {
+    throw new Error('Invalid line: expected a GeoJSON LineString with at least two positions');
+  }
+
+  for (const position of coordinates) {
+    const [lng, lat] = Array.isArray(position) ? position : [];
+    if (typeof lng !== 'number' || typeof lat !== 'number' ||
+        Math.abs(lng) > 180 || Math.abs(lat) > 85.0511) {
+      throw new Error(`Invalid line: position ${JSON.stringify(position)} is not a [lng, lat] pair within Web Mercator bounds`);
+    }
+  }
+
+  return coordinates.map(([lng, lat]) => [lng, lat]);
+}
+
+/**
+ * Insert points along a line so consecutive points are at most `interval` metres apart
+ * Points are interpolated linearly in degrees, which is accurate for survey-length segments
+ * @param {Array<[number, number]>} coordinates - [lng, lat] positions
+ * @param {number} interval - Maximum spacing in metres
+ * @returns {Array<[number, number]>}
+ */
+export function densifyLine(coordinates, interval) {
+  const result = [coordinates[0]];
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lng1, lat1] = coordinates[i - 1];
+    const [lng2, lat2] = coordinates[i];
+    const steps = Math.max(1, Math.ceil(distanceMeters(lat1, lng1, lat2, lng2) / interval));
+    if (result.length + steps > MAX_PROFILE_POINTS) {
+      throw new Error(`Profile too long: more than ${MAX_PROFILE_POINTS} points (use a larger interval)`);
+    }
+
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      result.push([lng1 + (lng2 - lng1) * t, lat1 + (lat2 - lat1) * t]);
+    }
+  }
+
+  return result;
+}
@@ -5,6 +5,7 @@
 
 import axios from 'axios';
 import { createLogger } from './logger.js';
+import { getBoundsCenter } from '../core/TileCalculator.js';
 
 const NOMINATIM_API = 'https://nominatim.openstreetmap.org/reverse';
 
@@ -20,9 +21,8 @@ export async function getLocationFromBounds(bounds, options = {}) {
   const logger = createLogger(options.logLevel || 'info');
 
   try {
-    // Calculate center point
-    const lat = (bounds.north + bounds.south) / 2;
-    const lon = (bounds.east + bounds.west) / 2;
+    // Calculate center point (bounds may cross the antimeridian)
+    const { lat, lng: lon } = getBoundsCenter(bounds);
 
     logger.debug(`Reverse geocoding coordinates: ${lat}, ${lon}`);
 
@@ -0,0 +1,231 @@
+/**
+ * GeoJSON area parsing for polygon downloads
+ * Polygons, MultiPolygons and Features or FeatureCollections of them are
+ * normalized to a single MultiPolygon, the shape stored on download jobs
+ */
+
+import { getLongitudeSpan } from '../core/TileCalculator.js';
+
+/**
+ * Web Mercator latitude limit; tiles do not extend further north or south
+ */
+const MAX_LATITUDE = 85.051129;
+
+/**
+ * Collect the polygons of a GeoJSON object
+ * @returns {Array<Array<Array<number[]>>>} Polygons as arrays of rings
+ */
+function collectPolygons(geojson) {
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error('Invalid GeoJSON: expected a Polygon, MultiPolygon, Feature or FeatureCollection');
+  }
+
+  switch (geojson.type) {
+    case 'Polygon':
+      return [geojson.coordinates];
+    case 'MultiPolygon':
+      if (!Array.isArray(geojson.coordinates)) {
+        throw new Error('Invalid GeoJSON: MultiPolygon coordinates must be an array of polygons');
+      }
+      return geojson.coordinates;
+    case 'Feature':
+      return collectPolygons(geojson.geometry);
+    case 'FeatureCollection':
+      if (!Array.isArray(geojson.features)) {
+        throw new Error('Invalid GeoJSON: FeatureCollection has no features array');
+      }
+      return geojson.features.flatMap(feature => collectPolygons(feature));
+    default:
+      throw new Error(`Invalid GeoJSON: ${geojson.type || 'untyped'} geometries are not supported; use Polygon or MultiPolygon`);
+  }
+}
+
+/**
+ * Check a polygon's rings: closed, at least four positions, valid longitude/latitude
+ */
+function validatePolygon(polygon) {
+  if (!Array.isArray(polygon) || polygon.length === 0) {
+    throw new Error('Invalid GeoJSON: a polygon needs at least one ring');
+  }
+
+  for (const ring of polygon) {
+    if (!Array.isArray(ring) || ring.length < 4) {
+      throw new Error('Invalid GeoJSON: polygon rings need at least 4 positions');
+    }
+
+    for (const position of ring) {
+      if (!Array.isArray(position) || position.length < 2 ||
+          !Number.isFinite(position[0]) || !Number.isFinite(position[1])) {
+        throw new Error('Invalid GeoJSON: positions must be [longitude, latitude] numbers');
+      }
+      if (position[0] < -180 || position[0] > 180 || position[1] < -90 || position[1] > 90) {
+        throw new Error(`Invalid GeoJSON: position [${position[0]}, ${position[1]}] is out of range`);
+      }
+    }
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      throw new Error('Invalid GeoJSON: polygon rings must be closed (first and last positions equal)');
+    }
+  }
+}
+
+/**
+ * Normalize a GeoJSON area to a MultiPolygon
+ * Altitudes and other extra position values are dropped
+ * @param {object} geojson - Polygon, MultiPolygon, or a Feature/FeatureCollection of them
+ * @returns {{type: 'MultiPolygon', coordinates: Array}}
+ * @throws {Error} If the object holds no valid polygon, or other geometry types
+ */
+export function normalizeGeometry(geojson) {
+  const polygons = collectPolygons(geojson);
+  if (polygons.length === 0) {
+    throw new Error('Invalid GeoJSON: no polygons found');
+  }
+
+  for (const polygon of polygons) {
+    validatePolygon(polygon);
+  }
+
+  return {
+    type: 'MultiPolygon',
+    coordinates: polygons.flatMap(polygon =>
+      unwrapPolygon(polygon.map(ring => ring.map(([lng, lat]) => [lng, lat])))
+    )
+  };
+}
+
+/**
+ * Make a ring's longitudes continuous, so consecutive positions differ by less than 180°
+ * @returns {Array<number[]>|null} The unwrapped ring, or null if it winds around a pole
+ *   and so cannot be unwrapped
+ */
+function unwrapRing(ring) {
+  const unwrapped = [ring[0]];
+  for (let i = 1; i < ring.length; i++) {
+    const previous = unwrapped[i - 1][0];
+    const delta = ring[i][0] - ring[i - 1][0];
+    unwrapped.push([previous + delta - 360 * Math.round(delta / 360), ring[i][1]]);
+  }
+
+  const first = unwrapped[0][0];
+  return Math.abs(unwrapped[unwrapped.length - 1][0] - first) < 1e-9 ? unwrapped : null;
+}
+
+/**
+ * Split a polygon whose edges jump across the antimeridian
+ * An edge from 179° to -179° runs 2° across the antimeridian, not 358° around the
+ * globe, so such rings are unwrapped and split at ±180°
+ * @returns {Array} One or more polygons
+ */
+function unwrapPolygon(polygon) {
+  const jumps = polygon.some(ring =>
+    ring.some((position, i) => i > 0 && Math.abs(position[0] - ring[i - 1][0]) > 180)
+  );
+  const outer = jumps && unwrapRing(polygon[0]);
+  if (!outer) {
+    return [polygon];
+  }
+
+  // Holes go on the same side of the antimeridian as the outer ring
+  const lngs = outer.map(([lng]) => lng);
+  const middle = (Math.min(...lngs) + Math.max(...lngs)) / 2;
+  const holes = polygon.slice(1).map(ring => {
+    const hole = unwrapRing(ring) || ring;
+    const shift = 360 * Math.round((middle - hole[0][0]) / 360);
+    return hole.map(([lng, lat]) => [lng + shift, lat]);
+  });
+
+  return splitPolygon([outer, ...holes]);
+}
+
+/**
+ * Clip a ring to the longitudes from west to east (Sutherland-Hodgman)
+ * @returns {Array<number[]>|null} The closed ring, or null if nothing is left
+ */
+function clipRing(ring, west, east) {
+  let points = ring.slice(0, -1);
+
+  for (const [edge, inside] of [[west, lng => lng >= west], [east, lng => lng <= east]]) {
+    const clipped = [];
+    points.forEach((point, i) => {
+      const previous = points[(i + points.length - 1) % points.length];
+      if (inside(point[0]) !== inside(previous[0])) {
+        const t = (edge - previous[0]) / (point[0] - previous[0]);
+        clipped.push([edge, previous[1] + (point[1] - previous[1]) * t]);
+      }
+      if (inside(point[0])) {
+        clipped.push(point);
+      }
+    });
+    points = clipped;
+  }
+
+  return points.length < 3 ? null : [...points, points[0]];
+}
+
+/**
+ * Split a polygon at the antimeridian
+ * The polygon's longitudes may run past ±180° (e.g. 170° to 190°); it is cut into
+ * parts each within -180° to 180°, like splitBounds does for bounds crossing it
+ * @param {Array<Array<number[]>>} polygon - Rings of [lng, lat] positions, outer ring first
+ * @returns {Array<Array<Array<number[]>>>} Polygons with longitudes within -180° to 180°
+ */
+export function splitPolygon(polygon) {
+  const lngs = polygon[0].map(([lng]) => lng);
+  const min = Math.min(...lngs);
+  const max = Math.max(...lngs);
+  if (min >= -180 && max <= 180) {
+    return [polygon];
+  }
+
+  const parts = [];
+  for (let west = 360 * Math.floor((min + 180) / 360) - 180; west < max; west += 360) {
+    const shift = -180 - west;
+    const rings = polygon
+      .map(ring => clipRing(ring, west, west + 360))
+      .map(ring => ring && ring.map(([lng, lat]) => [lng + shift, lat]));
+
+    if (rings[0]) {
+      parts.push([rings[0], ...rings.slice(1).filter(Boolean)]);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Get the bounding box of a geometry, clamped to the Web Mercator latitude limits
+ * Polygons on both sides of the antimeridian give bounds crossing it (west > east)
+ * when that leaves out the larger part of the globe
+ * @param {{type: 'MultiPolygon', coordinates: Array}} geometry - Normalized geometry
+ * @returns {{north: number, south: number, east: number, west: number}}
+ */
+export function getGeometryBounds(geometry) {
+  let north = -90;
+  let south = 90;
+  const intervals = [];
+
+  for (const polygon of geometry.coordinates) {
+    // Holes lie inside the outer ring
+    let west = 180;
+    let east = -180;
+    for (const [lng, lat] of polygon[0]) {
+      north = Math.max(north, lat);
+      south = Math.min(south, lat);
+      west = Math.min(west, lng);
+      east = Math.max(east, lng);
+    }
+    intervals.push([west, east]);
+  }
+
+  // Polygons split at the antimeridian give bounds crossing it
+  const { west, east } = getLongitudeSpan(intervals);
+
+  return {
+    north: Math.min(north, MAX_LATITUDE),
+    south: Math.max(south, -MAX_LATITUDE),
+    east,
+    west
+  };
+}
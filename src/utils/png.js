@@ -0,0 +1,149 @@
+/**
+ * Minimal PNG decoder
+ * Decodes 8-bit, non-interlaced PNGs (grayscale, RGB, palette, with or without
+ * alpha) to RGBA pixels, enough to read encoded elevation tiles
+ */
+
+import zlib from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Channels per pixel by PNG color type
+ */
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Paeth predictor (PNG filter type 4)
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Reverse the per-scanline filters in place
+ */
+function unfilter(data, width, height, bpp) {
+  const stride = width * bpp;
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let row = 0; row < height; row++) {
+    const filter = data[row * (stride + 1)];
+    const src = row * (stride + 1) + 1;
+    const dst = row * stride;
+    const prev = dst - stride;
+
+    for (let i = 0; i < stride; i++) {
+      const raw = data[src + i];
+      const left = i >= bpp ? pixels[dst + i - bpp] : 0;
+      const up = row > 0 ? pixels[prev + i] : 0;
+      const upLeft = row > 0 && i >= bpp ? pixels[prev + i - bpp] : 0;
+
+      let value;
+      switch (filter) {
+        case 0: value = raw; break;
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + ((left + up) >> 1); break;
+        case 4: value = raw + paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type: ${filter}`);
+      }
+      pixels[dst + i] = value & 0xff;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Decode a PNG image
+ * @param {Buffer} buffer - PNG file data
+ * @returns {{width: number, height: number, data: Buffer}} RGBA pixels, row-major
+ * @throws {Error} If the data is not a supported PNG
+ */
+export function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || idat.length === 0) {
+    throw new Error('Truncated PNG image');
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels || bitDepth !== 8 || interlace !== 0) {
+    throw new Error(`Unsupported PNG (color type ${colorType}, bit depth ${bitDepth}${interlace ? ', interlaced' : ''})`);
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('PNG palette missing');
+  }
+
+  const pixels = unfilter(zlib.inflateSync(Buffer.concat(idat)), width, height, channels);
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    const out = i * 4;
+    switch (colorType) {
+      case 0:
+        data[out] = data[out + 1] = data[out + 2] = pixels[j];
+        data[out + 3] = 255;
+        break;
+      case 2:
+        pixels.copy(data, out, j, j + 3);
+        data[out + 3] = 255;
+        break;
+      case 3: {
+        const index = pixels[j];
+        palette.copy(data, out, index * 3, index * 3 + 3);
+        data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        break;
+      }
+      case 4:
+        data[out] = data[out + 1] = data[out + 2] = pixels[j];
+        data[out + 3] = pixels[j + 1];
+        break;
+      case 6:
+        pixels.copy(data, out, j, j + 4);
+        break;
+    }
+  }
+
+  return { width, height, data };
+}
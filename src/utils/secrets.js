@@ -0,0 +1,97 @@
+/**
+ * Secret resolution for source credentials
+ * Source definitions reference secrets as ${NAME}; values are looked up in
+ * environment variables first, then in a local JSON secrets file
+ * ({"NAME": "value", ...}). Resolved values are never stored or returned by the API.
+ */
+
+import fs from 'fs';
+
+const SECRET_REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Check whether a string contains secret references
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function hasSecretReference(value) {
+  return typeof value === 'string' && new RegExp(SECRET_REFERENCE.source).test(value);
+}
+
+/**
+ * List the secret names referenced by a string
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function getSecretReferences(value) {
+  if (typeof value !== 'string') return [];
+  return [...value.matchAll(SECRET_REFERENCE)].map(match => match[1]);
+}
+
+/**
+ * Mask a configured value for display
+ * Secret references are safe to show (they only name the secret); literal values are masked
+ * @param {string} value
+ * @returns {string}
+ */
+export function redactValue(value) {
+  return hasSecretReference(value) ? value : '********';
+}
+
+/**
+ * Create a secret store
+ * @param {object} options - Options
+ * @param {string} options.secretsPath - Path to a JSON secrets file (optional, may not exist)
+ * @returns {{get: Function, resolve: Function}}
+ */
+export function createSecretStore(options = {}) {
+  const secretsPath = options.secretsPath || null;
+  let fileSecrets = null;
+
+  function loadFile() {
+    if (fileSecrets) return fileSecrets;
+
+    fileSecrets = {};
+    if (secretsPath && fs.existsSync(secretsPath)) {
+      try {
+        fileSecrets = JSON.parse(fs.readFileSync(secretsPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot read secrets file ${secretsPath}: ${error.message}`);
+      }
+    }
+    return fileSecrets;
+  }
+
+  /**
+   * Look up a secret by name
+   * @param {string} name
+   * @returns {string|null}
+   */
+  function get(name) {
+    if (process.env[name] !== undefined) {
+      return process.env[name];
+    }
+    const value = loadFile()[name];
+    return value === undefined || value === null ? null : String(value);
+  }
+
+  /**
+   * Replace secret references in a string
+   * @param {string} value
+   * @returns {string}
+   * @throws {Error} If a referenced secret is not defined
+   */
+  function resolve(value) {
+    if (typeof value !== 'string') return value;
+
+    return value.replace(SECRET_REFERENCE, (match, name) => {
+      const secret = get(name);
+      if (secret === null) {
+        throw new Error(`Missing secret: ${name} (set the ${name} environment variable or add it to the secrets file)`);
+      }
+      return secret;
+    });
+  }
+
+  return { get, resolve };
+}
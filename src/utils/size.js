@@ -0,0 +1,49 @@
+/**
+ * Byte size parsing for storage quotas
+ * Sizes are written as a number and a binary unit: "500MB", "2GB", "1.5TB";
+ * plain numbers are bytes
+ */
+
+const UNIT_BYTES = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+  tb: 1024 * 1024 * 1024 * 1024
+};
+
+/**
+ * Parse a byte size
+ * @param {string|number} value - Size such as "2GB", or a number of bytes
+ * @returns {number} Size in bytes
+ * @throws {Error} If the value is not a valid size
+ */
+export function parseSize(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid size: ${value}`);
+    }
+    return Math.floor(value);
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([kmgt]?b)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid size: "${value}". Use a number and a unit (B, KB, MB, GB, TB), e.g. "2GB"`);
+  }
+
+  return Math.floor(Number(match[1]) * UNIT_BYTES[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Format a number of bytes as a short size
+ * @param {number} bytes
+ * @returns {string} e.g. "512 B", "1.5 GB"
+ */
+export function formatSize(bytes) {
+  for (const unit of ['tb', 'gb', 'mb', 'kb']) {
+    if (bytes >= UNIT_BYTES[unit]) {
+      return `${Math.round((bytes / UNIT_BYTES[unit]) * 100) / 100} ${unit.toUpperCase()}`;
+    }
+  }
+  return `${bytes} B`;
+}
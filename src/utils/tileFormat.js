@@ -0,0 +1,127 @@
+/**
+ * Tile format detection
+ * Identifies stored tiles by their leading bytes so they can be served and
+ * exported with the right content type and extension
+ */
+
+import zlib from 'zlib';
+
+/**
+ * HTTP content types by tile format
+ */
+export const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+  pbf: 'application/x-protobuf'
+};
+
+/**
+ * Check whether data is gzip-compressed
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+export function isGzipped(data) {
+  return data.length >= 2 && data[0] === 0x1f && data[1] === 0x8b;
+}
+
+/**
+ * Detect the format of tile data
+ * Gzip-compressed data is assumed to be a vector tile; an uncompressed vector tile
+ * starts with its first layer (field 3, length-delimited)
+ * @param {Buffer} data
+ * @returns {'png'|'jpg'|'webp'|'pbf'|null} Format, or null for empty or unrecognized
+ *   data such as GIF images or HTML error pages
+ */
+export function detectTileFormat(data) {
+  if (data.length >= 8 && data.readUInt32BE(0) === 0x89504e47 && data.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'png';
+  }
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'jpg';
+  }
+  if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (isGzipped(data) || (data.length > 0 && data[0] === 0x1a)) {
+    return 'pbf';
+  }
+  return null;
+}
+
+/**
+ * Check whether a format is a vector format
+ * @param {string} format
+ * @returns {boolean}
+ */
+export function isVectorFormat(format) {
+  return format === 'pbf';
+}
+
+/**
+ * Read a protobuf varint
+ * @returns {[number, number]} Value and the offset after it
+ */
+function readVarint(data, offset) {
+  let value = 0;
+  let shift = 0;
+  let byte;
+  do {
+    if (offset >= data.length) throw new Error('Truncated vector tile');
+    byte = data[offset++];
+    value += (byte & 0x7f) * Math.pow(2, shift);
+    shift += 7;
+  } while (byte & 0x80);
+  return [value, offset];
+}
+
+/**
+ * Iterate over the fields of a protobuf message
+ * @returns {Generator<{field: number, type: number, value: number|Buffer}>}
+ */
+function* readFields(data) {
+  let offset = 0;
+  while (offset < data.length) {
+    let key;
+    [key, offset] = readVarint(data, offset);
+    const field = Math.floor(key / 8);
+    const type = key & 0x7;
+
+    if (type === 0) {
+      let value;
+      [value, offset] = readVarint(data, offset);
+      yield { field, type, value };
+    } else if (type === 2) {
+      let length;
+      [length, offset] = readVarint(data, offset);
+      yield { field, type, value: data.subarray(offset, offset + length) };
+      offset += length;
+    } else if (type === 1 || type === 5) {
+      offset += type === 1 ? 8 : 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type: ${type}`);
+    }
+  }
+}
+
+/**
+ * List the layer names of a Mapbox Vector Tile (gzip-compressed or not)
+ * @param {Buffer} data
+ * @returns {string[]}
+ */
+export function getVectorLayerNames(data) {
+  const tile = isGzipped(data) ? zlib.gunzipSync(data) : data;
+  const names = [];
+
+  for (const layer of readFields(tile)) {
+    if (layer.field !== 3 || layer.type !== 2) continue;
+    for (const field of readFields(layer.value)) {
+      if (field.field === 1 && field.type === 2) {
+        names.push(field.value.toString('utf8'));
+        break;
+      }
+    }
+  }
+
+  return names;
+}
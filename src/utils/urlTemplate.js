@@ -0,0 +1,60 @@
+/**
+ * Tile URL template engine
+ *
+ * Placeholders are written as {name} or {name:spec} and every occurrence is
+ * replaced. The optional spec formats integer values printf-style:
+ *   {z:02}    zero-padded decimal, 2 digits  -> "05"
+ *   {x:08x}   zero-padded lowercase hex      -> "0000a3f1"
+ *   {y:X}     uppercase hex                  -> "A3F1"
+ * Unknown placeholders and secret references (${NAME}) are left untouched.
+ */
+
+const PLACEHOLDER = /(?<!\$)\{(-?[a-z]+)(?::(0?)(\d*)([dxX]?))?\}/gi;
+
+/**
+ * Format a value according to a placeholder spec
+ */
+function formatValue(value, zeroPad, width, type) {
+  let result;
+  if (type === 'x' || type === 'X') {
+    result = Number(value).toString(16);
+    if (type === 'X') result = result.toUpperCase();
+  } else {
+    result = String(value);
+  }
+
+  if (width) {
+    result = result.padStart(parseInt(width, 10), zeroPad ? '0' : ' ');
+  }
+
+  return result;
+}
+
+/**
+ * Render a URL template
+ * @param {string} template - URL template
+ * @param {object} values - Placeholder values keyed by name (e.g. {z, x, y, '-y', q, s, r})
+ * @returns {string} Rendered URL
+ */
+export function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER, (match, name, zeroPad, width, type) => {
+    const key = name.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(values, key) || values[key] === undefined) {
+      return match;
+    }
+    return formatValue(values[key], zeroPad, width, type);
+  });
+}
+
+/**
+ * List the placeholder names used by a template (lowercase, without specs)
+ * @param {string} template - URL template
+ * @returns {string[]} Unique placeholder names
+ */
+export function getTemplatePlaceholders(template) {
+  const names = new Set();
+  for (const match of template.matchAll(PLACEHOLDER)) {
+    names.add(match[1].toLowerCase());
+  }
+  return [...names];
+}
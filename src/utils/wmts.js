@@ -0,0 +1,304 @@
+/**
+ * WMTS GetCapabilities parsing
+ * Turns OGC WMTS 1.0.0 capabilities documents into TileForge source definitions
+ * Only GoogleMapsCompatible (EPSG:3857 XYZ grid) tile matrix sets are importable
+ */
+
+import fs from 'fs';
+import axios from 'axios';
+import { XMLParser } from 'fast-xml-parser';
+import { MERCATOR_EXTENT } from '../core/TileCalculator.js';
+import { renderTemplate } from './urlTemplate.js';
+
+const ARRAY_ELEMENTS = new Set([
+  'Layer', 'TileMatrixSet', 'TileMatrix', 'TileMatrixSetLink', 'TileMatrixLimits',
+  'ResourceURL', 'Format', 'Style', 'Dimension', 'Operation', 'Get', 'Constraint', 'AllowedValues', 'Value'
+]);
+
+const MERCATOR_CRS = /(EPSG:(:|\d+(\.\d+)*:)?(3857|900913|3785|102100))|(EPSG\/0\/3857)/i;
+
+/**
+ * Map image MIME types to TileForge tile formats
+ */
+const FORMAT_BY_MIME = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/webp': 'webp',
+  'application/vnd.mapbox-vector-tile': 'pbf',
+  'application/x-protobuf': 'pbf'
+};
+
+/**
+ * Load a capabilities document from a URL or a local file
+ * @param {string} location - http(s) URL or file path
+ * @returns {Promise<string>} XML text
+ */
+export async function loadCapabilities(location) {
+  if (/^https?:\/\//i.test(location)) {
+    const response = await axios.get(location, {
+      responseType: 'text',
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'TileForge/1.0 (Offline Map Tile Caching)'
+      }
+    });
+    return response.data;
+  }
+
+  return fs.promises.readFile(location, 'utf8');
+}
+
+/**
+ * Get the text content of a parsed element (handles attributes-with-text nodes)
+ */
+function text(node) {
+  if (node === undefined || node === null) return null;
+  if (typeof node === 'object') return node['#text'] !== undefined ? String(node['#text']).trim() : null;
+  return String(node).trim();
+}
+
+/**
+ * Parse a tile matrix set and work out which zoom each matrix corresponds to
+ * Matrices that do not line up with the Web Mercator XYZ grid mark the set as incompatible
+ */
+function parseTileMatrixSet(node) {
+  const id = text(node.Identifier);
+  const crs = text(node.SupportedCRS) || '';
+  const wellKnown = text(node.WellKnownScaleSet) || '';
+  const isMercator = MERCATOR_CRS.test(crs);
+
+  const matrices = (node.TileMatrix || []).map(matrix => {
+    const identifier = text(matrix.Identifier);
+    const width = Number(text(matrix.MatrixWidth));
+    const height = Number(text(matrix.MatrixHeight));
+    const tileSize = Number(text(matrix.TileWidth));
+    const [left, top] = (text(matrix.TopLeftCorner) || '').split(/\s+/).map(Number);
+
+    const zoom = Math.log2(width);
+    const tolerance = MERCATOR_EXTENT * 1e-6;
+    const aligned = isMercator &&
+      Number.isInteger(zoom) && width === height &&
+      Math.abs(left + MERCATOR_EXTENT) < tolerance &&
+      Math.abs(top - MERCATOR_EXTENT) < tolerance;
+
+    return { identifier, zoom: aligned ? zoom : null, tileSize };
+  });
+
+  const googleMapsCompatible = matrices.length > 0 &&
+    matrices.every(m => m.zoom !== null) &&
+    new Set(matrices.map(m => m.tileSize)).size === 1;
+
+  return {
+    id,
+    crs,
+    wellKnownScaleSet: wellKnown || null,
+    googleMapsCompatible,
+    tileSize: matrices[0]?.tileSize || 256,
+    matrices
+  };
+}
+
+/**
+ * Parse a WMTS GetCapabilities document
+ * @param {string} xml - Capabilities XML
+ * @returns {{title: string|null, provider: string|null, getTileUrl: string|null, layers: Array, tileMatrixSets: Array}}
+ */
+export function parseCapabilities(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    // TileMatrixSet and TileMatrix are lists under Contents but single references inside links/limits
+    isArray: (name, jpath) => ARRAY_ELEMENTS.has(name) &&
+      !jpath.endsWith('TileMatrixSetLink.TileMatrixSet') &&
+      !jpath.endsWith('TileMatrixLimits.TileMatrix')
+  });
+
+  const doc = parser.parse(xml);
+  const root = doc.Capabilities;
+  if (!root || !root.Contents) {
+    throw new Error('Not a WMTS capabilities document');
+  }
+
+  const tileMatrixSets = (root.Contents.TileMatrixSet || []).map(parseTileMatrixSet);
+
+  // KVP GetTile endpoint, used when layers publish no RESTful ResourceURL
+  let getTileUrl = null;
+  const getTile = (root.OperationsMetadata?.Operation || []).find(op => op.name === 'GetTile');
+  for (const get of getTile?.DCP?.HTTP?.Get || []) {
+    const encodings = (get.Constraint || [])
+      .flatMap(c => (c.AllowedValues || []).flatMap(v => (v.Value || []).map(text)));
+    if (encodings.length === 0 || encodings.includes('KVP')) {
+      getTileUrl = get.href;
+      break;
+    }
+  }
+
+  const layers = (root.Contents.Layer || []).map(layer => {
+    const styles = (layer.Style || []).map(style => ({
+      id: text(style.Identifier),
+      isDefault: style.isDefault === 'true'
+    }));
+
+    const dimensions = {};
+    for (const dimension of layer.Dimension || []) {
+      dimensions[text(dimension.Identifier)] = text(dimension.Default) ?? text(dimension.Value?.[0]);
+    }
+
+    const links = (layer.TileMatrixSetLink || []).map(link => ({
+      tileMatrixSet: text(link.TileMatrixSet),
+      limits: (link.TileMatrixSetLimits?.TileMatrixLimits || []).map(l => text(l.TileMatrix))
+    }));
+
+    let bounds = null;
+    const box = layer.WGS84BoundingBox;
+    if (box) {
+      const [west, south] = text(box.LowerCorner).split(/\s+/).map(Number);
+      const [east, north] = text(box.UpperCorner).split(/\s+/).map(Number);
+      bounds = { north, south, east, west };
+    }
+
+    return {
+      id: text(layer.Identifier),
+      title: text(layer.Title),
+      abstract: text(layer.Abstract),
+      formats: (layer.Format || []).map(text),
+      styles,
+      dimensions,
+      links,
+      bounds,
+      resourceUrls: (layer.ResourceURL || [])
+        .filter(r => r.resourceType === 'tile')
+        .map(r => ({ format: r.format, template: r.template })),
+      compatibleTileMatrixSets: links
+        .map(link => link.tileMatrixSet)
+        .filter(id => tileMatrixSets.find(set => set.id === id)?.googleMapsCompatible)
+    };
+  });
+
+  return {
+    title: text(root.ServiceIdentification?.Title),
+    provider: text(root.ServiceProvider?.ProviderName),
+    getTileUrl,
+    layers,
+    tileMatrixSets
+  };
+}
+
+/**
+ * Work out how TileMatrix identifiers render from the zoom level
+ * Identifiers must be the zoom level, optionally zero-padded ("05") and behind a
+ * constant prefix ("EPSG:3857:5")
+ * @returns {{prefix: string, placeholder: string}} e.g. {prefix: '', placeholder: '{z:02}'}
+ */
+function tileMatrixTemplate(matrices) {
+  const parts = matrices.map(m => /^(.*?)(\d+)$/.exec(m.identifier) || ['', m.identifier, '']);
+  const width = Math.max(...parts.map(([, , digits]) => digits.length));
+  const padded = parts.some(([, , digits]) => digits.length > 1 && digits.startsWith('0'));
+
+  const prefix = parts[0][1];
+  const placeholder = padded ? `{z:0${width}}` : '{z}';
+  if (matrices.some(m => prefix + renderTemplate(placeholder, { z: m.zoom }) !== m.identifier)) {
+    throw new Error('TileMatrix identifiers do not map to zoom levels');
+  }
+
+  return { prefix, placeholder };
+}
+
+/**
+ * Convert a layer of a parsed capabilities document into a source definition
+ * @param {object} capabilities - Result of parseCapabilities
+ * @param {object} options - Import options
+ * @param {string} options.layer - Layer identifier
+ * @param {string} options.tileMatrixSet - Tile matrix set (default: first compatible)
+ * @param {string} options.style - Style identifier (default: the layer's default style)
+ * @param {string} options.format - Image MIME type (default: PNG, else first offered)
+ * @param {string} options.name - Source name (default: layer title)
+ * @param {string} options.attribution - Attribution (default: service provider)
+ * @returns {object} Source definition for TileForge.addSource
+ */
+export function capabilitiesToSource(capabilities, options) {
+  const layer = capabilities.layers.find(l => l.id === options.layer);
+  if (!layer) {
+    throw new Error(`Layer not found: ${options.layer}. Available: ${capabilities.layers.map(l => l.id).join(', ')}`);
+  }
+
+  const setId = options.tileMatrixSet || layer.compatibleTileMatrixSets[0];
+  const set = capabilities.tileMatrixSets.find(s => s.id === setId);
+  if (!set || !layer.links.some(link => link.tileMatrixSet === setId)) {
+    throw new Error(`Layer ${layer.id} has no tile matrix set: ${setId || '(none compatible)'}`);
+  }
+  if (!set.googleMapsCompatible) {
+    throw new Error(`Tile matrix set ${setId} is not GoogleMapsCompatible (EPSG:3857 XYZ grid)`);
+  }
+
+  // Restrict to the layer's TileMatrixSetLimits when present
+  const limits = layer.links.find(link => link.tileMatrixSet === setId).limits;
+  const matrices = limits.length > 0
+    ? set.matrices.filter(m => limits.includes(m.identifier))
+    : set.matrices;
+  const zooms = matrices.map(m => m.zoom);
+  if (zooms.length === 0) {
+    throw new Error(`Layer ${layer.id} has no tile matrices within its limits in ${setId}`);
+  }
+
+  const style = options.style ||
+    layer.styles.find(s => s.isDefault)?.id ||
+    layer.styles[0]?.id ||
+    'default';
+
+  const formats = layer.resourceUrls.length > 0
+    ? layer.resourceUrls.map(r => r.format)
+    : layer.formats;
+  const format = options.format ||
+    formats.find(f => f === 'image/png') ||
+    formats[0];
+  if (!format) {
+    throw new Error(`Layer ${layer.id} does not advertise a tile format`);
+  }
+
+  const matrix = tileMatrixTemplate(matrices);
+  let url;
+
+  const resource = layer.resourceUrls.find(r => r.format === format);
+  if (resource) {
+    url = resource.template
+      .replace(/\{TileMatrixSet\}/gi, encodeURIComponent(setId))
+      .replace(/\{TileMatrix\}/gi, matrix.prefix + matrix.placeholder)
+      .replace(/\{TileRow\}/gi, '{y}')
+      .replace(/\{TileCol\}/gi, '{x}')
+      .replace(/\{Style\}/gi, encodeURIComponent(style));
+
+    for (const [dimension, value] of Object.entries(layer.dimensions)) {
+      url = url.replace(new RegExp(`\\{${dimension}\\}`, 'gi'), encodeURIComponent(value ?? ''));
+    }
+  } else if (capabilities.getTileUrl) {
+    const href = capabilities.getTileUrl;
+    const separator = href.includes('?') ? (/[?&]$/.test(href) ? '' : '&') : '?';
+    const params = [
+      'SERVICE=WMTS', 'REQUEST=GetTile', 'VERSION=1.0.0',
+      `LAYER=${encodeURIComponent(layer.id)}`,
+      `STYLE=${encodeURIComponent(style)}`,
+      `TILEMATRIXSET=${encodeURIComponent(setId)}`,
+      `TILEMATRIX=${encodeURIComponent(matrix.prefix)}${matrix.placeholder}`,
+      'TILEROW={y}', 'TILECOL={x}',
+      `FORMAT=${encodeURIComponent(format)}`,
+      ...Object.entries(layer.dimensions).map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v ?? '')}`)
+    ];
+    url = href + separator + params.join('&');
+  } else {
+    throw new Error(`Layer ${layer.id} has no RESTful template or KVP GetTile endpoint for ${format}`);
+  }
+
+  return {
+    name: options.name || layer.title || layer.id,
+    url,
+    minZoom: Math.min(...zooms),
+    maxZoom: Math.max(...zooms),
+    tileSize: set.tileSize,
+    attribution: options.attribution ?? (capabilities.provider ? `(c) ${capabilities.provider}` : ''),
+    format: FORMAT_BY_MIME[format.split(';')[0].trim().toLowerCase()] || 'png'
+  };
+}
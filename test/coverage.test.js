@@ -0,0 +1,238 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateTileCount, getColumnRange, getRangesBounds, getTileList, latLngToTile, splitBounds } from '../src/core/TileCalculator.js';
+import { normalizeGeometry, getGeometryBounds } from '../src/utils/geojson.js';
+import { bufferRoute } from '../src/utils/corridor.js';
+
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * Project [lng, lat] to fractional tile coordinates, without wrapping longitudes
+ */
+function project([lng, lat], zoom) {
+  const n = Math.pow(2, zoom);
+  const latRad = lat * Math.PI / 180;
+  return [
+    (lng + 180) / 360 * n,
+    (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n
+  ];
+}
+
+/**
+ * Check whether a segment runs through the inside of the tile square at (x, y)
+ * (Liang-Barsky clipping)
+ */
+function segmentEntersTile([ax, ay], [bx, by], x, y) {
+  let t0 = 0;
+  let t1 = 1;
+  const dx = bx - ax;
+  const dy = by - ay;
+  for (const [p, q] of [[-dx, ax - x], [dx, x + 1 - ax], [-dy, ay - y], [dy, y + 1 - ay]]) {
+    if (p === 0) {
+      if (q <= 0) return false;
+    } else if (p < 0) {
+      t0 = Math.max(t0, q / p);
+    } else {
+      t1 = Math.min(t1, q / p);
+    }
+  }
+  return t1 > t0;
+}
+
+/**
+ * Even-odd test of a point against projected rings
+ */
+function insideRings(rings, [px, py]) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 1; i < ring.length; i++) {
+      const [ax, ay] = ring[i - 1];
+      const [bx, by] = ring[i];
+      if ((ay > py) !== (by > py) && px < ax + (bx - ax) * (py - ay) / (by - ay)) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+/**
+ * List the tiles a polygon's inside reaches, tile by tile
+ * Longitudes may run past ±180°; columns are wrapped around the globe
+ * @returns {Set<string>} "x/y" keys
+ */
+function bruteForceTiles(polygons, zoom) {
+  const n = Math.pow(2, zoom);
+  const tiles = new Set();
+
+  for (const polygon of polygons) {
+    const rings = polygon.map(ring => ring.map(position => project(position, zoom)));
+    const xs = rings[0].map(([x]) => x);
+    const ys = rings[0].map(([, y]) => y);
+
+    for (let x = Math.floor(Math.min(...xs)); x < Math.max(...xs); x++) {
+      for (let y = Math.max(0, Math.floor(Math.min(...ys))); y < Math.min(n, Math.max(...ys)); y++) {
+        const hit = insideRings(rings, [x + 0.5, y + 0.5]) ||
+          rings.some(ring => ring.some((point, i) => i > 0 && segmentEntersTile(ring[i - 1], point, x, y)));
+        if (hit) {
+          tiles.add(`${((x % n) + n) % n}/${y}`);
+        }
+      }
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * List the tiles TileForge selects for an area at one zoom level
+ * @returns {Set<string>} "x/y" keys
+ */
+function selectedTiles(bounds, zoom, geometry) {
+  const tiles = getTileList(bounds, zoom, zoom, geometry).map(({ x, y }) => `${x}/${y}`);
+  assert.equal(new Set(tiles).size, tiles.length, 'no tile is listed twice');
+  assert.equal(calculateTileCount(bounds, zoom, zoom, geometry), tiles.length);
+  return new Set(tiles);
+}
+
+/**
+ * Great-circle distance in metres
+ */
+function distance([lng1, lat1], [lng2, lat2]) {
+  const rad = Math.PI / 180;
+  const a = Math.sin((lat2 - lat1) * rad / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin((lng2 - lng1) * rad / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+test('polygon areas select exactly the tiles the polygon reaches', () => {
+  // A concave outline with a hole
+  const area = {
+    type: 'Feature',
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [[5.13, 47.21], [9.87, 46.33], [11.41, 49.77], [8.29, 48.18], [6.07, 50.62], [5.13, 47.21]],
+        [[7.11, 47.53], [8.93, 47.41], [8.31, 48.02], [7.11, 47.53]]
+      ]
+    }
+  };
+  const geometry = normalizeGeometry(area);
+  const bounds = getGeometryBounds(geometry);
+
+  for (let zoom = 3; zoom <= 11; zoom++) {
+    assert.deepEqual(selectedTiles(bounds, zoom, geometry), bruteForceTiles(geometry.coordinates, zoom), `zoom ${zoom}`);
+  }
+
+  // The hole leaves out tiles the bounding box would include
+  assert.ok(calculateTileCount(bounds, 11, 11, geometry) < calculateTileCount(bounds, 11, 11));
+});
+
+test('corridors select the tiles along the route and none far from it', () => {
+  const route = {
+    type: 'LineString',
+    coordinates: [[-3.71, 40.41], [-3.52, 40.47], [-3.33, 40.43], [-3.18, 40.61], [-3.05, 40.58]]
+  };
+  const buffer = 800;
+  const geometry = bufferRoute(route, buffer);
+  const bounds = getGeometryBounds(geometry);
+  const zoom = 14;
+
+  const tiles = selectedTiles(bounds, zoom, geometry);
+  assert.deepEqual(tiles, bruteForceTiles(geometry.coordinates, zoom));
+
+  // Points along the route and the buffer around them are covered
+  const [first] = route.coordinates;
+  const samples = [];
+  route.coordinates.slice(1).forEach((end, i) => {
+    const start = route.coordinates[i];
+    for (let t = 0; t <= 1; t += 0.01) {
+      samples.push([start[0] + (end[0] - start[0]) * t, start[1] + (end[1] - start[1]) * t]);
+    }
+  });
+  const offset = buffer / EARTH_RADIUS * 180 / Math.PI;
+  for (const [lng, lat] of [...samples, [first[0], first[1] + offset * 0.95]]) {
+    const { x, y } = latLngToTile(lat, lng, zoom);
+    assert.ok(tiles.has(`${x}/${y}`), `tile of ${lng}, ${lat}`);
+  }
+
+  // Tiles whose every point is well outside the buffer are left out
+  const n = Math.pow(2, zoom);
+  const tileSize = 2 * Math.PI * EARTH_RADIUS * Math.cos(40.5 * Math.PI / 180) / n;
+  for (const key of tiles) {
+    const [x, y] = key.split('/').map(Number);
+    const centre = [(x + 0.5) / n * 360 - 180, Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + 0.5) / n))) * 180 / Math.PI];
+    const nearest = Math.min(...samples.map(sample => distance(centre, sample)));
+    assert.ok(nearest < buffer * 1.25 + tileSize, `tile ${key} is ${Math.round(nearest)} m from the route`);
+  }
+});
+
+test('bounds crossing the antimeridian select the tiles on both sides of it', () => {
+  const fiji = { north: -15, south: -21, west: 177, east: -178 };
+
+  for (let zoom = 0; zoom <= 10; zoom++) {
+    const parts = splitBounds(fiji);
+    const expected = new Set(parts.flatMap(part => [...selectedTiles(part, zoom)]));
+    assert.deepEqual(selectedTiles(fiji, zoom), expected, `zoom ${zoom}`);
+  }
+
+  // Columns 253-255 lie west of the antimeridian, 0-1 east of it
+  const columns = new Set([...selectedTiles(fiji, 8)].map(key => Number(key.split('/')[0])));
+  assert.deepEqual([...columns].sort((a, b) => a - b), [0, 1, 253, 254, 255]);
+});
+
+test('polygons crossing the antimeridian select the tiles on both sides of it', () => {
+  // Edges run across the antimeridian from 178.9° to -178.3°, not around the globe
+  const outline = [[178.93, -16.11], [-178.31, -15.62], [-179.47, -18.93], [179.22, -19.84], [178.93, -16.11]];
+  const geometry = normalizeGeometry({ type: 'Polygon', coordinates: [outline] });
+  const bounds = getGeometryBounds(geometry);
+  assert.deepEqual([bounds.west, bounds.east], [178.93, -178.31]);
+
+  const unwrapped = outline.map(([lng, lat]) => [lng < 0 ? lng + 360 : lng, lat]);
+  for (let zoom = 2; zoom <= 10; zoom++) {
+    assert.deepEqual(selectedTiles(bounds, zoom, geometry), bruteForceTiles([[unwrapped]], zoom), `zoom ${zoom}`);
+  }
+
+  // Polygons already split at the antimeridian give the same tiles
+  const split = normalizeGeometry({ type: 'MultiPolygon', coordinates: geometry.coordinates });
+  assert.deepEqual(getGeometryBounds(split), bounds);
+  assert.equal(calculateTileCount(bounds, 10, 10, split), calculateTileCount(bounds, 10, 10, geometry));
+});
+
+test('corridors crossing the antimeridian select as many tiles as anywhere else', () => {
+  // About 70 km across the Aleutians, and the same route moved half way round the globe
+  const aleutians = { type: 'LineString', coordinates: [[179.55, 51.52], [-179.55, 51.48]] };
+  const greenwich = { type: 'LineString', coordinates: [[-0.45, 51.52], [0.45, 51.48]] };
+
+  const geometry = bufferRoute(aleutians, 1000);
+  const bounds = getGeometryBounds(geometry);
+  assert.ok(bounds.west > bounds.east, 'the bounds cross the antimeridian');
+  assert.ok(bounds.west > 179 && bounds.east < -179);
+
+  const reference = bufferRoute(greenwich, 1000);
+  const referenceBounds = getGeometryBounds(reference);
+  for (let zoom = 6; zoom <= 12; zoom++) {
+    const tiles = selectedTiles(bounds, zoom, geometry);
+    assert.equal(tiles.size, calculateTileCount(referenceBounds, zoom, zoom, reference), `zoom ${zoom}`);
+    const columns = new Set([...tiles].map(key => Number(key.split('/')[0])));
+    assert.ok(columns.has(0) && columns.has(Math.pow(2, zoom) - 1), `zoom ${zoom} has tiles on both sides`);
+  }
+});
+
+test('stored tile ranges on both sides of the antimeridian give bounds crossing it', () => {
+  // Fiji at zoom 8: columns 253-255 and 0-1
+  assert.deepEqual(getColumnRange([0, 1, 253, 254, 255], 8), { minX: 253, maxX: 1 });
+  assert.deepEqual(getColumnRange([0, 1, 2, 100], 8), { minX: 0, maxX: 100 });
+  assert.deepEqual(getColumnRange([0, 1, 2, 200], 8), { minX: 200, maxX: 2 });
+  assert.deepEqual(getColumnRange([0, 255], 8), { minX: 255, maxX: 0 });
+  assert.equal(getColumnRange([], 8), null);
+
+  const bounds = getRangesBounds([{ z: 8, minX: 253, maxX: 1, minY: 138, maxY: 143 }]);
+  assert.deepEqual([bounds.west, bounds.east], [175.78125, -177.1875]);
+
+  // Zoom levels on either side of it, and the whole world
+  const sides = getRangesBounds([{ z: 3, minX: 7, maxX: 7, minY: 4, maxY: 4 }, { z: 4, minX: 0, maxX: 0, minY: 8, maxY: 8 }]);
+  assert.deepEqual([sides.west, sides.east], [135, -157.5]);
+  const world = getRangesBounds([{ z: 2, minX: 0, maxX: 3, minY: 0, maxY: 3 }]);
+  assert.deepEqual([world.west, world.east], [-180, 180]);
+});
@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { TileForge } from '../src/index.js';
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tileforge-test-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * PNG tile data labelled with some text
+ */
+function png(label) {
+  return Buffer.concat([PNG_SIGNATURE, Buffer.from(label)]);
+}
+
+/**
+ * Write a tiles table as TileForge stored it before deduplication, contents inline
+ * Four tiles are the same ocean tile, one of them in another source
+ * @returns {Array<{source: string, z: number, x: number, y: number, data: Buffer}>}
+ */
+function createBaselineDatabase(dbPath) {
+  const tiles = [
+    { source: 'arcgis', z: 1, x: 0, y: 0, data: png('land 1/0/0') },
+    { source: 'arcgis', z: 1, x: 1, y: 0, data: png('land 1/1/0') },
+    { source: 'arcgis', z: 1, x: 0, y: 1, data: png('ocean') },
+    { source: 'arcgis', z: 1, x: 1, y: 1, data: png('ocean') },
+    { source: 'arcgis', z: 2, x: 0, y: 3, data: png('ocean') },
+    { source: 'google', z: 1, x: 0, y: 1, data: png('ocean') }
+  ];
+
+  const db = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE tiles (
+      z INTEGER NOT NULL,
+      x INTEGER NOT NULL,
+      y INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      data BLOB NOT NULL,
+      PRIMARY KEY (z, x, y, source)
+    )
+  `);
+  const insert = db.prepare('INSERT INTO tiles (z, x, y, source, timestamp, data) VALUES (?, ?, ?, ?, ?, ?)');
+  for (const { source, z, x, y, data } of tiles) {
+    insert.run(z, x, y, source, 1700000000000, data);
+  }
+  db.close();
+
+  return tiles;
+}
+
+/**
+ * Open a database without the memory cache, so every read goes to the blob table
+ */
+function open(dbPath) {
+  return new TileForge({ dbPath, logLevel: 'warn', cacheMaxSize: 0 });
+}
+
+/**
+ * Count the stored blobs
+ */
+function countBlobs(tf) {
+  return tf.database.db.prepare('SELECT COUNT(*) AS count FROM tile_blobs').get().count;
+}
+
+test('migrating a baseline database moves tile contents into shared blobs', () => {
+  const dbPath = path.join(dir, 'baseline.db');
+  const tiles = createBaselineDatabase(dbPath);
+
+  const tf = open(dbPath);
+  try {
+    const columns = tf.database.db.prepare('PRAGMA table_info(tiles)').all().map(column => column.name);
+    assert.ok(!columns.includes('data'), 'tile contents leave the tiles table');
+    assert.ok(columns.includes('hash'));
+    assert.equal(countBlobs(tf), 3);
+
+    for (const { source, z, x, y, data } of tiles) {
+      assert.deepEqual(tf.getTile(source, z, x, y), data, `tile ${source}/${z}/${x}/${y}`);
+    }
+  } finally {
+    tf.close();
+  }
+});
+
+test('statistics report the space deduplication saves', () => {
+  const dbPath = path.join(dir, 'stats.db');
+  createBaselineDatabase(dbPath);
+  const ocean = png('ocean').length;
+  const land = png('land 1/0/0').length;
+
+  const tf = open(dbPath);
+  try {
+    const arcgis = tf.getStats().find(stat => stat.source === 'arcgis');
+    assert.equal(arcgis.tileCount, 5);
+    assert.equal(arcgis.uniqueTiles, 3);
+    assert.equal(arcgis.totalSize, 2 * land + 3 * ocean);
+    assert.equal(arcgis.storedSize, 2 * land + ocean);
+    assert.equal(arcgis.savedSize, 2 * ocean);
+
+    // The ocean blob google shares with arcgis is stored once in the database
+    const storage = tf.getStorageStats();
+    assert.equal(storage.tileCount, 6);
+    assert.equal(storage.uniqueTiles, 3);
+    assert.equal(storage.storedSize, 2 * land + ocean);
+    assert.equal(storage.savedSize, 3 * ocean);
+  } finally {
+    tf.close();
+  }
+});
+
+test('blobs are shared by new tiles and removed with the last tile using them', () => {
+  const dbPath = path.join(dir, 'release.db');
+  createBaselineDatabase(dbPath);
+
+  const tf = open(dbPath);
+  try {
+    // Saving contents already stored adds no blob
+    tf.database.saveTile(3, 0, 7, 'arcgis', png('ocean'));
+    assert.equal(countBlobs(tf), 3);
+
+    // Deleting tiles keeps the blob while another tile still uses it
+    for (const [z, x, y] of [[1, 0, 1], [1, 1, 1], [2, 0, 3], [3, 0, 7]]) {
+      tf.database.deleteTile(z, x, y, 'arcgis');
+    }
+    assert.equal(countBlobs(tf), 3);
+    assert.deepEqual(tf.getTile('google', 1, 0, 1), png('ocean'));
+    tf.database.deleteTile(1, 0, 1, 'google');
+    assert.equal(countBlobs(tf), 2);
+
+    // Rewriting a tile releases the contents it had
+    tf.database.saveTile(1, 0, 0, 'arcgis', png('land 1/0/0, resurveyed'));
+    assert.equal(countBlobs(tf), 2);
+    assert.deepEqual(tf.getTile('arcgis', 1, 0, 0), png('land 1/0/0, resurveyed'));
+    const hashes = tf.database.db.prepare('SELECT hash FROM tile_blobs WHERE hash NOT IN (SELECT hash FROM tiles)').all();
+    assert.deepEqual(hashes, []);
+  } finally {
+    tf.close();
+  }
+});
@@ -0,0 +1,261 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { spawnSync } from 'child_process';
+import { TileForge } from '../src/index.js';
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+const VECTOR_TILE = Buffer.from([0x1a, 0x00]);
+
+// Zoom levels 10-11 of this area hold 42 tiles
+const AREA = { north: 52.7, south: 52.3, west: 13.0, east: 13.8 };
+const TOTAL_TILES = 42;
+
+let dir;
+let server;
+let tileUrl;
+const upstream = { delay: 0, fail: () => false, blank: () => false, requests: [] };
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tileforge-test-'));
+
+  // Serves PNG tiles on .png and vector tiles (one empty layer) on .pbf; blank
+  // tiles are answered with 204 No Content (vector) or an empty body (PNG)
+  server = http.createServer((req, res) => {
+    upstream.requests.push(req.url);
+    setTimeout(() => {
+      const vector = req.url.endsWith('.pbf');
+      if (upstream.fail(req.url)) {
+        res.writeHead(500);
+        res.end();
+      } else if (upstream.blank(req.url)) {
+        res.writeHead(vector ? 204 : 200, vector ? {} : { 'Content-Type': 'image/png' });
+        res.end();
+      } else if (vector) {
+        res.writeHead(200, { 'Content-Type': 'application/x-protobuf' });
+        res.end(VECTOR_TILE);
+      } else {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(Buffer.concat([PNG_SIGNATURE, Buffer.from(req.url)]));
+      }
+    }, upstream.delay);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  tileUrl = `http://127.0.0.1:${server.address().port}/{z}/{x}/{y}.png`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Open an instance on a test database with the local tile server as source "local"
+ */
+function open(name) {
+  const tf = new TileForge({ dbPath: path.join(dir, `${name}.db`), logLevel: 'warn', rateLimit: 1 });
+  if (!tf.getSource('local')) {
+    tf.addSource('local', { name: 'Local tiles', url: tileUrl });
+  }
+  return tf;
+}
+
+/**
+ * Wait until a job has left the running state
+ */
+async function waitForJob(tf, jobId) {
+  const deadline = Date.now() + 30000;
+  while (tf.getJobStatus(jobId).status === 'running') {
+    assert.ok(Date.now() < deadline, `job ${jobId} did not finish`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return tf.getJobStatus(jobId);
+}
+
+/**
+ * Reset the tile server's behaviour and request log
+ */
+function resetUpstream(options = {}) {
+  upstream.delay = options.delay ?? 0;
+  upstream.fail = options.fail ?? (() => false);
+  upstream.blank = options.blank ?? (() => false);
+  upstream.requests = [];
+}
+
+test('an interrupted job keeps its queue and resumes with the tiles it still needs', async () => {
+  resetUpstream({ delay: 30 });
+  let tf = open('interrupted');
+  const { jobId, totalTiles } = await tf.download({ name: 'Berlin', source: 'local', bounds: AREA, minZoom: 10, maxZoom: 11 });
+  assert.equal(totalTiles, TOTAL_TILES);
+
+  while (tf.getJobStatus(jobId).downloadedTiles < 5) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  tf.close();
+
+  tf = open('interrupted');
+  try {
+    const interrupted = tf.getJobStatus(jobId);
+    assert.equal(interrupted.status, 'interrupted');
+    assert.ok(interrupted.downloadedTiles >= 5);
+    assert.equal(interrupted.queuedTiles, TOTAL_TILES - interrupted.downloadedTiles);
+    assert.equal(tf.getTileCount('local'), interrupted.downloadedTiles);
+
+    const queued = tf.database.getJobQueue(jobId).map(({ z, x, y }) => `/${z}/${x}/${y}.png`);
+    resetUpstream();
+    const resumed = tf.resumeJob(jobId);
+    assert.equal(resumed.pendingTiles, interrupted.queuedTiles);
+
+    const done = await waitForJob(tf, jobId);
+    assert.equal(done.status, 'completed');
+    assert.equal(done.downloadedTiles, TOTAL_TILES);
+    assert.equal(done.queuedTiles, undefined);
+    assert.equal(tf.getTileCount('local'), TOTAL_TILES);
+
+    // Only the queued tiles were requested again; a request the closed instance
+    // still had in flight may reach the server late, so compare tile sets
+    assert.deepEqual(new Set(upstream.requests), new Set(queued));
+    assert.deepEqual(tf.database.getJobQueue(jobId), []);
+  } finally {
+    tf.close();
+  }
+});
+
+test('jobs left running by a process that died are marked interrupted on startup', async () => {
+  resetUpstream();
+  let tf = open('crashed');
+  const { jobId } = await tf.download({ name: 'Berlin', source: 'local', bounds: AREA, minZoom: 10, maxZoom: 11 });
+  await waitForJob(tf, jobId);
+
+  // Put back the state a crashed runner leaves: running, with part of the queue left
+  const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+  const missing = tf.database.db.prepare('SELECT z, x, y FROM job_tiles WHERE job_id = ? AND z = 11').all(jobId);
+  tf.database.db.prepare('DELETE FROM tiles WHERE source = ? AND z = 11').run('local');
+  tf.database.db.prepare('DELETE FROM job_tiles WHERE job_id = ? AND z = 11').run(jobId);
+  tf.database.setJobQueue(jobId, missing);
+  tf.database.updateJobProgress(jobId, TOTAL_TILES - missing.length);
+  tf.database.updateJobStatus(jobId, 'running', { runnerPid: deadPid });
+  tf.close();
+
+  tf = open('crashed');
+  try {
+    const recovered = tf.getJobStatus(jobId);
+    assert.equal(recovered.status, 'interrupted');
+    assert.equal(recovered.queuedTiles, missing.length);
+
+    resetUpstream();
+    tf.resumeJob(jobId);
+    const done = await waitForJob(tf, jobId);
+    assert.equal(done.status, 'completed');
+    assert.equal(upstream.requests.length, missing.length);
+    assert.ok(upstream.requests.every(url => url.startsWith('/11/')));
+    assert.equal(tf.getTileCount('local'), TOTAL_TILES);
+  } finally {
+    tf.close();
+  }
+});
+
+test('failed tiles stay queued and are retried when the job is resumed', async () => {
+  resetUpstream({ fail: url => url.startsWith('/11/') });
+  const tf = open('failed');
+  try {
+    const { jobId } = await tf.download({ name: 'Berlin', source: 'local', bounds: AREA, minZoom: 10, maxZoom: 11 });
+    const partial = await waitForJob(tf, jobId);
+    assert.equal(partial.status, 'completed_with_errors');
+
+    const failed = upstream.requests.filter(url => url.startsWith('/11/')).length;
+    assert.ok(failed > 0);
+    assert.equal(partial.queuedTiles, failed);
+
+    resetUpstream();
+    tf.resumeJob(jobId);
+    const done = await waitForJob(tf, jobId);
+    assert.equal(done.status, 'completed');
+    assert.equal(upstream.requests.length, failed);
+    assert.equal(tf.getTileCount('local'), TOTAL_TILES);
+  } finally {
+    tf.close();
+  }
+});
+
+test('paused jobs stop downloading, stay paused across restarts and resume where they stopped', async () => {
+  resetUpstream({ delay: 30 });
+  let tf = open('paused');
+  const { jobId } = await tf.download({ name: 'Berlin', source: 'local', bounds: AREA, minZoom: 10, maxZoom: 11 });
+
+  while (tf.getJobStatus(jobId).downloadedTiles < 5) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.equal(tf.pauseJob(jobId).status, 'paused');
+
+  // Tiles already on their way still complete; no more are requested after that
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const requested = upstream.requests.length;
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(upstream.requests.length, requested);
+
+  const paused = tf.getJobStatus(jobId);
+  assert.equal(paused.status, 'paused');
+  assert.ok(paused.downloadedTiles < TOTAL_TILES);
+  assert.equal(paused.queuedTiles, TOTAL_TILES - paused.downloadedTiles);
+  tf.close();
+
+  tf = open('paused');
+  try {
+    const reopened = tf.getJobStatus(jobId);
+    assert.equal(reopened.status, 'paused');
+    assert.equal(reopened.downloadedTiles, paused.downloadedTiles);
+    assert.equal(reopened.queuedTiles, paused.queuedTiles);
+
+    const queued = tf.database.getJobQueue(jobId).map(({ z, x, y }) => `/${z}/${x}/${y}.png`);
+    resetUpstream();
+    tf.resumeJob(jobId);
+    const done = await waitForJob(tf, jobId);
+    assert.equal(done.status, 'completed');
+    assert.deepEqual(new Set(upstream.requests), new Set(queued));
+    assert.equal(tf.getTileCount('local'), TOTAL_TILES);
+  } finally {
+    tf.close();
+  }
+});
+
+test('blank vector tiles answered with 204 complete the job as empty tiles', async () => {
+  resetUpstream({ blank: url => url.startsWith('/11/') });
+  const tf = open('vector');
+  try {
+    tf.addSource('vector', { name: 'Local vector tiles', url: tileUrl.replace('.png', '.pbf'), format: 'pbf' });
+    const { jobId } = await tf.download({ name: 'Berlin', source: 'vector', bounds: AREA, minZoom: 10, maxZoom: 11 });
+    const done = await waitForJob(tf, jobId);
+    assert.equal(done.status, 'completed');
+    assert.equal(done.downloadedTiles, TOTAL_TILES);
+    assert.deepEqual(tf.database.getJobQueue(jobId), []);
+    assert.equal(tf.getTileCount('vector'), TOTAL_TILES);
+
+    // Blank tiles are stored empty and not requested again
+    const jobTiles = tf.database.db.prepare('SELECT z, x, y FROM job_tiles WHERE job_id = ?').all(jobId);
+    for (const { z, x, y } of jobTiles) {
+      assert.deepEqual(tf.getTile('vector', z, x, y), z === 11 ? Buffer.alloc(0) : VECTOR_TILE, `tile ${z}/${x}/${y}`);
+    }
+    assert.equal(tf.getSourceFormat('vector'), 'pbf');
+  } finally {
+    tf.close();
+  }
+});
+
+test('empty raster tiles count as failed tiles', async () => {
+  resetUpstream({ blank: url => url.startsWith('/11/') });
+  const tf = open('empty-raster');
+  try {
+    const { jobId } = await tf.download({ name: 'Berlin', source: 'local', bounds: AREA, minZoom: 10, maxZoom: 11 });
+    const done = await waitForJob(tf, jobId);
+    assert.equal(done.status, 'completed_with_errors');
+    assert.equal(tf.getTileCount('local'), TOTAL_TILES - done.queuedTiles);
+    assert.ok(tf.database.getJobQueue(jobId).every(({ z }) => z === 11));
+  } finally {
+    tf.close();
+  }
+});
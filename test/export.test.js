@@ -0,0 +1,183 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { TileForge } from '../src/index.js';
+import { openPMTiles } from '../src/formats/pmtiles.js';
+import { getTileList } from '../src/core/TileCalculator.js';
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+const MAX_ZOOM = 6;
+
+let dir;
+let tf;
+let tiles;
+
+/**
+ * Every tile of zoom levels 0-6; the western tiles of the last level share their
+ * contents, like ocean tiles do
+ */
+function createTiles() {
+  const list = [];
+  for (let z = 0; z <= MAX_ZOOM; z++) {
+    const n = Math.pow(2, z);
+    for (let x = 0; x < n; x++) {
+      for (let y = 0; y < n; y++) {
+        const label = z === MAX_ZOOM && x < n / 4 ? 'ocean' : `${z}/${x}/${y}`;
+        list.push({ z, x, y, data: Buffer.concat([PNG_SIGNATURE, Buffer.from(label)]) });
+      }
+    }
+  }
+  return list;
+}
+
+/**
+ * Check that a reader returns every exported tile unchanged
+ */
+function assertAllTiles(getTile) {
+  for (const { z, x, y, data } of tiles) {
+    assert.deepEqual(getTile(z, x, y), data, `tile ${z}/${x}/${y}`);
+  }
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tileforge-test-'));
+  tf = new TileForge({ dbPath: path.join(dir, 'tiles.db'), logLevel: 'warn' });
+  tiles = createTiles();
+  tf.database.saveTiles('arcgis', tiles);
+});
+
+after(() => {
+  tf.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Open a second instance to import into
+ */
+function openCopy(name) {
+  return new TileForge({ dbPath: path.join(dir, `${name}.db`), logLevel: 'warn' });
+}
+
+test('MBTiles export and import round-trip every tile', async () => {
+  const outPath = path.join(dir, 'export.mbtiles');
+  const exported = await tf.exportMBTiles({ source: 'arcgis', outPath });
+  assert.equal(exported.tileCount, tiles.length);
+  assert.equal(exported.format, 'png');
+  assert.equal(exported.minZoom, 0);
+  assert.equal(exported.maxZoom, MAX_ZOOM);
+
+  const copy = openCopy('mbtiles');
+  try {
+    const imported = await copy.importMBTiles(outPath, { source: 'copy' });
+    assert.equal(imported.imported, tiles.length);
+    assert.equal(copy.getSourceFormat('copy'), 'png');
+    assertAllTiles((z, x, y) => copy.getTile('copy', z, x, y));
+  } finally {
+    copy.close();
+  }
+});
+
+test('directory export and import round-trip every tile in both row schemes', async () => {
+  for (const scheme of ['xyz', 'tms']) {
+    const outDir = path.join(dir, `export-${scheme}`);
+    const exported = await tf.exportDirectory({ source: 'arcgis', outDir, scheme });
+    assert.equal(exported.tileCount, tiles.length);
+    assert.ok(fs.existsSync(path.join(outDir, '6', '0', `${scheme === 'tms' ? 63 : 0}.png`)));
+
+    const copy = openCopy(`directory-${scheme}`);
+    try {
+      const imported = await copy.importDirectory(outDir, { source: 'copy' });
+      assert.equal(imported.imported, tiles.length);
+      assertAllTiles((z, x, y) => copy.getTile('copy', z, x, y));
+    } finally {
+      copy.close();
+    }
+  }
+});
+
+test('PMTiles export round-trips every tile and stores shared contents once', async () => {
+  const outPath = path.join(dir, 'export.pmtiles');
+  const exported = await tf.exportPMTiles({ source: 'arcgis', outPath });
+  assert.equal(exported.tileCount, tiles.length);
+  assert.equal(exported.tileContents, new Set(tiles.map(tile => tile.data.toString('hex'))).size);
+
+  const archive = openPMTiles(outPath);
+  try {
+    assert.equal(archive.format, 'png');
+    assert.equal(archive.header.minZoom, 0);
+    assert.equal(archive.header.maxZoom, MAX_ZOOM);
+    assertAllTiles((z, x, y) => archive.getTile(z, x, y));
+  } finally {
+    archive.close();
+  }
+});
+
+test('GeoPackage export stores every tile in the EPSG:3857 tile pyramid', async () => {
+  const outPath = path.join(dir, 'export.gpkg');
+  const exported = await tf.exportGeoPackage({ source: 'arcgis', outPath, tableName: 'imagery' });
+  assert.equal(exported.tileCount, tiles.length);
+  assert.equal(exported.tableName, 'imagery');
+
+  const db = new Database(outPath, { readonly: true });
+  try {
+    assert.equal(db.pragma('application_id', { simple: true }), 0x47504B47);
+    assert.deepEqual(
+      db.prepare('SELECT table_name, data_type, srs_id FROM gpkg_contents').all(),
+      [{ table_name: 'imagery', data_type: 'tiles', srs_id: 3857 }]
+    );
+
+    const matrices = db.prepare('SELECT zoom_level, matrix_width, matrix_height FROM gpkg_tile_matrix ORDER BY zoom_level').all();
+    assert.deepEqual(matrices.map(m => m.zoom_level), [0, 1, 2, 3, 4, 5, 6]);
+    for (const matrix of matrices) {
+      assert.equal(matrix.matrix_width, Math.pow(2, matrix.zoom_level));
+      assert.equal(matrix.matrix_height, Math.pow(2, matrix.zoom_level));
+    }
+
+    // GeoPackage rows count from the top, like XYZ
+    const getTile = db.prepare('SELECT tile_data FROM imagery WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+    assertAllTiles((z, x, y) => getTile.get(z, x, y)?.tile_data);
+  } finally {
+    db.close();
+  }
+});
+
+test('an aborted export leaves no output behind', async () => {
+  const outPath = path.join(dir, 'aborted.mbtiles');
+  const controller = new AbortController();
+  const exporting = tf.exportMBTiles({ source: 'arcgis', outPath, signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(exporting, /Export aborted/);
+  assert.equal(fs.existsSync(outPath), false);
+});
+
+test('imports of tiles on both sides of the antimeridian get bounds crossing it', async () => {
+  const fiji = { north: -15, south: -21, west: 177, east: -178 };
+  const fijiTiles = getTileList(fiji, 5, 8).map(({ z, x, y }) => ({ z, x, y, data: Buffer.concat([PNG_SIGNATURE, Buffer.from(`fiji ${z}/${x}/${y}`)]) }));
+  tf.database.saveTiles('google', fijiTiles);
+
+  const outPath = path.join(dir, 'fiji.mbtiles');
+  const exported = await tf.exportMBTiles({ source: 'google', outPath });
+  assert.deepEqual([exported.bounds.west, exported.bounds.east], [168.75, -168.75]);
+
+  // Without declared bounds the import derives them from the tiles
+  const db = new Database(outPath);
+  db.prepare("DELETE FROM metadata WHERE name = 'bounds'").run();
+  db.close();
+  const outDir = path.join(dir, 'fiji');
+  await tf.exportDirectory({ source: 'google', outDir });
+  fs.rmSync(path.join(outDir, 'manifest.json'));
+
+  const copy = openCopy('fiji');
+  try {
+    for (const imported of [await copy.importMBTiles(outPath, { source: 'copy' }), await copy.importDirectory(outDir, { source: 'tree' })]) {
+      assert.deepEqual(imported.bounds, exported.bounds);
+      assert.deepEqual(copy.getJobStatus(imported.jobId).bounds, exported.bounds);
+    }
+  } finally {
+    copy.close();
+  }
+});
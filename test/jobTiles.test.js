@@ -0,0 +1,157 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import Database from 'better-sqlite3';
+import { TileForge } from '../src/index.js';
+import { getTileList } from '../src/core/TileCalculator.js';
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+
+let dir;
+let server;
+let tileUrl;
+let requests = [];
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tileforge-test-'));
+
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(Buffer.concat([PNG_SIGNATURE, Buffer.from(req.url)]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  tileUrl = `http://127.0.0.1:${server.address().port}/{z}/{x}/{y}.png`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Wait until a job has left the running state
+ */
+async function waitForJob(tf, jobId) {
+  const deadline = Date.now() + 30000;
+  while (tf.getJobStatus(jobId).status === 'running') {
+    assert.ok(Date.now() < deadline, `job ${jobId} did not finish`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return tf.getJobStatus(jobId);
+}
+
+/**
+ * List the "z/x/y" keys of the tiles of an area
+ */
+function tileKeys(bounds, minZoom, maxZoom) {
+  return getTileList(bounds, minZoom, maxZoom).map(({ z, x, y }) => `${z}/${x}/${y}`);
+}
+
+test('deleting one of two overlapping jobs keeps the tiles the other still uses', async () => {
+  const tf = new TileForge({ dbPath: path.join(dir, 'overlap.db'), logLevel: 'warn', rateLimit: 1 });
+  try {
+    tf.addSource('local', { name: 'Local tiles', url: tileUrl });
+    const west = { north: 52.7, south: 52.3, west: 13.0, east: 13.45 };
+    const east = { north: 52.7, south: 52.3, west: 13.35, east: 13.8 };
+    const westTiles = tileKeys(west, 10, 11);
+    const eastTiles = tileKeys(east, 10, 11);
+    const shared = westTiles.filter(key => eastTiles.includes(key));
+    assert.ok(shared.length > 0 && shared.length < westTiles.length);
+
+    const first = await tf.download({ name: 'West', source: 'local', bounds: west, minZoom: 10, maxZoom: 11 });
+    await waitForJob(tf, first.jobId);
+
+    // Tiles the first job stored are not downloaded again, but the second job owns them too
+    requests = [];
+    const second = await tf.download({ name: 'East', source: 'local', bounds: east, minZoom: 10, maxZoom: 11 });
+    assert.equal((await waitForJob(tf, second.jobId)).status, 'completed');
+    assert.equal(requests.length, eastTiles.length - shared.length);
+
+    const [z, x, y] = shared[0].split('/').map(Number);
+    assert.equal(tf.database.hasJobTile(first.jobId, 'local', z, x, y), true);
+    assert.equal(tf.database.hasJobTile(second.jobId, 'local', z, x, y), true);
+
+    assert.deepEqual(tf.deleteJob(first.jobId), {
+      deleted: true,
+      tilesDeleted: westTiles.length - shared.length,
+      tilesKept: shared.length
+    });
+    assert.equal(tf.getTileCount('local'), eastTiles.length);
+    for (const key of eastTiles) {
+      const [tz, tx, ty] = key.split('/').map(Number);
+      assert.ok(tf.hasTile('local', tz, tx, ty), `tile ${key} is kept`);
+    }
+
+    assert.deepEqual(tf.deleteJob(second.jobId), { deleted: true, tilesDeleted: eastTiles.length, tilesKept: 0 });
+    assert.equal(tf.getTileCount('local'), 0);
+  } finally {
+    tf.close();
+  }
+});
+
+test('migrating a database records the tiles its existing jobs cover', () => {
+  const dbPath = path.join(dir, 'legacy.db');
+  const db = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE tiles (
+      z INTEGER NOT NULL,
+      x INTEGER NOT NULL,
+      y INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      data BLOB NOT NULL,
+      PRIMARY KEY (z, x, y, source)
+    );
+
+    CREATE TABLE download_jobs (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      source TEXT NOT NULL,
+      bounds TEXT NOT NULL,
+      minZoom INTEGER NOT NULL,
+      maxZoom INTEGER NOT NULL,
+      totalTiles INTEGER NOT NULL,
+      downloadedTiles INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'pending',
+      country TEXT DEFAULT NULL,
+      city TEXT DEFAULT NULL,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+  `);
+
+  // Every tile of zoom 2; the jobs cover columns 0-1 and 1-3
+  const insertTile = db.prepare('INSERT INTO tiles (z, x, y, source, timestamp, data) VALUES (2, ?, ?, ?, 1700000000000, ?)');
+  for (let x = 0; x < 4; x++) {
+    for (let y = 0; y < 4; y++) {
+      insertTile.run(x, y, 'arcgis', Buffer.concat([PNG_SIGNATURE, Buffer.from(`2/${x}/${y}`)]));
+    }
+  }
+  const insertJob = db.prepare(`
+    INSERT INTO download_jobs (id, name, source, bounds, minZoom, maxZoom, totalTiles, downloadedTiles, status, createdAt, updatedAt)
+    VALUES (?, ?, 'arcgis', ?, 2, 2, ?, ?, 'completed', 1700000000000, 1700000000000)
+  `);
+  insertJob.run('west', 'West', JSON.stringify({ north: 85, south: -85, west: -180, east: -1 }), 8, 8);
+  insertJob.run('east', 'East', JSON.stringify({ north: 85, south: -85, west: -80, east: 179 }), 12, 12);
+  db.close();
+
+  const tf = new TileForge({ dbPath, logLevel: 'warn' });
+  try {
+    const owned = jobId => tf.database.db.prepare('SELECT COUNT(*) AS count FROM job_tiles WHERE job_id = ?').get(jobId).count;
+    assert.equal(owned('west'), 8);
+    assert.equal(owned('east'), 12);
+
+    // Column 1 belongs to both jobs
+    assert.deepEqual(tf.deleteJob('west'), { deleted: true, tilesDeleted: 4, tilesKept: 4 });
+    assert.equal(tf.getTileCount('arcgis'), 12);
+    assert.ok(tf.hasTile('arcgis', 2, 1, 0));
+    assert.ok(!tf.hasTile('arcgis', 2, 0, 0));
+  } finally {
+    tf.close();
+  }
+});
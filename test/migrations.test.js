@@ -0,0 +1,137 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { TileForge, planMigrations, SCHEMA_VERSION } from '../src/index.js';
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tileforge-test-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write a database as TileForge did before schema versioning (user_version 0):
+ * tile data inline in the tiles table, one completed job over the tiles of zoom 1
+ */
+function createLegacyDatabase(dbPath) {
+  const db = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tiles (
+      z INTEGER NOT NULL,
+      x INTEGER NOT NULL,
+      y INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      data BLOB NOT NULL,
+      PRIMARY KEY (z, x, y, source)
+    );
+
+    CREATE TABLE IF NOT EXISTS download_jobs (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      source TEXT NOT NULL,
+      bounds TEXT NOT NULL,
+      minZoom INTEGER NOT NULL,
+      maxZoom INTEGER NOT NULL,
+      totalTiles INTEGER NOT NULL,
+      downloadedTiles INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'pending',
+      country TEXT DEFAULT NULL,
+      city TEXT DEFAULT NULL,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+  `);
+
+  const tiles = [{ z: 0, x: 0, y: 0, data: Buffer.concat([PNG_SIGNATURE, Buffer.from('world')]) }];
+  for (let x = 0; x < 2; x++) {
+    for (let y = 0; y < 2; y++) {
+      // The southern tiles are all ocean, so they share their contents
+      const label = y === 1 ? 'ocean' : `1/${x}/${y}`;
+      tiles.push({ z: 1, x, y, data: Buffer.concat([PNG_SIGNATURE, Buffer.from(label)]) });
+    }
+  }
+
+  const insertTile = db.prepare('INSERT INTO tiles (z, x, y, source, timestamp, data) VALUES (?, ?, ?, ?, ?, ?)');
+  for (const { z, x, y, data } of tiles) {
+    insertTile.run(z, x, y, 'arcgis', 1700000000000, data);
+  }
+
+  db.prepare(`
+    INSERT INTO download_jobs (id, name, source, bounds, minZoom, maxZoom, totalTiles, downloadedTiles, status, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    'legacy-job', 'Legacy', 'arcgis', JSON.stringify({ north: 85, south: -85, east: 180, west: -180 }),
+    1, 1, 4, 4, 'completed', 1700000000000, 1700000000000
+  );
+
+  db.close();
+  return tiles;
+}
+
+test('a database from before schema versioning is migrated to the current version', () => {
+  const dbPath = path.join(dir, 'legacy.db');
+  const tiles = createLegacyDatabase(dbPath);
+
+  const plan = planMigrations(dbPath);
+  assert.equal(plan.version, 0);
+  assert.equal(plan.latestVersion, SCHEMA_VERSION);
+  assert.deepEqual(plan.pending.map(m => m.version), Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+
+  const tf = new TileForge({ dbPath, logLevel: 'warn' });
+  try {
+    const migration = tf.getMigration();
+    assert.equal(migration.from, 0);
+    assert.equal(migration.to, SCHEMA_VERSION);
+    assert.equal(migration.applied.length, SCHEMA_VERSION);
+    assert.ok(fs.existsSync(migration.backupPath), 'the legacy database is backed up first');
+
+    // Tiles keep their contents, now stored once per distinct blob
+    for (const { z, x, y, data } of tiles) {
+      assert.deepEqual(tf.getTile('arcgis', z, x, y), data, `tile ${z}/${x}/${y}`);
+    }
+    const { count } = tf.database.db.prepare('SELECT COUNT(*) AS count FROM tile_blobs').get();
+    assert.equal(count, tiles.length - 1);
+    assert.equal(tf.getSourceFormat('arcgis'), 'png');
+
+    // The job keeps its state and owns the tiles of its zoom levels
+    const job = tf.getJobStatus('legacy-job');
+    assert.equal(job.status, 'completed');
+    assert.equal(job.downloadedTiles, 4);
+    assert.equal(job.scale, 1);
+    assert.equal(job.geometry, null);
+    assert.equal(tf.database.hasJobTile('legacy-job', 'arcgis', 1, 1, 1), true);
+    assert.equal(tf.database.hasJobTile('legacy-job', 'arcgis', 0, 0, 0), false);
+    assert.deepEqual(tf.database.getJobQueue('legacy-job'), []);
+  } finally {
+    tf.close();
+  }
+
+  // Opening the migrated database again changes nothing
+  assert.equal(planMigrations(dbPath).pending.length, 0);
+  const reopened = new TileForge({ dbPath, logLevel: 'warn' });
+  try {
+    assert.equal(reopened.getMigration(), null);
+  } finally {
+    reopened.close();
+  }
+});
+
+test('a database from a newer TileForge version is refused', () => {
+  const dbPath = path.join(dir, 'newer.db');
+  const db = new Database(dbPath);
+  db.pragma(`user_version = ${SCHEMA_VERSION + 1}`);
+  db.close();
+
+  assert.throws(() => planMigrations(dbPath), /newer than this TileForge supports/);
+  assert.throws(() => new TileForge({ dbPath, logLevel: 'warn' }), /newer than this TileForge supports/);
+});
@@ -0,0 +1,204 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { TileForge } from '../src/index.js';
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+
+let dir;
+let server;
+let tileUrl;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tileforge-test-'));
+
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(Buffer.concat([PNG_SIGNATURE, Buffer.from(req.url)]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  tileUrl = `http://127.0.0.1:${server.address().port}/{z}/{x}/{y}.png`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Open an instance on a new test database
+ */
+function open(name) {
+  return new TileForge({ dbPath: path.join(dir, `${name}.db`), logLevel: 'warn', rateLimit: 1 });
+}
+
+/**
+ * Store the 20 tiles of zoom levels 1 and 2 in "arcgis", downloaded one after the
+ * other in that order; the third to seventh were served recently
+ * @returns {string[]} "z/x/y" keys in download order
+ */
+function seed(tf) {
+  const tiles = [];
+  for (let z = 1; z <= 2; z++) {
+    const n = Math.pow(2, z);
+    for (let x = 0; x < n; x++) {
+      for (let y = 0; y < n; y++) {
+        tiles.push({ z, x, y, data: Buffer.concat([PNG_SIGNATURE, Buffer.from(`${z}/${x}/${y}`)]) });
+      }
+    }
+  }
+  tf.database.saveTiles('arcgis', tiles);
+
+  const update = tf.database.db.prepare('UPDATE tiles SET timestamp = ?, lastAccess = ? WHERE z = ? AND x = ? AND y = ? AND source = ?');
+  tiles.forEach(({ z, x, y }, i) => {
+    update.run(1000 + i, i >= 2 && i < 7 ? 1000000 + i : null, z, x, y, 'arcgis');
+  });
+
+  return tiles.map(({ z, x, y }) => `${z}/${x}/${y}`);
+}
+
+/**
+ * List the stored tiles of a source
+ * @returns {string[]} "z/x/y" keys
+ */
+function storedTiles(tf, source) {
+  return tf.database.db.prepare('SELECT z, x, y FROM tiles WHERE source = ?').all(source).map(({ z, x, y }) => `${z}/${x}/${y}`);
+}
+
+/**
+ * Wait until a job has left the running state
+ */
+async function waitForJob(tf, jobId) {
+  const deadline = Date.now() + 30000;
+  while (tf.getJobStatus(jobId).status === 'running') {
+    assert.ok(Date.now() < deadline, `job ${jobId} did not finish`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return tf.getJobStatus(jobId);
+}
+
+test('each eviction policy removes the tiles it ranks first', () => {
+  const expected = {
+    // Tiles served recently are kept
+    lru: keys => [...keys.slice(0, 2), ...keys.slice(7, 10)],
+    oldest: keys => keys.slice(0, 5),
+    // Zoom 2 tiles (from the fifth on) go first, least recently used among them
+    zoom: keys => keys.slice(7, 12)
+  };
+
+  for (const policy of Object.keys(expected)) {
+    const tf = open(`policy-${policy}`);
+    try {
+      const keys = seed(tf);
+      tf.setQuota({ source: 'arcgis', maxTiles: 15, policy });
+      assert.deepEqual(tf.enforceQuotas(), { evicted: 5, exceeded: [] });
+
+      const remaining = new Set(storedTiles(tf, 'arcgis'));
+      assert.deepEqual(keys.filter(key => !remaining.has(key)), expected[policy](keys), policy);
+      assert.equal(tf.getQuotas()[0].usage.tileCount, 15);
+    } finally {
+      tf.close();
+    }
+  }
+});
+
+test('tiles of pinned, running and quota-paused jobs are never evicted', () => {
+  const tf = open('protected');
+  try {
+    seed(tf);
+
+    // Each job owns one tile of zoom 1
+    const owners = { pinned: 'completed', running: 'running', waiting: 'quota_exceeded' };
+    Object.entries(owners).forEach(([jobId, status], x) => {
+      tf.database.createDownloadJob(jobId, jobId, 'arcgis', { north: 85, south: -85, east: 180, west: -180 }, 1, 1, 1);
+      tf.database.saveTiles('arcgis', [{ z: 1, x: x % 2, y: Math.floor(x / 2), data: PNG_SIGNATURE }], { jobId });
+      tf.database.updateJobStatus(jobId, status);
+    });
+    tf.pinJob('pinned');
+
+    tf.setQuota({ source: 'arcgis', maxTiles: 0, policy: 'oldest' });
+    assert.deepEqual(tf.enforceQuotas(), { evicted: 17, exceeded: ['arcgis'] });
+    assert.deepEqual(storedTiles(tf, 'arcgis').sort(), ['1/0/0', '1/0/1', '1/1/0']);
+
+    // Unpinned, the completed job's tile goes too
+    tf.pinJob('pinned', false);
+    assert.deepEqual(tf.enforceQuotas(), { evicted: 1, exceeded: ['arcgis'] });
+    assert.deepEqual(storedTiles(tf, 'arcgis').sort(), ['1/0/1', '1/1/0']);
+  } finally {
+    tf.close();
+  }
+});
+
+test('replacing a stored tile does not count as a new tile', () => {
+  const tf = open('replace');
+  try {
+    seed(tf);
+    tf.setQuota({ source: 'arcgis', maxTiles: 20, policy: 'oldest' });
+
+    assert.equal(tf.database.reserveQuota('arcgis', 100, { z: 1, x: 0, y: 0 }), null);
+    assert.equal(tf.getTileCount('arcgis'), 20);
+
+    // A new tile makes room by evicting the oldest one
+    assert.equal(tf.database.reserveQuota('arcgis', 100, { z: 3, x: 0, y: 0 }), null);
+    assert.equal(tf.getTileCount('arcgis'), 19);
+    assert.ok(!storedTiles(tf, 'arcgis').includes('1/0/0'));
+
+    // Without an eviction policy there is no room
+    tf.setQuota({ source: 'arcgis', maxTiles: 19, policy: 'none' });
+    assert.equal(tf.database.reserveQuota('arcgis', 100, { z: 1, x: 0, y: 1 }), null);
+    assert.equal(tf.database.reserveQuota('arcgis', 100, { z: 3, x: 0, y: 0 })?.source, 'arcgis');
+  } finally {
+    tf.close();
+  }
+});
+
+test('imports count against quotas and stop when there is no room', async () => {
+  const tf = open('import');
+  try {
+    seed(tf);
+    const outPath = path.join(dir, 'import.mbtiles');
+    await tf.exportMBTiles({ source: 'arcgis', outPath });
+
+    // Replacing every tile of a source at its limit fits
+    tf.setQuota({ source: 'arcgis', maxTiles: 20, policy: 'none' });
+    const replaced = await tf.importMBTiles(outPath, { source: 'arcgis', onConflict: 'replace' });
+    assert.equal(replaced.replaced, 20);
+
+    // Twenty more tiles do not fit in the database
+    tf.setQuota({ maxTiles: 30, policy: 'none' });
+    await assert.rejects(tf.importMBTiles(outPath, { source: 'copy' }), /Storage quota for the database reached/);
+    assert.equal(tf.getTileCount('copy'), 0);
+    assert.equal(tf.getTotalTileCount(), 20);
+
+    const job = tf.getJobs().find(j => j.source === 'copy');
+    assert.equal(job.status, 'failed');
+  } finally {
+    tf.close();
+  }
+});
+
+test('downloads pause at a full quota and continue once there is room', async () => {
+  const tf = open('download');
+  try {
+    tf.addSource('local', { name: 'Local tiles', url: tileUrl });
+    tf.setQuota({ source: 'local', maxTiles: 10, policy: 'none' });
+
+    const bounds = { north: 52.7, south: 52.3, west: 13.0, east: 13.8 };
+    const { jobId, totalTiles } = await tf.download({ name: 'Berlin', source: 'local', bounds, minZoom: 10, maxZoom: 11 });
+    const paused = await waitForJob(tf, jobId);
+    assert.equal(paused.status, 'quota_exceeded');
+    assert.match(paused.reason, /Storage quota for local reached \(10 tiles\)/);
+    assert.equal(tf.getTileCount('local'), 10);
+
+    tf.setQuota({ source: 'local', maxTiles: 1000, policy: 'none' });
+    const done = await waitForJob(tf, jobId);
+    assert.equal(done.status, 'completed');
+    assert.equal(tf.getTileCount('local'), totalTiles);
+  } finally {
+    tf.close();
+  }
+});
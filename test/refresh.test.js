@@ -0,0 +1,206 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import express from 'express';
+import { TileForge } from '../src/index.js';
+import { createRouter } from '../src/server/createRouter.js';
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+const LAST_MODIFIED = 'Mon, 05 Jan 2026 00:00:00 GMT';
+const DAY = 86400000;
+
+// Zoom level 10 of this area holds 12 tiles
+const AREA = { north: 52.7, south: 52.3, west: 13.0, east: 13.8 };
+
+let dir;
+let server;
+let baseUrl;
+const upstream = { revision: () => 1, requests: [] };
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tileforge-test-'));
+
+  // Tiles under /etag/ carry an ETag, tiles under /dated/ only Last-Modified; both
+  // answer 304 when the client already holds the current revision
+  server = http.createServer((req, res) => {
+    upstream.requests.push({ url: req.url, headers: req.headers });
+    const tile = req.url.replace(/^\/\w+/, '');
+    const revision = upstream.revision(tile);
+    const headers = { 'Content-Type': 'image/png' };
+    if (req.url.startsWith('/etag/')) {
+      headers.ETag = `"${revision}"`;
+    } else {
+      headers['Last-Modified'] = new Date(Date.parse(LAST_MODIFIED) + revision * DAY).toUTCString();
+    }
+
+    const validator = headers.ETag ? req.headers['if-none-match'] : req.headers['if-modified-since'];
+    if (validator === (headers.ETag || headers['Last-Modified'])) {
+      res.writeHead(304, headers);
+      res.end();
+    } else {
+      res.writeHead(200, headers);
+      res.end(png(`${tile} r${revision}`));
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * PNG tile data labelled with some text
+ */
+function png(label) {
+  return Buffer.concat([PNG_SIGNATURE, Buffer.from(label)]);
+}
+
+/**
+ * Open an instance on a new test database with the local tile server as a source
+ * of the same name, serving tiles with ETag ("etag") or Last-Modified ("dated") validators
+ */
+function open(name, validators = 'etag') {
+  const tf = new TileForge({ dbPath: path.join(dir, `${name}.db`), logLevel: 'warn', rateLimit: 1 });
+  tf.addSource(name, { name: `Local tiles (${name})`, url: `${baseUrl}/${validators}/{z}/{x}/{y}.png` });
+  return tf;
+}
+
+/**
+ * Wait until a job has left the running state
+ */
+async function waitForJob(tf, jobId) {
+  const deadline = Date.now() + 30000;
+  while (tf.getJobStatus(jobId).status === 'running') {
+    assert.ok(Date.now() < deadline, `job ${jobId} did not finish`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return tf.getJobStatus(jobId);
+}
+
+/**
+ * Move the download time of a source's tiles into the past
+ */
+function age(tf, source, ms) {
+  tf.database.db.prepare('UPDATE tiles SET timestamp = timestamp - ? WHERE source = ?').run(ms, source);
+}
+
+for (const validators of ['etag', 'dated']) {
+  test(`refreshing a job revalidates its tiles (${validators} validators)`, async () => {
+    upstream.revision = () => 1;
+    const source = `refresh-${validators}`;
+    const tf = open(source, validators);
+    try {
+      const { jobId, totalTiles } = await tf.download({ name: 'Berlin', source, bounds: AREA, minZoom: 10, maxZoom: 10 });
+      assert.equal((await waitForJob(tf, jobId)).status, 'completed');
+      age(tf, source, 2 * DAY);
+
+      const tiles = tf.database.db.prepare('SELECT z, x, y, timestamp FROM tiles WHERE source = ?').all(source);
+      const before = new Map(tiles.map(tile => [`/${tile.z}/${tile.x}/${tile.y}.png`, tile]));
+
+      // Upstream changed the tiles of even columns since
+      const changed = tile => Number(tile.split('/')[2]) % 2 === 0;
+      upstream.revision = tile => changed(tile) ? 2 : 1;
+      upstream.requests = [];
+
+      const refresh = await tf.refreshJob(jobId, { olderThan: '1d' });
+      assert.equal(refresh.parentJobId, jobId);
+      assert.equal(refresh.totalTiles, totalTiles);
+      const done = await waitForJob(tf, refresh.jobId);
+      assert.equal(done.status, 'completed');
+      assert.equal(done.type, 'refresh');
+
+      // Every request was conditional
+      assert.equal(upstream.requests.length, totalTiles);
+      const validator = validators === 'etag' ? 'if-none-match' : 'if-modified-since';
+      assert.ok(upstream.requests.every(({ headers }) => headers[validator]));
+
+      // Unchanged tiles keep their data, changed ones are replaced; all count as fresh again
+      for (const [tile, { z, x, y, timestamp }] of before) {
+        const info = tf.getTileInfo(source, z, x, y);
+        assert.ok(info.timestamp > timestamp + DAY, `tile ${tile} is fresh`);
+        assert.deepEqual(tf.getTile(source, z, x, y), png(`${tile} r${changed(tile) ? 2 : 1}`), `tile ${tile}`);
+        if (validators === 'etag') {
+          assert.equal(info.etag, `"${changed(tile) ? 2 : 1}"`);
+        } else {
+          assert.equal(info.lastModified, new Date(Date.parse(LAST_MODIFIED) + (changed(tile) ? 2 : 1) * DAY).toUTCString());
+        }
+      }
+
+      // Refreshed tiles stay owned by the job that downloaded them
+      const owners = tf.database.db.prepare('SELECT job_id AS jobId, COUNT(*) AS count FROM job_tiles GROUP BY job_id').all();
+      assert.deepEqual(owners, [{ jobId, count: totalTiles }]);
+
+      // Nothing is older than a day any more
+      const again = await tf.refreshJob(refresh.jobId, { olderThan: '1d' });
+      assert.deepEqual(again, { jobId: null, parentJobId: jobId, totalTiles: 0, olderThan: 86400, status: 'up_to_date' });
+    } finally {
+      tf.close();
+    }
+  });
+}
+
+test('refreshes default to the source TTL and only take the tiles older than it', async () => {
+  upstream.revision = () => 1;
+  const tf = open('ttl');
+  try {
+    const { jobId } = await tf.download({ name: 'Berlin', source: 'ttl', bounds: AREA, minZoom: 10, maxZoom: 10 });
+    await waitForJob(tf, jobId);
+    await assert.rejects(tf.refreshJob(jobId), /Source ttl has no TTL/);
+
+    tf.updateSource('ttl', { ttl: 3600 });
+    age(tf, 'ttl', 2 * 3600 * 1000);
+    tf.database.db.prepare('UPDATE tiles SET timestamp = ? WHERE source = ? AND x % 2 = 0').run(Date.now(), 'ttl');
+    const stale = tf.database.db.prepare('SELECT COUNT(*) AS count FROM tiles WHERE source = ? AND x % 2 = 1').get('ttl').count;
+
+    const refresh = await tf.refreshJob(jobId);
+    assert.equal(refresh.olderThan, 3600);
+    assert.equal(refresh.totalTiles, stale);
+    await waitForJob(tf, refresh.jobId);
+  } finally {
+    tf.close();
+  }
+});
+
+test('served tiles report their age, download time and staleness', async () => {
+  const tf = open('headers');
+  const app = express();
+  app.use(createRouter({ tileforge: tf }));
+  const tileServer = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${tileServer.address().port}/tiles/headers/10/550/335.png`;
+
+  try {
+    tf.updateSource('headers', { ttl: 3600 });
+    tf.database.saveTile(10, 550, 335, 'headers', png('tile'));
+
+    let response = await fetch(url);
+    assert.equal(response.status, 200);
+    const timestamp = tf.getTileInfo('headers', 10, 550, 335).timestamp;
+    assert.equal(response.headers.get('last-modified'), new Date(timestamp).toUTCString());
+    assert.equal(response.headers.get('age'), '0');
+    assert.equal(response.headers.get('cache-control'), 'public, max-age=3600');
+    assert.equal(response.headers.get('x-tile-stale'), null);
+
+    // Past its TTL the tile is still served, flagged as stale
+    age(tf, 'headers', 2 * 3600 * 1000);
+    response = await fetch(url);
+    assert.equal(response.status, 200);
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), png('tile'));
+    assert.equal(response.headers.get('last-modified'), new Date(timestamp - 2 * 3600 * 1000).toUTCString());
+    assert.equal(response.headers.get('age'), '7200');
+    assert.equal(response.headers.get('cache-control'), 'public, max-age=7200');
+    assert.equal(response.headers.get('x-tile-stale'), 'true');
+  } finally {
+    tileServer.closeAllConnections();
+    await new Promise(resolve => tileServer.close(resolve));
+    tf.close();
+  }
+});
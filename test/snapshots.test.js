@@ -0,0 +1,209 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import express from 'express';
+import { TileForge } from '../src/index.js';
+import { createRouter } from '../src/server/createRouter.js';
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+
+// Zoom level 10 of this area holds 12 tiles
+const AREA = { north: 52.7, south: 52.3, west: 13.0, east: 13.8 };
+
+// When the first snapshot and its refresh were captured
+const JANUARY = Date.parse('2026-01-10T12:00:00Z');
+const FEBRUARY = Date.parse('2026-02-10T12:00:00Z');
+
+let dir;
+let server;
+let baseUrl;
+const upstream = { revision: () => 1 };
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tileforge-test-'));
+
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(png(`${req.url} r${upstream.revision(req.url)}`));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * PNG tile data labelled with some text
+ */
+function png(label) {
+  return Buffer.concat([PNG_SIGNATURE, Buffer.from(label)]);
+}
+
+/**
+ * Wait until a job has left the running state
+ */
+async function waitForJob(tf, jobId) {
+  const deadline = Date.now() + 30000;
+  while (tf.getJobStatus(jobId).status === 'running') {
+    assert.ok(Date.now() < deadline, `job ${jobId} did not finish`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return tf.getJobStatus(jobId);
+}
+
+/**
+ * Count the stored blobs
+ */
+function countBlobs(tf) {
+  return tf.database.db.prepare('SELECT COUNT(*) AS count FROM tile_blobs').get().count;
+}
+
+/**
+ * Open an instance on a new test database with the local tile server as a source of
+ * the same name, then take a snapshot of the area in January and refresh it in
+ * February, when upstream had new imagery for the tiles of even columns
+ * @returns {Promise<{tf: TileForge, jobId: string, refreshId: string, changed: object[], unchanged: object[]}>}
+ */
+async function createSnapshots(name) {
+  const tf = new TileForge({ dbPath: path.join(dir, `${name}.db`), logLevel: 'warn', rateLimit: 1 });
+  tf.addSource(name, { name: `Local tiles (${name})`, url: `${baseUrl}/{z}/{x}/{y}.png` });
+
+  upstream.revision = () => 1;
+  const { jobId } = await tf.download({ name: 'Berlin', source: name, bounds: AREA, minZoom: 10, maxZoom: 10, snapshot: true });
+  await waitForJob(tf, jobId);
+  tf.database.db.prepare('UPDATE tiles SET timestamp = ?, capturedAt = ? WHERE source = ?').run(JANUARY, JANUARY, name);
+
+  upstream.revision = url => Number(url.split('/')[2]) % 2 === 0 ? 2 : 1;
+  const refresh = await tf.refreshJob(jobId, { olderThan: '1d' });
+  assert.equal(refresh.snapshot, true);
+  await waitForJob(tf, refresh.jobId);
+  tf.database.db.prepare('UPDATE tiles SET timestamp = ?, capturedAt = ? WHERE source = ? AND capturedAt > ?')
+    .run(FEBRUARY, FEBRUARY, name, JANUARY);
+
+  const tiles = tf.database.db.prepare('SELECT z, x, y FROM tiles WHERE source = ? ORDER BY x, y').all(name);
+  return {
+    tf,
+    jobId,
+    refreshId: refresh.jobId,
+    changed: tiles.filter(tile => tile.x % 2 === 0),
+    unchanged: tiles.filter(tile => tile.x % 2 === 1)
+  };
+}
+
+test('time-travel lookups return the newest imagery at or before the date', async () => {
+  const { tf, jobId, refreshId, changed, unchanged } = await createSnapshots('history');
+  try {
+    const { z, x, y } = changed[0];
+    const january = png(`/${z}/${x}/${y}.png r1`);
+    const february = png(`/${z}/${x}/${y}.png r2`);
+
+    assert.equal(tf.getTileAt('history', z, x, y, '2026-01-01'), null);
+    assert.deepEqual(tf.getTileAt('history', z, x, y, '2026-01-10'), { data: january, capturedAt: JANUARY });
+    assert.deepEqual(tf.getTileAt('history', z, x, y, '2026-02-09'), { data: january, capturedAt: JANUARY });
+    assert.deepEqual(tf.getTileAt('history', z, x, y, FEBRUARY), { data: february, capturedAt: FEBRUARY });
+    assert.deepEqual(tf.getTile('history', z, x, y), february);
+    assert.deepEqual(tf.getTile('history', z, x, y, { at: '2026-01-31' }), january);
+
+    // A snapshot ID stands for the time its last tile was captured
+    assert.deepEqual(tf.getTileAt('history', z, x, y, jobId).data, january);
+    assert.deepEqual(tf.getTileAt('history', z, x, y, refreshId).data, february);
+
+    // Tiles the refresh found unchanged keep their first capture
+    const kept = unchanged[0];
+    assert.equal(tf.getTileAt('history', kept.z, kept.x, kept.y, '2026-03-01').capturedAt, JANUARY);
+
+    assert.deepEqual(
+      tf.listSnapshots(refreshId).map(({ snapshotId, currentTiles, archivedTiles, firstCapture, lastCapture }) =>
+        ({ snapshotId, currentTiles, archivedTiles, firstCapture, lastCapture })),
+      [
+        { snapshotId: jobId, currentTiles: unchanged.length, archivedTiles: changed.length, firstCapture: JANUARY, lastCapture: JANUARY },
+        { snapshotId: refreshId, currentTiles: changed.length, archivedTiles: 0, firstCapture: FEBRUARY, lastCapture: FEBRUARY }
+      ]
+    );
+  } finally {
+    tf.close();
+  }
+});
+
+test('earlier imagery is served with ?at= or source@date', async () => {
+  const { tf, changed } = await createSnapshots('served');
+  const app = express();
+  app.use(createRouter({ tileforge: tf }));
+  const tileServer = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const { z, x, y } = changed[0];
+  const url = source => `http://127.0.0.1:${tileServer.address().port}/tiles/${source}/${z}/${x}/${y}.png`;
+
+  try {
+    for (const request of [url('served@2026-01-31'), `${url('served')}?at=2026-01-31`]) {
+      const response = await fetch(request);
+      assert.equal(response.status, 200, request);
+      assert.deepEqual(Buffer.from(await response.arrayBuffer()), png(`/${z}/${x}/${y}.png r1`));
+      assert.equal(response.headers.get('last-modified'), new Date(JANUARY).toUTCString());
+    }
+
+    const current = await fetch(url('served@2026-03-01'));
+    assert.deepEqual(Buffer.from(await current.arrayBuffer()), png(`/${z}/${x}/${y}.png r2`));
+
+    assert.equal((await fetch(url('served@2025-12-31'))).status, 404);
+    assert.equal((await fetch(url('served@last-winter'))).status, 400);
+    assert.equal((await fetch(url(`served@${'0'.repeat(32)}`))).status, 404);
+  } finally {
+    tileServer.closeAllConnections();
+    await new Promise(resolve => tileServer.close(resolve));
+    tf.close();
+  }
+});
+
+test('pruning deletes replaced imagery but keeps blobs other tiles still use', async () => {
+  const { tf, jobId, changed, unchanged } = await createSnapshots('pruned');
+  try {
+    // Another source holds the same contents as one of the replaced tiles
+    const { z, x, y } = changed[0];
+    const january = png(`/${z}/${x}/${y}.png r1`);
+    tf.database.saveTile(z, x, y, 'mirror', january);
+    const blobs = countBlobs(tf);
+
+    assert.deepEqual(tf.pruneSnapshots(jobId, { keep: 1 }), { pruned: [jobId], versionsDeleted: changed.length });
+    assert.equal(countBlobs(tf), blobs - changed.length + 1);
+    assert.deepEqual(tf.getTile('mirror', z, x, y), january);
+    assert.equal(tf.getTileAt('pruned', z, x, y, '2026-01-31'), null);
+
+    // The current tiles of the pruned snapshot are kept
+    for (const tile of unchanged) {
+      assert.deepEqual(tf.getTile('pruned', tile.z, tile.x, tile.y), png(`/${tile.z}/${tile.x}/${tile.y}.png r1`));
+    }
+    const orphans = tf.database.db.prepare(`
+      SELECT hash FROM tile_blobs
+      WHERE hash NOT IN (SELECT hash FROM tiles) AND hash NOT IN (SELECT hash FROM tile_versions)
+    `).all();
+    assert.deepEqual(orphans, []);
+  } finally {
+    tf.close();
+  }
+});
+
+test('deleting a tile deletes its history and the blobs only it used', async () => {
+  const { tf, changed } = await createSnapshots('deleted');
+  try {
+    const { z, x, y } = changed[0];
+    const blobs = countBlobs(tf);
+    const versions = () => tf.database.db.prepare('SELECT COUNT(*) AS count FROM tile_versions').get().count;
+    assert.equal(versions(), changed.length);
+
+    tf.database.deleteTile(z, x, y, 'deleted');
+    assert.equal(versions(), changed.length - 1);
+    assert.equal(countBlobs(tf), blobs - 2);
+    assert.equal(tf.getTileAt('deleted', z, x, y, '2026-01-31'), null);
+  } finally {
+    tf.close();
+  }
+});
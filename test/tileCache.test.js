@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TileCache } from '../src/core/TileCache.js';
+
+/**
+ * Tile data of a given size
+ */
+function tile(size) {
+  return Buffer.alloc(size, 1);
+}
+
+test('tiles are evicted least recently used first once the byte budget is spent', () => {
+  const cache = new TileCache({ maxSize: 300 });
+  cache.set('arcgis', 'arcgis/1/0/0', tile(100));
+  cache.set('arcgis', 'arcgis/1/0/1', tile(100));
+  cache.set('arcgis', 'arcgis/1/1/0', tile(100));
+
+  // Reading the first tile makes the second the least recently used
+  assert.deepEqual(cache.get('arcgis', 'arcgis/1/0/0'), tile(100));
+  assert.equal(cache.set('arcgis', 'arcgis/1/1/1', tile(150)), true);
+
+  assert.equal(cache.has('arcgis', 'arcgis/1/0/1'), false);
+  assert.equal(cache.has('arcgis', 'arcgis/1/1/0'), false);
+  assert.equal(cache.has('arcgis', 'arcgis/1/0/0'), true);
+  assert.equal(cache.has('arcgis', 'arcgis/1/1/1'), true);
+
+  const stats = cache.getStats();
+  assert.equal(stats.size, 250);
+  assert.equal(stats.tiles, 2);
+  assert.equal(stats.evictions, 2);
+});
+
+test('tiles larger than the budget are not cached, and replacing a tile keeps sizes in step', () => {
+  const cache = new TileCache({ maxSize: 100 });
+  assert.equal(cache.set('arcgis', 'arcgis/0/0/0', tile(101)), false);
+  assert.equal(cache.getStats().tiles, 0);
+
+  cache.set('arcgis', 'arcgis/0/0/0', tile(60));
+  cache.set('arcgis', 'arcgis/0/0/0', tile(80));
+  assert.equal(cache.getStats().size, 80);
+  assert.equal(cache.getStats().evictions, 0);
+
+  cache.delete('arcgis', 'arcgis/0/0/0');
+  assert.deepEqual({ tiles: cache.getStats().tiles, size: cache.getStats().size }, { tiles: 0, size: 0 });
+});
+
+test('has() marks a tile most recently used without counting a read', () => {
+  const cache = new TileCache({ maxSize: 200 });
+  cache.set('arcgis', 'arcgis/1/0/0', tile(100));
+  cache.set('arcgis', 'arcgis/1/0/1', tile(100));
+
+  assert.equal(cache.has('arcgis', 'arcgis/1/0/0'), true);
+  cache.set('arcgis', 'arcgis/1/1/0', tile(100));
+
+  assert.equal(cache.has('arcgis', 'arcgis/1/0/0'), true);
+  assert.equal(cache.has('arcgis', 'arcgis/1/0/1'), false);
+  assert.equal(cache.getStats().hits, 0);
+  assert.equal(cache.getStats().misses, 0);
+});
+
+test('sources with their own budget do not evict tiles of other sources', () => {
+  const cache = new TileCache({ maxSize: 200, partitions: { google: 100 } });
+  cache.set('arcgis', 'arcgis/1/0/0', tile(100));
+  cache.set('osm', 'osm/1/0/0', tile(100));
+
+  // High-DPI tiles share their source's partition
+  cache.set('google', 'google/1/0/0', tile(100));
+  cache.set('google@2x', 'google@2x/1/0/0', tile(100));
+
+  assert.equal(cache.has('google', 'google/1/0/0'), false);
+  assert.equal(cache.has('google@2x', 'google@2x/1/0/0'), true);
+  assert.equal(cache.has('arcgis', 'arcgis/1/0/0'), true);
+  assert.equal(cache.has('osm', 'osm/1/0/0'), true);
+  assert.equal(cache.getMaxSize('google@2x'), 100);
+  assert.equal(cache.getMaxSize('arcgis'), 200);
+
+  const stats = cache.getStats();
+  assert.equal(stats.maxSize, 300);
+  assert.deepEqual(
+    stats.partitions.map(({ source, tiles, size, evictions }) => ({ source, tiles, size, evictions })),
+    [
+      { source: null, tiles: 2, size: 200, evictions: 0 },
+      { source: 'google', tiles: 1, size: 100, evictions: 1 }
+    ]
+  );
+
+  // Clearing a source removes its high-DPI tiles too
+  assert.deepEqual(cache.clear('google'), { tiles: 1, size: 100 });
+  assert.deepEqual(cache.clear(), { tiles: 2, size: 200 });
+});
+
+test('hits, misses and the hit rate are counted per partition and in total', () => {
+  const cache = new TileCache({ maxSize: 1000, partitions: { google: 1000 } });
+  assert.equal(cache.getStats().hitRate, null);
+
+  cache.set('arcgis', 'arcgis/0/0/0', tile(10));
+  cache.set('google', 'google/0/0/0', tile(10));
+  cache.get('arcgis', 'arcgis/0/0/0');
+  cache.get('arcgis', 'arcgis/0/0/0');
+  cache.get('arcgis', 'arcgis/1/0/0');
+  cache.get('google', 'google/1/0/0');
+
+  const stats = cache.getStats();
+  assert.equal(stats.hits, 2);
+  assert.equal(stats.misses, 2);
+  assert.equal(stats.hitRate, 0.5);
+  assert.equal(stats.partitions[0].hitRate, 0.667);
+  assert.equal(stats.partitions[1].hitRate, 0);
+
+  // Clearing keeps the counters; resetStats() zeroes them
+  cache.clear();
+  assert.equal(cache.getStats().hits, 2);
+  cache.resetStats();
+  assert.deepEqual(
+    { hits: cache.getStats().hits, misses: cache.getStats().misses, evictions: cache.getStats().evictions },
+    { hits: 0, misses: 0, evictions: 0 }
+  );
+});
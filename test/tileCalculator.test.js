@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tileToHilbertId } from '../src/core/TileCalculator.js';
+
+test('tileToHilbertId matches the PMTiles reference tile IDs', () => {
+  assert.equal(tileToHilbertId(0, 0, 0), 0);
+
+  // Zoom 1 follows the Hilbert curve: top left, bottom left, bottom right, top right
+  assert.equal(tileToHilbertId(0, 0, 1), 1);
+  assert.equal(tileToHilbertId(0, 1, 1), 2);
+  assert.equal(tileToHilbertId(1, 1, 1), 3);
+  assert.equal(tileToHilbertId(1, 0, 1), 4);
+
+  assert.equal(tileToHilbertId(0, 0, 2), 5);
+  assert.equal(tileToHilbertId(3, 0, 2), 20);
+  assert.equal(tileToHilbertId(3423, 1763, 12), 19078479);
+  assert.equal(tileToHilbertId(0, 0, 20), 366503875925);
+});
+
+test('tileToHilbertId numbers each zoom level without gaps', () => {
+  for (let z = 0; z <= 4; z++) {
+    const n = Math.pow(2, z);
+    const first = (Math.pow(4, z) - 1) / 3;
+    const ids = new Set();
+    for (let x = 0; x < n; x++) {
+      for (let y = 0; y < n; y++) {
+        ids.add(tileToHilbertId(x, y, z));
+      }
+    }
+    assert.equal(ids.size, n * n);
+    assert.equal(Math.min(...ids), first);
+    assert.equal(Math.max(...ids), first + n * n - 1);
+  }
+});